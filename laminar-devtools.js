@@ -1,4 +1,4 @@
-(function() {
+const laminarDevtools = (function() {
   'use strict';
 
   // ============================================================================
@@ -17,6 +17,7 @@
    * @property {string} filename - Component filename
    * @property {string} line - Source line number
    * @property {string} path - Full source path
+   * @property {string} [componentName] - Enclosing class or method name captured on the Scala side
    * @property {number} [level] - Optional hierarchy level for parent components
    */
 
@@ -27,12 +28,125 @@
    * @property {string} filename - Component filename
    * @property {string} line - Source line number
    * @property {string} path - Full source path
+   * @property {string} [componentName] - Enclosing class or method name captured on the Scala side
    * @property {TreeNode[]} children - Child nodes
    * @property {TreeNode|null} parent - Parent node
+   * @property {boolean} [portal] - Whether the component is rendered in a portal outside its parent's DOM
+   * @property {string} [position] - Parent node ID and source location, identifying the component across re-renders
    * @property {boolean} expanded - Whether node is expanded
    * @property {number} level - Depth level in tree
    */
 
+  /**
+   * Rendered row of a tree node
+   * @typedef {Object} TreeRow
+   * @property {HTMLDivElement} row - Row element
+   * @property {TreeNode} node - Node the row was rendered for
+   * @property {Element} element - Component element the row was rendered for
+   * @property {string} signature - Everything the row shows, see ComponentTreeView.getRowSignature
+   */
+
+  /**
+   * Entry of a ContextMenu: an action, or a separator line
+   * @typedef {Object} MenuItem
+   * @property {string} [label] - Item text
+   * @property {() => void} [action] - Run when the item is chosen
+   * @property {string} [shortcut] - Keyboard shortcut shown next to the label
+   * @property {boolean} [disabled] - Show the item greyed out and ignore clicks
+   * @property {boolean} [separator] - Render a separator line instead of an item
+   */
+
+  /**
+   * Source location of a component: where it is used, where it is defined, or
+   * a layout component that passed it down as one of its children
+   * @typedef {Object} CallSite
+   * @property {string} path - Source path, mapped to the local workspace
+   * @property {string} line - Source line number
+   * @property {string} [name] - Name of the layout component, for layout chain entries
+   */
+
+  /**
+   * Which call site of a component to open: where it is applied, or where its
+   * class is defined
+   * @typedef {'usage'|'definition'} CallSiteKind
+   */
+
+  /**
+   * Subscription entry registered on an element by the Scala `Tracked` helper
+   * @typedef {Object} SubscriptionInfo
+   * @property {number} id - Unique subscription identifier
+   * @property {'<--'|'-->'|'onMountCallback'} kind - Binding kind
+   * @property {string} name - Name given on the Scala side
+   * @property {'Signal'|'EventStream'|'Observable'|'Callback'} observableType - Type of the bound observable
+   * @property {boolean} active - Whether the subscription is currently active (element mounted)
+   * @property {boolean} hasValue - Whether a value has been observed
+   * @property {*} value - Current Signal value or last emitted stream value
+   * @property {number} emissionCount - Number of emissions (mounts for callbacks)
+   * @property {number} [lastEmittedAt] - Timestamp of the last emission
+   */
+
+  /**
+   * Entry of the emission log
+   * @typedef {Object} EmissionRecord
+   * @property {number} id - Sequence number of the record
+   * @property {number} timestamp - Emission time in milliseconds since epoch
+   * @property {WeakRef<Element>|null} componentRef - Component element owning the subscription, held weakly so old records don't keep removed elements alive
+   * @property {string} componentName - Display name of the owning component
+   * @property {SubscriptionInfo['kind']} kind - Binding kind
+   * @property {string} name - Observable name given on the Scala side
+   * @property {SubscriptionInfo['observableType']} observableType - Type of the bound observable
+   * @property {string} preview - Formatted value snapshot taken at emission time
+   */
+
+  /**
+   * Mount or unmount of a UIComponent element
+   * @typedef {Object} LifecycleRecord
+   * @property {number} id - Sequence number of the record
+   * @property {'mount'|'unmount'} type - Lifecycle event type
+   * @property {number} timestamp - Time of the DOM update in milliseconds since epoch
+   * @property {WeakRef<Element>} elementRef - Component element, held weakly so old records don't keep removed elements alive
+   * @property {string} key - Source location key (path:line) shared by all instances
+   * @property {string} componentName - Display name of the component
+   * @property {string} filename - Component filename
+   * @property {string} line - Source line number
+   * @property {string|null} parentName - Display name of the parent component at the time of the event
+   * @property {number} churnCount - Number of separate updates that mounted this component within CHURN_WINDOW
+   */
+
+  /**
+   * Mount statistics of all instances created at one source location
+   * @typedef {Object} ChurnStats
+   * @property {string} key - Source location key (path:line)
+   * @property {string} componentName - Display name of the component
+   * @property {string} filename - Component filename
+   * @property {string} line - Source line number
+   * @property {number} mounts - Total number of mounts
+   * @property {number} unmounts - Total number of unmounts
+   * @property {number[]} recentMounts - Timestamps of updates within CHURN_WINDOW that mounted the component
+   * @property {number} lastMountBatch - Last DOM update batch that mounted the component
+   * @property {number} peakChurn - Highest number of mounting updates seen within CHURN_WINDOW
+   */
+
+  /**
+   * @typedef {Object} UpdateStats
+   * @property {number} count - Number of DOM updates attributed to the component
+   * @property {number[]} recentUpdates - Timestamps of updates within the last second
+   */
+
+  /**
+   * @typedef {Object} FuzzyMatchResult
+   * @property {number} score - Match quality, higher is better
+   * @property {number[]} indices - Indices of matched characters in the searched text
+   */
+
+  /**
+   * @typedef {Object} SearchMatch
+   * @property {'name'|'filename'|'path'} field - Node field the query matched
+   * @property {string} text - Text of the matched field
+   * @property {number[]} indices - Indices of matched characters in the text
+   * @property {number} score - Match quality, higher is better
+   */
+
   /**
    * @typedef {Object} Position
    * @property {number} left - Left position in pixels
@@ -64,20 +178,140 @@
    * @property {boolean} initialIsOpen - Open devtools panel by default when page loads
    */
 
+  /**
+   * Lines around a component's call site
+   * @typedef {Object} SourceSnippet
+   * @property {string} path - Source file path
+   * @property {number} line - Call site line number
+   * @property {number} startLine - Line number of the first line in `lines`
+   * @property {SourceToken[][]} lines - Tokenized source lines
+   */
+
+  /**
+   * @typedef {Object} SourceToken
+   * @property {string} text - Token text
+   * @property {string|null} kind - Token kind for coloring, null for plain text
+   */
+
+  /**
+   * Editor that source files can be opened in. The template may contain the
+   * placeholders {path}, {line}, {column} and {projectRoot}.
+   * @typedef {Object} EditorDefinition
+   * @property {string} label - Name shown in the settings panel
+   * @property {string} template - URL template, e.g. `zed://file/{path}:{line}:{column}`
+   */
+
+  /**
+   * Prefix rewrite rule from a build-time source path to a local one
+   * @typedef {Object} PathMapping
+   * @property {string} from - Path prefix as recorded at build time
+   * @property {string} to - Local replacement prefix; may contain {projectRoot}
+   */
+
+  /**
+   * How source files are opened: `url` opens the preferred editor's URL scheme,
+   * `server` asks the dev server's open-in-editor endpoint to launch $EDITOR and
+   * falls back to the URL scheme if that fails
+   * @typedef {'url'|'server'} OpenMode
+   */
+
+  /**
+   * Named action that can be bound to a keyboard shortcut. Bindings are written
+   * as modifiers followed by a key, e.g. `Alt+Shift+Enter`; letters and digits
+   * are matched by physical key so that Alt doesn't change them on macOS.
+   * @typedef {Object} KeymapAction
+   * @property {string} id - Action ID used in stored and imported keymaps
+   * @property {string} label - Name shown in the settings panel
+   * @property {string} defaultBinding - Binding used unless the user changed it
+   * @property {boolean} [hold] - Active while a single modifier key is held, like Alt for inspecting
+   * @property {boolean} [modifierOnly] - May be bound to two or more modifiers alone, firing when they are released
+   */
+
   /**
    * @typedef {Object} DevtoolsConfig
-   * @property {string} [preferredIDE] - Preferred IDE protocol
+   * @property {string} [preferredIDE] - ID of the preferred editor
+   * @property {Record<string, EditorDefinition|string>} [editors] - Custom editors to add, keyed by ID; a string is taken as the URL template
+   * @property {string} [projectRoot] - Local project root, used to re-root build paths and substituted for {projectRoot} in editor URL templates
+   * @property {PathMapping[]} [pathMappings] - Prefix rewrite rules from build paths to local paths, tried in order
+   * @property {OpenMode} [openMode] - How source files are opened
    * @property {boolean} [viewportVisibilityFilter] - Filter tree nodes based on viewport visibility
    * @property {boolean} [initialIsOpen] - Open devtools panel by default when page loads
+   * @property {number} [emissionLogCapacity] - Maximum number of records kept in the emission log
+   * @property {Record<string, string>} [keymap] - Keyboard shortcuts keyed by action ID, e.g. `{ toggleTree: "Ctrl+Alt+T" }`
    * @property {Partial<DevtoolsOptions>} [options] - Devtools options
    */
 
+  /**
+   * Defaults provided by the page before the devtools load, typically injected
+   * by vite-plugin-laminar-devtools. Settings stored by the user take precedence.
+   * @typedef {Object} DevtoolsDefaults
+   * @property {string} [preferredIDE] - ID of the preferred editor
+   * @property {OpenMode} [openMode] - How source files are opened
+   * @property {boolean} [viewportVisibilityFilter] - Filter tree nodes based on viewport visibility
+   * @property {boolean} [initialIsOpen] - Open devtools panel by default when page loads
+   * @property {boolean} [enableKeyboardNavigation] - Enable keyboard navigation
+   */
+
+  /**
+   * @typedef {Object} LaminarDevtoolsHook
+   * @property {number} apiVersion - Version of the public API surface, bumped on breaking changes
+   * @property {DevtoolsSystem} system - Live devtools system instance
+   * @property {() => DevtoolsSystem} getSystem - Get the live devtools system instance
+   * @property {DevtoolsSystem['getStatus']} getStatus - Get current system status
+   * @property {DevtoolsSystem['getAllComponents']} getAllComponents - Get all components in the current page
+   * @property {DevtoolsSystem['navigateToComponent']} navigateToComponent - Navigate to a component by filename and line
+   * @property {DevtoolsSystem['exportConfig']} exportConfig - Export current configuration
+   * @property {DevtoolsSystem['importConfig']} importConfig - Import configuration
+   * @property {typeof openFileAtSourcePath} openFileAtSourcePath - Open a source file in the preferred editor
+   * @property {typeof EditorRegistry} editors - Registry of editors source files can be opened in
+   * @property {typeof PathMapper} paths - Mapping of build-time source paths to the local workspace
+   * @property {typeof PersistentStorage} PersistentStorage - Storage helper used for devtools settings
+   */
+
   /**
    * @callback StateObserver
    * @param {string} type - Type of state change
    * @param {*} data - Change data
    */
 
+  /**
+   * @typedef {'components'|'events'|'lifecycle'} PanelTab
+   */
+
+  /**
+   * @callback LogObserver
+   * @param {'add'|'clear'|'pause'|'capacity'} type - Type of log change
+   * @param {*} data - Change data
+   */
+
+  /**
+   * Log displayed by a RecordListView
+   * @template R
+   * @typedef {Object} RecordLog
+   * @property {boolean} paused - Whether recording is paused
+   * @property {number} size - Number of records kept
+   * @property {number} capacity - Maximum number of records kept
+   * @property {(callback: LogObserver) => Function} subscribe - Subscribe to log changes
+   * @property {() => R[]} getRecords - Get all records, oldest first
+   * @property {(paused: boolean) => void} setPaused - Pause or resume recording
+   * @property {() => void} clear - Remove all records
+   */
+
+  /**
+   * What a RecordListView's owning view contributes
+   * @template R
+   * @typedef {Object} RecordListOptions
+   * @property {string} clearTitle - Tooltip of the clear button
+   * @property {string} filterPlaceholder - Placeholder of the filter input
+   * @property {string} emptyText - Placeholder while the log is empty
+   * @property {string} noMatchText - Placeholder while no record passes the filters
+   * @property {boolean} showCapacity - Whether the unfiltered counter shows the log capacity
+   * @property {(record: R, query: string) => boolean} matchesFilter - Check a record against the trimmed, lower-case query and the view's own filters
+   * @property {(record: R) => HTMLElement} createRow - Create the row of a record
+   * @property {() => boolean} [isFiltered] - Whether a filter of the view other than the query is active
+   * @property {() => void} [onRender] - Called after rows were rendered
+   */
+
   /**
    * @callback NodeCallback
    * @param {TreeNode} node - Tree node
@@ -99,11 +333,32 @@
     /** Source path property for UIComponent elements */
     SCALA_SOURCE_PATH: '__scalasourcepath',
 
-    /** Filename property for UIComponent elements */
+    /** Filename property for UIComponent elements, of the definition site */
     SCALA_FILENAME: '__scalafilename',
 
+    /** Filename of the usage site for UIComponent elements (development mode only) */
+    SCALA_USAGE_FILENAME: '__scalausagefilename',
+
     /** Source line property for UIComponent elements */
-    SCALA_SOURCE_LINE: '__scalasourceline'
+    SCALA_SOURCE_LINE: '__scalasourceline',
+
+    /** Source path of the component class for UIComponent elements (development mode only) */
+    SCALA_DEFINITION_PATH: '__scaladefinitionpath',
+
+    /** Source line of the component class for UIComponent elements (development mode only) */
+    SCALA_DEFINITION_LINE: '__scaladefinitionline',
+
+    /** Layout components that passed the element down as a child, innermost first (development mode only) */
+    SCALA_LAYOUT_CHAIN: '__scalalayoutchain',
+
+    /** Component class name property for UIComponent elements (development mode only) */
+    SCALA_COMPONENT_NAME: '__scalacomponentname',
+
+    /** JSON-serialized constructor arguments for UIComponent elements (development mode only) */
+    SCALA_COMPONENT_PROPS: '__scalacomponentprops',
+
+    /** Reactive subscriptions registered by the Scala `Tracked` helper (development mode only) */
+    LAMINAR_SUBSCRIPTIONS: '__laminarsubscriptions'
   };
 
   /**
@@ -122,23 +377,35 @@
     },
 
     /**
-     * Get source path from element
+     * Get source path from element, mapped to the local workspace
      * @memberof PropertyAccessor
      * @param {Element} element - Element to get source path from
      * @returns {string|undefined} Source path or undefined
      */
     getSourcePath(element) {
+      const path = this.getBuildSourcePath(element);
+      return path ? PathMapper.map(path) : path;
+    },
+
+    /**
+     * Get source path from element as recorded at build time
+     * @memberof PropertyAccessor
+     * @param {Element} element - Element to get source path from
+     * @returns {string|undefined} Source path or undefined
+     */
+    getBuildSourcePath(element) {
       return /** @type {any} */ (element)[DEVTOOLS_PROPERTIES.SCALA_SOURCE_PATH];
     },
 
     /**
-     * Get filename from element
+     * Get filename from element, of the usage site like the source path and line
      * @memberof PropertyAccessor
      * @param {Element} element - Element to get filename from
      * @returns {string|undefined} Filename or undefined
      */
     getFilename(element) {
-      return /** @type {any} */ (element)[DEVTOOLS_PROPERTIES.SCALA_FILENAME];
+      const anyElement = /** @type {any} */ (element);
+      return anyElement[DEVTOOLS_PROPERTIES.SCALA_USAGE_FILENAME] || anyElement[DEVTOOLS_PROPERTIES.SCALA_FILENAME];
     },
 
     /**
@@ -151,6 +418,124 @@
       return /** @type {any} */ (element)[DEVTOOLS_PROPERTIES.SCALA_SOURCE_LINE];
     },
 
+    /**
+     * Get where a component is used or defined. Elements tagged with
+     * `withLocator` have no separate definition site and return the usage site.
+     * @memberof PropertyAccessor
+     * @param {Element} element - Component element
+     * @param {CallSiteKind} [kind='usage'] - Which call site to get
+     * @returns {CallSite|null} Call site, or null if the element has no source path
+     */
+    getCallSite(element, kind = 'usage') {
+      const definitionPath = /** @type {any} */ (element)[DEVTOOLS_PROPERTIES.SCALA_DEFINITION_PATH];
+      if (kind === 'definition' && definitionPath) {
+        return {
+          path: PathMapper.map(definitionPath),
+          line: String(/** @type {any} */ (element)[DEVTOOLS_PROPERTIES.SCALA_DEFINITION_LINE] || '')
+        };
+      }
+
+      const path = this.getSourcePath(element);
+      return path ? { path, line: String(this.getSourceLine(element) || '') } : null;
+    },
+
+    /**
+     * Get the layout components that passed a component down as `children*`,
+     * innermost first. Follows the chain through layouts that were themselves
+     * passed down by outer layouts.
+     * @memberof PropertyAccessor
+     * @param {Element} element - Component element
+     * @returns {CallSite[]} Usage sites of the layout components, empty if none
+     */
+    getLayoutChain(element) {
+      /** @type {CallSite[]} */
+      const chain = [];
+      /** @type {Element|null} */
+      let current = element;
+
+      while (current) {
+        const entries = /** @type {any} */ (current)[DEVTOOLS_PROPERTIES.SCALA_LAYOUT_CHAIN];
+        if (!Array.isArray(entries) || entries.length === 0) break;
+
+        entries.forEach(entry => chain.push({
+          path: PathMapper.map(String(entry.path)),
+          line: String(entry.line),
+          name: String(entry.name)
+        }));
+
+        // Continue from the outermost layout's element, found by its usage site
+        const outermost = entries[entries.length - 1];
+        /** @type {Element|null} */
+        let layout = current.parentElement;
+        while (layout && !(this.getBuildSourcePath(layout) === outermost.path &&
+                           String(this.getSourceLine(layout)) === String(outermost.line))) {
+          layout = layout.parentElement;
+        }
+        current = layout;
+      }
+
+      return chain;
+    },
+
+    /**
+     * Get component class name from element
+     * @memberof PropertyAccessor
+     * @param {Element} element - Element to get component name from
+     * @returns {string|undefined} Component class name or undefined
+     */
+    getComponentName(element) {
+      return /** @type {any} */ (element)[DEVTOOLS_PROPERTIES.SCALA_COMPONENT_NAME];
+    },
+
+    /**
+     * Get component props (constructor arguments) from element
+     * @memberof PropertyAccessor
+     * @param {Element} element - Element to get props from
+     * @returns {Object<string, *>|null} Parsed props or null if none were captured
+     */
+    getComponentProps(element) {
+      const serialized = /** @type {any} */ (element)[DEVTOOLS_PROPERTIES.SCALA_COMPONENT_PROPS];
+      if (typeof serialized !== 'string' || !serialized) {
+        return null;
+      }
+
+      try {
+        const props = JSON.parse(serialized);
+        return props && typeof props === 'object' ? props : null;
+      } catch (error) {
+        console.warn('Error parsing component props:', error);
+        return null;
+      }
+    },
+
+    /**
+     * Get reactive subscriptions registered on element
+     * @memberof PropertyAccessor
+     * @param {Element} element - Element to get subscriptions from
+     * @returns {SubscriptionInfo[]} Registered subscriptions, empty if none
+     */
+    getSubscriptions(element) {
+      const subscriptions = /** @type {any} */ (element)[DEVTOOLS_PROPERTIES.LAMINAR_SUBSCRIPTIONS];
+      return Array.isArray(subscriptions) ? subscriptions : [];
+    },
+
+    /**
+     * Get the label shown for a component: its class or enclosing method name,
+     * falling back to the filename without extension
+     * @memberof PropertyAccessor
+     * @param {Element} element - Element to get display name for
+     * @returns {string} Display name
+     */
+    getDisplayName(element) {
+      const componentName = this.getComponentName(element);
+      if (componentName) {
+        return componentName;
+      }
+
+      const filename = this.getFilename(element);
+      return filename ? filename.replace(/\.(scala|js|ts)$/, '') : 'Unknown';
+    },
+
     /**
      * Check if element has all required devtools properties
      * @memberof PropertyAccessor
@@ -159,6 +544,61 @@
      */
     hasAllProperties(element) {
       return Boolean(this.getSourcePath(element) && this.getFilename(element) && this.getSourceLine(element));
+    },
+
+    /**
+     * Get the `filename:line` of where a component is used, for display
+     * @memberof PropertyAccessor
+     * @param {Element} element - Component element
+     * @returns {string|null} `filename:line`, or null if the element has no source location
+     */
+    getComponentKey(element) {
+      const filename = this.getFilename(element);
+      const line = this.getSourceLine(element);
+      return filename && line ? `${filename}:${line}` : null;
+    },
+
+    /**
+     * Get the key shared by all instances of a component type, wherever they
+     * are used: the full path and line of the definition site. Elements tagged
+     * with `withLocator` have no separate definition and use their usage site.
+     * @memberof PropertyAccessor
+     * @param {Element} element - Component element
+     * @returns {string|null} `path:line`, or null if the element has no source location
+     */
+    getComponentTypeKey(element) {
+      const anyElement = /** @type {any} */ (element);
+      const definitionPath = anyElement[DEVTOOLS_PROPERTIES.SCALA_DEFINITION_PATH];
+      if (definitionPath) {
+        return `${definitionPath}:${anyElement[DEVTOOLS_PROPERTIES.SCALA_DEFINITION_LINE] || ''}`;
+      }
+
+      const path = this.getBuildSourcePath(element);
+      const line = this.getSourceLine(element);
+      return path && line ? `${path}:${line}` : null;
+    },
+
+    /**
+     * Get the component info of an element
+     * @memberof PropertyAccessor
+     * @param {Element} element - Component element
+     * @returns {ComponentInfo|null} Component info, or null if the element lacks a source location
+     */
+    getComponentInfo(element) {
+      const filename = this.getFilename(element);
+      const line = this.getSourceLine(element);
+      const path = this.getSourcePath(element);
+      if (!filename || !line || !path) {
+        return null;
+      }
+
+      return {
+        element,
+        filename,
+        line,
+        path,
+        componentName: this.getComponentName(element)
+      };
     }
   };
 
@@ -224,6 +664,23 @@
         --devtools-tooltip-z-index: 10000;
         --devtools-extra-info-tooltip-z-index: 10001;
 
+        /* Update Highlighting */
+        --devtools-update-flash-border-width: 2px;
+        --devtools-update-flash-fade-duration: 0.4s;
+
+        /* Context Menu */
+        --devtools-menu-bg: #161b22;
+        --devtools-menu-border: rgba(240, 246, 252, 0.1);
+        --devtools-menu-shadow: 0 8px 24px rgba(1, 4, 9, 0.75);
+        --devtools-menu-item-hover-bg: rgba(56, 139, 253, 0.25);
+
+        /* Instance and Pinned Overlays */
+        --devtools-instance-color: #a371f7;
+        --devtools-instance-bg: rgba(163, 113, 247, 0.1);
+        --devtools-pinned-color: #f0883e;
+        --devtools-pinned-bg: rgba(240, 136, 62, 0.08);
+        --devtools-overlay-label-font-size: 10px;
+
         /* Devtools Typography */
         --devtools-font-size: 12px;
         --devtools-font-size-small: 11px;
@@ -311,6 +768,67 @@
         --tree-node-border-radius: 6px;
         --tree-node-transition: all 0.15s cubic-bezier(0.4, 0, 0.2, 1);
 
+        /* Tree Search Styling */
+        --tree-search-height: 36px;
+        --tree-search-input-bg: rgba(240, 246, 252, 0.04);
+        --tree-search-input-border: rgba(240, 246, 252, 0.12);
+        --tree-search-input-focus-border: rgba(56, 139, 253, 0.6);
+        --tree-search-highlight-color: #e3b341;
+        --tree-search-highlight-bg: rgba(227, 179, 65, 0.15);
+
+        /* Inspector Pane Styling */
+        --tree-inspector-width: 45%;
+        --tree-inspector-border: rgba(240, 246, 252, 0.1);
+        --tree-inspector-section-title-color: #8b949e;
+        --tree-inspector-key-color: #d2a8ff;
+        --tree-inspector-value-color: #a5d6ff;
+        --tree-inspector-box-margin-bg: rgba(249, 204, 157, 0.18);
+        --tree-inspector-box-border-bg: rgba(253, 221, 155, 0.28);
+        --tree-inspector-box-padding-bg: rgba(195, 208, 139, 0.22);
+        --tree-inspector-box-content-bg: rgba(139, 182, 192, 0.28);
+
+        /* Breadcrumb Bar Styling */
+        --tree-breadcrumb-height: 26px;
+        --tree-breadcrumb-separator-color: var(--tree-text-muted-color);
+        --tree-breadcrumb-hover-bg: var(--tree-node-hover-bg);
+
+        /* Portal Badge Styling */
+        --tree-portal-badge-color: #d2a8ff;
+        --tree-portal-badge-bg: rgba(210, 168, 255, 0.12);
+
+        /* Panel Tabs Styling */
+        --tree-tab-height: 30px;
+        --tree-tab-active-color: var(--tree-text-color);
+        --tree-tab-active-border: rgba(56, 139, 253, 0.8);
+
+        /* Events Log Styling */
+        --tree-events-row-hover-bg: var(--tree-node-hover-bg);
+        --tree-events-row-border: rgba(240, 246, 252, 0.05);
+        --tree-events-time-color: var(--tree-text-muted-color);
+        --tree-events-name-color: var(--tree-inspector-key-color);
+        --tree-events-value-color: var(--tree-inspector-value-color);
+        --tree-events-paused-color: #e3b341;
+
+        /* Lifecycle Timeline Styling */
+        --tree-lifecycle-mount-color: #3fb950;
+        --tree-lifecycle-unmount-color: #f85149;
+        --tree-lifecycle-churn-color: #f0883e;
+        --tree-lifecycle-churn-bg: rgba(240, 136, 62, 0.12);
+        --tree-lifecycle-churn-border: rgba(240, 136, 62, 0.4);
+
+        /* Source Preview Styling */
+        --devtools-source-bg: rgba(0, 0, 0, 0.35);
+        --devtools-source-gutter-color: #6e7681;
+        --devtools-source-text-color: #e6edf3;
+        --devtools-source-current-line-bg: rgba(56, 139, 253, 0.2);
+        --devtools-source-keyword-color: #ff7b72;
+        --devtools-source-string-color: #a5d6ff;
+        --devtools-source-comment-color: #8b949e;
+        --devtools-source-number-color: #79c0ff;
+        --devtools-source-type-color: #ffa657;
+        --devtools-source-annotation-color: #d2a8ff;
+        --devtools-source-max-width: 560px;
+
         /* Tree Icon Styling */
         --tree-icon-color: #8b949e;
         --tree-icon-hover-color: #f0f6fc;
@@ -448,11 +966,65 @@
   // CONSTANTS AND CONFIGURATION
   // ============================================================================
 
+  /** @type {string} Name of the global property exposing the public devtools API */
+  const DEVTOOLS_GLOBAL_HOOK = "__LAMINAR_DEVTOOLS__";
+
+  /** @type {string} Name of the global property holding DevtoolsDefaults set before the devtools load */
+  const DEVTOOLS_DEFAULTS_GLOBAL = "__LAMINAR_DEVTOOLS_DEFAULTS__";
+
+  /** @type {number} Version of the public devtools API */
+  const DEVTOOLS_API_VERSION = 1;
+
   /** @type {string} Local storage key for preferred IDE protocol */
   const PREFER_IDE_KEY = "devtools_prefer_ide_protocol";
 
-  /** @type {string} Currently preferred IDE protocol */
-  const PREFER_IDE_PROTOCOL = PersistentStorage.getString(PREFER_IDE_KEY, "idea");
+  /** @type {string} Local storage key for custom editor definitions */
+  const CUSTOM_EDITORS_KEY = "devtools_custom_editors";
+
+  /** @type {string} Local storage key for the local project root */
+  const PROJECT_ROOT_KEY = "devtools_project_root";
+
+  /** @type {string} Local storage key for source path rewrite rules */
+  const PATH_MAPPINGS_KEY = "devtools_path_mappings";
+
+  /** @type {string} Editor used when no valid preference is stored */
+  const DEFAULT_EDITOR = "idea";
+
+  /** @type {string} Local storage key for how source files are opened */
+  const OPEN_MODE_KEY = "devtools_open_mode";
+
+  /** @type {string} Dev server endpoint served by open-in-editor.js */
+  const OPEN_IN_EDITOR_ENDPOINT = "/__open-in-editor";
+
+  /** @type {string} Header identifying requests to and responses from the open-in-editor endpoint */
+  const OPEN_IN_EDITOR_HEADER = "X-Laminar-Devtools";
+
+  /** @type {number} How long the "couldn't open editor" notice stays visible, in milliseconds */
+  const OPEN_IN_EDITOR_NOTICE_DURATION = 8000;
+
+  /** @type {string} Dev server endpoint served by source-endpoint.js */
+  const SOURCE_ENDPOINT = "/__laminar-source";
+
+  /** @type {number} Lines shown above and below the call site in the tooltip */
+  const TOOLTIP_SOURCE_CONTEXT = 3;
+
+  /** @type {number} Lines shown above and below the call site in the inspector pane */
+  const INSPECTOR_SOURCE_CONTEXT = 8;
+
+  /** @type {number} How long a fetched source file is reused before fetching it again in milliseconds */
+  const SOURCE_CACHE_TTL = 5000;
+
+  /** @type {number} Maximum number of source files kept in the preview cache */
+  const SOURCE_CACHE_CAPACITY = 50;
+
+  /** @type {Set<string>} Scala keywords highlighted in source previews */
+  const SCALA_KEYWORDS = new Set([
+    "abstract", "case", "catch", "class", "def", "do", "else", "enum", "export", "extends",
+    "extension", "false", "final", "finally", "for", "given", "if", "implicit", "import",
+    "inline", "lazy", "match", "new", "null", "object", "opaque", "override", "package",
+    "private", "protected", "return", "sealed", "super", "then", "this", "throw", "trait",
+    "transparent", "true", "try", "type", "using", "val", "var", "while", "with", "yield"
+  ]);
 
   /** @type {string} Local storage key for viewport visibility filter setting */
   const VIEWPORT_VISIBILITY_FILTER_KEY = "devtools_viewport_visibility_filter";
@@ -460,16 +1032,102 @@
   /** @type {string} Local storage key for initial panel open setting */
   const INITIAL_IS_OPEN_KEY = "devtools_initial_is_open";
 
+  /** @type {string} Local storage key for emission log capacity setting */
+  const EMISSION_LOG_CAPACITY_KEY = "devtools_emission_log_capacity";
+
+  /** @type {string} Local storage key for keyboard shortcuts changed by the user */
+  const KEYMAP_KEY = "devtools_keymap";
+
+  /** @type {string[]} Modifiers in the order they are written in bindings */
+  const KEYMAP_MODIFIERS = ["Ctrl", "Alt", "Shift", "Meta"];
+
+  /** @type {Record<string, string>} Modifier names in bindings by KeyboardEvent.key and accepted aliases */
+  const KEYMAP_MODIFIER_ALIASES = {
+    control: "Ctrl", ctrl: "Ctrl", alt: "Alt", option: "Alt",
+    shift: "Shift", meta: "Meta", cmd: "Meta", command: "Meta"
+  };
+
+  /** @type {KeymapAction[]} Actions with keyboard shortcuts, in the order shown in the settings panel */
+  const KEYMAP_ACTIONS = [
+    { id: "inspect", label: "Inspect while held", defaultBinding: "Alt", hold: true },
+    { id: "toggleInspectMode", label: "Toggle inspect mode", defaultBinding: "Alt+I" },
+    { id: "toggleTree", label: "Toggle component tree", defaultBinding: "Alt+Shift", modifierOnly: true },
+    { id: "navigateParent", label: "Select parent", defaultBinding: "Alt+ArrowUp" },
+    { id: "navigateChild", label: "Select first child", defaultBinding: "Alt+ArrowDown" },
+    { id: "navigatePrevious", label: "Select previous sibling", defaultBinding: "Alt+ArrowLeft" },
+    { id: "navigateNext", label: "Select next sibling", defaultBinding: "Alt+ArrowRight" },
+    { id: "openInEditor", label: "Open in editor", defaultBinding: "Alt+Enter" },
+    { id: "openDefinition", label: "Open definition", defaultBinding: "Alt+Shift+Enter" },
+    { id: "toggleSourcePreview", label: "Toggle source preview", defaultBinding: "Alt+S" },
+    { id: "highlightInstances", label: "Highlight all instances", defaultBinding: "Alt+A" },
+    { id: "togglePin", label: "Pin overlay", defaultBinding: "Alt+P" }
+  ];
+
+  /** @type {number} Default maximum number of records kept in the emission log */
+  const DEFAULT_EMISSION_LOG_CAPACITY = 500;
+
+  /** @type {string} DOM event dispatched by the Scala `Tracked` helper for every emission */
+  const EMISSION_EVENT = "laminar-devtools:emission";
+
+  /** @type {string} Attribute holding the id portal content refers to its owner by, set by `Locator.ownedBy` */
+  const OWNER_ID_ATTRIBUTE = 'data-devtools-id';
+
+  /** @type {string} Attribute linking portal content to the id of its logical owner */
+  const PORTAL_OWNER_ATTRIBUTE = 'data-devtools-owner';
+
+  /** @type {string} Attribute marking the root elements of the devtools' own UI */
+  const DEVTOOLS_UI_ATTRIBUTE = 'data-laminar-devtools-ui';
+
+  /** @type {string[]} Attributes whose changes can alter the component tree */
+  const COMPONENT_ATTRIBUTE_FILTER = ['data-source-path', DEVTOOLS_PROPERTIES.SCALA_SOURCE_PATH, OWNER_ID_ATTRIBUTE, PORTAL_OWNER_ATTRIBUTE];
+
+  /** @type {number} How long an update flash stays visible, and then fades, in milliseconds */
+  const UPDATE_FLASH_DURATION = 400;
+
+  /** @type {number} Updates per second at which the flash color is hottest */
+  const UPDATE_HOT_FREQUENCY = 10;
+
+  /** @type {string[]} Input types that don't take text, so Alt shortcuts still apply in them */
+  const NON_TEXT_INPUT_TYPES = ['button', 'checkbox', 'radio', 'range', 'color', 'file', 'submit', 'reset', 'image'];
+
+  /** @type {string[]} Pointer events inspect mode keeps from reaching the app */
+  const INSPECT_MODE_BLOCKED_EVENTS = ["pointerdown", "mousedown", "pointerup", "mouseup", "click", "dblclick"];
+
+  /** @type {number} Number of recent selections kept as `$l0..$l4` in the console */
+  const CONSOLE_HISTORY_SIZE = 5;
+
+  /** @type {number} Most overlays drawn by "highlight all instances", and most pooled overlay boxes kept */
+  const MAX_INSTANCE_OVERLAYS = 200;
+
+  /** @type {number} How often instance and pinned overlays follow layout changes in milliseconds */
+  const OVERLAY_TRACKING_INTERVAL = 250;
+
+  /** @type {{id: PanelTab, label: string}[]} Tabs of the tree panel in display order */
+  const PANEL_TABS = [
+    { id: 'components', label: 'Components' },
+    { id: 'events', label: 'Events' },
+    { id: 'lifecycle', label: 'Lifecycle' }
+  ];
+
+  /** @type {number} Maximum number of records kept in the lifecycle timeline */
+  const LIFECYCLE_LOG_CAPACITY = 1000;
+
+  /** @type {number} Time window for churn detection in milliseconds */
+  const CHURN_WINDOW = 5000;
+
+  /** @type {number} Number of separate updates mounting a component within CHURN_WINDOW that counts as churn */
+  const CHURN_THRESHOLD = 3;
+
   /**
-   * Editor protocol mappings for different IDEs
+   * Built-in editors and their URL templates
    * @readonly
-   * @enum {string}
+   * @type {Record<string, EditorDefinition>}
    */
-  const EDITOR_PROTOCOL = {
-    "idea": "idea://open?file=",
-    "vscode": "vscode://file/",
-    "cursor": "cursor://file/",
-    "windsurf": "windsurf://file/",
+  const BUILTIN_EDITORS = {
+    "idea": { label: "IntelliJ IDEA", template: "idea://open?file={path}&line={line}&column={column}" },
+    "vscode": { label: "VS Code", template: "vscode://file/{path}:{line}:{column}" },
+    "cursor": { label: "Cursor", template: "cursor://file/{path}:{line}:{column}" },
+    "windsurf": { label: "Windsurf", template: "windsurf://file/{path}:{line}:{column}" },
   };
 
   /** @type {number} Throttle delay for mouse move events in milliseconds */
@@ -478,2870 +1136,8401 @@
   /** @type {number} Debounce delay for rapid state changes in milliseconds */
   const DEBOUNCE_DELAY = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--devtools-debounce-delay')) || 100;
 
+  // ============================================================================
+  // SOURCE PATH MAPPING
+  // ============================================================================
+
   /**
-   * State management class with observer pattern for reactive updates
-   * @class DevtoolsState
+   * Rewrites source paths baked in at build time to paths in the local workspace.
+   * Prefix rules are tried in order; if none matches and a project root is set,
+   * the path is re-rooted at the first segment named like the project root's
+   * directory (e.g. `/ci/work/my-app/src/App.scala` with project root
+   * `/home/me/my-app` becomes `/home/me/my-app/src/App.scala`).
+   * @namespace PathMapper
    */
-  class DevtoolsState {
+  const PathMapper = {
+    /** @type {PathMapping[]|null} Cached rewrite rules, loaded on first use */
+    rules: null,
+
+    /** @type {string|null} Cached project root, loaded on first use */
+    projectRoot: null,
+
+    /** @type {Map<string, string>} Mapped paths keyed by build-time path, cleared when the mapping changes */
+    mappedPaths: new Map(),
+
     /**
-     * Create a new DevtoolsState instance
-     * @constructor
+     * Get the prefix rewrite rules
+     * @memberof PathMapper
+     * @returns {PathMapping[]} Rules in the order they are tried
      */
-    constructor() {
-      /** @type {boolean} Whether Alt key is currently pressed */
-      this.altPressed = false;
+    getRules() {
+      if (this.rules === null) {
+        const stored = PersistentStorage.get(PATH_MAPPINGS_KEY, []);
+        this.rules = Array.isArray(stored) ? stored.filter(isValidPathMapping) : [];
+      }
+      return this.rules;
+    },
 
-      /** @type {Element|null} Currently targeted element */
-      this.currentTargetElement = null;
+    /**
+     * Replace the prefix rewrite rules, dropping invalid ones
+     * @memberof PathMapper
+     * @param {PathMapping[]} rules - Rules in the order they should be tried
+     * @returns {boolean} True if successful
+     */
+    setRules(rules) {
+      this.rules = rules.filter(isValidPathMapping).map(rule => ({ from: rule.from, to: rule.to }));
+      this.mappedPaths.clear();
+      return PersistentStorage.set(PATH_MAPPINGS_KEY, this.rules);
+    },
 
-      /** @type {Element|null} Previously targeted element */
-      this.lastTargetElement = null;
+    /**
+     * Get the local project root
+     * @memberof PathMapper
+     * @returns {string} Project root without trailing slash, empty if not configured
+     */
+    getProjectRoot() {
+      if (this.projectRoot === null) {
+        this.projectRoot = PersistentStorage.getString(PROJECT_ROOT_KEY, '');
+      }
+      return this.projectRoot;
+    },
 
-      /** @type {MousePosition} Current mouse position */
-      this.currentMousePosition = { clientX: 0, clientY: 0 };
+    /**
+     * Set the local project root
+     * @memberof PathMapper
+     * @param {string} projectRoot - Absolute project directory, or empty to unset
+     * @returns {boolean} True if successful
+     */
+    setProjectRoot(projectRoot) {
+      this.projectRoot = projectRoot.trim().replace(/\/+$/, '');
+      this.mappedPaths.clear();
+      return PersistentStorage.setString(PROJECT_ROOT_KEY, this.projectRoot);
+    },
 
-      /** @type {boolean} Whether keyboard navigation is active */
-      this.keyboardNavigationActive = false;
+    /**
+     * Map a build-time source path to the local workspace
+     * @memberof PathMapper
+     * @param {string} path - Source path as recorded at build time
+     * @returns {string} Local source path, or the input if no mapping applies
+     */
+    map(path) {
+      let mapped = this.mappedPaths.get(path);
+      if (mapped === undefined) {
+        mapped = this.applyMapping(path);
+        this.mappedPaths.set(path, mapped);
+      }
+      return mapped;
+    },
 
-      /** @type {Element|null} Currently selected element in keyboard navigation */
-      this.keyboardSelectedElement = null;
+    /**
+     * Map a build-time source path without consulting the cache
+     * @memberof PathMapper
+     * @param {string} path - Source path as recorded at build time
+     * @returns {string} Local source path, or the input if no mapping applies
+     */
+    applyMapping(path) {
+      const projectRoot = this.getProjectRoot();
 
-      /** @type {Element|null} Currently selected element from tree view */
-      this.treeSelectedElement = null;
+      for (const rule of this.getRules()) {
+        if (path.startsWith(rule.from)) {
+          return rule.to.replace('{projectRoot}', projectRoot) + path.slice(rule.from.length);
+        }
+      }
 
-      /** @type {boolean} Whether tree view selection is active */
-      this.treeSelectionActive = false;
+      if (projectRoot) {
+        const rootName = projectRoot.slice(projectRoot.lastIndexOf('/') + 1);
+        const index = rootName ? path.indexOf(`/${rootName}/`) : -1;
+        if (index !== -1) {
+          return projectRoot + path.slice(index + rootName.length + 1);
+        }
+      }
 
-      /** @type {Set<StateObserver>} Set of observer functions for state changes */
-      this.observers = new Set();
+      return path;
     }
+  };
+
+  // ============================================================================
+  // EDITOR REGISTRY
+  // ============================================================================
 
+  /**
+   * Registry of editors that source files can be opened in, each described by a
+   * URL template. Built-in editors are always available; custom editors are
+   * persisted and can be added through importConfig or the settings panel.
+   * @namespace EditorRegistry
+   */
+  const EditorRegistry = {
     /**
-     * Subscribe to state changes
-     * @param {StateObserver} callback - Function to call on state changes
-     * @returns {Function} Unsubscribe function
+     * Get all editors, built-in first
+     * @memberof EditorRegistry
+     * @returns {Record<string, EditorDefinition>} Editors keyed by ID
      */
-    subscribe(callback) {
-      this.observers.add(callback);
-      return () => this.observers.delete(callback);
-    }
+    getAll() {
+      return { ...BUILTIN_EDITORS, ...this.getCustom() };
+    },
 
     /**
-     * Notify all observers of state changes
-     * @param {string} type - Type of change
-     * @param {*} data - Change data
-     * @returns {void}
+     * Get an editor by ID
+     * @memberof EditorRegistry
+     * @param {string} id - Editor ID
+     * @returns {EditorDefinition|null} Editor definition or null if unknown
      */
-    notify(type, data) {
-      this.observers.forEach(callback => {
-        try {
-          callback(type, data);
-        } catch (error) {
-          console.error('Error in state observer:', error);
-        }
-      });
-    }
+    get(id) {
+      return this.getAll()[id] || null;
+    },
 
     /**
-     * Reset all state to initial values
-     * @returns {void}
+     * Check whether an editor is built in
+     * @memberof EditorRegistry
+     * @param {string} id - Editor ID
+     * @returns {boolean} True for built-in editors
      */
-    reset() {
-      this.altPressed = false;
-      this.currentTargetElement = null;
-      this.lastTargetElement = null;
-      this.currentMousePosition = { clientX: 0, clientY: 0 };
-      this.keyboardNavigationActive = false;
-      this.keyboardSelectedElement = null;
-      this.treeSelectedElement = null;
-      this.treeSelectionActive = false;
-
-      this.resetCursor();
-      this.notify('reset', {});
-    }
+    isBuiltin(id) {
+      return Object.prototype.hasOwnProperty.call(BUILTIN_EDITORS, id);
+    },
 
     /**
-     * Set keyboard navigation mode and update visual state
-     * @param {boolean} active - Whether keyboard navigation should be active
-     * @returns {void}
+     * Get the persisted custom editors
+     * @memberof EditorRegistry
+     * @returns {Record<string, EditorDefinition>} Custom editors keyed by ID
      */
-    setKeyboardNavigationActive(active) {
-      this.keyboardNavigationActive = active;
+    getCustom() {
+      const stored = PersistentStorage.get(CUSTOM_EDITORS_KEY, {});
+      return stored && typeof stored === 'object' ? stored : {};
+    },
 
-      if (!active) {
-        this.keyboardSelectedElement = null;
+    /**
+     * Add or replace a custom editor
+     * @memberof EditorRegistry
+     * @param {string} id - Editor ID
+     * @param {EditorDefinition|string} definition - Editor definition, or just its URL template
+     * @returns {boolean} True if the editor was registered
+     */
+    register(id, definition) {
+      const editor = typeof definition === 'string' ? { label: id, template: definition } : definition;
+      if (!id || this.isBuiltin(id)) {
+        console.warn(`Cannot register editor "${id}": the ID is empty or built in`);
+        return false;
       }
-    }
+      if (!editor || typeof editor.template !== 'string' || !editor.template.includes('{path}')) {
+        console.warn(`Cannot register editor "${id}": the URL template must contain {path}`);
+        return false;
+      }
+
+      const custom = this.getCustom();
+      custom[id] = { label: editor.label || id, template: editor.template };
+      return PersistentStorage.set(CUSTOM_EDITORS_KEY, custom);
+    },
 
     /**
-     * Set tree selection active state
-     * @param {boolean} active - Whether tree selection is active
-     * @returns {void}
+     * Remove a custom editor, falling back to the default editor if it was preferred
+     * @memberof EditorRegistry
+     * @param {string} id - Editor ID
+     * @returns {boolean} True if the editor was removed
      */
-    setTreeSelectionActive(active) {
-      if (this.treeSelectionActive !== active) {
-        this.treeSelectionActive = active;
-        this.notify('treeSelectionActiveChanged', { active });
+    unregister(id) {
+      const custom = this.getCustom();
+      if (!custom[id]) return false;
+
+      delete custom[id];
+      PersistentStorage.set(CUSTOM_EDITORS_KEY, custom);
+      if (this.getPreferredId() === id) {
+        this.setPreferredId(DEFAULT_EDITOR);
       }
-    }
+      return true;
+    },
 
     /**
-     * Set tree selected element
-     * @param {Element|null} element - Selected element from tree view
-     * @returns {void}
+     * Get the ID of the preferred editor
+     * @memberof EditorRegistry
+     * @returns {string} Preferred editor ID, the default editor if the stored one is unknown
      */
-    setTreeSelectedElement(element) {
-      if (this.treeSelectedElement !== element) {
-        this.treeSelectedElement = element;
-        this.notify('treeSelectionChanged', { element });
-      }
-    }
+    getPreferredId() {
+      const configured = getDevtoolsDefaults().preferredIDE;
+      const defaultId = configured && this.get(configured) ? configured : DEFAULT_EDITOR;
+      const id = PersistentStorage.getString(PREFER_IDE_KEY, defaultId);
+      return this.get(id) ? id : defaultId;
+    },
 
     /**
-     * Set the currently selected element for keyboard navigation
-     * @param {Element|null} element - Element to select for keyboard navigation
-     * @returns {void}
+     * Set the preferred editor
+     * @memberof EditorRegistry
+     * @param {string} id - Editor ID
+     * @returns {boolean} True if the editor exists and was stored
      */
-    setKeyboardSelectedElement(element) {
-      const previousElement = this.keyboardSelectedElement;
-      this.keyboardSelectedElement = element;
+    setPreferredId(id) {
+      if (!this.get(id)) return false;
+      return PersistentStorage.setString(PREFER_IDE_KEY, id);
+    },
 
-      if (element) {
-        this.keyboardNavigationActive = true;
-      }
+    /**
+     * Build the URL opening a source location in an editor
+     * @memberof EditorRegistry
+     * @param {string} id - Editor ID
+     * @param {string} path - Path to the source file
+     * @param {string} [line] - Line number, defaults to 1
+     * @param {string} [column] - Column number, defaults to 1
+     * @returns {string|null} Editor URL or null if the editor is unknown
+     */
+    buildUrl(id, path, line, column) {
+      const editor = this.get(id);
+      if (!editor) return null;
+
+      /** @type {Record<string, string>} */
+      const values = {
+        path,
+        line: line || '1',
+        column: column || '1',
+        projectRoot: PathMapper.getProjectRoot()
+      };
+      return editor.template.replace(/\{(path|line|column|projectRoot)\}/g, (_match, name) => values[name]);
+    }
+  };
 
-      if (previousElement !== element) {
-        this.notify('keyboardSelectionChanged', { element, previousElement });
+  // ============================================================================
+  // KEYMAP
+  // ============================================================================
+
+  /**
+   * Keyboard shortcuts of the KEYMAP_ACTIONS. Only bindings the user changed
+   * are stored; the keymap is kept free of conflicts, so every binding
+   * triggers at most one action.
+   * @namespace KeyMap
+   */
+  const KeyMap = {
+    /** @type {Record<string, string>|null} Cached bindings by action ID, loaded on first use */
+    bindings: null,
+
+    /**
+     * Get an action by ID
+     * @memberof KeyMap
+     * @param {string} id - Action ID
+     * @returns {KeymapAction|null} Action or null if unknown
+     */
+    getAction(id) {
+      return KEYMAP_ACTIONS.find(action => action.id === id) || null;
+    },
+
+    /**
+     * Get the bindings of all actions
+     * @memberof KeyMap
+     * @returns {Record<string, string>} Bindings keyed by action ID
+     */
+    getBindings() {
+      if (!this.bindings) {
+        const stored = PersistentStorage.get(KEYMAP_KEY, {});
+        /** @type {Record<string, string>} */
+        const bindings = {};
+        KEYMAP_ACTIONS.forEach(action => {
+          const binding = stored && typeof stored[action.id] === 'string' ? this.normalize(stored[action.id]) : null;
+          bindings[action.id] = binding || action.defaultBinding;
+        });
+        this.bindings = this.findConflicts(bindings).size > 0 ? this.getDefaultBindings() : bindings;
       }
-    }
+      return { ...this.bindings };
+    },
 
     /**
-     * Update current mouse position
-     * @param {number} clientX - X coordinate relative to viewport
-     * @param {number} clientY - Y coordinate relative to viewport
-     * @returns {void}
+     * Get the default bindings of all actions
+     * @memberof KeyMap
+     * @returns {Record<string, string>} Bindings keyed by action ID
      */
-    updateMousePosition(clientX, clientY) {
-      this.currentMousePosition.clientX = clientX;
-      this.currentMousePosition.clientY = clientY;
-      this.notify('mousePositionChanged', { clientX, clientY });
-    }
+    getDefaultBindings() {
+      /** @type {Record<string, string>} */
+      const bindings = {};
+      KEYMAP_ACTIONS.forEach(action => {
+        bindings[action.id] = action.defaultBinding;
+      });
+      return bindings;
+    },
 
     /**
-     * Set Alt key pressed state and update cursor
-     * @param {boolean} pressed - Whether Alt key is pressed
-     * @returns {void}
+     * Get the binding of an action
+     * @memberof KeyMap
+     * @param {string} id - Action ID
+     * @returns {string} Binding, empty for unknown actions
      */
-    setAltPressed(pressed) {
-      const wasPressed = this.altPressed;
-      this.altPressed = pressed;
-      document.body.style.cursor = pressed ? "crosshair" : "";
+    getBinding(id) {
+      return this.getBindings()[id] || '';
+    },
 
-      if (wasPressed !== pressed) {
-        this.notify('altKeyChanged', { pressed });
+    /**
+     * Change the bindings of some actions. Nothing is changed if a binding is
+     * invalid or the result would bind two actions to the same shortcut.
+     * @memberof KeyMap
+     * @param {Record<string, string>} changes - New bindings keyed by action ID
+     * @returns {string|null} Why the bindings were rejected, or null if they were stored
+     */
+    setBindings(changes) {
+      const bindings = this.getBindings();
+      for (const [id, value] of Object.entries(changes)) {
+        const action = this.getAction(id);
+        if (!action) {
+          return `Unknown action "${id}"`;
+        }
+        const binding = typeof value === 'string' ? this.normalize(value) : null;
+        const error = binding ? this.validate(action, binding) : `"${value}" is not a valid shortcut`;
+        if (error || !binding) {
+          return `${action.label}: ${error}`;
+        }
+        bindings[id] = binding;
       }
-    }
 
+      for (const [binding, ids] of this.findConflicts(bindings)) {
+        const labels = ids.map(id => /** @type {KeymapAction} */ (this.getAction(id)).label);
+        return `${binding} is bound to both ${labels.join(' and ')}`;
+      }
 
+      // Store only what differs from the defaults so that changed defaults reach users
+      /** @type {Record<string, string>} */
+      const changed = {};
+      KEYMAP_ACTIONS.forEach(action => {
+        if (bindings[action.id] !== action.defaultBinding) {
+          changed[action.id] = bindings[action.id];
+        }
+      });
+      this.bindings = bindings;
+      PersistentStorage.set(KEYMAP_KEY, changed);
+      return null;
+    },
 
     /**
-     * Reset cursor to default
+     * Restore the default bindings
+     * @memberof KeyMap
      * @returns {void}
      */
-    resetCursor() {
-      document.body.style.cursor = "";
-    }
+    reset() {
+      this.bindings = this.getDefaultBindings();
+      PersistentStorage.remove(KEYMAP_KEY);
+    },
 
     /**
-     * Set current target element
-     * @param {Element|null} element - Element to set as current target
-     * @returns {void}
+     * Check whether a binding suits an action
+     * @memberof KeyMap
+     * @param {KeymapAction} action - Action to bind
+     * @param {string} binding - Normalized binding
+     * @returns {string|null} Why the binding can't be used, or null if it can
      */
-    setCurrentTargetElement(element) {
-      const previousElement = this.currentTargetElement;
-      this.currentTargetElement = element;
+    validate(action, binding) {
+      const parts = binding.split('+');
+      const modifiers = parts.filter(part => KEYMAP_MODIFIERS.includes(part));
+      const hasKey = modifiers.length < parts.length;
 
-      if (previousElement !== element) {
-        this.notify('targetElementChanged', { element, previousElement });
+      if (action.hold) {
+        return !hasKey && modifiers.length === 1 ? null : 'must be a single modifier key';
+      }
+      if (modifiers.length === 0) {
+        // Unmodified keys would fire while typing in the page
+        return 'needs a modifier key';
+      }
+      if (!hasKey && !(action.modifierOnly && modifiers.length > 1)) {
+        return action.modifierOnly ? 'needs a key or at least two modifiers' : 'needs a key besides the modifiers';
+      }
+      return null;
+    },
+
+    /**
+     * Find bindings shared by more than one action
+     * @memberof KeyMap
+     * @param {Record<string, string>} bindings - Bindings keyed by action ID
+     * @returns {Map<string, string[]>} IDs of the actions sharing each conflicting binding
+     */
+    findConflicts(bindings) {
+      /** @type {Map<string, string[]>} */
+      const byBinding = new Map();
+      Object.entries(bindings).forEach(([id, binding]) => {
+        byBinding.set(binding, [...(byBinding.get(binding) || []), id]);
+      });
+      return new Map([...byBinding].filter(([, ids]) => ids.length > 1));
+    },
+
+    /**
+     * Bring a binding into its canonical form, e.g. `shift+alt+i` to `Alt+Shift+I`
+     * @memberof KeyMap
+     * @param {string} binding - Binding as written by the user
+     * @returns {string|null} Canonical binding, or null if it can't be parsed
+     */
+    normalize(binding) {
+      // A trailing "+" is the plus key, e.g. "Ctrl++"
+      const parts = binding.trim().replace(/\+\+$/, '+Plus').split(/\s*\+\s*/);
+      const modifiers = new Set();
+      /** @type {string|null} */
+      let key = null;
+
+      for (const part of parts) {
+        const modifier = KEYMAP_MODIFIER_ALIASES[part.toLowerCase()];
+        if (modifier) {
+          modifiers.add(modifier);
+        } else if (part && !key) {
+          key = part === 'Plus' ? '+' : part.length === 1 ? part.toUpperCase() : part;
+        } else {
+          return null;
+        }
       }
-    }
 
+      if (modifiers.size === 0 && !key) return null;
+      return [...KEYMAP_MODIFIERS.filter(modifier => modifiers.has(modifier)), ...(key ? [key] : [])].join('+');
+    },
 
+    /**
+     * Get the binding a key event corresponds to
+     * @memberof KeyMap
+     * @param {KeyboardEvent} event - Keydown or keyup event
+     * @returns {string} Binding, e.g. `Alt+ArrowUp`, or only modifiers when a modifier key was pressed
+     */
+    fromEvent(event) {
+      const modifiers = new Set();
+      if (event.ctrlKey) modifiers.add('Ctrl');
+      if (event.altKey) modifiers.add('Alt');
+      if (event.shiftKey) modifiers.add('Shift');
+      if (event.metaKey) modifiers.add('Meta');
 
+      // On keyup the released modifier is no longer set in the event flags
+      const modifier = this.getModifier(event);
+      if (modifier) {
+        modifiers.add(modifier);
+      }
 
-  }
+      /** @type {string|null} */
+      let key = null;
+      if (!modifier) {
+        if (/^Key[A-Z]$/.test(event.code)) {
+          key = event.code.slice(3);
+        } else if (/^Digit[0-9]$/.test(event.code)) {
+          key = event.code.slice(5);
+        } else if (event.key === ' ') {
+          key = 'Space';
+        } else {
+          key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+        }
+      }
+
+      return [...KEYMAP_MODIFIERS.filter(name => modifiers.has(name)), ...(key ? [key] : [])].join('+');
+    },
 
-  /**
-   * Style management class for CSS custom properties and styling configurations
-   * @class StyleManager
-   */
-  class StyleManager {
     /**
-     * Create a new StyleManager instance
-     * @constructor
-     * @param {string} [componentType='default'] - Type of component for styling context
+     * Get the modifier a key event is for
+     * @memberof KeyMap
+     * @param {KeyboardEvent} event - Keydown or keyup event
+     * @returns {string|null} Modifier name as used in bindings, or null for other keys
      */
-    constructor(componentType = 'default') {
-      /** @type {string} Component type for styling context */
-      this.componentType = componentType;
+    getModifier(event) {
+      return KEYMAP_MODIFIER_ALIASES[event.key.toLowerCase()] || null;
+    },
 
-      /** @type {Map<string, string>} Cache for CSS property values */
-      this.cache = new Map();
-    }
+    /**
+     * Check whether a key event triggers an action
+     * @memberof KeyMap
+     * @param {KeyboardEvent} event - Keydown event
+     * @param {string} id - Action ID
+     * @returns {boolean} True if the event matches the action's binding
+     */
+    matches(event, id) {
+      return this.fromEvent(event) === this.getBinding(id);
+    },
 
     /**
-     * Get CSS custom property value with caching
-     * @param {string} propertyName - CSS custom property name (without --)
-     * @returns {string} Property value
+     * Check whether a key event presses or releases the modifier of a hold action
+     * @memberof KeyMap
+     * @param {KeyboardEvent} event - Keydown or keyup event
+     * @param {string} id - Action ID
+     * @returns {boolean} True if the event is for the action's modifier
      */
-    getCSSProperty(propertyName) {
-      const fullName = `--devtools-${propertyName}`;
+    isHoldKey(event, id) {
+      return this.getModifier(event) === this.getBinding(id);
+    }
+  };
 
-      if (this.cache.has(fullName)) {
-        return this.cache.get(fullName) || '';
+  // ============================================================================
+  // SOURCE PREVIEW
+  // ============================================================================
+
+  /**
+   * Fetches source files from the dev server's source endpoint and renders
+   * syntax-highlighted snippets around a call site. Files are cached briefly
+   * so hovering around a file doesn't refetch it on every move; the cache
+   * keeps the most recently used files only.
+   * @namespace SourcePreview
+   */
+  const SourcePreview = {
+    /** @type {Map<string, {time: number, lines: Promise<string[]|null>}>} Fetched files by path, least recently used first */
+    cache: new Map(),
+
+    /**
+     * Load the lines of a source file
+     * @memberof SourcePreview
+     * @param {string} path - Source file path
+     * @returns {Promise<string[]|null>} Lines, or null if the dev server can't serve the file
+     */
+    load(path) {
+      const cached = this.cache.get(path);
+      if (cached) {
+        this.cache.delete(path);
+        if (Date.now() - cached.time < SOURCE_CACHE_TTL) {
+          // Re-insert to mark the file as most recently used
+          this.cache.set(path, cached);
+          return cached.lines;
+        }
       }
 
-      const value = getComputedStyle(document.documentElement).getPropertyValue(fullName);
-      this.cache.set(fullName, value);
-      return value;
-    }
+      const lines = fetch(`${SOURCE_ENDPOINT}?${new URLSearchParams({ file: path })}`, {
+        headers: { [OPEN_IN_EDITOR_HEADER]: '1', 'Accept': 'text/plain' }
+      })
+        // Without the endpoint, dev servers answer with their SPA fallback page
+        .then(response => response.ok && response.headers.has(OPEN_IN_EDITOR_HEADER) ? response.text() : null)
+        .then(text => text === null ? null : text.split(/\r?\n/))
+        .catch(() => null);
+
+      this.cache.set(path, { time: Date.now(), lines });
+      if (this.cache.size > SOURCE_CACHE_CAPACITY) {
+        const oldest = this.cache.keys().next().value;
+        if (oldest !== undefined) this.cache.delete(oldest);
+      }
+      return lines;
+    },
 
     /**
-     * Get overlay styles for unified styling approach
-     * @param {string} [state='normal'] - Visual state: 'normal', 'hover', or 'active'
-     * @returns {Object<string, string>} Style object with CSS properties
+     * Get the lines around a call site
+     * @memberof SourcePreview
+     * @param {string} path - Source file path
+     * @param {number} line - Call site line number
+     * @param {number} context - Lines to include above and below the call site
+     * @returns {Promise<SourceSnippet|null>} Snippet, or null if the source is unavailable
      */
-    getOverlayStyles(state = 'normal') {
-      /** @type {Object<string, string>} Base styles for overlay */
-      const baseStyles = {
-        position: "fixed",
-        pointerEvents: "auto",
-        display: "block",
-        boxSizing: "border-box",
-        cursor: "pointer",
-        willChange: "transform, box-shadow",
-      };
+    async getSnippet(path, line, context) {
+      const lines = await this.load(path);
+      if (!lines || line < 1 || line > lines.length) {
+        return null;
+      }
+
+      const startLine = Math.max(1, line - context);
+      const endLine = Math.min(lines.length, line + context);
+
+      // Tokenize from the top so comments and strings opened earlier carry over
+      const state = { inComment: false, inString: false };
+      lines.slice(0, startLine - 1).forEach(text => this.tokenize(text, state));
 
       return {
-        ...baseStyles,
-        backgroundColor: (state === 'hover' || state === 'active')
-          ? this.getCSSProperty('primary-bg-medium')
-          : this.getCSSProperty('primary-bg-light'),
-        border: `${this.getCSSProperty('border-width')} dashed ${this.getCSSProperty('primary-color')}`,
-        borderRadius: this.getCSSProperty('border-radius'),
-        boxShadow: (state === 'hover' || state === 'active')
-          ? this.getCSSProperty('shadow-overlay-hover')
-          : this.getCSSProperty('shadow-overlay'),
-        zIndex: this.getCSSProperty('overlay-z-index'),
-        transition: `all ${this.getCSSProperty('transition-normal')} ${this.getCSSProperty('easing-smooth')}`,
-        transform: (state === 'hover' || state === 'active')
-          ? `scale(${this.getCSSProperty('scale-hover')})`
-          : 'scale(var(--devtools-scale-normal))',
+        path,
+        line,
+        startLine,
+        lines: lines.slice(startLine - 1, endLine).map(text => this.tokenize(text, state))
       };
-    }
+    },
 
     /**
-     * Get tooltip styles for unified styling approach
-     * @returns {Object<string, string>} Style object with CSS properties
-     */
-    getTooltipStyles() {
-      /** @type {Object<string, string>} Base styles for tooltip */
-      const baseStyles = {
-        position: "fixed",
-        pointerEvents: "none",
-        color: this.getCSSProperty('white'),
-        padding: this.getCSSProperty('tooltip-padding'),
-        borderRadius: this.getCSSProperty('border-radius'),
-        fontSize: this.getCSSProperty('font-size'),
-        fontFamily: this.getCSSProperty('font-family'),
-        whiteSpace: "nowrap",
-        zIndex: this.getCSSProperty('tooltip-z-index'),
-        display: "block",
-        boxSizing: "border-box",
-        transition: `all ${this.getCSSProperty('transition-slow')} ${this.getCSSProperty('easing-smooth')}`,
-        backdropFilter: this.getCSSProperty('backdrop-blur'),
-        lineHeight: this.getCSSProperty('line-height'),
-        willChange: "transform, opacity",
-        opacity: "1",
-        transform: "translateY(0)",
-      };
+     * Split a line of Scala into tokens for highlighting
+     * @memberof SourcePreview
+     * @param {string} text - Source line
+     * @param {{inComment: boolean, inString: boolean}} state - Block comment and multi-line string state, updated in place
+     * @returns {SourceToken[]} Tokens covering the whole line
+     */
+    tokenize(text, state) {
+      /** @type {SourceToken[]} */
+      const tokens = [];
+      let index = 0;
+
+      while (index < text.length) {
+        if (state.inComment || state.inString) {
+          const delimiter = state.inComment ? '*/' : '"""';
+          const end = text.indexOf(delimiter, index);
+          const stop = end === -1 ? text.length : end + delimiter.length;
+          tokens.push({ text: text.slice(index, stop), kind: state.inComment ? 'comment' : 'string' });
+          if (end !== -1) {
+            state.inComment = false;
+            state.inString = false;
+          }
+          index = stop;
+          continue;
+        }
 
-      return {
-        ...baseStyles,
-        backgroundColor: this.getCSSProperty('black-overlay'),
-        border: `${this.getCSSProperty('border-width-thin')} solid ${this.getCSSProperty('white-border')}`,
-        boxShadow: this.getCSSProperty('shadow-tooltip'),
-      };
-    }
+        const rest = text.slice(index);
+        if (rest.startsWith('//')) {
+          tokens.push({ text: rest, kind: 'comment' });
+          break;
+        }
+        if (rest.startsWith('/*') || rest.startsWith('"""')) {
+          const opening = rest.startsWith('/*') ? '/*' : '"""';
+          state.inComment = opening === '/*';
+          state.inString = opening === '"""';
+          tokens.push({ text: opening, kind: state.inComment ? 'comment' : 'string' });
+          index += opening.length;
+          continue;
+        }
 
-    /**
-     * Clear style cache (useful when CSS properties change)
-     * @returns {void}
-     */
-    clearCache() {
-      this.cache.clear();
-    }
-  }
+        const match = /^"(?:[^"\\]|\\.)*"?|^'(?:[^'\\]|\\.)'/.exec(rest)
+          || /^@[A-Za-z_][\w.]*|^0[xX][\da-fA-F_]+[lL]?|^\d[\d_]*(?:\.\d+)?[lLfFdD]?|^[A-Za-z_$][\w$]*/.exec(rest)
+          || /^[^A-Za-z_$"'@\/\d]+|^./.exec(rest);
+        const token = /** @type {RegExpExecArray} */ (match)[0];
+
+        /** @type {string|null} */
+        let kind = null;
+        if (token[0] === '"' || token[0] === "'") kind = 'string';
+        else if (token[0] === '@') kind = 'annotation';
+        else if (/^\d/.test(token)) kind = 'number';
+        else if (SCALA_KEYWORDS.has(token)) kind = 'keyword';
+        else if (/^[A-Z]/.test(token)) kind = 'type';
+
+        tokens.push({ text: token, kind });
+        index += token.length;
+      }
+
+      return tokens;
+    },
 
-  /**
-   * Overlay management class responsible for overlay creation, positioning, and visual effects
-   * @class OverlayManager
-   */
-  class OverlayManager {
     /**
-     * Create a new OverlayManager instance
-     * @constructor
-     * @param {DevtoolsState} state - State management instance
+     * Render a snippet with line numbers and the call site line highlighted
+     * @memberof SourcePreview
+     * @param {SourceSnippet} snippet - Snippet to render
+     * @param {(line: number) => void} [onLineClick] - Called with the line number when a line is clicked
+     * @returns {HTMLDivElement} Snippet element
      */
-    constructor(state) {
-      /** @type {DevtoolsState} State management instance */
-      this.state = state;
+    render(snippet, onLineClick) {
+      const container = document.createElement('div');
+      container.style.cssText = `
+        background: var(--devtools-source-bg);
+        border-radius: 4px;
+        padding: 4px 0;
+        font-family: var(--devtools-font-family);
+        font-size: 11px;
+        line-height: 1.5;
+        white-space: pre;
+        overflow: hidden;
+        color: var(--devtools-source-text-color);
+      `;
 
-      /** @type {StyleManager} Style management instance */
-      this.styleManager = new StyleManager('overlay');
+      const gutterWidth = String(snippet.startLine + snippet.lines.length - 1).length;
 
-      /** @type {HTMLDivElement|null} Overlay DOM element */
-      this.element = null;
+      snippet.lines.forEach((tokens, offset) => {
+        const lineNumber = snippet.startLine + offset;
+        const row = document.createElement('div');
+        row.style.cssText = `
+          display: flex;
+          padding-right: 8px;
+          background: ${lineNumber === snippet.line ? 'var(--devtools-source-current-line-bg)' : 'transparent'};
+          cursor: ${onLineClick ? 'pointer' : 'inherit'};
+        `;
 
-      /** @type {boolean} Whether overlay is currently visible */
-      this.isVisible = false;
+        const gutter = document.createElement('span');
+        gutter.textContent = String(lineNumber).padStart(gutterWidth);
+        gutter.style.cssText = `
+          flex-shrink: 0;
+          padding: 0 8px;
+          color: var(--devtools-source-gutter-color);
+          user-select: none;
+        `;
 
-      /** @type {Function} Unsubscribe function for state changes */
-      this.unsubscribe = this.state.subscribe((type, data) => {
-        this.handleStateChange(type, data);
+        const code = document.createElement('span');
+        code.style.cssText = `
+          overflow: hidden;
+          text-overflow: ellipsis;
+        `;
+        tokens.forEach(token => {
+          if (!token.kind) {
+            code.appendChild(document.createTextNode(token.text));
+            return;
+          }
+          const span = document.createElement('span');
+          span.textContent = token.text;
+          span.style.color = `var(--devtools-source-${token.kind}-color)`;
+          code.appendChild(span);
+        });
+
+        row.appendChild(gutter);
+        row.appendChild(code);
+        if (onLineClick) {
+          row.addEventListener('click', () => onLineClick(lineNumber));
+        }
+        container.appendChild(row);
       });
+
+      return container;
     }
+  };
 
+  // ============================================================================
+  // COMPOSED TREE
+  // ============================================================================
+
+  /**
+   * Walks the page across open shadow roots and same-origin iframes, which
+   * `parentElement` and TreeWalker stop at. A shadow host's shadow tree comes
+   * before its light children, and an iframe's only child is its document's
+   * body. Coordinates inside frames are converted to the top-level viewport,
+   * where the devtools draw.
+   * @namespace ComposedTree
+   */
+  const ComposedTree = {
     /**
-     * Handle state changes
-     * @param {string} type - Change type
-     * @param {*} data - Change data
-     * @returns {void}
+     * Get the document of a same-origin iframe
+     * @memberof ComposedTree
+     * @param {Element} element - Any element
+     * @returns {Document|null} Frame document, or null for other elements and cross-origin frames
      */
-    handleStateChange(type, data) {
-      switch (type) {
-        case 'reset':
-          this.hide();
-          break;
-
-        case 'targetElementChanged':
-          // Only show overlay if not in tree selection mode or if this is a tree selection
-          if (data.element && (!this.state.treeSelectionActive || this.state.treeSelectedElement === data.element)) {
-            this.show(data.element);
-          } else if (!this.state.treeSelectionActive) {
-            this.hide();
-          }
-          break;
+    getFrameDocument(element) {
+      if (element.tagName !== 'IFRAME') return null;
+      try {
+        const frameDocument = /** @type {HTMLIFrameElement} */ (element).contentDocument;
+        return frameDocument && frameDocument.body ? frameDocument : null;
+      } catch (error) {
+        return null;
+      }
+    },
 
-        case 'treeSelectionChanged':
-          if (data.element) {
-            this.show(data.element);
-          } else {
-            this.hide();
-          }
-          break;
+    /**
+     * Get the children of an element in the composed tree
+     * @memberof ComposedTree
+     * @param {Element} element - Parent element
+     * @returns {Element[]} Shadow tree children, light children and the body of a frame's document
+     */
+    getChildren(element) {
+      /** @type {Element[]} */
+      const children = [];
+      if (element.shadowRoot) {
+        for (let child = element.shadowRoot.firstElementChild; child; child = child.nextElementSibling) {
+          children.push(child);
+        }
+      }
+      for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+        children.push(child);
+      }
 
-        case 'treeSelectionActiveChanged':
-          if (!data.active && !this.state.currentTargetElement) {
-            this.hide();
-          }
-          break;
+      const frameDocument = this.getFrameDocument(element);
+      if (frameDocument) {
+        children.push(frameDocument.body);
       }
-    }
+      return children;
+    },
 
     /**
-     * Create overlay element if it doesn't exist
-     * @returns {HTMLDivElement} Overlay element
+     * Get the parent of an element in the composed tree
+     * @memberof ComposedTree
+     * @param {Element} element - Child element
+     * @returns {Element|null} Parent element, shadow host or iframe, or null at the top-level document root
      */
-    createElement() {
-      if (this.element) {
-        return this.element;
+    getParent(element) {
+      if (element.parentElement) {
+        return element.parentElement;
       }
 
-      const div = document.createElement("div");
-
-      // Apply base styles
-      const baseStyles = this.styleManager.getOverlayStyles('normal');
-      Object.assign(div.style, baseStyles);
-      div.style.display = "none";
+      const parentNode = element.parentNode;
+      if (parentNode && parentNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE && 'host' in parentNode) {
+        return /** @type {ShadowRoot} */ (parentNode).host;
+      }
 
-      // Add event listeners
-      this.addEventListeners(div);
+      return this.getFrameElement(element.ownerDocument.defaultView);
+    },
 
-      document.body.appendChild(div);
-      this.element = div;
-      return div;
-    }
+    /**
+     * Get the iframe a window is shown in
+     * @memberof ComposedTree
+     * @param {Window|null} view - Window of a document
+     * @returns {Element|null} Frame element, or null for the top-level window and cross-origin parents
+     */
+    getFrameElement(view) {
+      if (!view || view === window) return null;
+      try {
+        return view.frameElement;
+      } catch (error) {
+        return null;
+      }
+    },
 
     /**
-     * Add event listeners to overlay element
-     * @param {HTMLDivElement} element - Overlay element
+     * Visit the elements below a root in composed order
+     * @memberof ComposedTree
+     * @param {Element} root - Element whose descendants are visited
+     * @param {(element: Element) => boolean|void} visit - Called for each descendant; returning false skips its descendants
      * @returns {void}
      */
-    addEventListeners(element) {
-      element.addEventListener("mouseenter", () => {
-        this.applyHoverState();
-      });
-
-      element.addEventListener("mouseleave", () => {
-        this.removeHoverState();
-      });
+    walk(root, visit) {
+      const stack = this.getChildren(root).reverse();
+      while (stack.length > 0) {
+        const element = /** @type {Element} */ (stack.pop());
+        if (visit(element) === false) continue;
 
-      element.addEventListener("click", (event) => {
-        this.handleClick(event);
-      });
-    }
+        const children = this.getChildren(element);
+        for (let index = children.length - 1; index >= 0; index--) {
+          stack.push(children[index]);
+        }
+      }
+    },
 
     /**
-     * Show overlay for target element
-     * @param {Element} targetElement - Element to highlight
-     * @returns {void}
+     * Get the offset of a window's viewport in the top-level viewport
+     * @memberof ComposedTree
+     * @param {Window|null} view - Window of a document
+     * @returns {{x: number, y: number}} Offset to add to coordinates inside the window
      */
-    show(targetElement) {
-      if (!targetElement) {
-        this.hide();
-        return;
+    getViewportOffset(view) {
+      let x = 0;
+      let y = 0;
+      for (let frame = this.getFrameElement(view); frame; frame = this.getFrameElement(frame.ownerDocument.defaultView)) {
+        const frameRect = frame.getBoundingClientRect();
+        x += frameRect.left + frame.clientLeft;
+        y += frameRect.top + frame.clientTop;
       }
+      return { x, y };
+    },
 
-      // Validate required properties
-      if (!PropertyAccessor.hasAllProperties(targetElement)) {
-        this.hide();
-        return;
+    /**
+     * Get the bounding rectangle of an element in the top-level viewport
+     * @memberof ComposedTree
+     * @param {Element} element - Element to measure
+     * @returns {DOMRect} Bounding rectangle
+     */
+    getViewportRect(element) {
+      const rect = element.getBoundingClientRect();
+      if (element.ownerDocument === document) {
+        return rect;
       }
 
-      this.createElement();
+      const offset = this.getViewportOffset(element.ownerDocument.defaultView);
+      return new DOMRect(rect.left + offset.x, rect.top + offset.y, rect.width, rect.height);
+    },
 
-      // Calculate and apply position
-      const targetRect = targetElement.getBoundingClientRect();
-      const position = this.calculatePosition(targetRect);
-      this.applyPosition(position);
+    /**
+     * Get the position of a mouse event in the top-level viewport
+     * @memberof ComposedTree
+     * @param {MouseEvent} event - Mouse event, possibly from a frame
+     * @returns {MousePosition} Viewport coordinates
+     */
+    toViewportPoint(event) {
+      const offset = this.getViewportOffset(event.view);
+      return { clientX: event.clientX + offset.x, clientY: event.clientY + offset.y };
+    },
 
-      // Determine visual state based on selection type
-      let visualState = 'normal';
-      if (this.state.treeSelectionActive && this.state.treeSelectedElement === targetElement) {
-        visualState = 'active';
-      } else if (this.state.keyboardNavigationActive && this.state.keyboardSelectedElement === targetElement) {
-        visualState = 'active';
-      } else if (this.state.currentTargetElement === targetElement) {
-        visualState = 'hover';
-      }
+    /**
+     * Get the elements at a point, topmost first, continuing into shadow trees
+     * and frames before the host or iframe they are shown in
+     * @memberof ComposedTree
+     * @param {number} clientX - X coordinate in the root's viewport
+     * @param {number} clientY - Y coordinate in the root's viewport
+     * @param {Document|ShadowRoot} [root=document] - Document or shadow root to hit-test
+     * @returns {Element[]} Elements at the point
+     */
+    elementsFromPoint(clientX, clientY, root = document) {
+      if (typeof root.elementsFromPoint !== 'function') return [];
 
-      // Apply styling based on state
-      const styles = this.styleManager.getOverlayStyles(visualState);
-      if (this.element) {
-        Object.assign(this.element.style, styles);
-      }
+      /** @type {Element[]} */
+      const elements = [];
+      for (const element of root.elementsFromPoint(clientX, clientY)) {
+        // A shadow root also reports the elements around its host
+        if (element.getRootNode() !== root) continue;
 
-      this.isVisible = true;
-    }
+        if (element.shadowRoot && element.shadowRoot !== root) {
+          elements.push(...this.elementsFromPoint(clientX, clientY, element.shadowRoot));
+        }
+
+        const frameDocument = this.getFrameDocument(element);
+        if (frameDocument) {
+          const frameRect = element.getBoundingClientRect();
+          elements.push(...this.elementsFromPoint(
+            clientX - frameRect.left - element.clientLeft,
+            clientY - frameRect.top - element.clientTop,
+            frameDocument
+          ));
+        }
+
+        elements.push(element);
+      }
+      return elements;
+    },
 
     /**
-     * Hide overlay with smooth animation
+     * Observe the shadow roots and frame documents inside a subtree whose root
+     * is observed already. Call it again for added nodes, since shadow roots
+     * and frames added later are not observed automatically.
+     * @memberof ComposedTree
+     * @param {MutationObserver} observer - Observer to register
+     * @param {Node} root - Root of the subtree
+     * @param {MutationObserverInit} options - Observer options, should include `subtree`
      * @returns {void}
      */
-    hide() {
-      if (!this.element || !this.isVisible) {
-        return;
-      }
+    observe(observer, root, options) {
+      if (root.nodeType !== Node.ELEMENT_NODE) return;
 
-      const transitionDuration = this.styleManager.getCSSProperty('transition-normal') || '0.15s';
-      this.element.style.transition = `opacity ${transitionDuration} ${this.styleManager.getCSSProperty('easing-out')}, transform ${transitionDuration} ${this.styleManager.getCSSProperty('easing-out')}`;
-      this.element.style.opacity = "0";
-      this.element.style.transform = `scale(${this.styleManager.getCSSProperty('scale-entrance')})`;
+      /** @param {Element} element - Element that may hold a shadow root or frame */
+      const observeBoundaries = (element) => {
+        if (element.shadowRoot) {
+          observer.observe(element.shadowRoot, options);
+        }
+        const frameDocument = this.getFrameDocument(element);
+        if (frameDocument) {
+          observer.observe(frameDocument.body, options);
+        }
+      };
 
-      const timeoutMs = parseFloat(transitionDuration) * 1000;
-      setTimeout(() => {
-        if (this.element) {
-          this.element.style.display = "none";
-          this.element.style.opacity = "1";
-          this.element.style.transform = 'scale(var(--devtools-scale-normal))';
-          this.element.style.transition = `all ${this.styleManager.getCSSProperty('transition-normal')} ${this.styleManager.getCSSProperty('easing-smooth')}`;
+      observeBoundaries(/** @type {Element} */ (root));
+      this.walk(/** @type {Element} */ (root), observeBoundaries);
+    },
+
+    /**
+     * Call back whenever a same-origin iframe in the document loads a new
+     * document, whose body then needs to be observed again
+     * @memberof ComposedTree
+     * @param {(frame: Element) => void} callback - Called with the loaded frame element
+     * @returns {() => void} Function that stops listening
+     */
+    onFrameLoad(callback) {
+      /** @param {Event} event - Load event */
+      const handleLoad = (event) => {
+        const frame = /** @type {Element} */ (event.target);
+        if (frame.nodeType === Node.ELEMENT_NODE && this.getFrameDocument(frame)) {
+          callback(frame);
         }
-      }, timeoutMs);
+      };
 
-      this.isVisible = false;
+      // Load events don't bubble, but can be captured on their way to an iframe
+      document.addEventListener('load', handleLoad, true);
+      return () => document.removeEventListener('load', handleLoad, true);
     }
+  };
+
+  // ============================================================================
+  // PORTALS
+  // ============================================================================
 
+  /**
+   * Modals, dropdowns and tooltips are often rendered into a container under
+   * `<body>`, away from the component that opened them. The Scala side marks
+   * such portal content with the id of its owner, and the devtools show the
+   * components inside it as children of the owner instead of as unrelated roots.
+   * @namespace Portals
+   */
+  const Portals = {
     /**
-     * Calculate overlay position with bounds checking
-     * @param {DOMRect} targetRect - Target element bounds
-     * @returns {Position} Position object with left, top, width, height
+     * Get the owner a portal root is rendered for
+     * @memberof Portals
+     * @param {Element} element - Any element
+     * @returns {Element|null} Connected owner element, or null if the element is not a portal root or its owner is gone
      */
-    calculatePosition(targetRect) {
-      const offset = parseInt(this.styleManager.getCSSProperty('element-offset')) || 6;
-      const viewportWidth = window.innerWidth;
-      const viewportHeight = window.innerHeight;
+    getOwner(element) {
+      const ownerId = element.getAttribute(PORTAL_OWNER_ATTRIBUTE);
+      if (!ownerId) return null;
 
-      const left = targetRect.left - offset;
-      const top = targetRect.top - offset;
-      const width = targetRect.width + offset * 2;
-      const height = targetRect.height + offset * 2;
+      const selector = `[${OWNER_ID_ATTRIBUTE}="${CSS.escape(ownerId)}"]`;
+      const owner = element.ownerDocument.querySelector(selector) || document.querySelector(selector);
 
-      // Ensure overlay stays within viewport bounds
-      const adjustedLeft = Math.max(0, Math.min(left, viewportWidth - width));
-      const adjustedTop = Math.max(0, Math.min(top, viewportHeight - height));
-      const adjustedWidth = Math.min(width, viewportWidth - adjustedLeft);
-      const adjustedHeight = Math.min(height, viewportHeight - adjustedTop);
-
-      return {
-        left: adjustedLeft,
-        top: adjustedTop,
-        width: adjustedWidth,
-        height: adjustedHeight,
-      };
-    }
+      // An owner inside its own portal would make the hierarchy circular
+      return owner && owner !== element && !element.contains(owner) ? owner : null;
+    },
 
     /**
-     * Apply position to overlay element
-     * @param {Position} position - Position object with coordinates and dimensions
-     * @returns {void}
+     * Get the parent of an element in the logical hierarchy: the owner for
+     * portal roots, otherwise the parent in the composed tree
+     * @memberof Portals
+     * @param {Element} element - Child element
+     * @returns {Element|null} Logical parent element
      */
-    applyPosition(position) {
-      if (!this.element) return;
+    getLogicalParent(element) {
+      return this.getOwner(element) || ComposedTree.getParent(element);
+    },
 
-      Object.assign(this.element.style, {
-        left: `${position.left}px`,
-        top: `${position.top}px`,
-        width: `${position.width}px`,
-        height: `${position.height}px`,
-        display: "block",
-      });
-    }
+    /**
+     * Get the portal roots in the document whose owner is connected
+     * @memberof Portals
+     * @returns {Element[]} Portal roots in document order
+     */
+    getPortalRoots() {
+      return Array.from(document.querySelectorAll(`[${PORTAL_OWNER_ATTRIBUTE}]`))
+        .filter(element => this.getOwner(element) !== null);
+    },
 
     /**
-     * Apply hover/active state styling
-     * @returns {void}
+     * Check whether an added or removed node holds portal content or an owner,
+     * which can move components anywhere in the hierarchy
+     * @memberof Portals
+     * @param {Node} node - Added or removed node
+     * @returns {boolean} True if the node or a descendant has an owner or owner id attribute
      */
-    applyHoverState() {
-      if (!this.element) return;
+    containsLink(node) {
+      if (node.nodeType !== Node.ELEMENT_NODE) return false;
 
-      const styles = this.styleManager.getOverlayStyles('hover');
-      Object.assign(this.element.style, {
-        backgroundColor: styles.backgroundColor,
-        boxShadow: styles.boxShadow,
-        transform: styles.transform,
-      });
-    }
+      const element = /** @type {Element} */ (node);
+      return element.hasAttribute(PORTAL_OWNER_ATTRIBUTE) || element.hasAttribute(OWNER_ID_ATTRIBUTE) ||
+        element.querySelector(`[${PORTAL_OWNER_ATTRIBUTE}], [${OWNER_ID_ATTRIBUTE}]`) !== null;
+    },
 
     /**
-     * Remove hover/active state styling
-     * @returns {void}
+     * Check whether a component is placed under its logical parent through a
+     * portal link rather than where it is in the DOM
+     * @memberof Portals
+     * @param {Element} component - Component element
+     * @returns {boolean} True if the component is portal content
      */
-    removeHoverState() {
-      if (!this.element) return;
-
-      const styles = this.styleManager.getOverlayStyles('normal');
-      Object.assign(this.element.style, {
-        backgroundColor: styles.backgroundColor,
-        boxShadow: styles.boxShadow,
-        transform: styles.transform,
-      });
+    isPortalContent(component) {
+      /** @type {Element|null} */
+      let current = component;
+      while (current && current !== document.body) {
+        if (this.getOwner(current)) return true;
+        current = ComposedTree.getParent(current);
+        if (current && PropertyAccessor.hasSourcePath(current)) return false;
+      }
+      return false;
     }
+  };
 
+  // ============================================================================
+  // ELEMENT VISIBILITY
+  // ============================================================================
 
+  /**
+   * Temporarily hides page elements from the devtools: a single element, or
+   * everything around a component to isolate it. Elements keep their layout
+   * (`visibility: hidden`) and are restored to their previous inline value.
+   * @namespace ElementVisibility
+   */
+  const ElementVisibility = {
+    /** @type {Map<Element, string>} Hidden elements and their previous inline visibility */
+    hidden: new Map(),
 
     /**
-     * Handle overlay click events
-     * @param {MouseEvent} event - Click event
+     * Hide an element
+     * @memberof ElementVisibility
+     * @param {Element} element - Element to hide
      * @returns {void}
      */
-    handleClick(event) {
-      event.preventDefault();
-      event.stopPropagation();
+    hide(element) {
+      const style = /** @type {HTMLElement} */ (element).style;
+      if (!style || this.hidden.has(element)) return;
 
-      try {
-        const targetElement = this.state.currentTargetElement;
+      this.hidden.set(element, style.getPropertyValue('visibility'));
+      style.setProperty('visibility', 'hidden', 'important');
+    },
 
-        if (targetElement && PropertyAccessor.hasSourcePath(targetElement)) {
-          const sourcePath = PropertyAccessor.getSourcePath(targetElement);
-          const sourceLine = PropertyAccessor.getSourceLine(targetElement);
+    /**
+     * Show an element hidden by the devtools again
+     * @memberof ElementVisibility
+     * @param {Element} element - Element to show
+     * @returns {void}
+     */
+    show(element) {
+      if (!this.hidden.has(element)) return;
 
-          if (sourcePath) {
-            openFileAtSourcePath(sourcePath, sourceLine);
-            this.state.reset();
-          } else {
-            console.warn("No source path found for the clicked element");
-          }
-        } else {
-          console.warn("No source path found for the clicked element");
-        }
-      } catch (error) {
-        console.error("Error handling overlay click:", error);
+      const style = /** @type {HTMLElement} */ (element).style;
+      const previous = this.hidden.get(element);
+      if (previous) {
+        style.setProperty('visibility', previous);
+      } else {
+        style.removeProperty('visibility');
       }
-    }
+      this.hidden.delete(element);
+    },
 
     /**
-     * Cleanup resources
-     * @returns {void}
+     * Check whether an element was hidden by the devtools
+     * @memberof ElementVisibility
+     * @param {Element} element - Element to check
+     * @returns {boolean} True if hidden
      */
-    destroy() {
-      if (this.unsubscribe) {
-        this.unsubscribe();
-      }
+    isHidden(element) {
+      return this.hidden.has(element);
+    },
 
-      if (this.element) {
-        this.element.remove();
-        this.element = null;
+    /**
+     * Hide everything in the outermost component except the element and its
+     * ancestors, so the element is the only content left on screen
+     * @memberof ElementVisibility
+     * @param {Element} element - Element to isolate
+     * @returns {void}
+     */
+    isolate(element) {
+      // Stop at the outermost component so devtools UI and page chrome stay visible
+      let root = findDevtoolsElement(element) || element;
+      let container = ComposedTree.getParent(root);
+      let parent = container ? findDevtoolsElement(container) : null;
+      while (parent) {
+        root = parent;
+        container = ComposedTree.getParent(root);
+        parent = container ? findDevtoolsElement(container) : null;
+      }
+
+      this.show(element);
+      /** @type {Element} */
+      let current = element;
+      container = ComposedTree.getParent(current);
+      while (current !== root && container) {
+        ComposedTree.getChildren(container).forEach(sibling => {
+          if (sibling !== current) this.hide(sibling);
+        });
+        current = container;
+        container = ComposedTree.getParent(current);
+        this.show(current);
       }
+    },
 
-      this.isVisible = false;
+    /**
+     * Show all elements hidden by the devtools
+     * @memberof ElementVisibility
+     * @returns {void}
+     */
+    restoreAll() {
+      Array.from(this.hidden.keys()).forEach(element => this.show(element));
     }
-  }
+  };
+
+  // ============================================================================
+  // CONSOLE GLOBALS
+  // ============================================================================
 
   /**
-   * Tooltip management class for main tooltip functionality
-   * @class TooltipManager
+   * Links the devtools selection to the browser console, like `$0` in the
+   * browser's own devtools: `$l` is the selected component, `$lInfo` its
+   * ComponentInfo, and `$l0..$l4` the most recent selections, newest first.
+   * `$lc(filename, line)` selects a component from the console.
+   * @namespace ConsoleGlobals
    */
-  class TooltipManager {
+  const ConsoleGlobals = {
+    /** @type {Element[]} Recently selected components, newest first */
+    history: [],
+
     /**
-     * Create a new TooltipManager instance
-     * @constructor
-     * @param {DevtoolsState} state - State management instance
+     * Make a component the current console selection, moving it to the front
+     * of the history
+     * @memberof ConsoleGlobals
+     * @param {Element} element - Selected component element
+     * @returns {void}
      */
-    constructor(state) {
-      /** @type {DevtoolsState} State management instance */
-      this.state = state;
-
-      /** @type {StyleManager} Style management instance */
-      this.styleManager = new StyleManager('tooltip');
-
-      /** @type {HTMLDivElement|null} Main tooltip DOM element */
-      this.mainTooltip = null;
+    select(element) {
+      if (this.history[0] === element) return;
 
-      /** @type {boolean} Whether main tooltip is visible */
-      this.isMainVisible = false;
+      this.history = [element, ...this.history.filter(entry => entry !== element)].slice(0, CONSOLE_HISTORY_SIZE);
+      this.expose();
+    },
 
-      /** @type {Function} Unsubscribe function for state changes */
-      this.unsubscribe = this.state.subscribe((type, data) => {
-        this.handleStateChange(type, data);
-      });
-    }
+    /**
+     * Store an element as `$l0` from a menu action and log it
+     * @memberof ConsoleGlobals
+     * @param {Element} element - Element to store
+     * @returns {string} Name of the global
+     */
+    store(element) {
+      this.select(element);
+      console.log('$l0', element);
+      return '$l0';
+    },
 
     /**
-     * Handle state changes
-     * @param {string} type - Change type
-     * @param {*} data - Change data
+     * Write the history to the console globals
+     * @memberof ConsoleGlobals
      * @returns {void}
      */
-    handleStateChange(type, data) {
-      switch (type) {
-        case 'reset':
-          this.hideMain();
-          break;
-        case 'targetElementChanged':
-          if (data.element) {
-            this.showMain(data.element);
-          } else {
-            this.hideMain();
-          }
-          break;
+    expose() {
+      const globals = /** @type {any} */ (window);
+      globals.$l = this.history[0];
+      globals.$lInfo = this.history[0] ? PropertyAccessor.getComponentInfo(this.history[0]) : undefined;
+      for (let index = 0; index < CONSOLE_HISTORY_SIZE; index++) {
+        globals[`$l${index}`] = this.history[index];
       }
-    }
+    },
 
     /**
-     * Get clean component name derived from filename
-     * @param {string} filename - Component filename
-     * @returns {string} Clean component name
+     * Define the console globals for a devtools system
+     * @memberof ConsoleGlobals
+     * @param {DevtoolsSystem} system - Devtools system the `$lc` helper navigates in
+     * @returns {void}
      */
-    getComponentDisplayName(filename) {
-      if (!filename) return 'Unknown';
-      // Extract clean component name from filename only
-      return filename.replace(/\.(scala|js|ts)$/, '');
-    }
+    install(system) {
+      this.expose();
+
+      /**
+       * Select a component by its usage or definition site from the console
+       * @param {string} filename - Filename of the site, e.g. "App.scala"
+       * @param {string|number} line - Source line number
+       * @returns {Element|null} Selected component element, or null if none matches
+       */
+      const selectComponent = (filename, line) =>
+        system.navigateToComponent(filename, String(line)) ? system.state.keyboardSelectedElement : null;
+      /** @type {any} */ (window).$lc = selectComponent;
+    },
 
     /**
-     * Create main tooltip element
-     * @returns {HTMLDivElement} Tooltip element
+     * Remove the console globals
+     * @memberof ConsoleGlobals
+     * @returns {void}
      */
-    createMainElement() {
-      if (this.mainTooltip) {
-        return this.mainTooltip;
+    uninstall() {
+      const globals = /** @type {any} */ (window);
+      ['$l', '$lInfo', '$lc'].forEach(name => delete globals[name]);
+      for (let index = 0; index < CONSOLE_HISTORY_SIZE; index++) {
+        delete globals[`$l${index}`];
       }
-
-      const tooltip = document.createElement("div");
-
-      // Apply base styles
-      const styles = this.styleManager.getTooltipStyles();
-      Object.assign(tooltip.style, styles);
-      tooltip.style.display = "none";
-      tooltip.style.opacity = "0";
-      tooltip.style.transform = `translateY(${this.styleManager.getCSSProperty('tooltip-translate-offset')})`;
-
-      document.body.appendChild(tooltip);
-      this.mainTooltip = tooltip;
-      return tooltip;
+      this.history = [];
     }
+  };
 
+  /**
+   * State management class with observer pattern for reactive updates
+   * @class DevtoolsState
+   */
+  class DevtoolsState {
     /**
-     * Show main tooltip for target element
-     * @param {Element} targetElement - Target element
-     * @returns {void}
+     * Create a new DevtoolsState instance
+     * @constructor
      */
-    showMain(targetElement) {
-      if (!targetElement) {
-        this.hideMain();
-        return;
-      }
+    constructor() {
+      /** @type {boolean} Whether the inspect key (Alt unless rebound in the keymap) is currently pressed */
+      this.altPressed = false;
 
-      const scalafilename = PropertyAccessor.getFilename(targetElement);
+      /** @type {boolean} Whether inspect mode is on, which inspects like holding Alt until turned off */
+      this.inspectModeActive = false;
 
-      if (!scalafilename) {
-        this.hideMain();
-        return;
-      }
+      /** @type {Element|null} Currently targeted element */
+      this.currentTargetElement = null;
 
-      this.createMainElement();
+      /** @type {Element|null} Previously targeted element */
+      this.lastTargetElement = null;
 
-      // Build tooltip content using clean component name only
-      const componentName = this.getComponentDisplayName(scalafilename);
+      /** @type {MousePosition} Current mouse position */
+      this.currentMousePosition = { clientX: 0, clientY: 0 };
 
-      // Update content and styles
-      if (this.mainTooltip) {
-        this.mainTooltip.textContent = componentName;
-        const styles = this.styleManager.getTooltipStyles();
-        Object.assign(this.mainTooltip.style, styles);
-      }
+      /** @type {boolean} Whether keyboard navigation is active */
+      this.keyboardNavigationActive = false;
 
-      // Position tooltip
-      this.positionMainTooltip();
+      /** @type {Element|null} Currently selected element in keyboard navigation */
+      this.keyboardSelectedElement = null;
 
-      this.animateMainIn();
-      this.isMainVisible = true;
+      /** @type {Element|null} Currently selected element from tree view */
+      this.treeSelectedElement = null;
+
+      /** @type {boolean} Whether tree view selection is active */
+      this.treeSelectionActive = false;
+
+      /** @type {Set<StateObserver>} Set of observer functions for state changes */
+      this.observers = new Set();
     }
 
     /**
-     * Hide main tooltip
-     * @returns {void}
+     * Subscribe to state changes
+     * @param {StateObserver} callback - Function to call on state changes
+     * @returns {Function} Unsubscribe function
      */
-    hideMain() {
-      if (!this.mainTooltip || !this.isMainVisible) {
-        return;
-      }
-
-      // Fade out animation
-      this.mainTooltip.style.opacity = "0";
-      this.mainTooltip.style.transform = `translateY(${this.styleManager.getCSSProperty('tooltip-translate-offset')})`;
-
-      const transitionDuration = this.styleManager.getCSSProperty('transition-normal') || '0.15s';
-      const timeoutMs = parseFloat(transitionDuration) * 1000;
-
-      setTimeout(() => {
-        if (this.mainTooltip) {
-          this.mainTooltip.style.display = "none";
-        }
-      }, timeoutMs);
-
-      this.isMainVisible = false;
+    subscribe(callback) {
+      this.observers.add(callback);
+      return () => this.observers.delete(callback);
     }
 
     /**
-     * Position main tooltip relative to overlay
+     * Notify all observers of state changes
+     * @param {string} type - Type of change
+     * @param {*} data - Change data
      * @returns {void}
      */
-    positionMainTooltip() {
-      if (!this.mainTooltip || !this.state.currentTargetElement) return;
-
-      // Make visible to measure dimensions
-      this.mainTooltip.style.display = "block";
-      const tooltipRect = this.mainTooltip.getBoundingClientRect();
-
-      // Get target element position
-      const targetRect = this.state.currentTargetElement.getBoundingClientRect();
-      const offset = parseInt(this.styleManager.getCSSProperty('element-offset')) || 6;
-
-      // Create overlay rect for positioning
-      const overlayRect = {
-        left: targetRect.left - offset,
-        top: targetRect.top - offset,
-        right: targetRect.right + offset,
-        bottom: targetRect.bottom + offset,
-        width: targetRect.width + offset * 2,
-        height: targetRect.height + offset * 2,
-      };
-
-      // Calculate position
-      const position = this.calculateTooltipPosition(overlayRect, tooltipRect.width, tooltipRect.height);
-
-      // Apply position
-      Object.assign(this.mainTooltip.style, {
-        left: `${position.left}px`,
-        top: `${position.top}px`,
+    notify(type, data) {
+      this.observers.forEach(callback => {
+        try {
+          callback(type, data);
+        } catch (error) {
+          console.error('Error in state observer:', error);
+        }
       });
     }
 
     /**
-     * Calculate optimal tooltip position
-     * @param {OverlayRect} overlayRect - Overlay rectangle with positioning data
-     * @param {number} tooltipWidth - Tooltip width in pixels
-     * @param {number} tooltipHeight - Tooltip height in pixels
-     * @returns {TooltipPosition} Position object with left and top coordinates
+     * Reset all state to initial values, except inspect mode which stays on
+     * until the user leaves it
+     * @returns {void}
      */
-    calculateTooltipPosition(overlayRect, tooltipWidth, tooltipHeight) {
-      const viewportWidth = window.innerWidth;
-      const viewportHeight = window.innerHeight;
-      const margin = parseInt(this.styleManager.getCSSProperty('tooltip-margin')) || 10;
+    reset() {
+      this.altPressed = false;
+      this.currentTargetElement = null;
+      this.lastTargetElement = null;
+      this.currentMousePosition = { clientX: 0, clientY: 0 };
+      this.keyboardNavigationActive = false;
+      this.keyboardSelectedElement = null;
+      this.treeSelectedElement = null;
+      this.treeSelectionActive = false;
 
-      // Position strategies in order of preference
-      const strategies = [
-        // Bottom center
-        {
-          left: overlayRect.left + overlayRect.width / 2 - tooltipWidth / 2,
-          top: overlayRect.bottom + margin,
-        },
-        // Top center
-        {
-          left: overlayRect.left + overlayRect.width / 2 - tooltipWidth / 2,
-          top: overlayRect.top - tooltipHeight - margin,
-        },
-        // Right center
-        {
-          left: overlayRect.right + margin,
-          top: overlayRect.top + overlayRect.height / 2 - tooltipHeight / 2,
-        },
-        // Left center
-        {
-          left: overlayRect.left - tooltipWidth - margin,
-          top: overlayRect.top + overlayRect.height / 2 - tooltipHeight / 2,
-        },
-      ];
+      this.resetCursor();
+      this.notify('reset', {});
+    }
 
-      // Find first strategy that fits
-      for (const position of strategies) {
-        if (this.isPositionWithinViewport(position, tooltipWidth, tooltipHeight, margin)) {
-          return position;
-        }
-      }
+    /**
+     * Set keyboard navigation mode and update visual state
+     * @param {boolean} active - Whether keyboard navigation should be active
+     * @returns {void}
+     */
+    setKeyboardNavigationActive(active) {
+      this.keyboardNavigationActive = active;
 
-      // Fallback position
-      return {
-        left: Math.max(margin, Math.min(
-          overlayRect.left + overlayRect.width / 2 - tooltipWidth / 2,
-          viewportWidth - tooltipWidth - margin
-        )),
-        top: Math.max(margin, Math.min(
-          overlayRect.bottom + margin,
-          viewportHeight - tooltipHeight - margin
-        ))
-      };
+      if (!active) {
+        this.keyboardSelectedElement = null;
+      }
     }
 
     /**
-     * Check if position fits within viewport
-     * @param {TooltipPosition} position - Position object with left and top properties
-     * @param {number} width - Element width in pixels
-     * @param {number} height - Element height in pixels
-     * @param {number} margin - Margin from edges in pixels
-     * @returns {boolean} True if position fits within viewport
+     * Set tree selection active state
+     * @param {boolean} active - Whether tree selection is active
+     * @returns {void}
      */
-    isPositionWithinViewport(position, width, height, margin) {
-      const viewportWidth = window.innerWidth;
-      const viewportHeight = window.innerHeight;
+    setTreeSelectionActive(active) {
+      if (this.treeSelectionActive !== active) {
+        this.treeSelectionActive = active;
+        this.notify('treeSelectionActiveChanged', { active });
+      }
+    }
 
-      return (
-        position.left >= margin &&
-        position.top >= margin &&
-        position.left + width <= viewportWidth - margin &&
-        position.top + height <= viewportHeight - margin
-      );
+    /**
+     * Set tree selected element
+     * @param {Element|null} element - Selected element from tree view
+     * @returns {void}
+     */
+    setTreeSelectedElement(element) {
+      if (this.treeSelectedElement !== element) {
+        this.treeSelectedElement = element;
+        this.notify('treeSelectionChanged', { element });
+      }
     }
 
     /**
-     * Animate main tooltip entrance
+     * Set the currently selected element for keyboard navigation
+     * @param {Element|null} element - Element to select for keyboard navigation
      * @returns {void}
      */
-    animateMainIn() {
-      if (!this.mainTooltip) return;
+    setKeyboardSelectedElement(element) {
+      const previousElement = this.keyboardSelectedElement;
+      this.keyboardSelectedElement = element;
 
-      // Start with entrance state
-      this.mainTooltip.style.opacity = "0";
-      this.mainTooltip.style.transform = `translateY(${this.styleManager.getCSSProperty('tooltip-translate-offset')})`;
+      if (element) {
+        this.keyboardNavigationActive = true;
+      }
 
-      // Animate to visible state
-      requestAnimationFrame(() => {
-        if (this.mainTooltip) {
-          this.mainTooltip.style.opacity = "1";
-          this.mainTooltip.style.transform = "translateY(0)";
-        }
-      });
+      if (previousElement !== element) {
+        this.notify('keyboardSelectionChanged', { element, previousElement });
+      }
     }
 
+    /**
+     * Update current mouse position
+     * @param {number} clientX - X coordinate relative to viewport
+     * @param {number} clientY - Y coordinate relative to viewport
+     * @returns {void}
+     */
+    updateMousePosition(clientX, clientY) {
+      this.currentMousePosition.clientX = clientX;
+      this.currentMousePosition.clientY = clientY;
+      this.notify('mousePositionChanged', { clientX, clientY });
+    }
 
+    /**
+     * Set inspect key pressed state and update cursor
+     * @param {boolean} pressed - Whether the inspect key is pressed
+     * @returns {void}
+     */
+    setAltPressed(pressed) {
+      const wasPressed = this.altPressed;
+      this.altPressed = pressed;
+      document.body.style.cursor = pressed || this.inspectModeActive ? "crosshair" : "";
 
+      if (wasPressed !== pressed) {
+        this.notify('altKeyChanged', { pressed });
+      }
+    }
 
+    /**
+     * Turn inspect mode on or off and update cursor
+     * @param {boolean} active - Whether inspect mode should be on
+     * @returns {void}
+     */
+    setInspectModeActive(active) {
+      if (this.inspectModeActive !== active) {
+        this.inspectModeActive = active;
+        this.resetCursor();
+        this.notify('inspectModeChanged', { active });
+      }
+    }
 
+    /**
+     * Check whether hovering inspects components, either because Alt is held
+     * or inspect mode is on
+     * @returns {boolean} True if hovered components should be highlighted
+     */
+    isInspecting() {
+      return this.altPressed || this.inspectModeActive;
+    }
 
+    /**
+     * Reset cursor to default, or the crosshair while inspecting
+     * @returns {void}
+     */
+    resetCursor() {
+      document.body.style.cursor = this.isInspecting() ? "crosshair" : "";
+    }
 
+    /**
+     * Set current target element
+     * @param {Element|null} element - Element to set as current target
+     * @returns {void}
+     */
+    setCurrentTargetElement(element) {
+      const previousElement = this.currentTargetElement;
+      this.currentTargetElement = element;
 
+      if (previousElement !== element) {
+        this.notify('targetElementChanged', { element, previousElement });
+      }
+    }
 
 
 
 
+  }
 
+  /**
+   * Style management class for CSS custom properties and styling configurations
+   * @class StyleManager
+   */
+  class StyleManager {
+    /**
+     * Create a new StyleManager instance
+     * @constructor
+     * @param {string} [componentType='default'] - Type of component for styling context
+     */
+    constructor(componentType = 'default') {
+      /** @type {string} Component type for styling context */
+      this.componentType = componentType;
 
+      /** @type {Map<string, string>} Cache for CSS property values */
+      this.cache = new Map();
+    }
 
     /**
-     * Cleanup resources
+     * Get CSS custom property value with caching
+     * @param {string} propertyName - CSS custom property name (without --)
+     * @returns {string} Property value
      */
-    destroy() {
-      if (this.unsubscribe) {
-        this.unsubscribe();
-      }
+    getCSSProperty(propertyName) {
+      const fullName = `--devtools-${propertyName}`;
 
-      if (this.mainTooltip) {
-        this.mainTooltip.remove();
-        this.mainTooltip = null;
+      if (this.cache.has(fullName)) {
+        return this.cache.get(fullName) || '';
       }
 
-      this.isMainVisible = false;
+      const value = getComputedStyle(document.documentElement).getPropertyValue(fullName);
+      this.cache.set(fullName, value);
+      return value;
     }
-  }
 
-  /**
-   * Viewport visibility utility class for detecting which elements are currently visible
-   * @class ViewportVisibilityDetector
-   */
-  class ViewportVisibilityDetector {
     /**
-     * Create a new ViewportVisibilityDetector instance
-     * @constructor
+     * Get overlay styles for unified styling approach
+     * @param {string} [state='normal'] - Visual state: 'normal', 'hover', or 'active'
+     * @returns {Object<string, string>} Style object with CSS properties
      */
-    constructor() {
-      /** @type {Map<Element, boolean>} Cache for element visibility status */
-      this.visibilityCache = new Map();
-
-      /** @type {number|null} Throttle timeout ID */
-      this.throttleTimeoutId = null;
+    getOverlayStyles(state = 'normal') {
+      /** @type {Object<string, string>} Base styles for overlay */
+      const baseStyles = {
+        position: "fixed",
+        pointerEvents: "auto",
+        display: "block",
+        boxSizing: "border-box",
+        cursor: "pointer",
+        willChange: "transform, box-shadow",
+      };
 
-      /** @type {number} Throttle delay in milliseconds */
-      this.throttleDelay = 100;
+      return {
+        ...baseStyles,
+        backgroundColor: (state === 'hover' || state === 'active')
+          ? this.getCSSProperty('primary-bg-medium')
+          : this.getCSSProperty('primary-bg-light'),
+        border: `${this.getCSSProperty('border-width')} dashed ${this.getCSSProperty('primary-color')}`,
+        borderRadius: this.getCSSProperty('border-radius'),
+        boxShadow: (state === 'hover' || state === 'active')
+          ? this.getCSSProperty('shadow-overlay-hover')
+          : this.getCSSProperty('shadow-overlay'),
+        zIndex: this.getCSSProperty('overlay-z-index'),
+        transition: `all ${this.getCSSProperty('transition-normal')} ${this.getCSSProperty('easing-smooth')}`,
+        transform: (state === 'hover' || state === 'active')
+          ? `scale(${this.getCSSProperty('scale-hover')})`
+          : 'scale(var(--devtools-scale-normal))',
+      };
+    }
 
-      /** @type {IntersectionObserver|null} Intersection observer for efficient visibility detection */
-      this.intersectionObserver = null;
+    /**
+     * Get tooltip styles for unified styling approach
+     * @returns {Object<string, string>} Style object with CSS properties
+     */
+    getTooltipStyles() {
+      /** @type {Object<string, string>} Base styles for tooltip */
+      const baseStyles = {
+        position: "fixed",
+        pointerEvents: "none",
+        color: this.getCSSProperty('white'),
+        padding: this.getCSSProperty('tooltip-padding'),
+        borderRadius: this.getCSSProperty('border-radius'),
+        fontSize: this.getCSSProperty('font-size'),
+        fontFamily: this.getCSSProperty('font-family'),
+        whiteSpace: "nowrap",
+        zIndex: this.getCSSProperty('tooltip-z-index'),
+        display: "block",
+        boxSizing: "border-box",
+        transition: `all ${this.getCSSProperty('transition-slow')} ${this.getCSSProperty('easing-smooth')}`,
+        backdropFilter: this.getCSSProperty('backdrop-blur'),
+        lineHeight: this.getCSSProperty('line-height'),
+        willChange: "transform, opacity",
+        opacity: "1",
+        transform: "translateY(0)",
+      };
 
-      /** @type {Map<Element, boolean>} Intersection observer results cache */
-      this.intersectionCache = new Map();
+      return {
+        ...baseStyles,
+        backgroundColor: this.getCSSProperty('black-overlay'),
+        border: `${this.getCSSProperty('border-width-thin')} solid ${this.getCSSProperty('white-border')}`,
+        boxShadow: this.getCSSProperty('shadow-tooltip'),
+      };
+    }
 
-      /** @type {boolean} Whether to use intersection observer for better performance */
-      this.useIntersectionObserver = 'IntersectionObserver' in window;
+    /**
+     * Clear style cache (useful when CSS properties change)
+     * @returns {void}
+     */
+    clearCache() {
+      this.cache.clear();
     }
+  }
 
+  /**
+   * Overlay management class responsible for overlay creation, positioning, and visual effects
+   * @class OverlayManager
+   */
+  class OverlayManager {
     /**
-     * Check if an element is currently visible in the viewport
-     * @param {Element} element - Element to check
-     * @returns {boolean} True if element is visible in viewport
+     * Create a new OverlayManager instance
+     * @constructor
+     * @param {DevtoolsState} state - State management instance
+     * @param {(element: Element, event: MouseEvent) => void} [onContextMenu] - Called when the overlay is right-clicked
      */
-    isElementInViewport(element) {
-      if (!element || !element.getBoundingClientRect) {
-        return false;
-      }
+    constructor(state, onContextMenu) {
+      /** @type {DevtoolsState} State management instance */
+      this.state = state;
 
-      try {
-        const rect = element.getBoundingClientRect();
-        const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
-        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+      /** @type {((element: Element, event: MouseEvent) => void)|undefined} Called when the overlay is right-clicked */
+      this.onContextMenu = onContextMenu;
 
-        // Check if element is completely outside viewport
-        if (rect.bottom <= 0 || rect.top >= viewportHeight ||
-            rect.right <= 0 || rect.left >= viewportWidth) {
-          return false;
-        }
+      /** @type {StyleManager} Style management instance */
+      this.styleManager = new StyleManager('overlay');
 
-        // Check if element has any visible area (not zero-sized)
-        if (rect.width <= 0 || rect.height <= 0) {
-          return false;
-        }
+      /** @type {HTMLDivElement|null} Overlay DOM element */
+      this.element = null;
 
-        // Element is at least partially visible
-        return true;
-      } catch (error) {
-        console.warn('Error checking element viewport visibility:', error);
-        return false;
-      }
+      /** @type {boolean} Whether overlay is currently visible */
+      this.isVisible = false;
+
+      /** @type {HTMLDivElement[]} Detached labeled overlay boxes kept for reuse */
+      this.pool = [];
+
+      /** @type {Map<Element, HTMLDivElement>} Overlays on all instances of the highlighted component */
+      this.instanceOverlays = new Map();
+
+      /** @type {string|null} Type key of the component whose instances are highlighted */
+      this.highlightedKey = null;
+
+      /** @type {Map<Element, HTMLDivElement>} Overlays pinned by the user */
+      this.pinnedOverlays = new Map();
+
+      /** @type {number|null} Interval ID for following layout changes while overlays are shown */
+      this.trackingTimer = null;
+
+      /** @type {() => void} Reposition instance and pinned overlays at most once per frame */
+      this.refreshPositions = /** @type {() => void} */ (rafThrottle(() => this.updateOverlayPositions()));
+
+      /** @type {Function} Unsubscribe function for state changes */
+      this.unsubscribe = this.state.subscribe((type, data) => {
+        this.handleStateChange(type, data);
+      });
     }
 
     /**
-     * Check if an element is fully visible in the viewport
-     * @param {Element} element - Element to check
-     * @returns {boolean} True if element is fully visible in viewport
+     * Handle state changes
+     * @param {string} type - Change type
+     * @param {*} data - Change data
+     * @returns {void}
      */
-    isElementFullyInViewport(element) {
-      if (!element || !element.getBoundingClientRect) {
-        return false;
-      }
+    handleStateChange(type, data) {
+      switch (type) {
+        case 'reset':
+          this.hide();
+          break;
 
-      try {
-        const rect = element.getBoundingClientRect();
-        const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
-        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        case 'targetElementChanged':
+          // Only show overlay if not in tree selection mode or if this is a tree selection.
+          // Inspect mode keeps highlighting hovered components after one was selected
+          if (data.element && (!this.state.treeSelectionActive || this.state.treeSelectedElement === data.element ||
+              this.state.inspectModeActive)) {
+            this.show(data.element);
+          } else if (!this.state.treeSelectionActive || this.state.inspectModeActive) {
+            this.hide();
+          }
+          break;
 
-        return (
-          rect.top >= 0 &&
-          rect.left >= 0 &&
-          rect.bottom <= viewportHeight &&
-          rect.right <= viewportWidth &&
-          rect.width > 0 &&
-          rect.height > 0
-        );
-      } catch (error) {
-        console.warn('Error checking element full viewport visibility:', error);
-        return false;
+        case 'treeSelectionChanged':
+          if (data.element) {
+            this.show(data.element);
+          } else {
+            this.hide();
+          }
+          break;
+
+        case 'treeSelectionActiveChanged':
+          if (!data.active && !this.state.currentTargetElement) {
+            this.hide();
+          }
+          break;
       }
     }
 
     /**
-     * Get visibility status for an element with caching
-     * @param {Element} element - Element to check
-     * @param {boolean} [useCache=true] - Whether to use cached results
-     * @returns {boolean} True if element is visible in viewport
+     * Create overlay element if it doesn't exist
+     * @returns {HTMLDivElement} Overlay element
      */
-    getElementVisibility(element, useCache = true) {
-      // Use intersection observer cache if available
-      if (this.useIntersectionObserver && this.intersectionCache.has(element)) {
-        return this.intersectionCache.get(element) || false;
+    createElement() {
+      if (this.element) {
+        return this.element;
       }
 
-      if (useCache && this.visibilityCache.has(element)) {
-        return this.visibilityCache.get(element) || false;
-      }
+      const div = document.createElement("div");
+      div.setAttribute(DEVTOOLS_UI_ATTRIBUTE, '');
 
-      const isVisible = this.isElementInViewport(element);
-      this.visibilityCache.set(element, isVisible);
-      return isVisible;
+      // Apply base styles
+      const baseStyles = this.styleManager.getOverlayStyles('normal');
+      Object.assign(div.style, baseStyles);
+      div.style.display = "none";
+
+      // Add event listeners
+      this.addEventListeners(div);
+
+      document.body.appendChild(div);
+      this.element = div;
+      return div;
     }
 
     /**
-     * Initialize intersection observer for efficient visibility tracking
-     * @param {Element[]} elements - Elements to observe
+     * Add event listeners to overlay element
+     * @param {HTMLDivElement} element - Overlay element
      * @returns {void}
      */
-    initializeIntersectionObserver(elements) {
-      if (!this.useIntersectionObserver || this.intersectionObserver) {
-        return;
-      }
+    addEventListeners(element) {
+      element.addEventListener("mouseenter", () => {
+        this.applyHoverState();
+      });
 
-      this.intersectionObserver = new IntersectionObserver(
-        (entries) => {
-          entries.forEach(entry => {
-            this.intersectionCache.set(entry.target, entry.isIntersecting);
-          });
-        },
-        {
-          root: null, // Use viewport as root
-          rootMargin: '0px',
-          threshold: 0 // Trigger when any part becomes visible
-        }
-      );
+      element.addEventListener("mouseleave", () => {
+        this.removeHoverState();
+      });
 
-      // Observe all elements
-      elements.forEach(element => {
-        if (this.intersectionObserver) {
-          this.intersectionObserver.observe(element);
+      element.addEventListener("click", (event) => {
+        this.handleClick(event);
+      });
+
+      element.addEventListener("contextmenu", (event) => {
+        const targetElement = this.state.currentTargetElement;
+        if (targetElement && this.onContextMenu) {
+          event.preventDefault();
+          event.stopPropagation();
+          this.onContextMenu(targetElement, event);
         }
       });
     }
 
     /**
-     * Update intersection observer with new elements
-     * @param {Element[]} elements - New elements to observe
+     * Show overlay for target element
+     * @param {Element} targetElement - Element to highlight
      * @returns {void}
      */
-    updateIntersectionObserver(elements) {
-      if (!this.useIntersectionObserver || !this.intersectionObserver) {
+    show(targetElement) {
+      if (!targetElement) {
+        this.hide();
         return;
       }
 
-      // Disconnect and reconnect with new elements
-      this.intersectionObserver.disconnect();
-      this.intersectionCache.clear();
+      // Validate required properties
+      if (!PropertyAccessor.hasAllProperties(targetElement)) {
+        this.hide();
+        return;
+      }
 
-      elements.forEach(element => {
-        if (this.intersectionObserver) {
-          this.intersectionObserver.observe(element);
+      this.createElement();
+
+      // Calculate and apply position
+      const targetRect = ComposedTree.getViewportRect(targetElement);
+      const position = this.calculatePosition(targetRect);
+      this.applyPosition(position);
+
+      // Determine visual state based on selection type
+      let visualState = 'normal';
+      if (this.state.treeSelectionActive && this.state.treeSelectedElement === targetElement) {
+        visualState = 'active';
+      } else if (this.state.keyboardNavigationActive && this.state.keyboardSelectedElement === targetElement) {
+        visualState = 'active';
+      } else if (this.state.currentTargetElement === targetElement) {
+        visualState = 'hover';
+      }
+
+      // Apply styling based on state
+      const styles = this.styleManager.getOverlayStyles(visualState);
+      if (this.element) {
+        Object.assign(this.element.style, styles);
+      }
+
+      this.isVisible = true;
+    }
+
+    /**
+     * Hide overlay with smooth animation
+     * @returns {void}
+     */
+    hide() {
+      if (!this.element || !this.isVisible) {
+        return;
+      }
+
+      const transitionDuration = this.styleManager.getCSSProperty('transition-normal') || '0.15s';
+      this.element.style.transition = `opacity ${transitionDuration} ${this.styleManager.getCSSProperty('easing-out')}, transform ${transitionDuration} ${this.styleManager.getCSSProperty('easing-out')}`;
+      this.element.style.opacity = "0";
+      this.element.style.transform = `scale(${this.styleManager.getCSSProperty('scale-entrance')})`;
+
+      const timeoutMs = parseFloat(transitionDuration) * 1000;
+      setTimeout(() => {
+        if (this.element) {
+          this.element.style.display = "none";
+          this.element.style.opacity = "1";
+          this.element.style.transform = 'scale(var(--devtools-scale-normal))';
+          this.element.style.transition = `all ${this.styleManager.getCSSProperty('transition-normal')} ${this.styleManager.getCSSProperty('easing-smooth')}`;
         }
+      }, timeoutMs);
+
+      this.isVisible = false;
+    }
+
+    /**
+     * Calculate overlay position with bounds checking
+     * @param {DOMRect} targetRect - Target element bounds
+     * @returns {Position} Position object with left, top, width, height
+     */
+    calculatePosition(targetRect) {
+      const offset = parseInt(this.styleManager.getCSSProperty('element-offset')) || 6;
+      const viewportWidth = window.innerWidth;
+      const viewportHeight = window.innerHeight;
+
+      const left = targetRect.left - offset;
+      const top = targetRect.top - offset;
+      const width = targetRect.width + offset * 2;
+      const height = targetRect.height + offset * 2;
+
+      // Ensure overlay stays within viewport bounds
+      const adjustedLeft = Math.max(0, Math.min(left, viewportWidth - width));
+      const adjustedTop = Math.max(0, Math.min(top, viewportHeight - height));
+      const adjustedWidth = Math.min(width, viewportWidth - adjustedLeft);
+      const adjustedHeight = Math.min(height, viewportHeight - adjustedTop);
+
+      return {
+        left: adjustedLeft,
+        top: adjustedTop,
+        width: adjustedWidth,
+        height: adjustedHeight,
+      };
+    }
+
+    /**
+     * Apply position to overlay element
+     * @param {Position} position - Position object with coordinates and dimensions
+     * @returns {void}
+     */
+    applyPosition(position) {
+      if (!this.element) return;
+
+      Object.assign(this.element.style, {
+        left: `${position.left}px`,
+        top: `${position.top}px`,
+        width: `${position.width}px`,
+        height: `${position.height}px`,
+        display: "block",
       });
     }
 
     /**
-     * Clear the visibility cache
+     * Apply hover/active state styling
      * @returns {void}
      */
-    clearCache() {
-      this.visibilityCache.clear();
-      this.intersectionCache.clear();
+    applyHoverState() {
+      if (!this.element) return;
+
+      const styles = this.styleManager.getOverlayStyles('hover');
+      Object.assign(this.element.style, {
+        backgroundColor: styles.backgroundColor,
+        boxShadow: styles.boxShadow,
+        transform: styles.transform,
+      });
     }
 
     /**
-     * Update visibility cache for multiple elements
-     * @param {Element[]} elements - Array of elements to update
+     * Remove hover/active state styling
      * @returns {void}
      */
-    updateVisibilityCache(elements) {
-      elements.forEach(element => {
-        const isVisible = this.isElementInViewport(element);
-        this.visibilityCache.set(element, isVisible);
+    removeHoverState() {
+      if (!this.element) return;
+
+      const styles = this.styleManager.getOverlayStyles('normal');
+      Object.assign(this.element.style, {
+        backgroundColor: styles.backgroundColor,
+        boxShadow: styles.boxShadow,
+        transform: styles.transform,
       });
     }
 
     /**
-     * Get all visible elements from a list
-     * @param {Element[]} elements - Array of elements to filter
-     * @returns {Element[]} Array of visible elements
+     * Create a labeled overlay box for the pool
+     * @returns {HTMLDivElement} Overlay box with its label as first child
      */
-    filterVisibleElements(elements) {
-      return elements.filter(element => this.getElementVisibility(element, false));
+    createPooledOverlay() {
+      const box = document.createElement('div');
+      box.setAttribute(DEVTOOLS_UI_ATTRIBUTE, '');
+      box.style.cssText = `
+        position: fixed;
+        pointer-events: none;
+        box-sizing: border-box;
+        border: var(--devtools-border-width) solid;
+        border-radius: var(--devtools-border-radius);
+        z-index: calc(var(--devtools-overlay-z-index) - 1);
+      `;
+
+      const label = document.createElement('div');
+      label.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        max-width: 100%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        padding: 0 4px;
+        font-family: var(--devtools-font-family);
+        font-size: var(--devtools-overlay-label-font-size);
+        line-height: 1.5;
+        color: var(--devtools-white);
+        border-bottom-right-radius: var(--devtools-border-radius);
+      `;
+      box.appendChild(label);
+      return box;
     }
 
     /**
-     * Throttled cache update function
-     * @param {Element[]} elements - Elements to update
-     * @param {Function} [callback] - Optional callback after update
+     * Take an overlay box from the pool and show it with a label
+     * @param {'instance'|'pinned'} kind - Overlay kind, which sets its color
+     * @param {string} text - Label text
+     * @returns {HTMLDivElement} Overlay box attached to the document
+     */
+    acquireOverlay(kind, text) {
+      const box = this.pool.pop() || this.createPooledOverlay();
+      const label = /** @type {HTMLDivElement} */ (box.firstChild);
+
+      box.style.borderColor = `var(--devtools-${kind}-color)`;
+      box.style.backgroundColor = `var(--devtools-${kind}-bg)`;
+      label.style.backgroundColor = `var(--devtools-${kind}-color)`;
+      label.style.pointerEvents = kind === 'pinned' ? 'auto' : 'none';
+      label.textContent = text;
+
+      document.body.appendChild(box);
+      return box;
+    }
+
+    /**
+     * Detach an overlay box and return it to the pool
+     * @param {HTMLDivElement} box - Overlay box
      * @returns {void}
      */
-    throttledUpdateCache(elements, callback) {
-      if (this.throttleTimeoutId) {
-        clearTimeout(this.throttleTimeoutId);
+    releaseOverlay(box) {
+      box.remove();
+      if (this.pool.length < MAX_INSTANCE_OVERLAYS) {
+        this.pool.push(box);
       }
-
-      this.throttleTimeoutId = setTimeout(() => {
-        this.updateVisibilityCache(elements);
-        if (callback) {
-          callback();
-        }
-        this.throttleTimeoutId = null;
-      }, this.throttleDelay);
     }
 
     /**
-     * Check if any part of an element is visible, including checking parent visibility
-     * @param {Element} element - Element to check
-     * @returns {boolean} True if element or any parent is visible
+     * Outline every instance of a component, i.e. all elements sharing its
+     * definition site. Replaces the previous highlight.
+     * @param {Element} element - Component element
+     * @returns {number} Number of instances found
      */
-    isElementOrParentVisible(element) {
-      let currentElement = /** @type {Element|null} */ (element);
+    highlightAll(element) {
+      this.clearHighlights();
 
-      while (currentElement && currentElement !== document.body) {
-        if (this.isElementInViewport(currentElement)) {
-          return true;
-        }
-        currentElement = currentElement.parentElement;
-      }
+      const key = PropertyAccessor.getComponentTypeKey(element);
+      if (!key) return 0;
 
-      return false;
+      const instances = findComponentInstances(key);
+      this.highlightedKey = key;
+      instances.slice(0, MAX_INSTANCE_OVERLAYS).forEach((instance, index) => {
+        const text = `${PropertyAccessor.getDisplayName(instance)} ${index + 1}/${instances.length}`;
+        this.instanceOverlays.set(instance, this.acquireOverlay('instance', text));
+      });
+
+      this.updateOverlayPositions();
+      this.startTracking();
+      return instances.length;
     }
 
     /**
-     * Cleanup resources
+     * Highlight all instances of a component, or clear the highlight if it is
+     * already showing that component
+     * @param {Element} element - Component element
      * @returns {void}
      */
-    destroy() {
-      if (this.throttleTimeoutId) {
-        clearTimeout(this.throttleTimeoutId);
-        this.throttleTimeoutId = null;
+    toggleHighlightAll(element) {
+      if (this.highlightedKey && this.highlightedKey === PropertyAccessor.getComponentTypeKey(element)) {
+        this.clearHighlights();
+      } else {
+        this.highlightAll(element);
       }
+    }
 
-      if (this.intersectionObserver) {
-        this.intersectionObserver.disconnect();
-        this.intersectionObserver = null;
-      }
+    /**
+     * Remove the overlays of the "highlight all instances" action
+     * @returns {void}
+     */
+    clearHighlights() {
+      this.instanceOverlays.forEach(box => this.releaseOverlay(box));
+      this.instanceOverlays.clear();
+      this.highlightedKey = null;
+      this.stopTrackingIfIdle();
+    }
 
-      this.clearCache();
+    /**
+     * Check whether a component has a pinned overlay
+     * @param {Element} element - Component element
+     * @returns {boolean} True if pinned
+     */
+    isPinned(element) {
+      return this.pinnedOverlays.has(element);
     }
-  }
 
-  /**
-   * Keyboard navigation class for component tree traversal and navigation logic
-   * @class KeyboardNavigator
-   */
-  class KeyboardNavigator {
     /**
-     * Create a new KeyboardNavigator instance
-     * @constructor
-     * @param {DevtoolsState} state - State management instance
-     * @param {OverlayManager} overlayManager - Overlay management instance
+     * Pin or unpin an overlay on a component. Pinned overlays stay while the
+     * user interacts with the page, until unpinned from their label.
+     * @param {Element} element - Component element
+     * @returns {boolean} True if the component is now pinned
      */
-    constructor(state, overlayManager) {
-      /** @type {DevtoolsState} State management instance */
-      this.state = state;
+    togglePin(element) {
+      const pinned = this.pinnedOverlays.get(element);
+      if (pinned) {
+        this.releaseOverlay(pinned);
+        this.pinnedOverlays.delete(element);
+        this.stopTrackingIfIdle();
+        return false;
+      }
 
-      /** @type {OverlayManager} Overlay management instance */
-      this.overlayManager = overlayManager;
+      if (!PropertyAccessor.hasSourcePath(element)) return false;
 
-      /** @type {Function} Unsubscribe function for state changes */
-      this.unsubscribe = this.state.subscribe((type, data) => {
-        this.handleStateChange(type, data);
+      const box = this.acquireOverlay('pinned', `📌 ${PropertyAccessor.getDisplayName(element)} ${PropertyAccessor.getComponentKey(element)} `);
+      const unpin = document.createElement('span');
+      unpin.textContent = '✕';
+      unpin.title = 'Unpin';
+      unpin.style.cssText = `
+        cursor: pointer;
+        margin-left: 2px;
+      `;
+      unpin.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.togglePin(element);
       });
+      /** @type {HTMLDivElement} */ (box.firstChild).appendChild(unpin);
+
+      this.pinnedOverlays.set(element, box);
+      this.updateOverlayPositions();
+      this.startTracking();
+      return true;
     }
 
     /**
-     * Handle state changes
-     * @param {string} type - Change type
-     * @param {*} data - Change data
+     * Remove all pinned overlays
      * @returns {void}
      */
-    handleStateChange(type, data) {
-      switch (type) {
-        case 'reset':
-          // Navigation state is already reset in DevtoolsState
-          break;
-        case 'keyboardSelectionChanged':
-          if (data.element) {
-            this.updateSelection(data.element);
-          }
-          break;
-      }
+    clearPinned() {
+      this.pinnedOverlays.forEach(box => this.releaseOverlay(box));
+      this.pinnedOverlays.clear();
+      this.stopTrackingIfIdle();
     }
 
     /**
-     * Handle keyboard navigation in a specific direction
-     * @param {'up'|'down'|'left'|'right'} direction - Navigation direction
+     * Move instance and pinned overlays to their components' current bounds,
+     * dropping overlays of components that were removed
      * @returns {void}
      */
-    navigate(direction) {
-      let targetElement = null;
-      const currentElement = this.state.keyboardSelectedElement || this.state.currentTargetElement;
+    updateOverlayPositions() {
+      [this.instanceOverlays, this.pinnedOverlays].forEach(overlays => {
+        overlays.forEach((box, element) => {
+          if (!element.isConnected) {
+            this.releaseOverlay(box);
+            overlays.delete(element);
+            return;
+          }
 
-      if (!currentElement) {
-        // No current element, start with first top-level component
-        const topLevel = this.findTopLevelComponents();
-        if (topLevel.length > 0) {
-          targetElement = topLevel[0];
-        } else {
-          return;
-        }
-      } else {
-        switch (direction) {
-          case 'up':
-            targetElement = this.navigateToParent(currentElement);
-            break;
-          case 'down':
-            targetElement = this.navigateToFirstChild(currentElement);
-            break;
-          case 'left':
-            targetElement = this.navigateToPreviousSibling(currentElement);
-            break;
-          case 'right':
-            targetElement = this.navigateToNextSibling(currentElement);
-            break;
-        }
-      }
-
-      if (targetElement) {
-        this.state.setKeyboardSelectedElement(targetElement);
-        this.state.setCurrentTargetElement(targetElement);
-      }
+          const rect = ComposedTree.getViewportRect(element);
+          if (rect.width === 0 && rect.height === 0) {
+            box.style.display = 'none';
+            return;
+          }
+          Object.assign(box.style, {
+            display: 'block',
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+          });
+        });
+      });
+      this.stopTrackingIfIdle();
     }
 
     /**
-     * Handle Enter key to open selected component file
+     * Follow scrolling, resizing and layout changes while overlays are shown
      * @returns {void}
      */
-    openSelectedFile() {
-      const targetElement = this.state.keyboardSelectedElement || this.state.currentTargetElement;
-
-      if (!targetElement) {
-        return;
-      }
+    startTracking() {
+      if (this.trackingTimer !== null) return;
 
-      const scalasourcepath = PropertyAccessor.getSourcePath(targetElement);
-      const scalasourceline = PropertyAccessor.getSourceLine(targetElement);
-
-      if (!scalasourcepath) {
-        return;
-      }
-
-      try {
-        openFileAtSourcePath(scalasourcepath, scalasourceline);
-        this.state.reset();
-      } catch (error) {
-        console.error("Error opening file from keyboard navigation:", error);
-      }
+      window.addEventListener('scroll', this.refreshPositions, { capture: true, passive: true });
+      window.addEventListener('resize', this.refreshPositions, { passive: true });
+      this.trackingTimer = setInterval(this.refreshPositions, OVERLAY_TRACKING_INTERVAL);
     }
 
     /**
-     * Update selection and overlay position
-     * @param {Element} element - Selected element
+     * Stop following the page once no instance or pinned overlays are left
      * @returns {void}
      */
-    updateSelection(element) {
-      this.state.setCurrentTargetElement(element);
-    }
-
+    stopTrackingIfIdle() {
+      if (this.trackingTimer === null || this.instanceOverlays.size > 0 || this.pinnedOverlays.size > 0) return;
 
+      window.removeEventListener('scroll', this.refreshPositions, { capture: true });
+      window.removeEventListener('resize', this.refreshPositions);
+      clearInterval(this.trackingTimer);
+      this.trackingTimer = null;
+    }
 
     /**
-     * Navigate to parent component (with cycling)
-     * @param {Element} currentElement - Current element
-     * @returns {Element|null} Parent component or deepest if at root
+     * Handle overlay click events
+     * @param {MouseEvent} event - Click event
+     * @returns {void}
      */
-    navigateToParent(currentElement) {
-      if (!currentElement) return null;
+    handleClick(event) {
+      event.preventDefault();
+      event.stopPropagation();
 
-      const parent = this.findParentComponent(currentElement);
-      if (parent) {
-        return parent;
-      } else {
-        // At root level, cycle to the deepest component
-        return this.findDeepestComponent();
+      try {
+        const targetElement = this.state.currentTargetElement;
+
+        // Shift+click opens where the component is defined instead of used
+        if (targetElement && openComponentSource(targetElement, event.shiftKey ? 'definition' : 'usage')) {
+          this.state.reset();
+        } else {
+          console.warn("No source path found for the clicked element");
+        }
+      } catch (error) {
+        console.error("Error handling overlay click:", error);
       }
     }
 
     /**
-     * Navigate to first child component (with cycling)
-     * @param {Element} currentElement - Current element
-     * @returns {Element|null} First child or first component if no children
+     * Cleanup resources
+     * @returns {void}
      */
-    navigateToFirstChild(currentElement) {
-      if (!currentElement) return null;
+    destroy() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+      }
 
-      const children = this.findChildComponents(currentElement);
-      if (children.length > 0) {
-        return children[0];
-      } else {
-        // No children, cycle to first component
-        return this.findFirstComponent();
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
       }
-    }
 
-    /**
-     * Navigate to next sibling (with cycling)
-     * @param {Element} currentElement - Current element
-     * @returns {Element|null} Next sibling
-     */
-    navigateToNextSibling(currentElement) {
-      if (!currentElement) return null;
-      const allSiblings = this.getAllSiblingsIncludingCurrent(currentElement);
-      return this.getNextSibling(currentElement, allSiblings);
+      this.clearHighlights();
+      this.clearPinned();
+      this.pool = [];
+      this.isVisible = false;
     }
+  }
 
+  /**
+   * Flashes boxes around components whose DOM changed, colored by update frequency
+   * @class UpdateHighlighter
+   */
+  class UpdateHighlighter {
     /**
-     * Navigate to previous sibling (with cycling)
-     * @param {Element} currentElement - Current element
-     * @returns {Element|null} Previous sibling
+     * Create a new UpdateHighlighter instance
+     * @constructor
      */
-    navigateToPreviousSibling(currentElement) {
-      if (!currentElement) return null;
-      const allSiblings = this.getAllSiblingsIncludingCurrent(currentElement);
-      return this.getPreviousSibling(currentElement, allSiblings);
-    }
+    constructor() {
+      /** @type {WeakMap<Element, UpdateStats>} Update statistics per component element */
+      this.stats = new WeakMap();
 
-    /**
-     * Find immediate parent component
-     * @param {Element} currentElement - Current element
-     * @returns {Element|null} Parent component
-     */
-    findParentComponent(currentElement) {
-      let element = currentElement.parentElement;
+      /** @type {Set<Element>} Components updated since the last flash */
+      this.pendingElements = new Set();
 
-      while (element && element !== document.body) {
-        if (PropertyAccessor.hasSourcePath(element)) {
-          return element;
-        }
-        element = element.parentElement;
-      }
+      /** @type {Map<Element, {box: HTMLDivElement, timer: number}>} Visible flash boxes */
+      this.flashes = new Map();
 
-      return null;
+      /** @type {Set<(elements: Set<Element>) => void>} Listeners notified after each flash */
+      this.listeners = new Set();
+
+      // Mutations arrive per microtask, flash at most once per frame
+      this.flushPending = rafThrottle(() => this.flush());
     }
 
     /**
-     * Find direct child components
-     * @param {Element} currentElement - Current element
-     * @returns {Element[]} Child components
+     * Subscribe to flashed updates
+     * @param {(elements: Set<Element>) => void} callback - Called with the components flashed in a frame
+     * @returns {Function} Unsubscribe function
      */
-    findChildComponents(currentElement) {
-      /** @type {Element[]} */
-      const children = [];
-      const walker = document.createTreeWalker(
-        currentElement,
-        NodeFilter.SHOW_ELEMENT,
-        {
-          acceptNode: function(node) {
-            if (node === currentElement) {
-              return NodeFilter.FILTER_SKIP;
-            }
-
-            const elementNode = /** @type {Element} */ (node);
-            if (PropertyAccessor.hasSourcePath(elementNode)) {
-              return NodeFilter.FILTER_ACCEPT;
-            }
+    subscribe(callback) {
+      this.listeners.add(callback);
+      return () => this.listeners.delete(callback);
+    }
 
-            return NodeFilter.FILTER_SKIP;
-          }
+    /**
+     * Attribute DOM mutations to their nearest component and count one update per component
+     * @param {MutationRecord[]} mutations - Mutation records
+     * @returns {void}
+     */
+    recordMutations(mutations) {
+      /** @type {Set<Element>} */
+      const updated = new Set();
+
+      mutations.forEach(mutation => {
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE
+          ? /** @type {Element} */ (mutation.target)
+          : mutation.target.parentElement;
+        const component = target ? findDevtoolsElement(target) : null;
+        if (component) {
+          updated.add(component);
         }
-      );
-
-      let node;
-      while (node = walker.nextNode()) {
-        const elementNode = /** @type {Element} */ (node);
+      });
 
-        // Only include direct children
-        let ancestor = elementNode.parentElement;
-        let isDirectChild = true;
+      if (updated.size === 0) return;
 
-        while (ancestor && ancestor !== currentElement) {
-          if (PropertyAccessor.hasSourcePath(ancestor)) {
-            isDirectChild = false;
-            break;
-          }
-          ancestor = ancestor.parentElement;
+      const now = Date.now();
+      updated.forEach(element => {
+        let stats = this.stats.get(element);
+        if (!stats) {
+          stats = { count: 0, recentUpdates: [] };
+          this.stats.set(element, stats);
         }
+        stats.count++;
+        stats.recentUpdates.push(now);
+        stats.recentUpdates = stats.recentUpdates.filter(time => now - time <= 1000);
 
-        if (isDirectChild) {
-          children.push(elementNode);
-        }
-      }
+        this.pendingElements.add(element);
+      });
 
-      return children;
+      this.flushPending();
     }
 
     /**
-     * Find all sibling components including current
-     * @param {Element} currentElement - Current element
-     * @returns {Element[]} All siblings including current
+     * Get the number of updates recorded for a component
+     * @param {Element} element - Component element
+     * @returns {number} Update count
      */
-    getAllSiblingsIncludingCurrent(currentElement) {
-      const parent = this.findParentComponent(currentElement);
-      if (!parent) {
-        return this.findTopLevelComponents();
-      }
-
-      return this.findChildComponents(parent);
+    getUpdateCount(element) {
+      const stats = this.stats.get(element);
+      return stats ? stats.count : 0;
     }
 
     /**
-     * Find all top-level components
-     * @returns {Element[]} Top-level components
+     * Get the color for a component's current update frequency, from cool (rare)
+     * to hot (UPDATE_HOT_FREQUENCY or more updates per second)
+     * @param {Element} element - Component element
+     * @returns {string} CSS color
      */
-    findTopLevelComponents() {
-      /** @type {Element[]} */
-      const topLevel = [];
-      const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_ELEMENT,
-        {
-          acceptNode: function(node) {
-            const elementNode = /** @type {Element} */ (node);
-            if (PropertyAccessor.hasSourcePath(elementNode)) {
-              // Check if has parent with source path
-              let parent = elementNode.parentElement;
-              while (parent && parent !== document.body) {
-                if (PropertyAccessor.hasSourcePath(parent)) {
-                  return NodeFilter.FILTER_REJECT;
-                }
-                parent = parent.parentElement;
-              }
-              return NodeFilter.FILTER_ACCEPT;
-            }
-            return NodeFilter.FILTER_SKIP;
-          }
-        }
-      );
-
-      let node;
-      while (node = walker.nextNode()) {
-        const elementNode = /** @type {Element} */ (node);
-        topLevel.push(elementNode);
-      }
-
-      return topLevel;
+    getHeatColor(element) {
+      const stats = this.stats.get(element);
+      const frequency = stats ? stats.recentUpdates.length : 0;
+      const heat = Math.min(1, Math.max(0, (frequency - 1) / (UPDATE_HOT_FREQUENCY - 1)));
+      return `hsl(${Math.round(200 - heat * 200)}, 90%, 55%)`;
     }
 
     /**
-     * Get all components in depth-first order
-     * @returns {Element[]} All components
+     * Flash all components updated since the last frame
+     * @returns {void}
      */
-    getAllComponentsInOrder() {
-      /** @type {Element[]} */
-      const components = [];
+    flush() {
+      const elements = this.pendingElements;
+      this.pendingElements = new Set();
 
-      /**
-       * @param {Element} element - Element to traverse
-       */
-      const traverseDepthFirst = (element) => {
-        if (PropertyAccessor.hasSourcePath(element)) {
-          components.push(element);
+      elements.forEach(element => {
+        if (element.isConnected) {
+          this.flash(element);
         }
+      });
 
-        const children = this.findChildComponents(element);
-        for (const child of children) {
-          traverseDepthFirst(child);
+      this.listeners.forEach(callback => {
+        try {
+          callback(elements);
+        } catch (error) {
+          console.error('Error in update highlighter listener:', error);
         }
-      };
-
-      const topLevel = this.findTopLevelComponents();
-      for (const component of topLevel) {
-        traverseDepthFirst(component);
-      }
-
-      return components;
-    }
-
-    /**
-     * Find deepest component in tree
-     * @returns {Element|null} Deepest component
-     */
-    findDeepestComponent() {
-      const allComponents = this.getAllComponentsInOrder();
-      return allComponents.length > 0 ? allComponents[allComponents.length - 1] : null;
-    }
-
-    /**
-     * Find first component in tree
-     * @returns {Element|null} First component
-     */
-    findFirstComponent() {
-      const allComponents = this.getAllComponentsInOrder();
-      return allComponents.length > 0 ? allComponents[0] : null;
+      });
     }
 
     /**
-     * Get next sibling with cycling
-     * @param {Element} currentElement - Current element
-     * @param {Element[]} siblings - Sibling elements
-     * @returns {Element|null} Next sibling
+     * Show or restart the flash box around a component
+     * @param {Element} element - Component element
+     * @returns {void}
      */
-    getNextSibling(currentElement, siblings) {
-      if (siblings.length === 0) return null;
+    flash(element) {
+      const rect = ComposedTree.getViewportRect(element);
+      if (rect.width === 0 && rect.height === 0) return;
+
+      let flash = this.flashes.get(element);
+      if (!flash) {
+        const box = document.createElement('div');
+        box.setAttribute(DEVTOOLS_UI_ATTRIBUTE, '');
+        box.style.cssText = `
+          position: fixed;
+          pointer-events: none;
+          box-sizing: border-box;
+          border: var(--devtools-update-flash-border-width) solid;
+          border-radius: 2px;
+          z-index: var(--devtools-overlay-z-index);
+          transition: opacity var(--devtools-update-flash-fade-duration) ease-out;
+        `;
+        document.body.appendChild(box);
+        flash = { box, timer: 0 };
+        this.flashes.set(element, flash);
+      }
 
-      const currentIndex = siblings.indexOf(currentElement);
-      if (currentIndex === -1) return siblings[0];
+      const { box } = flash;
+      box.style.left = `${rect.left}px`;
+      box.style.top = `${rect.top}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+      box.style.borderColor = this.getHeatColor(element);
+      box.style.opacity = '1';
 
-      return siblings[(currentIndex + 1) % siblings.length];
+      clearTimeout(flash.timer);
+      flash.timer = setTimeout(() => {
+        box.style.opacity = '0';
+        flash.timer = setTimeout(() => {
+          box.remove();
+          this.flashes.delete(element);
+        }, UPDATE_FLASH_DURATION);
+      }, UPDATE_FLASH_DURATION);
     }
 
     /**
-     * Get previous sibling with cycling
-     * @param {Element} currentElement - Current element
-     * @param {Element[]} siblings - Sibling elements
-     * @returns {Element|null} Previous sibling
+     * Remove all flash boxes and reset update counts
+     * @returns {void}
      */
-    getPreviousSibling(currentElement, siblings) {
-      if (siblings.length === 0) return null;
-
-      const currentIndex = siblings.indexOf(currentElement);
-      if (currentIndex === -1) return siblings[siblings.length - 1];
-
-      return siblings[(currentIndex - 1 + siblings.length) % siblings.length];
+    clear() {
+      this.flashes.forEach(({ box, timer }) => {
+        clearTimeout(timer);
+        box.remove();
+      });
+      this.flashes.clear();
+      this.pendingElements.clear();
+      this.stats = new WeakMap();
     }
 
     /**
-     * Cleanup resources
+     * Cleanup highlighter
+     * @returns {void}
      */
     destroy() {
-      if (this.unsubscribe) {
-        this.unsubscribe();
-      }
+      this.clear();
+      this.listeners.clear();
     }
   }
 
   /**
-   * Event management class for centralized event listener management and cleanup
-   * @class EventManager
+   * Tooltip management class for main tooltip functionality
+   * @class TooltipManager
    */
-  class EventManager {
+  class TooltipManager {
     /**
-     * Create a new EventManager instance
+     * Create a new TooltipManager instance
      * @constructor
-     * @param {DevtoolsSystem} devtoolsSystem - Devtools system instance
+     * @param {DevtoolsState} state - State management instance
      */
-    constructor(devtoolsSystem) {
-      this.devtoolsSystem = devtoolsSystem;
-      this.listeners = new Map();
-      this.throttledHandlers = new Map();
-      this.debouncedHandlers = new Map();
+    constructor(state) {
+      /** @type {DevtoolsState} State management instance */
+      this.state = state;
 
-      this.initializeEventListeners();
-    }
+      /** @type {StyleManager} Style management instance */
+      this.styleManager = new StyleManager('tooltip');
 
-    /**
-     * Initialize all event listeners with performance optimizations
-     */
-    initializeEventListeners() {
-      // Keyboard event listeners
-      this.addListener(window, "keydown", this.handleKeyDown.bind(this));
-      this.addListener(window, "keyup", this.handleKeyUp.bind(this));
+      /** @type {HTMLDivElement|null} Main tooltip DOM element */
+      this.mainTooltip = null;
 
-      // Window focus management
-      this.addListener(window, "blur", this.handleWindowBlur.bind(this));
+      /** @type {boolean} Whether main tooltip is visible */
+      this.isMainVisible = false;
 
-      // Mouse movement with optimized throttling
-      const optimizedMouseMove = this.createThrottledHandler(
-        this.handleMouseMove.bind(this),
-        MOUSEMOVE_THROTTLE_DELAY
-      );
-      this.addListener(window, "mousemove", optimizedMouseMove);
+      /** @type {boolean} Whether the tooltip shows the source around the call site */
+      this.sourceExpanded = PersistentStorage.get('tooltip.sourceExpanded', false) === true;
 
-      // Scroll handling
-      this.addListener(window, "scroll", () => {
-        if (this.devtoolsSystem.state.altPressed) {
-          this.devtoolsSystem.overlay.hide();
-        }
-      }, { passive: true });
+      /** @type {HTMLDivElement|null} Source section of the main tooltip */
+      this.sourceSection = null;
 
-      // Resize handling
-      const debouncedResize = this.createDebouncedHandler(() => {
-        if (this.devtoolsSystem.state.currentTargetElement && this.devtoolsSystem.state.altPressed) {
-          this.devtoolsSystem.state.setCurrentTargetElement(this.devtoolsSystem.state.currentTargetElement);
-        }
-      }, DEBOUNCE_DELAY);
-      this.addListener(window, "resize", debouncedResize, { passive: true });
+      /** @type {Function} Unsubscribe function for state changes */
+      this.unsubscribe = this.state.subscribe((type, data) => {
+        this.handleStateChange(type, data);
+      });
     }
 
     /**
-     * Add event listener with cleanup tracking
-     * @param {EventTarget} target - Event target
-     * @param {string} type - Event type
-     * @param {Function} handler - Event handler
-     * @param {Object} [options={}] - Event options
+     * Handle state changes
+     * @param {string} type - Change type
+     * @param {*} data - Change data
      * @returns {void}
      */
-    addListener(target, type, handler, options = {}) {
-      target.addEventListener(type, /** @type {EventListenerOrEventListenerObject} */ (handler), options);
-
-      const key = `${target.constructor.name}-${type}`;
-      if (!this.listeners.has(key)) {
-        this.listeners.set(key, []);
+    handleStateChange(type, data) {
+      switch (type) {
+        case 'reset':
+          this.hideMain();
+          break;
+        case 'targetElementChanged':
+          if (data.element) {
+            this.showMain(data.element);
+          } else {
+            this.hideMain();
+          }
+          break;
       }
-      this.listeners.get(key).push({ target, type, handler, options });
     }
 
     /**
-     * Create throttled handler with caching
-     * @param {Function} handler - Original handler
-     * @param {number} delay - Throttle delay
-     * @returns {Function} Throttled handler
+     * Get component display name, preferring the captured class or method name
+     * @param {Element} element - Component element
+     * @returns {string} Component display name
      */
-    createThrottledHandler(handler, delay) {
-      const key = `${handler.name}-${delay}`;
-      if (this.throttledHandlers.has(key)) {
-        return this.throttledHandlers.get(key);
-      }
-
-      const throttledHandler = throttle(handler, delay);
-      this.throttledHandlers.set(key, throttledHandler);
-      return throttledHandler;
+    getComponentDisplayName(element) {
+      return PropertyAccessor.getDisplayName(element);
     }
 
     /**
-     * Create debounced handler with caching
-     * @param {Function} handler - Original handler
-     * @param {number} delay - Debounce delay
-     * @returns {Function} Debounced handler
+     * Create main tooltip element
+     * @returns {HTMLDivElement} Tooltip element
      */
-    createDebouncedHandler(handler, delay) {
-      const key = `${handler.name}-${delay}`;
-      if (this.debouncedHandlers.has(key)) {
-        return this.debouncedHandlers.get(key);
+    createMainElement() {
+      if (this.mainTooltip) {
+        return this.mainTooltip;
       }
 
-      const debouncedHandler = debounce(handler, delay);
-      this.debouncedHandlers.set(key, debouncedHandler);
-      return debouncedHandler;
+      const tooltip = document.createElement("div");
+      tooltip.setAttribute(DEVTOOLS_UI_ATTRIBUTE, '');
+
+      // Apply base styles
+      const styles = this.styleManager.getTooltipStyles();
+      Object.assign(tooltip.style, styles);
+      tooltip.style.display = "none";
+      tooltip.style.opacity = "0";
+      tooltip.style.transform = `translateY(${this.styleManager.getCSSProperty('tooltip-translate-offset')})`;
+
+      document.body.appendChild(tooltip);
+      this.mainTooltip = tooltip;
+      return tooltip;
     }
 
     /**
-     * Handle keydown events
-     * @param {KeyboardEvent} event - Keyboard event
+     * Show main tooltip for target element
+     * @param {Element} targetElement - Target element
+     * @returns {void}
      */
-    handleKeyDown(event) {
-      // Handle Alt + Arrow key combinations for keyboard navigation
-      if (event.altKey && !event.shiftKey && !event.ctrlKey && !event.metaKey) {
-        switch (event.key) {
-          case "ArrowUp":
-            event.preventDefault();
-            this.devtoolsSystem.keyboard.navigate('up');
-            return;
-          case "ArrowDown":
-            event.preventDefault();
-            this.devtoolsSystem.keyboard.navigate('down');
-            return;
-          case "ArrowLeft":
-            event.preventDefault();
-            this.devtoolsSystem.keyboard.navigate('left');
-            return;
-          case "ArrowRight":
-            event.preventDefault();
-            this.devtoolsSystem.keyboard.navigate('right');
-            return;
-        }
-      }
-
-      // Handle Enter key for opening selected component
-      if (event.key === "Enter" && this.devtoolsSystem.state.altPressed &&
-          this.devtoolsSystem.state.keyboardNavigationActive) {
-        event.preventDefault();
-        this.devtoolsSystem.keyboard.openSelectedFile();
+    showMain(targetElement) {
+      if (!targetElement) {
+        this.hideMain();
         return;
       }
 
-      if (event.key === "Alt" && !this.devtoolsSystem.state.altPressed) {
-        // Alt key pressed - clear component tree selection to prevent conflicts
-        if (this.devtoolsSystem.treeView && this.devtoolsSystem.treeView.isVisible) {
-          this.devtoolsSystem.treeView.clearSelection();
-        }
-
-        // Alt key pressed - trigger overlay at current mouse position
-        this.devtoolsSystem.state.setAltPressed(true);
+      const scalafilename = PropertyAccessor.getFilename(targetElement);
 
-        // Create synthetic mouse event with current position
-        const syntheticMouseEvent = {
-          clientX: this.devtoolsSystem.state.currentMousePosition.clientX,
-          clientY: this.devtoolsSystem.state.currentMousePosition.clientY
-        };
+      if (!scalafilename) {
+        this.hideMain();
+        return;
+      }
 
-        // Always render overlay and show tooltip when Alt is pressed
-        this.renderDevtoolsOverlay(/** @type {MouseEvent} */ (syntheticMouseEvent));
+      this.createMainElement();
 
-        // Force overlay to show even if target element hasn't changed
-        const targetElement = this.getTargetElementAtPosition(/** @type {MouseEvent} */ (syntheticMouseEvent));
-        if (targetElement) {
-          this.devtoolsSystem.overlay.show(targetElement);
+      // Build tooltip content from the component name, its file and its props
+      const componentName = this.getComponentDisplayName(targetElement);
+      const props = PropertyAccessor.getComponentProps(targetElement);
 
-          // Force main tooltip to show even if target element hasn't changed
-          // This enables Alt key re-triggering on the same element
-          this.devtoolsSystem.tooltip.showMain(targetElement);
+      // Update content and styles
+      if (this.mainTooltip) {
+        this.mainTooltip.textContent = componentName;
+        if (PropertyAccessor.getComponentName(targetElement)) {
+          const fileElement = document.createElement('span');
+          fileElement.textContent = scalafilename;
+          fileElement.style.cssText = `
+            margin-left: 8px;
+            color: var(--devtools-white-semi);
+            font-size: var(--devtools-font-size-small);
+          `;
+          this.mainTooltip.appendChild(fileElement);
+        }
+        const callSites = this.createCallSiteContent(targetElement);
+        if (callSites) {
+          this.mainTooltip.appendChild(callSites);
+        }
+        if (props) {
+          this.mainTooltip.appendChild(this.createPropsContent(props));
         }
+        this.sourceSection = this.createSourceSection(targetElement);
+        this.mainTooltip.appendChild(this.sourceSection);
+        const styles = this.styleManager.getTooltipStyles();
+        Object.assign(this.mainTooltip.style, styles);
+      }
 
+      // Position tooltip
+      this.positionMainTooltip();
 
-      }
+      this.animateMainIn();
+      this.isMainVisible = true;
     }
 
     /**
-     * Handle keyup events
-     * @param {KeyboardEvent} event - Keyboard event
+     * Create the definition site and layout chain listing for the tooltip
+     * @param {Element} targetElement - Component element
+     * @returns {HTMLDivElement|null} Call sites element, or null if only the usage site is known
      */
-    handleKeyUp(event) {
-      if (event.key === "Alt") {
-        this.devtoolsSystem.state.setAltPressed(false);
-        this.devtoolsSystem.state.setKeyboardNavigationActive(false);
-        this.devtoolsSystem.overlay.hide();
-        this.devtoolsSystem.tooltip.hideMain();
+    createCallSiteContent(targetElement) {
+      const usage = PropertyAccessor.getCallSite(targetElement, 'usage');
+      const definition = PropertyAccessor.getCallSite(targetElement, 'definition');
+      const chain = PropertyAccessor.getLayoutChain(targetElement);
+      const hasDefinition = Boolean(usage && definition && (definition.path !== usage.path || definition.line !== usage.line));
+      if (!usage || (!hasDefinition && chain.length === 0)) {
+        return null;
       }
+
+      const container = document.createElement('div');
+      container.style.cssText = `
+        margin-top: 4px;
+        font-size: var(--devtools-font-size-small);
+        color: var(--devtools-white-medium);
+      `;
+
+      const lines = [
+        ...(definition && hasDefinition ? [`defined at ${formatCallSite(definition)} · Shift opens it`] : []),
+        ...chain.map(site => `via ${site.name} at ${formatCallSite(site)}`)
+      ];
+      lines.forEach(text => {
+        const row = document.createElement('div');
+        row.textContent = text;
+        container.appendChild(row);
+      });
+
+      return container;
     }
 
     /**
-     * Handle window blur events
+     * Create props listing for the tooltip
+     * @param {Object<string, *>} props - Component props
+     * @returns {HTMLDivElement} Props element
      */
-    handleWindowBlur() {
-      this.devtoolsSystem.state.reset();
+    createPropsContent(props) {
+      const maxProps = 5;
+      const entries = Object.entries(props);
+      const container = document.createElement('div');
+      container.style.cssText = `
+        margin-top: 4px;
+        font-size: var(--devtools-font-size-small);
+        color: var(--devtools-white-medium);
+      `;
+
+      entries.slice(0, maxProps).forEach(([name, value]) => {
+        const row = document.createElement('div');
+        row.textContent = `${name}: ${formatPropValue(value, 40)}`;
+        container.appendChild(row);
+      });
+
+      if (entries.length > maxProps) {
+        const more = document.createElement('div');
+        more.textContent = `… ${entries.length - maxProps} more`;
+        container.appendChild(more);
+      }
+
+      return container;
     }
 
     /**
-     * Handle mouse move events
-     * @param {MouseEvent} event - Mouse event
+     * Create the source section for the tooltip: a hint while collapsed, the
+     * lines around the call site once expanded
+     * @param {Element} targetElement - Component element
+     * @returns {HTMLDivElement} Source section element
      */
-    handleMouseMove(event) {
-      // Always update mouse position
-      this.devtoolsSystem.state.updateMousePosition(event.clientX, event.clientY);
+    createSourceSection(targetElement) {
+      const section = document.createElement('div');
+      section.style.cssText = `
+        margin-top: 6px;
+        font-size: var(--devtools-font-size-small);
+        color: var(--devtools-white-semi);
+      `;
 
-      if (this.devtoolsSystem.state.altPressed) {
+      const sourcePath = PropertyAccessor.getSourcePath(targetElement);
+      const sourceLine = parseInt(PropertyAccessor.getSourceLine(targetElement) || '', 10);
+      if (!sourcePath || !sourceLine) {
+        return section;
+      }
 
+      if (!this.sourceExpanded) {
+        section.textContent = `▸ Source (${KeyMap.getBinding('toggleSourcePreview')})`;
+        return section;
+      }
 
-        // Switch to mouse mode if in keyboard mode
-        const wasKeyboardMode = this.devtoolsSystem.state.keyboardNavigationActive;
-        if (this.devtoolsSystem.state.keyboardNavigationActive) {
-          this.devtoolsSystem.state.setKeyboardNavigationActive(false);
+      section.textContent = 'Loading source…';
+      SourcePreview.getSnippet(sourcePath, sourceLine, TOOLTIP_SOURCE_CONTEXT).then(snippet => {
+        // The tooltip may have moved on to another component meanwhile
+        if (section !== this.sourceSection || !section.isConnected) return;
+
+        if (snippet) {
+          section.textContent = '';
+          const preview = SourcePreview.render(snippet);
+          preview.style.maxWidth = 'var(--devtools-source-max-width)';
+          section.appendChild(preview);
+        } else {
+          section.textContent = 'Source unavailable, serve it with vite-plugin-laminar-devtools';
         }
+        this.positionMainTooltip();
+      });
 
-        // Use RAF throttling for smooth updates
-        rafThrottle(() => {
-          this.renderDevtoolsOverlay(event);
+      return section;
+    }
 
-          // Force re-render if switching from keyboard mode
-          if (wasKeyboardMode && this.devtoolsSystem.state.currentTargetElement) {
-            this.devtoolsSystem.state.setCurrentTargetElement(this.devtoolsSystem.state.currentTargetElement);
-          }
-        })();
-      } else {
-        this.devtoolsSystem.overlay.hide();
+    /**
+     * Expand or collapse the source section of the tooltip
+     * @returns {void}
+     */
+    toggleSourcePreview() {
+      this.sourceExpanded = !this.sourceExpanded;
+      PersistentStorage.set('tooltip.sourceExpanded', this.sourceExpanded);
 
-      }
+      const target = this.state.currentTargetElement;
+      if (!this.isMainVisible || !target || !this.sourceSection || !this.sourceSection.isConnected) return;
+
+      const section = this.createSourceSection(target);
+      this.sourceSection.replaceWith(section);
+      this.sourceSection = section;
+      this.positionMainTooltip();
     }
 
     /**
-     * Render devtools overlay based on mouse position
-     * @param {MouseEvent|null} mouseEvent - Mouse event
+     * Hide main tooltip
+     * @returns {void}
      */
-    renderDevtoolsOverlay(mouseEvent) {
-      if (!mouseEvent) {
-        this.devtoolsSystem.overlay.hide();
+    hideMain() {
+      if (!this.mainTooltip || !this.isMainVisible) {
         return;
       }
 
-      const targetElement = this.getTargetElementAtPosition(mouseEvent);
-      this.devtoolsSystem.state.setCurrentTargetElement(targetElement);
-    }
+      // Fade out animation
+      this.mainTooltip.style.opacity = "0";
+      this.mainTooltip.style.transform = `translateY(${this.styleManager.getCSSProperty('tooltip-translate-offset')})`;
 
-    /**
-     * Get target element at mouse position
-     * @param {MouseEvent} mouseEvent - Mouse event
-     * @returns {Element|null} Target element
-     */
-    getTargetElementAtPosition(mouseEvent) {
-      const elementsAtPoint = document.elementsFromPoint(
-        mouseEvent.clientX,
-        mouseEvent.clientY
-      );
+      const transitionDuration = this.styleManager.getCSSProperty('transition-normal') || '0.15s';
+      const timeoutMs = parseFloat(transitionDuration) * 1000;
 
-      for (const element of elementsAtPoint) {
-        const devtoolsElement = findDevtoolsElement(element);
-        if (devtoolsElement) {
-          return devtoolsElement;
+      setTimeout(() => {
+        if (this.mainTooltip) {
+          this.mainTooltip.style.display = "none";
         }
-      }
+      }, timeoutMs);
 
-      return null;
+      this.isMainVisible = false;
     }
 
-
-
     /**
-     * Cleanup all event listeners
+     * Position main tooltip relative to overlay
+     * @returns {void}
      */
-    destroy() {
-      this.listeners.forEach((listenerList) => {
-        listenerList.forEach((/** @type {{target: EventTarget, type: string, handler: Function, options: Object}} */ { target, type, handler, options }) => {
-          target.removeEventListener(type, /** @type {EventListenerOrEventListenerObject} */ (handler), options);
-        });
-      });
+    positionMainTooltip() {
+      if (!this.mainTooltip || !this.state.currentTargetElement) return;
 
-      this.listeners.clear();
-      this.throttledHandlers.clear();
-      this.debouncedHandlers.clear();
+      // Make visible to measure dimensions
+      this.mainTooltip.style.display = "block";
+      const tooltipRect = this.mainTooltip.getBoundingClientRect();
+
+      // Get target element position
+      const targetRect = ComposedTree.getViewportRect(this.state.currentTargetElement);
+      const offset = parseInt(this.styleManager.getCSSProperty('element-offset')) || 6;
+
+      // Create overlay rect for positioning
+      const overlayRect = {
+        left: targetRect.left - offset,
+        top: targetRect.top - offset,
+        right: targetRect.right + offset,
+        bottom: targetRect.bottom + offset,
+        width: targetRect.width + offset * 2,
+        height: targetRect.height + offset * 2,
+      };
+
+      // Calculate position
+      const position = this.calculateTooltipPosition(overlayRect, tooltipRect.width, tooltipRect.height);
+
+      // Apply position
+      Object.assign(this.mainTooltip.style, {
+        left: `${position.left}px`,
+        top: `${position.top}px`,
+      });
     }
-  }
 
-  /**
-   * Component Tree View class for displaying hierarchical component structure
-   *
-   * Features:
-   * - Keyboard shortcut activation: Alt + Shift
-   * - Hierarchical tree display of UIComponent elements
-   * - Keyboard navigation (arrow keys, Enter, Escape)
-   * - Collapsible/expandable tree nodes
-   * - Responsive design for different screen sizes
-   * - Performance optimizations (lazy loading, caching, throttling)
-   * - Real-time updates when components change
-   *
-   * Integration:
-   * - Leverages DevtoolsSystem for component discovery and overlay functionality
-   * - Maintains consistency with existing keyboard navigation patterns
-   * - Follows established CSS custom property conventions
-   *
-   * Usage:
-   * - Press Alt + Shift to open/close the tree view
-   * - Use arrow keys to navigate within the tree
-   * - Press Enter to open component files
-   */
-  /**
-   * Component Tree View class for displaying hierarchical component structure
-   * @class ComponentTreeView
-   */
-  class ComponentTreeView {
     /**
-     * Create a new ComponentTreeView instance
-     * @constructor
-     * @param {DevtoolsSystem} devtoolsSystem - Devtools system instance
+     * Calculate optimal tooltip position
+     * @param {OverlayRect} overlayRect - Overlay rectangle with positioning data
+     * @param {number} tooltipWidth - Tooltip width in pixels
+     * @param {number} tooltipHeight - Tooltip height in pixels
+     * @returns {TooltipPosition} Position object with left and top coordinates
      */
-    constructor(devtoolsSystem) {
-      /** @type {DevtoolsSystem} */
-      this.devtoolsSystem = devtoolsSystem;
+    calculateTooltipPosition(overlayRect, tooltipWidth, tooltipHeight) {
+      const viewportWidth = window.innerWidth;
+      const viewportHeight = window.innerHeight;
+      const margin = parseInt(this.styleManager.getCSSProperty('tooltip-margin')) || 10;
 
-      /** @type {boolean} */
-      this.isVisible = false;
+      // Position strategies in order of preference
+      const strategies = [
+        // Bottom center
+        {
+          left: overlayRect.left + overlayRect.width / 2 - tooltipWidth / 2,
+          top: overlayRect.bottom + margin,
+        },
+        // Top center
+        {
+          left: overlayRect.left + overlayRect.width / 2 - tooltipWidth / 2,
+          top: overlayRect.top - tooltipHeight - margin,
+        },
+        // Right center
+        {
+          left: overlayRect.right + margin,
+          top: overlayRect.top + overlayRect.height / 2 - tooltipHeight / 2,
+        },
+        // Left center
+        {
+          left: overlayRect.left - tooltipWidth - margin,
+          top: overlayRect.top + overlayRect.height / 2 - tooltipHeight / 2,
+        },
+      ];
 
-      /** @type {TreeNode[]|null} */
-      this.treeData = null;
+      // Find first strategy that fits
+      for (const position of strategies) {
+        if (this.isPositionWithinViewport(position, tooltipWidth, tooltipHeight, margin)) {
+          return position;
+        }
+      }
 
-      /** @type {Set<string>} */
-      this.expandedNodes = new Set();
+      // Fallback position
+      return {
+        left: Math.max(margin, Math.min(
+          overlayRect.left + overlayRect.width / 2 - tooltipWidth / 2,
+          viewportWidth - tooltipWidth - margin
+        )),
+        top: Math.max(margin, Math.min(
+          overlayRect.bottom + margin,
+          viewportHeight - tooltipHeight - margin
+        ))
+      };
+    }
 
-      /** @type {string|null} */
-      this.selectedNodeId = null;
+    /**
+     * Check if position fits within viewport
+     * @param {TooltipPosition} position - Position object with left and top properties
+     * @param {number} width - Element width in pixels
+     * @param {number} height - Element height in pixels
+     * @param {number} margin - Margin from edges in pixels
+     * @returns {boolean} True if position fits within viewport
+     */
+    isPositionWithinViewport(position, width, height, margin) {
+      const viewportWidth = window.innerWidth;
+      const viewportHeight = window.innerHeight;
 
-      // Subscribe to state changes for synchronization
-      /** @type {Function} Unsubscribe function for state changes */
-      this.unsubscribe = this.devtoolsSystem.state.subscribe((type, data) => {
-        this.handleStateChange(type, data);
-      });
+      return (
+        position.left >= margin &&
+        position.top >= margin &&
+        position.left + width <= viewportWidth - margin &&
+        position.top + height <= viewportHeight - margin
+      );
+    }
 
-      /** @type {HTMLDivElement|null} */
-      this.panelElement = null;
+    /**
+     * Animate main tooltip entrance
+     * @returns {void}
+     */
+    animateMainIn() {
+      if (!this.mainTooltip) return;
 
-      /** @type {HTMLDivElement|null} */
-      this.treeContainer = null;
+      // Start with entrance state
+      this.mainTooltip.style.opacity = "0";
+      this.mainTooltip.style.transform = `translateY(${this.styleManager.getCSSProperty('tooltip-translate-offset')})`;
 
-      /** @type {HTMLDivElement|null} */
-      this.headerElement = null;
+      // Animate to visible state
+      requestAnimationFrame(() => {
+        if (this.mainTooltip) {
+          this.mainTooltip.style.opacity = "1";
+          this.mainTooltip.style.transform = "translateY(0)";
+        }
+      });
+    }
 
-      /** @type {HTMLButtonElement|null} */
-      this.settingsButton = null;
 
-      /** @type {HTMLButtonElement|null} */
-      this.refreshButton = null;
 
-      /** @type {HTMLDivElement|null} */
-      this.settingsPanel = null;
 
-      /** @type {boolean} */
-      this.settingsPanelVisible = false;
 
-      /** @type {ViewportVisibilityDetector} */
-      this.viewportDetector = new ViewportVisibilityDetector();
 
-      /** @type {Function|null} */
-      this.throttledViewportRefresh = null;
 
-      /** @type {Map<string, any>} */
-      this.nodeCache = new Map();
 
-      // Draggable state
-      /** @type {boolean} */
-      this.isDragging = false;
 
-      /** @type {{startX: number, startY: number, startLeft: number, startTop: number}|null} */
-      this.dragState = null;
 
-      // Resizable state
-      /** @type {boolean} */
-      this.isResizing = false;
 
-      /** @type {{startX: number, startY: number, startWidth: number, startHeight: number, startLeft: number, startTop: number, direction: string}|null} */
-      this.resizeState = null;
 
-      /** @type {Map<string, string>} */
-      this.renderCache = new Map();
 
-      /** @type {string|null} */
-      this.lastComponentsHash = null;
 
-      /** @type {Function|null} */
-      this.throttledRefresh = null;
 
-      /** @type {number|null} */
-      this.animationFrameId = null;
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+      }
 
-      /** @type {IntersectionObserver|null} */
-      this.intersectionObserver = null;
+      if (this.mainTooltip) {
+        this.mainTooltip.remove();
+        this.mainTooltip = null;
+      }
 
-      /** @type {number|null} */
-      this.resizeTimeout = null;
+      this.sourceSection = null;
+      this.isMainVisible = false;
+    }
+  }
 
-      // Bind methods
-      this.handleKeyDown = this.handleKeyDown.bind(this);
-      this.handleTreeKeyDown = this.handleTreeKeyDown.bind(this);
-      this.handleTreeItemClick = this.handleTreeItemClick.bind(this);
-      this.close = this.close.bind(this);
+  /**
+   * Context menu listing actions, used by the tree view and the overlay.
+   * Closes on outside clicks, scrolling, Escape and after an action runs.
+   * @class ContextMenu
+   */
+  class ContextMenu {
+    /**
+     * Create a new ContextMenu instance
+     * @constructor
+     */
+    constructor() {
+      /** @type {HTMLDivElement|null} Menu DOM element */
+      this.element = null;
 
-      // Initialize performance optimizations
-      this.initializePerformanceOptimizations();
+      /** @type {MenuItem[]} Items of the open menu */
+      this.items = [];
 
-      // Initialize keyboard shortcut listener
-      this.initializeKeyboardShortcut();
+      /** @type {number} Index of the keyboard-highlighted item, -1 if none */
+      this.activeIndex = -1;
 
-      // Initialize window resize handler
-      this.handleWindowResize = this.handleWindowResize.bind(this);
-      window.addEventListener('resize', this.handleWindowResize);
+      /** @type {boolean} Whether the menu is open */
+      this.isOpen = false;
+
+      this.handleOutsideMouseDown = this.handleOutsideMouseDown.bind(this);
+      this.handleKeyDown = this.handleKeyDown.bind(this);
+      this.hide = this.hide.bind(this);
     }
 
     /**
-     * Handle state changes for synchronization
-     * @param {string} type - Change type
-     * @param {*} data - Change data
+     * Open the menu at a viewport position, replacing any open menu
+     * @param {number} x - Viewport X coordinate
+     * @param {number} y - Viewport Y coordinate
+     * @param {MenuItem[]} items - Items to list
      * @returns {void}
      */
-    handleStateChange(type, data) {
-      switch (type) {
-        case 'targetElementChanged':
-          // Synchronize tree selection with hovered element when Alt is pressed
-          if (data.element && this.devtoolsSystem.state.altPressed) {
-            this.syncTreeSelectionWithHover(data.element);
-          }
-          break;
-        case 'reset':
-          // Clear tree selection when devtools is reset
-          if (this.isVisible) {
-            this.clearSelection();
-          }
-          break;
-      }
+    show(x, y, items) {
+      this.hide();
+
+      const menu = document.createElement('div');
+      menu.setAttribute(DEVTOOLS_UI_ATTRIBUTE, '');
+      menu.setAttribute('role', 'menu');
+      menu.style.cssText = `
+        position: fixed;
+        left: 0;
+        top: 0;
+        min-width: 200px;
+        padding: 4px 0;
+        box-sizing: border-box;
+        background: var(--devtools-menu-bg);
+        border: 1px solid var(--devtools-menu-border);
+        border-radius: 6px;
+        box-shadow: var(--devtools-menu-shadow);
+        color: var(--tree-text-color);
+        font-family: var(--tree-text-font-family);
+        font-size: 12px;
+        z-index: calc(var(--tree-panel-z-index) + 2);
+        user-select: none;
+      `;
+
+      this.items = items;
+      this.activeIndex = -1;
+      items.forEach((item, index) => menu.appendChild(this.createItemElement(item, index)));
+
+      document.body.appendChild(menu);
+      this.element = menu;
+      this.isOpen = true;
+
+      // Keep the menu inside the viewport
+      const rect = menu.getBoundingClientRect();
+      const left = Math.max(4, Math.min(x, window.innerWidth - rect.width - 4));
+      const top = Math.max(4, Math.min(y, window.innerHeight - rect.height - 4));
+      menu.style.left = `${left}px`;
+      menu.style.top = `${top}px`;
+
+      document.addEventListener('mousedown', this.handleOutsideMouseDown, true);
+      document.addEventListener('keydown', this.handleKeyDown, true);
+      window.addEventListener('scroll', this.hide, { capture: true, passive: true });
+      window.addEventListener('blur', this.hide);
+      window.addEventListener('resize', this.hide);
     }
 
     /**
-     * Initialize performance optimizations
+     * Create the element for a menu item
+     * @param {MenuItem} item - Menu item
+     * @param {number} index - Item index
+     * @returns {HTMLDivElement} Item element
      */
-    initializePerformanceOptimizations() {
-      // Create throttled refresh function
-      this.throttledRefresh = this.throttle(() => {
-        this.refreshTreeIfNeeded();
-      }, 250);
+    createItemElement(item, index) {
+      const row = document.createElement('div');
 
-      // Set up intersection observer for lazy loading
-      if ('IntersectionObserver' in window) {
-        this.intersectionObserver = new IntersectionObserver(
-          (entries) => {
-            entries.forEach(entry => {
-              if (entry.isIntersecting) {
-                this.loadNodeContent(entry.target);
-              }
-            });
-          },
-          { threshold: 0.1 }
-        );
+      if (item.separator) {
+        row.style.cssText = `
+          height: 1px;
+          margin: 4px 0;
+          background: var(--devtools-menu-border);
+        `;
+        return row;
       }
 
-      // Listen for DOM mutations to detect component changes
-      if ('MutationObserver' in window) {
-        this.mutationObserver = new MutationObserver(() => {
-          if (this.throttledRefresh) {
-            this.throttledRefresh();
-          }
-        });
-      }
-    }
+      row.setAttribute('role', 'menuitem');
+      row.dataset.menuIndex = String(index);
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        gap: 16px;
+        padding: 4px 12px;
+        cursor: ${item.disabled ? 'default' : 'pointer'};
+        opacity: ${item.disabled ? '0.45' : '1'};
+        white-space: nowrap;
+      `;
 
-    /**
-     * Initialize keyboard shortcut listener for Alt+Shift
-     */
-    initializeKeyboardShortcut() {
-      document.addEventListener('keydown', this.handleKeyDown);
-    }
+      const label = document.createElement('span');
+      label.textContent = item.label || '';
+      row.appendChild(label);
 
-    /**
-     * Throttle function execution
-     * @param {Function} func - Function to throttle
-     * @param {number} delay - Delay in milliseconds
-     * @returns {Function} Throttled function
-     */
-    throttle(func, delay) {
-      /** @type {number|undefined} */
-      let timeoutId;
-      let lastExecTime = 0;
+      if (item.shortcut) {
+        const shortcut = document.createElement('span');
+        shortcut.textContent = item.shortcut;
+        shortcut.style.color = 'var(--tree-text-muted-color)';
+        row.appendChild(shortcut);
+      }
 
-      return (/** @type {any[]} */ ...args) => {
-        const currentTime = Date.now();
+      if (!item.disabled) {
+        row.addEventListener('mouseenter', () => this.setActiveIndex(index));
+        row.addEventListener('mouseleave', () => this.setActiveIndex(-1));
+        row.addEventListener('click', (event) => {
+          event.stopPropagation();
+          this.runItem(item);
+        });
+      }
 
-        if (currentTime - lastExecTime > delay) {
-          func.apply(this, args);
-          lastExecTime = currentTime;
-        } else {
-          if (timeoutId !== undefined) {
-            clearTimeout(timeoutId);
-          }
-          timeoutId = setTimeout(() => {
-            func.apply(this, args);
-            lastExecTime = Date.now();
-          }, delay - (currentTime - lastExecTime));
-        }
-      };
+      return row;
     }
 
     /**
-     * Generate hash for components to detect changes
-     * @param {ComponentInfo[]} components - Component array
-     * @returns {string} Hash string
+     * Highlight an item
+     * @param {number} index - Item index, -1 for none
+     * @returns {void}
      */
-    generateComponentsHash(components) {
-      return components
-        .map(comp => `${comp.filename}:${comp.line}:${comp.path}`)
-        .join('|');
+    setActiveIndex(index) {
+      if (!this.element) return;
+
+      this.activeIndex = index;
+      this.element.querySelectorAll('[data-menu-index]').forEach(row => {
+        const active = /** @type {HTMLElement} */ (row).dataset.menuIndex === String(index);
+        /** @type {HTMLElement} */ (row).style.background = active ? 'var(--devtools-menu-item-hover-bg)' : 'transparent';
+      });
     }
 
     /**
-     * Check if tree needs refresh and refresh if needed
+     * Move the keyboard highlight to the next enabled item
+     * @param {1|-1} direction - 1 for down, -1 for up
+     * @returns {void}
      */
-    refreshTreeIfNeeded() {
-      if (!this.isVisible) return;
-
-      const components = this.devtoolsSystem.getAllComponents();
-      const currentHash = this.generateComponentsHash(components);
-
-      if (currentHash !== this.lastComponentsHash) {
-        this.lastComponentsHash = currentHash;
-        this.refreshTree();
+    moveActiveIndex(direction) {
+      const count = this.items.length;
+      for (let step = 1; step <= count; step++) {
+        const index = (this.activeIndex + direction * step + count) % count;
+        const item = this.items[index];
+        if (!item.separator && !item.disabled) {
+          this.setActiveIndex(index);
+          return;
+        }
       }
     }
 
     /**
-     * Load content for a tree node (lazy loading)
-     * @param {Element} nodeElement - Node element to load
+     * Close the menu and run an item's action
+     * @param {MenuItem} item - Menu item
+     * @returns {void}
      */
-    loadNodeContent(nodeElement) {
-      const nodeId = /** @type {HTMLElement} */ (nodeElement).dataset.nodeId;
-      if (!nodeId || this.renderCache.has(nodeId)) return;
-
-      const node = this.findNodeById(nodeId);
-      if (!node) return;
-
-      // Mark as loaded
-      this.renderCache.set(nodeId, 'loaded');
-
-      // Load additional metadata if needed
-      this.loadNodeMetadata(node, nodeElement);
+    runItem(item) {
+      this.hide();
+      try {
+        if (item.action) item.action();
+      } catch (error) {
+        console.error(`Error running menu action "${item.label}":`, error);
+      }
     }
 
     /**
-     * Load additional metadata for a node
-     * @param {TreeNode} _node - Tree node (unused for now)
-     * @param {Element} nodeElement - Node DOM element
+     * Close the menu when clicking outside of it
+     * @param {MouseEvent} event - Mouse event
      * @returns {void}
      */
-    loadNodeMetadata(_node, nodeElement) {
-      // This could load additional information like component props,
-      // file size, last modified date, etc.
-      // For now, we'll just ensure the element is properly initialized
-
-      const htmlElement = /** @type {HTMLElement} */ (nodeElement);
-      if (!htmlElement.dataset.loaded) {
-        htmlElement.dataset.loaded = 'true';
-
-        // Add any additional lazy-loaded content here
-        // For example, component statistics, dependencies, etc.
+    handleOutsideMouseDown(event) {
+      if (this.element && !this.element.contains(/** @type {Node} */ (event.target))) {
+        this.hide();
       }
     }
 
     /**
-     * Handle keyboard shortcut for opening tree view
+     * Navigate the menu with the keyboard while it is open
      * @param {KeyboardEvent} event - Keyboard event
+     * @returns {void}
      */
     handleKeyDown(event) {
-      // Alt + Shift combination
-      if (event.altKey && event.shiftKey && !event.metaKey && !event.ctrlKey) {
-        event.preventDefault();
-        this.toggle();
+      switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+          this.moveActiveIndex(event.key === 'ArrowDown' ? 1 : -1);
+          break;
+        case 'Enter': {
+          const item = this.items[this.activeIndex];
+          if (item && !item.separator && !item.disabled) {
+            this.runItem(item);
+          }
+          break;
+        }
+        case 'Escape':
+          this.hide();
+          break;
+        default:
+          return;
       }
+
+      // The menu owns these keys while open
+      event.preventDefault();
+      event.stopPropagation();
     }
 
     /**
-     * Get saved panel position from localStorage
-     * @returns {{x: number, y: number}} Position object with x and y coordinates
+     * Close the menu
+     * @returns {void}
      */
-    getSavedPosition() {
-      const position = PersistentStorage.get('componentTreePanel.position');
+    hide() {
+      if (!this.isOpen) return;
 
-      // Validate position values
-      if (position && typeof position.x === 'number' && typeof position.y === 'number' &&
-          position.x >= 0 && position.y >= 0 &&
-          position.x < window.innerWidth && position.y < window.innerHeight) {
-        return position;
-      }
+      document.removeEventListener('mousedown', this.handleOutsideMouseDown, true);
+      document.removeEventListener('keydown', this.handleKeyDown, true);
+      window.removeEventListener('scroll', this.hide, { capture: true });
+      window.removeEventListener('blur', this.hide);
+      window.removeEventListener('resize', this.hide);
 
-      // Return default position (top-right with 8px offset)
-      return {
-        x: window.innerWidth - 400 - 8,
-        y: 8
-      };
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+      this.items = [];
+      this.activeIndex = -1;
+      this.isOpen = false;
     }
 
     /**
-     * Save panel position to localStorage
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
+     * Cleanup resources
+     * @returns {void}
      */
-    savePosition(x, y) {
-      PersistentStorage.set('componentTreePanel.position', { x, y });
+    destroy() {
+      this.hide();
     }
+  }
 
+  /**
+   * Viewport visibility utility class for detecting which elements are currently visible
+   * @class ViewportVisibilityDetector
+   */
+  class ViewportVisibilityDetector {
     /**
-     * Get saved panel size from localStorage
-     * @returns {{width: number, height: number}} Size object with width and height
+     * Create a new ViewportVisibilityDetector instance
+     * @constructor
      */
-    getSavedSize() {
-      const size = PersistentStorage.get('componentTreePanel.size');
+    constructor() {
+      /** @type {Map<Element, boolean>} Cache for element visibility status */
+      this.visibilityCache = new Map();
 
-      // Validate size values with min/max constraints
-      if (size && typeof size.width === 'number' && typeof size.height === 'number' &&
-          size.width >= 300 && size.height >= 400 &&
-          size.width <= window.innerWidth && size.height <= window.innerHeight) {
-        return size;
-      }
+      /** @type {number|null} Throttle timeout ID */
+      this.throttleTimeoutId = null;
 
-      // Return default size
-      return {
-        width: 400,
-        height: 600
-      };
-    }
+      /** @type {number} Throttle delay in milliseconds */
+      this.throttleDelay = 100;
 
-    /**
-     * Save panel size to localStorage
-     * @param {number} width - Panel width
-     * @param {number} height - Panel height
-     */
-    saveSize(width, height) {
-      PersistentStorage.set('componentTreePanel.size', { width, height });
-    }
+      /** @type {IntersectionObserver|null} Intersection observer for efficient visibility detection */
+      this.intersectionObserver = null;
 
-    /**
-     * Toggle tree view visibility
-     */
-    toggle() {
-      if (this.isVisible) {
-        this.hide();
-      } else {
-        this.show();
-      }
+      /** @type {Map<Element, boolean>} Intersection observer results cache */
+      this.intersectionCache = new Map();
+
+      /** @type {boolean} Whether to use intersection observer for better performance */
+      this.useIntersectionObserver = 'IntersectionObserver' in window;
     }
 
     /**
-     * Show the component tree view
+     * Check if an element is currently visible in the viewport
+     * @param {Element} element - Element to check
+     * @returns {boolean} True if element is visible in viewport
      */
-    show() {
-      if (this.isVisible) return;
+    isElementInViewport(element) {
+      if (!element || !element.getBoundingClientRect) {
+        return false;
+      }
 
       try {
-        this.buildTreeData();
-        this.initializeTreeState();
-        this.createPanel();
-        this.renderTree();
-        this.positionPanel();
-
-        // Add React DevTools-style entrance animation
-        this.animateEntrance();
+        const rect = ComposedTree.getViewportRect(element);
+        const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
 
-        this.isVisible = true;
+        // Check if element is completely outside viewport
+        if (rect.bottom <= 0 || rect.top >= viewportHeight ||
+            rect.right <= 0 || rect.left >= viewportWidth) {
+          return false;
+        }
 
-        // Start monitoring for changes
-        this.startChangeMonitoring();
+        // Check if element has any visible area (not zero-sized)
+        if (rect.width <= 0 || rect.height <= 0) {
+          return false;
+        }
 
-      // Start viewport monitoring if filter is enabled
-      if (this.devtoolsSystem.options.viewportVisibilityFilter) {
-        this.startViewportMonitoring();
-        this.initializeViewportOptimizations();
-      }
-
-        // Handle edge cases
-        this.handleEdgeCases();
-
-        // Focus the tree for keyboard navigation with slight delay
-        setTimeout(() => {
-          if (this.treeContainer) {
-            this.treeContainer.focus();
-          }
-        }, 200);
+        // Element is at least partially visible
+        return true;
       } catch (error) {
-        console.error('Error showing component tree view:', error);
-        this.hide();
+        console.warn('Error checking element viewport visibility:', error);
+        return false;
       }
     }
 
     /**
-     * Start monitoring for component changes
+     * Check if an element is fully visible in the viewport
+     * @param {Element} element - Element to check
+     * @returns {boolean} True if element is fully visible in viewport
      */
-    startChangeMonitoring() {
-      if (this.mutationObserver) {
-        this.mutationObserver.observe(document.body, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-          attributeFilter: ['data-source-path', DEVTOOLS_PROPERTIES.SCALA_SOURCE_PATH]
-        });
+    isElementFullyInViewport(element) {
+      if (!element || !element.getBoundingClientRect) {
+        return false;
       }
-    }
 
-    /**
-     * Stop monitoring for component changes
-     */
-    stopChangeMonitoring() {
-      if (this.mutationObserver) {
-        this.mutationObserver.disconnect();
+      try {
+        const rect = ComposedTree.getViewportRect(element);
+        const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+
+        return (
+          rect.top >= 0 &&
+          rect.left >= 0 &&
+          rect.bottom <= viewportHeight &&
+          rect.right <= viewportWidth &&
+          rect.width > 0 &&
+          rect.height > 0
+        );
+      } catch (error) {
+        console.warn('Error checking element full viewport visibility:', error);
+        return false;
       }
     }
 
     /**
-     * Hide the component tree view with React DevTools-style exit animation
+     * Get visibility status for an element with caching
+     * @param {Element} element - Element to check
+     * @param {boolean} [useCache=true] - Whether to use cached results
+     * @returns {boolean} True if element is visible in viewport
      */
-    hide() {
-      if (!this.isVisible) return;
-
-      // Stop monitoring changes
-      this.stopChangeMonitoring();
-
-      // Stop viewport monitoring
-      this.stopViewportMonitoring();
-
-      // Deactivate tree selection mode
-      this.devtoolsSystem.state.setTreeSelectionActive(false);
-      this.devtoolsSystem.state.setTreeSelectedElement(null);
-
-      // Cancel any pending animations
-      if (this.animationFrameId) {
-        cancelAnimationFrame(this.animationFrameId);
-        this.animationFrameId = null;
+    getElementVisibility(element, useCache = true) {
+      // Use intersection observer cache if available
+      if (this.useIntersectionObserver && this.intersectionCache.has(element)) {
+        return this.intersectionCache.get(element) || false;
       }
 
-      // Clean up drag and resize state
-      this.cleanupDragAndResize();
-
-      // Animate exit
-      this.animateExit(() => {
-        if (this.panelElement) {
-          this.panelElement.remove();
-          this.panelElement = null;
-          this.treeContainer = null;
-          this.headerElement = null;
-        }
-
-        // Reset settings panel state when panel is hidden
-        this.settingsPanel = null;
-        this.settingsButton = null;
-        this.refreshButton = null;
-        this.settingsPanelVisible = false;
-        // Remove any lingering click outside listener
-        document.removeEventListener('click', this.handleClickOutsideSettings, true);
-
-        this.isVisible = false;
-        this.selectedNodeId = null;
-
-        // Clear caches
-        this.renderCache.clear();
-
-        // Hide any active overlays
-        this.devtoolsSystem.hideAll();
-      });
-    }
+      if (useCache && this.visibilityCache.has(element)) {
+        return this.visibilityCache.get(element) || false;
+      }
 
-    /**
-     * Close the tree view (same as hide but can be called from UI)
-     */
-    close() {
-      this.hide();
+      const isVisible = this.isElementInViewport(element);
+      this.visibilityCache.set(element, isVisible);
+      return isVisible;
     }
 
     /**
-     * Build hierarchical tree data from components
+     * Initialize intersection observer for efficient visibility tracking
+     * @param {Element[]} elements - Elements to observe
+     * @returns {void}
      */
-    buildTreeData() {
-      const components = this.devtoolsSystem.getAllComponents();
-      const currentHash = this.generateComponentsHash(components);
-
-      // Use cached data if available and unchanged
-      if (this.lastComponentsHash === currentHash && this.treeData) {
+    initializeIntersectionObserver(elements) {
+      if (!this.useIntersectionObserver || this.intersectionObserver) {
         return;
       }
 
-      this.lastComponentsHash = currentHash;
-      this.treeData = this.buildHierarchy(components);
-
-      // Clear render cache when tree data changes
-      this.renderCache.clear();
+      this.intersectionObserver = new IntersectionObserver(
+        (entries) => {
+          entries.forEach(entry => {
+            this.intersectionCache.set(entry.target, entry.isIntersecting);
+          });
+        },
+        {
+          root: null, // Use viewport as root
+          rootMargin: '0px',
+          threshold: 0 // Trigger when any part becomes visible
+        }
+      );
 
-      // Update viewport optimizations if enabled
-      if (this.devtoolsSystem.options.viewportVisibilityFilter) {
-        this.updateViewportOptimizations();
-      }
+      // Observe all elements
+      elements.forEach(element => {
+        if (this.intersectionObserver) {
+          this.intersectionObserver.observe(element);
+        }
+      });
     }
 
     /**
-     * Build component hierarchy from flat component list
-     * @param {ComponentInfo[]} components - Flat list of components
-     * @returns {TreeNode[]} Hierarchical tree structure
+     * Update intersection observer with new elements
+     * @param {Element[]} elements - New elements to observe
+     * @returns {void}
      */
-    buildHierarchy(components) {
-      const nodeMap = new Map();
-      /** @type {TreeNode[]} */
-      const rootNodes = [];
-
-      // Create tree nodes for each component
-      components.forEach((comp, index) => {
-        const node = {
-          id: `node-${index}`,
-          element: comp.element,
-          filename: comp.filename,
-          line: comp.line,
-          path: comp.path,
-          children: [],
-          parent: null,
-          expanded: false,
-          level: 0
-        };
-        nodeMap.set(comp.element, node);
-      });
+    updateIntersectionObserver(elements) {
+      if (!this.useIntersectionObserver || !this.intersectionObserver) {
+        return;
+      }
 
-      // Build parent-child relationships
-      components.forEach(comp => {
-        const node = nodeMap.get(comp.element);
-        const parentElement = this.findParentComponent(comp.element);
+      // Disconnect and reconnect with new elements
+      this.intersectionObserver.disconnect();
+      this.intersectionCache.clear();
 
-        if (parentElement && nodeMap.has(parentElement)) {
-          const parentNode = nodeMap.get(parentElement);
-          node.parent = parentNode;
-          node.level = parentNode.level + 1;
-          parentNode.children.push(node);
-        } else {
-          // This is a root node
-          rootNodes.push(node);
+      elements.forEach(element => {
+        if (this.intersectionObserver) {
+          this.intersectionObserver.observe(element);
         }
       });
-
-      // Sort children by DOM order for consistent display
-      this.sortNodesByDOMOrder(rootNodes);
-
-      return rootNodes;
     }
 
     /**
-     * Find parent component element using existing keyboard navigator logic
-     * @param {Element} element - Child element
-     * @returns {Element|null} Parent component element
+     * Clear the visibility cache
+     * @returns {void}
      */
-    findParentComponent(element) {
-      return this.devtoolsSystem.keyboard.findParentComponent(element);
+    clearCache() {
+      this.visibilityCache.clear();
+      this.intersectionCache.clear();
     }
 
     /**
-     * Sort tree nodes by their DOM order recursively
-     * @param {TreeNode[]} nodes - Array of tree nodes to sort
+     * Update visibility cache for multiple elements
+     * @param {Element[]} elements - Array of elements to update
      * @returns {void}
      */
-    sortNodesByDOMOrder(nodes) {
-      // Sort by DOM position
-      nodes.sort((a, b) => {
-        const position = a.element.compareDocumentPosition(b.element);
-        if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
-          return -1;
-        } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
-          return 1;
-        }
-        return 0;
-      });
-
-      // Recursively sort children
-      nodes.forEach(node => {
-        if (node.children.length > 0) {
-          this.sortNodesByDOMOrder(node.children);
-        }
+    updateVisibilityCache(elements) {
+      elements.forEach(element => {
+        const isVisible = this.isElementInViewport(element);
+        this.visibilityCache.set(element, isVisible);
       });
     }
 
     /**
-     * Get clean component name derived from filename
-     * @param {TreeNode} node - Tree node
-     * @returns {string} Clean component name
+     * Get all visible elements from a list
+     * @param {Element[]} elements - Array of elements to filter
+     * @returns {Element[]} Array of visible elements
      */
-    getComponentDisplayName(node) {
-      // Extract clean component name from filename only
-      const filename = node.filename || 'Unknown';
-      return filename.replace(/\.(scala|js|ts)$/, '');
+    filterVisibleElements(elements) {
+      return elements.filter(element => this.getElementVisibility(element, false));
     }
 
+    /**
+     * Throttled cache update function
+     * @param {Element[]} elements - Elements to update
+     * @param {Function} [callback] - Optional callback after update
+     * @returns {void}
+     */
+    throttledUpdateCache(elements, callback) {
+      if (this.throttleTimeoutId) {
+        clearTimeout(this.throttleTimeoutId);
+      }
 
+      this.throttleTimeoutId = setTimeout(() => {
+        this.updateVisibilityCache(elements);
+        if (callback) {
+          callback();
+        }
+        this.throttleTimeoutId = null;
+      }, this.throttleDelay);
+    }
 
     /**
-     * Flatten tree structure for linear navigation
-     * @param {TreeNode[]|null} [nodes] - Root nodes
-     * @param {TreeNode[]} [result] - Accumulator for flattened nodes
-     * @returns {TreeNode[]} Flattened array of visible nodes
+     * Check if any part of an element is visible, including checking parent visibility
+     * @param {Element} element - Element to check
+     * @returns {boolean} True if element or any parent is visible
      */
-    flattenVisibleNodes(nodes = this.treeData, result = []) {
-      if (!nodes) return result;
-      nodes.forEach(node => {
-        result.push(node);
-        if (node.expanded && node.children.length > 0) {
-          this.flattenVisibleNodes(node.children, result);
+    isElementOrParentVisible(element) {
+      let currentElement = /** @type {Element|null} */ (element);
+
+      while (currentElement && currentElement !== document.body) {
+        if (this.isElementInViewport(currentElement)) {
+          return true;
         }
-      });
-      return result;
+        currentElement = ComposedTree.getParent(currentElement);
+      }
+
+      return false;
     }
 
     /**
-     * Create the main panel element
+     * Cleanup resources
+     * @returns {void}
      */
-    createPanel() {
-      // Get saved position and size
-      const savedPosition = this.getSavedPosition();
-      const savedSize = this.getSavedSize();
+    destroy() {
+      if (this.throttleTimeoutId) {
+        clearTimeout(this.throttleTimeoutId);
+        this.throttleTimeoutId = null;
+      }
+
+      if (this.intersectionObserver) {
+        this.intersectionObserver.disconnect();
+        this.intersectionObserver = null;
+      }
+
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Keyboard navigation class for component tree traversal and navigation logic
+   * @class KeyboardNavigator
+   */
+  class KeyboardNavigator {
+    /**
+     * Create a new KeyboardNavigator instance
+     * @constructor
+     * @param {DevtoolsState} state - State management instance
+     * @param {OverlayManager} overlayManager - Overlay management instance
+     */
+    constructor(state, overlayManager) {
+      /** @type {DevtoolsState} State management instance */
+      this.state = state;
+
+      /** @type {OverlayManager} Overlay management instance */
+      this.overlayManager = overlayManager;
+
+      /** @type {Function} Unsubscribe function for state changes */
+      this.unsubscribe = this.state.subscribe((type, data) => {
+        this.handleStateChange(type, data);
+      });
+    }
+
+    /**
+     * Handle state changes
+     * @param {string} type - Change type
+     * @param {*} data - Change data
+     * @returns {void}
+     */
+    handleStateChange(type, data) {
+      switch (type) {
+        case 'reset':
+          // Navigation state is already reset in DevtoolsState
+          break;
+        case 'keyboardSelectionChanged':
+          if (data.element) {
+            this.updateSelection(data.element);
+          }
+          break;
+      }
+    }
+
+    /**
+     * Handle keyboard navigation in a specific direction
+     * @param {'up'|'down'|'left'|'right'} direction - Navigation direction
+     * @returns {void}
+     */
+    navigate(direction) {
+      let targetElement = null;
+      const currentElement = this.state.keyboardSelectedElement || this.state.currentTargetElement;
+
+      if (!currentElement) {
+        // No current element, start with first top-level component
+        const topLevel = this.findTopLevelComponents();
+        if (topLevel.length > 0) {
+          targetElement = topLevel[0];
+        } else {
+          return;
+        }
+      } else {
+        switch (direction) {
+          case 'up':
+            targetElement = this.navigateToParent(currentElement);
+            break;
+          case 'down':
+            targetElement = this.navigateToFirstChild(currentElement);
+            break;
+          case 'left':
+            targetElement = this.navigateToPreviousSibling(currentElement);
+            break;
+          case 'right':
+            targetElement = this.navigateToNextSibling(currentElement);
+            break;
+        }
+      }
+
+      if (targetElement) {
+        this.state.setKeyboardSelectedElement(targetElement);
+        this.state.setCurrentTargetElement(targetElement);
+      }
+    }
+
+    /**
+     * Handle Enter key to open selected component file
+     * @param {CallSiteKind} [kind='usage'] - Whether to open where the component is used or defined
+     * @returns {void}
+     */
+    openSelectedFile(kind = 'usage') {
+      const targetElement = this.state.keyboardSelectedElement || this.state.currentTargetElement;
+
+      if (!targetElement) {
+        return;
+      }
+
+      try {
+        if (!openComponentSource(targetElement, kind)) {
+          return;
+        }
+        this.state.reset();
+      } catch (error) {
+        console.error("Error opening file from keyboard navigation:", error);
+      }
+    }
+
+    /**
+     * Update selection and overlay position
+     * @param {Element} element - Selected element
+     * @returns {void}
+     */
+    updateSelection(element) {
+      this.state.setCurrentTargetElement(element);
+    }
+
+
+
+    /**
+     * Navigate to parent component (with cycling)
+     * @param {Element} currentElement - Current element
+     * @returns {Element|null} Parent component or deepest if at root
+     */
+    navigateToParent(currentElement) {
+      if (!currentElement) return null;
+
+      const parent = this.findParentComponent(currentElement);
+      if (parent) {
+        return parent;
+      } else {
+        // At root level, cycle to the deepest component
+        return this.findDeepestComponent();
+      }
+    }
+
+    /**
+     * Navigate to first child component (with cycling)
+     * @param {Element} currentElement - Current element
+     * @returns {Element|null} First child or first component if no children
+     */
+    navigateToFirstChild(currentElement) {
+      if (!currentElement) return null;
+
+      const children = this.findChildComponents(currentElement);
+      if (children.length > 0) {
+        return children[0];
+      } else {
+        // No children, cycle to first component
+        return this.findFirstComponent();
+      }
+    }
+
+    /**
+     * Navigate to next sibling (with cycling)
+     * @param {Element} currentElement - Current element
+     * @returns {Element|null} Next sibling
+     */
+    navigateToNextSibling(currentElement) {
+      if (!currentElement) return null;
+      const allSiblings = this.getAllSiblingsIncludingCurrent(currentElement);
+      return this.getNextSibling(currentElement, allSiblings);
+    }
+
+    /**
+     * Navigate to previous sibling (with cycling)
+     * @param {Element} currentElement - Current element
+     * @returns {Element|null} Previous sibling
+     */
+    navigateToPreviousSibling(currentElement) {
+      if (!currentElement) return null;
+      const allSiblings = this.getAllSiblingsIncludingCurrent(currentElement);
+      return this.getPreviousSibling(currentElement, allSiblings);
+    }
+
+    /**
+     * Find immediate parent component, following portal content to its owner
+     * @param {Element} currentElement - Current element
+     * @returns {Element|null} Parent component
+     */
+    findParentComponent(currentElement) {
+      /** @type {Set<Element>} Portal roots passed, in case owner links form a cycle */
+      const passedPortals = new Set();
+      /** @type {Element|null} */
+      let element = currentElement;
+
+      while (element) {
+        const owner = Portals.getOwner(element);
+        if (owner) {
+          if (passedPortals.has(element)) return null;
+          passedPortals.add(element);
+        }
+
+        element = owner || ComposedTree.getParent(element);
+        if (!element || element === document.body) return null;
+        if (PropertyAccessor.hasSourcePath(element)) {
+          return element;
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Find direct child components, followed by the components in portals
+     * the element owns
+     * @param {Element} currentElement - Current element
+     * @param {Map<Element, Element[]>} [portalsByOwner] - Result of getPortalsByOwner, to share between calls
+     * @returns {Element[]} Child components
+     */
+    findChildComponents(currentElement, portalsByOwner = this.getPortalsByOwner()) {
+      const children = this.findDescendantComponents(currentElement);
+
+      (portalsByOwner.get(currentElement) || []).forEach(portal => {
+        if (PropertyAccessor.hasSourcePath(portal)) {
+          children.push(portal);
+        } else {
+          children.push(...this.findDescendantComponents(portal));
+        }
+      });
+
+      return children;
+    }
+
+    /**
+     * Group the portal roots in the document by the component owning them
+     * @returns {Map<Element, Element[]>} Portal roots keyed by owner component, or by `document.body` for owners outside of components
+     */
+    getPortalsByOwner() {
+      /** @type {Map<Element, Element[]>} */
+      const portalsByOwner = new Map();
+
+      Portals.getPortalRoots().forEach(portal => {
+        const owner = /** @type {Element} */ (Portals.getOwner(portal));
+        const ownerComponent = (PropertyAccessor.hasSourcePath(owner) ? owner : this.findParentComponent(owner)) || document.body;
+
+        const portals = portalsByOwner.get(ownerComponent);
+        if (portals) {
+          portals.push(portal);
+        } else {
+          portalsByOwner.set(ownerComponent, [portal]);
+        }
+      });
+
+      return portalsByOwner;
+    }
+
+    /**
+     * Find the first components on every path below an element, skipping
+     * portal content, which belongs to its owner
+     * @param {Element} root - Element to search below
+     * @returns {Element[]} Components in composed DOM order
+     */
+    findDescendantComponents(root) {
+      /** @type {Element[]} */
+      const components = [];
+
+      ComposedTree.walk(root, (element) => {
+        if (Portals.getOwner(element)) {
+          return false;
+        }
+        if (PropertyAccessor.hasSourcePath(element)) {
+          components.push(element);
+          return false;
+        }
+        return true;
+      });
+
+      return components;
+    }
+
+    /**
+     * Find all sibling components including current
+     * @param {Element} currentElement - Current element
+     * @returns {Element[]} All siblings including current
+     */
+    getAllSiblingsIncludingCurrent(currentElement) {
+      const parent = this.findParentComponent(currentElement);
+      if (!parent) {
+        return this.findTopLevelComponents();
+      }
+
+      return this.findChildComponents(parent);
+    }
+
+    /**
+     * Find all top-level components
+     * @param {Map<Element, Element[]>} [portalsByOwner] - Result of getPortalsByOwner, to share between calls
+     * @returns {Element[]} Top-level components
+     */
+    findTopLevelComponents(portalsByOwner = this.getPortalsByOwner()) {
+      return this.findChildComponents(document.body, portalsByOwner);
+    }
+
+    /**
+     * Get all components in depth-first order
+     * @returns {Element[]} All components
+     */
+    getAllComponentsInOrder() {
+      /** @type {Element[]} */
+      const components = [];
+      const portalsByOwner = this.getPortalsByOwner();
+
+      /**
+       * @param {Element} element - Element to traverse
+       */
+      const traverseDepthFirst = (element) => {
+        if (PropertyAccessor.hasSourcePath(element)) {
+          components.push(element);
+        }
+
+        const children = this.findChildComponents(element, portalsByOwner);
+        for (const child of children) {
+          traverseDepthFirst(child);
+        }
+      };
+
+      const topLevel = this.findTopLevelComponents(portalsByOwner);
+      for (const component of topLevel) {
+        traverseDepthFirst(component);
+      }
+
+      return components;
+    }
+
+    /**
+     * Find deepest component in tree
+     * @returns {Element|null} Deepest component
+     */
+    findDeepestComponent() {
+      const allComponents = this.getAllComponentsInOrder();
+      return allComponents.length > 0 ? allComponents[allComponents.length - 1] : null;
+    }
+
+    /**
+     * Find first component in tree
+     * @returns {Element|null} First component
+     */
+    findFirstComponent() {
+      const allComponents = this.getAllComponentsInOrder();
+      return allComponents.length > 0 ? allComponents[0] : null;
+    }
+
+    /**
+     * Get next sibling with cycling
+     * @param {Element} currentElement - Current element
+     * @param {Element[]} siblings - Sibling elements
+     * @returns {Element|null} Next sibling
+     */
+    getNextSibling(currentElement, siblings) {
+      if (siblings.length === 0) return null;
+
+      const currentIndex = siblings.indexOf(currentElement);
+      if (currentIndex === -1) return siblings[0];
+
+      return siblings[(currentIndex + 1) % siblings.length];
+    }
+
+    /**
+     * Get previous sibling with cycling
+     * @param {Element} currentElement - Current element
+     * @param {Element[]} siblings - Sibling elements
+     * @returns {Element|null} Previous sibling
+     */
+    getPreviousSibling(currentElement, siblings) {
+      if (siblings.length === 0) return null;
+
+      const currentIndex = siblings.indexOf(currentElement);
+      if (currentIndex === -1) return siblings[siblings.length - 1];
+
+      return siblings[(currentIndex - 1 + siblings.length) % siblings.length];
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+      }
+    }
+  }
+
+  /**
+   * Event management class for centralized event listener management and cleanup
+   * @class EventManager
+   */
+  class EventManager {
+    /**
+     * Create a new EventManager instance
+     * @constructor
+     * @param {DevtoolsSystem} devtoolsSystem - Devtools system instance
+     */
+    constructor(devtoolsSystem) {
+      this.devtoolsSystem = devtoolsSystem;
+      this.listeners = new Map();
+      this.throttledHandlers = new Map();
+      this.debouncedHandlers = new Map();
+
+      /** @type {WeakSet<Window>} Windows whose input events are listened to */
+      this.inputWindows = new WeakSet();
+
+      this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize all event listeners with performance optimizations
+     */
+    initializeEventListeners() {
+      this.addInputListeners(window);
+
+      // Window focus management
+      this.addListener(window, "blur", this.handleWindowBlur.bind(this));
+
+      // Resize handling
+      const debouncedResize = this.createDebouncedHandler(() => {
+        if (this.devtoolsSystem.state.currentTargetElement && this.devtoolsSystem.state.isInspecting()) {
+          this.devtoolsSystem.state.setCurrentTargetElement(this.devtoolsSystem.state.currentTargetElement);
+        }
+      }, DEBOUNCE_DELAY);
+      this.addListener(window, "resize", debouncedResize, { passive: true });
+    }
+
+    /**
+     * Listen to keyboard, mouse and scroll events of a window. Same-origin
+     * iframes get the same listeners when the mouse first enters them, so
+     * inspecting works inside frames too.
+     * @param {Window} view - Top-level window or window of a same-origin frame
+     * @returns {void}
+     */
+    addInputListeners(view) {
+      if (this.inputWindows.has(view)) return;
+      this.inputWindows.add(view);
+
+      // Keyboard event listeners
+      this.addListener(view, "keydown", this.handleKeyDown.bind(this));
+      this.addListener(view, "keyup", this.handleKeyUp.bind(this));
+
+      // Inspect mode catches clicks before they reach the app
+      const handleInspectPointer = this.handleInspectPointer.bind(this);
+      INSPECT_MODE_BLOCKED_EVENTS.forEach(type => {
+        this.addListener(view, type, handleInspectPointer, { capture: true });
+      });
+
+      // Mouse movement with optimized throttling
+      const optimizedMouseMove = this.createThrottledHandler(
+        this.handleMouseMove.bind(this),
+        MOUSEMOVE_THROTTLE_DELAY
+      );
+      this.addListener(view, "mousemove", optimizedMouseMove);
+
+      // Frames are attached when the mouse first moves over them
+      this.addListener(view, "mouseover", this.handleMouseOver.bind(this), { capture: true, passive: true });
+
+      // Scroll handling
+      this.addListener(view, "scroll", () => {
+        if (this.devtoolsSystem.state.isInspecting()) {
+          this.devtoolsSystem.overlay.hide();
+        }
+      }, { passive: true });
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     * @param {EventTarget} target - Event target
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object} [options={}] - Event options
+     * @returns {void}
+     */
+    addListener(target, type, handler, options = {}) {
+      target.addEventListener(type, /** @type {EventListenerOrEventListenerObject} */ (handler), options);
+
+      const key = `${target.constructor.name}-${type}`;
+      if (!this.listeners.has(key)) {
+        this.listeners.set(key, []);
+      }
+      this.listeners.get(key).push({ target, type, handler, options });
+    }
+
+    /**
+     * Create throttled handler with caching
+     * @param {Function} handler - Original handler
+     * @param {number} delay - Throttle delay
+     * @returns {Function} Throttled handler
+     */
+    createThrottledHandler(handler, delay) {
+      const key = `${handler.name}-${delay}`;
+      if (this.throttledHandlers.has(key)) {
+        return this.throttledHandlers.get(key);
+      }
+
+      const throttledHandler = throttle(handler, delay);
+      this.throttledHandlers.set(key, throttledHandler);
+      return throttledHandler;
+    }
+
+    /**
+     * Create debounced handler with caching
+     * @param {Function} handler - Original handler
+     * @param {number} delay - Debounce delay
+     * @returns {Function} Debounced handler
+     */
+    createDebouncedHandler(handler, delay) {
+      const key = `${handler.name}-${delay}`;
+      if (this.debouncedHandlers.has(key)) {
+        return this.debouncedHandlers.get(key);
+      }
+
+      const debouncedHandler = debounce(handler, delay);
+      this.debouncedHandlers.set(key, debouncedHandler);
+      return debouncedHandler;
+    }
+
+    /**
+     * Handle keydown events
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {
+      const state = this.devtoolsSystem.state;
+
+      // Keyboard navigation between components
+      /** @type {Record<string, 'up'|'down'|'left'|'right'>} */
+      const navigationActions = {
+        navigateParent: 'up',
+        navigateChild: 'down',
+        navigatePrevious: 'left',
+        navigateNext: 'right'
+      };
+      for (const [action, direction] of Object.entries(navigationActions)) {
+        if (KeyMap.matches(event, action)) {
+          event.preventDefault();
+          this.devtoolsSystem.keyboard.navigate(direction);
+          return;
+        }
+      }
+
+      // Expand or collapse the source preview in the tooltip, only while it is shown
+      if (KeyMap.matches(event, 'toggleSourcePreview') && this.devtoolsSystem.tooltip.isMainVisible &&
+          state.currentTargetElement && !isEditableEventTarget(event)) {
+        event.preventDefault();
+        this.devtoolsSystem.tooltip.toggleSourcePreview();
+        return;
+      }
+
+      // Highlight all instances of the inspected component, or pin it. Only a
+      // component that is being inspected or selected right now counts.
+      if ((KeyMap.matches(event, 'highlightInstances') || KeyMap.matches(event, 'togglePin')) && !isEditableEventTarget(event)) {
+        const target = (state.keyboardNavigationActive && state.keyboardSelectedElement) ||
+          (state.isInspecting() && state.currentTargetElement) ||
+          (state.treeSelectionActive && state.treeSelectedElement);
+        if (target) {
+          event.preventDefault();
+          if (KeyMap.matches(event, 'highlightInstances')) {
+            this.devtoolsSystem.overlay.toggleHighlightAll(target);
+          } else {
+            this.devtoolsSystem.overlay.togglePin(target);
+          }
+        }
+        return;
+      }
+
+      if (KeyMap.matches(event, 'toggleInspectMode') && !isEditableEventTarget(event)) {
+        event.preventDefault();
+        this.devtoolsSystem.setInspectMode(!state.inspectModeActive);
+        return;
+      }
+
+      // Escape leaves inspect mode first, then clears highlighted instances
+      if (event.key === "Escape" && state.inspectModeActive) {
+        this.devtoolsSystem.setInspectMode(false);
+        return;
+      }
+
+      if (event.key === "Escape" && this.devtoolsSystem.overlay.instanceOverlays.size > 0) {
+        this.devtoolsSystem.overlay.clearHighlights();
+      }
+
+      // Open the component selected with keyboard navigation
+      if ((KeyMap.matches(event, 'openInEditor') || KeyMap.matches(event, 'openDefinition')) &&
+          state.keyboardNavigationActive) {
+        event.preventDefault();
+        this.devtoolsSystem.keyboard.openSelectedFile(KeyMap.matches(event, 'openDefinition') ? 'definition' : 'usage');
+        return;
+      }
+
+      if (KeyMap.isHoldKey(event, 'inspect') && !state.altPressed) {
+        // Inspect key pressed - clear component tree selection to prevent conflicts
+        if (this.devtoolsSystem.treeView && this.devtoolsSystem.treeView.isVisible) {
+          this.devtoolsSystem.treeView.clearSelection();
+        }
+
+        // Inspect key pressed - trigger overlay at current mouse position
+        state.setAltPressed(true);
+        this.inspectAtMousePosition();
+      }
+    }
+
+    /**
+     * Show the overlay and tooltip for the component under the mouse, even if
+     * it is already the current target
+     * @returns {void}
+     */
+    inspectAtMousePosition() {
+      // Create synthetic mouse event with current position
+      const syntheticMouseEvent = {
+        clientX: this.devtoolsSystem.state.currentMousePosition.clientX,
+        clientY: this.devtoolsSystem.state.currentMousePosition.clientY
+      };
+
+      // Always render overlay and show tooltip when inspection starts
+      this.renderDevtoolsOverlay(/** @type {MouseEvent} */ (syntheticMouseEvent));
+
+      // Force overlay to show even if target element hasn't changed
+      const targetElement = this.getTargetElementAtPosition(/** @type {MouseEvent} */ (syntheticMouseEvent));
+      if (targetElement) {
+        this.devtoolsSystem.overlay.show(targetElement);
+
+        // Force main tooltip to show even if target element hasn't changed
+        // This enables Alt key re-triggering on the same element
+        this.devtoolsSystem.tooltip.showMain(targetElement);
+      }
+    }
+
+    /**
+     * Handle keyup events
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyUp(event) {
+      if (KeyMap.isHoldKey(event, 'inspect')) {
+        this.devtoolsSystem.state.setAltPressed(false);
+        this.devtoolsSystem.state.setKeyboardNavigationActive(false);
+
+        // Inspect mode keeps the overlay until the user leaves it
+        if (!this.devtoolsSystem.state.inspectModeActive) {
+          this.devtoolsSystem.overlay.hide();
+          this.devtoolsSystem.tooltip.hideMain();
+        }
+      }
+    }
+
+    /**
+     * Keep pointer events from reaching the app in inspect mode, selecting the
+     * clicked component instead
+     * @param {MouseEvent} event - Mouse or pointer event
+     * @returns {void}
+     */
+    handleInspectPointer(event) {
+      if (!this.devtoolsSystem.state.inspectModeActive || event.button !== 0 ||
+          this.devtoolsSystem.isDevtoolsElement(/** @type {Node|null} */ (event.target))) {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (event.type === "click") {
+        const targetElement = this.getTargetElementAtPosition(/** @type {MouseEvent} */ (ComposedTree.toViewportPoint(event)));
+        if (targetElement) {
+          this.devtoolsSystem.selectComponent(targetElement);
+        }
+      }
+    }
+
+    /**
+     * Attach the input listeners to same-origin iframes the mouse enters
+     * @param {MouseEvent} event - Mouse event
+     * @returns {void}
+     */
+    handleMouseOver(event) {
+      const target = /** @type {Element|null} */ (event.target);
+      if (!target || target.nodeType !== Node.ELEMENT_NODE) return;
+
+      const frameDocument = ComposedTree.getFrameDocument(target);
+      if (frameDocument && frameDocument.defaultView) {
+        this.addInputListeners(frameDocument.defaultView);
+      }
+    }
+
+    /**
+     * Handle window blur events
+     */
+    handleWindowBlur() {
+      this.devtoolsSystem.state.reset();
+    }
+
+    /**
+     * Handle mouse move events
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseMove(event) {
+      // Always update mouse position, in the top-level viewport for events from frames
+      const position = ComposedTree.toViewportPoint(event);
+      this.devtoolsSystem.state.updateMousePosition(position.clientX, position.clientY);
+
+      if (this.devtoolsSystem.state.isInspecting()) {
+        // Switch to mouse mode if in keyboard mode
+        const wasKeyboardMode = this.devtoolsSystem.state.keyboardNavigationActive;
+        if (this.devtoolsSystem.state.keyboardNavigationActive) {
+          this.devtoolsSystem.state.setKeyboardNavigationActive(false);
+        }
+
+        // Use RAF throttling for smooth updates
+        rafThrottle(() => {
+          this.renderDevtoolsOverlay(/** @type {MouseEvent} */ (position));
+
+          // Force re-render if switching from keyboard mode
+          if (wasKeyboardMode && this.devtoolsSystem.state.currentTargetElement) {
+            this.devtoolsSystem.state.setCurrentTargetElement(this.devtoolsSystem.state.currentTargetElement);
+          }
+        })();
+      } else {
+        this.devtoolsSystem.overlay.hide();
+
+      }
+    }
+
+    /**
+     * Render devtools overlay based on mouse position
+     * @param {MouseEvent|null} mouseEvent - Mouse event
+     */
+    renderDevtoolsOverlay(mouseEvent) {
+      if (!mouseEvent) {
+        this.devtoolsSystem.overlay.hide();
+        return;
+      }
+
+      const targetElement = this.getTargetElementAtPosition(mouseEvent);
+      this.devtoolsSystem.state.setCurrentTargetElement(targetElement);
+    }
+
+    /**
+     * Get target element at mouse position
+     * @param {MouseEvent} mouseEvent - Mouse event
+     * @returns {Element|null} Target element
+     */
+    getTargetElementAtPosition(mouseEvent) {
+      const elementsAtPoint = ComposedTree.elementsFromPoint(
+        mouseEvent.clientX,
+        mouseEvent.clientY
+      );
+
+      for (const element of elementsAtPoint) {
+        const devtoolsElement = findDevtoolsElement(element);
+        if (devtoolsElement) {
+          return devtoolsElement;
+        }
+      }
+
+      return null;
+    }
+
+
+
+    /**
+     * Cleanup all event listeners
+     */
+    destroy() {
+      this.listeners.forEach((listenerList) => {
+        listenerList.forEach((/** @type {{target: EventTarget, type: string, handler: Function, options: Object}} */ { target, type, handler, options }) => {
+          target.removeEventListener(type, /** @type {EventListenerOrEventListenerObject} */ (handler), options);
+        });
+      });
+
+      this.listeners.clear();
+      this.throttledHandlers.clear();
+      this.debouncedHandlers.clear();
+    }
+  }
+
+  /**
+   * Inspector pane showing DOM details of the selected component element
+   * @class ComponentInspector
+   */
+  class ComponentInspector {
+    /**
+     * Create a new ComponentInspector instance
+     * @constructor
+     */
+    constructor() {
+      /** @type {HTMLDivElement|null} Inspector pane DOM element */
+      this.element = null;
+
+      /** @type {Element|null} Currently inspected element */
+      this.inspectedElement = null;
+
+      /** @type {HTMLDivElement|null} Container of the live subscriptions section */
+      this.subscriptionsContainer = null;
+
+      /** @type {number|null} Interval ID for refreshing subscription values */
+      this.liveUpdateTimer = null;
+
+      /** @type {number} Refresh interval for subscription values in milliseconds */
+      this.liveUpdateInterval = 500;
+
+      /** @type {boolean} Whether the pane is on screen, so that subscription values are worth refreshing */
+      this.liveUpdatesEnabled = true;
+    }
+
+    /**
+     * Create inspector pane element if it doesn't exist
+     * @returns {HTMLDivElement} Inspector pane element
+     */
+    createElement() {
+      if (this.element) {
+        return this.element;
+      }
+
+      const pane = document.createElement('div');
+      pane.style.cssText = `
+        flex: 0 0 var(--tree-inspector-width);
+        min-width: 0;
+        overflow-y: auto;
+        overflow-x: hidden;
+        padding: 12px;
+        box-sizing: border-box;
+        border-left: 1px solid var(--tree-inspector-border);
+        background: var(--tree-panel-bg);
+        color: var(--tree-text-color);
+        font-size: 12px;
+        scrollbar-width: thin;
+        scrollbar-color: var(--tree-scrollbar-thumb-bg) var(--tree-scrollbar-track-bg);
+      `;
+
+      this.element = pane;
+      this.render();
+      return pane;
+    }
+
+    /**
+     * Inspect an element
+     * @param {Element|null} element - Element to inspect, or null to clear
+     * @returns {void}
+     */
+    inspect(element) {
+      this.inspectedElement = element;
+      this.render();
+    }
+
+    /**
+     * Re-render the pane for the currently inspected element
+     * @returns {void}
+     */
+    refresh() {
+      this.render();
+    }
+
+    /**
+     * Render inspector content
+     * @returns {void}
+     */
+    render() {
+      if (!this.element) return;
+
+      this.element.innerHTML = '';
+      this.subscriptionsContainer = null;
+      this.stopLiveUpdates();
+      const target = this.inspectedElement;
+
+      if (!target || !target.isConnected) {
+        const placeholder = document.createElement('div');
+        placeholder.textContent = 'Select a component to inspect';
+        placeholder.style.cssText = `
+          color: var(--tree-text-muted-color);
+          text-align: center;
+          padding: 24px 0;
+        `;
+        this.element.appendChild(placeholder);
+        return;
+      }
+
+      if (PropertyAccessor.hasSourcePath(target)) {
+        this.element.appendChild(this.createSection('Source', this.createSourcePreview(target)));
+      }
+
+      const callSites = this.createCallSiteRows(target);
+      if (callSites) {
+        this.element.appendChild(this.createSection('Call sites', callSites));
+      }
+
+      const props = PropertyAccessor.getComponentProps(target);
+      if (props) {
+        this.element.appendChild(this.createSection('Props', this.createPropRows(props)));
+      }
+
+      const subscriptions = this.collectSubscriptions(target);
+      if (subscriptions.length > 0) {
+        this.subscriptionsContainer = document.createElement('div');
+        this.subscriptionsContainer.appendChild(this.createSubscriptionRows(subscriptions));
+        this.element.appendChild(this.createSection('Subscriptions', this.subscriptionsContainer));
+        this.startLiveUpdates();
+      }
+
+      this.element.appendChild(this.createSection('Element', this.createElementRows(target)));
+      this.element.appendChild(this.createSection('Attributes', this.createAttributeRows(target)));
+      this.element.appendChild(this.createSection('Inline styles', this.createInlineStyleRows(target)));
+      this.element.appendChild(this.createSection('Box model', this.createBoxModel(target)));
+      this.element.appendChild(this.createSection('Bounding rect', this.createRectRows(target)));
+    }
+
+    /**
+     * Create a titled section
+     * @param {string} title - Section title
+     * @param {Node} content - Section content
+     * @returns {HTMLDivElement} Section element
+     */
+    createSection(title, content) {
+      const section = document.createElement('div');
+      section.style.cssText = `
+        margin-bottom: 14px;
+      `;
+
+      const heading = document.createElement('div');
+      heading.textContent = title;
+      heading.style.cssText = `
+        color: var(--tree-inspector-section-title-color);
+        font-size: 11px;
+        font-weight: 600;
+        text-transform: uppercase;
+        letter-spacing: 0.04em;
+        margin-bottom: 6px;
+      `;
+
+      section.appendChild(heading);
+      section.appendChild(content);
+      return section;
+    }
+
+    /**
+     * Create a key/value row
+     * @param {string} key - Row label
+     * @param {string} value - Row value
+     * @returns {HTMLDivElement} Row element
+     */
+    createRow(key, value) {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        gap: 8px;
+        font-family: var(--devtools-font-family);
+        font-size: 11px;
+        line-height: 1.6;
+      `;
+
+      const keyElement = document.createElement('span');
+      keyElement.textContent = key;
+      keyElement.style.cssText = `
+        color: var(--tree-inspector-key-color);
+        flex-shrink: 0;
+      `;
+
+      const valueElement = document.createElement('span');
+      valueElement.textContent = value;
+      valueElement.title = value;
+      valueElement.style.cssText = `
+        color: var(--tree-inspector-value-color);
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      `;
+
+      row.appendChild(keyElement);
+      row.appendChild(valueElement);
+      return row;
+    }
+
+    /**
+     * Create a muted placeholder row for empty sections
+     * @param {string} text - Placeholder text
+     * @returns {HTMLDivElement} Placeholder element
+     */
+    createEmptyRow(text) {
+      const row = document.createElement('div');
+      row.textContent = text;
+      row.style.cssText = `
+        color: var(--tree-text-muted-color);
+        font-size: 11px;
+      `;
+      return row;
+    }
+
+    /**
+     * Create the source preview around a component's call site; clicking a
+     * line opens the file there
+     * @param {Element} target - Component element
+     * @returns {HTMLDivElement} Preview container, filled once the source is loaded
+     */
+    createSourcePreview(target) {
+      const container = document.createElement('div');
+      const sourcePath = PropertyAccessor.getSourcePath(target);
+      const sourceLine = parseInt(PropertyAccessor.getSourceLine(target) || '', 10);
+      if (!sourcePath || !sourceLine) {
+        container.appendChild(this.createEmptyRow('No source location'));
+        return container;
+      }
+
+      container.appendChild(this.createEmptyRow('Loading source…'));
+      SourcePreview.getSnippet(sourcePath, sourceLine, INSPECTOR_SOURCE_CONTEXT).then(snippet => {
+        // Skip if the pane was re-rendered meanwhile
+        if (!container.isConnected || this.inspectedElement !== target) return;
+
+        container.innerHTML = '';
+        container.appendChild(snippet
+          ? SourcePreview.render(snippet, line => openFileAtSourcePath(sourcePath, String(line)))
+          : this.createEmptyRow('Source unavailable, serve it with vite-plugin-laminar-devtools'));
+      });
+
+      return container;
+    }
+
+    /**
+     * Create clickable rows for where a component is used, where it is defined
+     * and the layout components that passed it down
+     * @param {Element} target - Component element
+     * @returns {DocumentFragment|null} Rows, or null if only the usage site is known
+     */
+    createCallSiteRows(target) {
+      const usage = PropertyAccessor.getCallSite(target, 'usage');
+      const definition = PropertyAccessor.getCallSite(target, 'definition');
+      const chain = PropertyAccessor.getLayoutChain(target);
+      const hasDefinition = Boolean(usage && definition && (definition.path !== usage.path || definition.line !== usage.line));
+      if (!usage || (!hasDefinition && chain.length === 0)) {
+        return null;
+      }
+
+      /** @type {Array<[string, CallSite]>} */
+      const sites = [['used at', usage]];
+      if (definition && hasDefinition) {
+        sites.push(['defined at', definition]);
+      }
+      chain.forEach(site => sites.push([`via ${site.name}`, site]));
+
+      const fragment = document.createDocumentFragment();
+      sites.forEach(([label, site]) => {
+        const row = this.createRow(label, formatCallSite(site));
+        row.title = `Open ${site.path}:${site.line}`;
+        row.style.cursor = 'pointer';
+        row.addEventListener('click', () => openFileAtSourcePath(site.path, site.line || undefined));
+        fragment.appendChild(row);
+      });
+      return fragment;
+    }
+
+    /**
+     * Create rows for component props
+     * @param {Object<string, *>} props - Component props
+     * @returns {Node} Rows or placeholder
+     */
+    createPropRows(props) {
+      const entries = Object.entries(props);
+      if (entries.length === 0) {
+        return this.createEmptyRow('No props');
+      }
+
+      const fragment = document.createDocumentFragment();
+      entries.forEach(([name, value]) => {
+        fragment.appendChild(this.createRow(name, formatPropValue(value)));
+      });
+      return fragment;
+    }
+
+    /**
+     * Collect subscriptions owned by a component: those on its element and on
+     * descendants that are not part of a nested component
+     * @param {Element} target - Component element
+     * @returns {SubscriptionInfo[]} Subscriptions in DOM order
+     */
+    collectSubscriptions(target) {
+      const subscriptions = [...PropertyAccessor.getSubscriptions(target)];
+
+      const walker = document.createTreeWalker(target, NodeFilter.SHOW_ELEMENT, {
+        acceptNode(node) {
+          // Nested components list their own subscriptions
+          return PropertyAccessor.hasSourcePath(/** @type {Element} */ (node))
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT;
+        }
+      });
+
+      let node;
+      while (node = walker.nextNode()) {
+        subscriptions.push(...PropertyAccessor.getSubscriptions(/** @type {Element} */ (node)));
+      }
+
+      return subscriptions;
+    }
+
+    /**
+     * Create rows for reactive subscriptions
+     * @param {SubscriptionInfo[]} subscriptions - Subscriptions to list
+     * @returns {DocumentFragment} Rows
+     */
+    createSubscriptionRows(subscriptions) {
+      const fragment = document.createDocumentFragment();
+
+      subscriptions.forEach(subscription => {
+        const row = document.createElement('div');
+        row.style.cssText = `
+          font-family: var(--devtools-font-family);
+          font-size: 11px;
+          line-height: 1.5;
+          padding: 3px 0;
+          opacity: ${subscription.active ? '1' : '0.5'};
+        `;
+        row.title = subscription.active ? 'Active' : 'Inactive (element unmounted)';
+
+        const heading = document.createElement('div');
+        heading.style.cssText = `
+          display: flex;
+          gap: 6px;
+        `;
+
+        const kind = document.createElement('span');
+        kind.textContent = subscription.kind;
+        kind.style.color = 'var(--tree-text-muted-color)';
+
+        const name = document.createElement('span');
+        name.textContent = subscription.name;
+        name.style.cssText = `
+          color: var(--tree-inspector-key-color);
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        `;
+
+        const count = document.createElement('span');
+        count.textContent = `×${subscription.emissionCount}`;
+        count.title = subscription.kind === 'onMountCallback' ? 'Mount count' : 'Emission count';
+        count.style.color = 'var(--tree-text-secondary-color)';
+
+        heading.appendChild(kind);
+        heading.appendChild(name);
+        heading.appendChild(count);
+        row.appendChild(heading);
+
+        if (subscription.kind !== 'onMountCallback') {
+          const valueLabel = subscription.observableType === 'Signal' ? 'current' : 'last';
+          row.appendChild(this.createRow(
+            `${subscription.observableType} · ${valueLabel}`,
+            subscription.hasValue ? formatPropValue(subscription.value) : '—'
+          ));
+        }
+
+        fragment.appendChild(row);
+      });
+
+      return fragment;
+    }
+
+    /**
+     * Refresh subscription values periodically while they are shown
+     * @returns {void}
+     */
+    startLiveUpdates() {
+      this.stopLiveUpdates();
+      if (!this.liveUpdatesEnabled) return;
+
+      this.liveUpdateTimer = setInterval(() => {
+        const target = this.inspectedElement;
+        if (!this.subscriptionsContainer || !target || !target.isConnected) {
+          this.stopLiveUpdates();
+          return;
+        }
+
+        this.subscriptionsContainer.innerHTML = '';
+        this.subscriptionsContainer.appendChild(this.createSubscriptionRows(this.collectSubscriptions(target)));
+      }, this.liveUpdateInterval);
+    }
+
+    /**
+     * Pause or resume refreshing subscription values, e.g. while the pane is hidden
+     * @param {boolean} enabled - Whether subscription values should be refreshed
+     * @returns {void}
+     */
+    setLiveUpdatesEnabled(enabled) {
+      if (this.liveUpdatesEnabled === enabled) return;
+      this.liveUpdatesEnabled = enabled;
+
+      if (!enabled) {
+        this.stopLiveUpdates();
+      } else if (this.subscriptionsContainer) {
+        this.startLiveUpdates();
+      }
+    }
+
+    /**
+     * Stop refreshing subscription values
+     * @returns {void}
+     */
+    stopLiveUpdates() {
+      if (this.liveUpdateTimer !== null) {
+        clearInterval(this.liveUpdateTimer);
+        this.liveUpdateTimer = null;
+      }
+    }
+
+    /**
+     * Create rows describing the element itself
+     * @param {Element} target - Inspected element
+     * @returns {DocumentFragment} Rows
+     */
+    createElementRows(target) {
+      const fragment = document.createDocumentFragment();
+      const componentName = PropertyAccessor.getComponentName(target);
+      if (componentName) {
+        fragment.appendChild(this.createRow('component', componentName));
+      }
+      fragment.appendChild(this.createRow('tag', `<${target.tagName.toLowerCase()}>`));
+      fragment.appendChild(this.createRow('id', target.id || '—'));
+      fragment.appendChild(this.createRow('class', target.classList.length > 0 ? Array.from(target.classList).join(' ') : '—'));
+      fragment.appendChild(this.createRow('children', String(target.children.length)));
+
+      const filename = PropertyAccessor.getFilename(target);
+      const line = PropertyAccessor.getSourceLine(target);
+      if (filename) {
+        fragment.appendChild(this.createRow('source', line ? `${filename}:${line}` : filename));
+      }
+
+      const path = PropertyAccessor.getSourcePath(target);
+      const buildPath = PropertyAccessor.getBuildSourcePath(target);
+      if (path) {
+        fragment.appendChild(this.createRow('path', path));
+      }
+      if (buildPath && buildPath !== path) {
+        fragment.appendChild(this.createRow('build path', buildPath));
+      }
+
+      return fragment;
+    }
+
+    /**
+     * Create rows for all DOM attributes
+     * @param {Element} target - Inspected element
+     * @returns {Node} Rows or placeholder
+     */
+    createAttributeRows(target) {
+      if (target.attributes.length === 0) {
+        return this.createEmptyRow('No attributes');
+      }
+
+      const fragment = document.createDocumentFragment();
+      Array.from(target.attributes).forEach(attribute => {
+        fragment.appendChild(this.createRow(attribute.name, attribute.value));
+      });
+      return fragment;
+    }
+
+    /**
+     * Create rows for inline styles applied to the element
+     * @param {Element} target - Inspected element
+     * @returns {Node} Rows or placeholder
+     */
+    createInlineStyleRows(target) {
+      const style = /** @type {HTMLElement} */ (target).style;
+      if (!style || style.length === 0) {
+        return this.createEmptyRow('No inline styles');
+      }
+
+      const fragment = document.createDocumentFragment();
+      for (let i = 0; i < style.length; i++) {
+        const property = style.item(i);
+        fragment.appendChild(this.createRow(property, style.getPropertyValue(property)));
+      }
+      return fragment;
+    }
+
+    /**
+     * Create rows for the bounding client rect
+     * @param {Element} target - Inspected element
+     * @returns {DocumentFragment} Rows
+     */
+    createRectRows(target) {
+      const rect = target.getBoundingClientRect();
+      const fragment = document.createDocumentFragment();
+      fragment.appendChild(this.createRow('x, y', `${formatPixels(rect.x)}, ${formatPixels(rect.y)}`));
+      fragment.appendChild(this.createRow('size', `${formatPixels(rect.width)} × ${formatPixels(rect.height)}`));
+      return fragment;
+    }
+
+    /**
+     * Create a box model diagram with margin, border, padding and content size
+     * @param {Element} target - Inspected element
+     * @returns {HTMLDivElement} Box model diagram
+     */
+    createBoxModel(target) {
+      const computed = getComputedStyle(target);
+
+      /**
+       * @param {string} prefix - CSS property prefix
+       * @param {string} [suffix=''] - CSS property suffix
+       * @returns {number[]} Top, right, bottom and left values in pixels
+       */
+      const sides = (prefix, suffix = '') => ['top', 'right', 'bottom', 'left']
+        .map(side => parseFloat(computed.getPropertyValue(`${prefix}-${side}${suffix}`)) || 0);
+
+      const margin = sides('margin');
+      const border = sides('border', '-width');
+      const padding = sides('padding');
+
+      const rect = target.getBoundingClientRect();
+      const contentWidth = rect.width - border[1] - border[3] - padding[1] - padding[3];
+      const contentHeight = rect.height - border[0] - border[2] - padding[0] - padding[2];
+
+      const content = document.createElement('div');
+      content.textContent = `${formatPixels(Math.max(0, contentWidth))} × ${formatPixels(Math.max(0, contentHeight))}`;
+      content.style.cssText = `
+        background: var(--tree-inspector-box-content-bg);
+        padding: 4px 6px;
+        text-align: center;
+        white-space: nowrap;
+      `;
+
+      const paddingBox = this.createBoxLayer('padding', padding, content, 'var(--tree-inspector-box-padding-bg)');
+      const borderBox = this.createBoxLayer('border', border, paddingBox, 'var(--tree-inspector-box-border-bg)');
+      const marginBox = this.createBoxLayer('margin', margin, borderBox, 'var(--tree-inspector-box-margin-bg)');
+
+      const container = document.createElement('div');
+      container.style.cssText = `
+        font-family: var(--devtools-font-family);
+        font-size: 10px;
+        color: var(--tree-text-color);
+      `;
+      container.appendChild(marginBox);
+
+      const layout = document.createElement('div');
+      layout.style.marginTop = '6px';
+      layout.appendChild(this.createRow('display', computed.display));
+      layout.appendChild(this.createRow('position', computed.position));
+      layout.appendChild(this.createRow('box-sizing', computed.boxSizing));
+      container.appendChild(layout);
+
+      return container;
+    }
+
+    /**
+     * Create one layer of the box model diagram
+     * @param {string} label - Layer label
+     * @param {number[]} values - Top, right, bottom and left values in pixels
+     * @param {HTMLElement} inner - Nested layer
+     * @param {string} background - Layer background color
+     * @returns {HTMLDivElement} Layer element
+     */
+    createBoxLayer(label, values, inner, background) {
+      const layer = document.createElement('div');
+      layer.style.cssText = `
+        display: grid;
+        grid-template-columns: auto 1fr auto;
+        grid-template-rows: auto 1fr auto;
+        align-items: center;
+        justify-items: center;
+        gap: 2px 6px;
+        padding: 2px 6px;
+        background: ${background};
+        border: 1px dashed rgba(240, 246, 252, 0.25);
+        border-radius: 3px;
+      `;
+
+      /**
+       * @param {string} text - Cell text
+       * @param {string} area - Grid placement as "row / column"
+       * @returns {HTMLSpanElement} Cell element
+       */
+      const cell = (text, area) => {
+        const span = document.createElement('span');
+        span.textContent = text;
+        span.style.gridArea = area;
+        return span;
+      };
+
+      /** @param {number} value - Pixel value */
+      const format = (value) => value === 0 ? '–' : formatPixels(value);
+
+      const labelElement = cell(label, '1 / 1');
+      labelElement.style.justifySelf = 'start';
+      labelElement.style.color = 'var(--tree-text-muted-color)';
+
+      layer.appendChild(labelElement);
+      layer.appendChild(cell(format(values[0]), '1 / 2'));
+      layer.appendChild(cell(format(values[3]), '2 / 1'));
+      inner.style.gridArea = '2 / 2';
+      inner.style.justifySelf = 'stretch';
+      layer.appendChild(inner);
+      layer.appendChild(cell(format(values[1]), '2 / 3'));
+      layer.appendChild(cell(format(values[2]), '3 / 2'));
+
+      return layer;
+    }
+
+    /**
+     * Cleanup resources
+     * @returns {void}
+     */
+    destroy() {
+      this.stopLiveUpdates();
+
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+
+      this.subscriptionsContainer = null;
+      this.inspectedElement = null;
+    }
+  }
+
+  /**
+   * Fixed-capacity buffer that overwrites its oldest items when full
+   * @class RingBuffer
+   * @template T
+   */
+  class RingBuffer {
+    /**
+     * Create a new RingBuffer instance
+     * @constructor
+     * @param {number} capacity - Maximum number of items kept
+     */
+    constructor(capacity) {
+      /** @type {number} Maximum number of items kept */
+      this.capacity = Math.max(1, capacity);
+
+      /** @type {T[]} Item storage */
+      this.items = [];
+
+      /** @type {number} Index of the oldest item once the buffer is full */
+      this.start = 0;
+    }
+
+    /**
+     * Append an item, overwriting the oldest one when full
+     * @param {T} item - Item to append
+     * @returns {void}
+     */
+    push(item) {
+      if (this.items.length < this.capacity) {
+        this.items.push(item);
+      } else {
+        this.items[this.start] = item;
+        this.start = (this.start + 1) % this.capacity;
+      }
+    }
+
+    /**
+     * Get all items, oldest first
+     * @returns {T[]} Items in insertion order
+     */
+    toArray() {
+      return [...this.items.slice(this.start), ...this.items.slice(0, this.start)];
+    }
+
+    /**
+     * Get the number of items currently kept
+     * @returns {number} Number of items
+     */
+    get size() {
+      return this.items.length;
+    }
+
+    /**
+     * Remove all items
+     * @returns {void}
+     */
+    clear() {
+      this.items = [];
+      this.start = 0;
+    }
+
+    /**
+     * Change the capacity, keeping the newest items
+     * @param {number} capacity - New maximum number of items
+     * @returns {void}
+     */
+    setCapacity(capacity) {
+      const items = this.toArray();
+      this.capacity = Math.max(1, capacity);
+      this.items = items.slice(-this.capacity);
+      this.start = 0;
+    }
+  }
+
+  /**
+   * Ring buffer of reactive emissions reported by the Scala `Tracked` helper
+   * @class EmissionLog
+   */
+  class EmissionLog {
+    /**
+     * Create a new EmissionLog instance
+     * @constructor
+     * @param {number} capacity - Maximum number of records kept
+     */
+    constructor(capacity) {
+      /** @type {RingBuffer<EmissionRecord>} Recorded emissions */
+      this.records = new RingBuffer(capacity);
+
+      /** @type {number} Sequence number of the next record */
+      this.nextId = 1;
+
+      /** @type {boolean} Whether new emissions are ignored */
+      this.paused = false;
+
+      /** @type {Set<LogObserver>} Set of observer functions for log changes */
+      this.observers = new Set();
+
+      this.handleEmission = this.handleEmission.bind(this);
+      document.addEventListener(EMISSION_EVENT, this.handleEmission);
+    }
+
+    /**
+     * Subscribe to log changes
+     * @param {LogObserver} callback - Function to call on log changes
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+      this.observers.add(callback);
+      return () => this.observers.delete(callback);
+    }
+
+    /**
+     * Notify all observers of log changes
+     * @param {'add'|'clear'|'pause'|'capacity'} type - Type of change
+     * @param {*} data - Change data
+     * @returns {void}
+     */
+    notify(type, data) {
+      this.observers.forEach(callback => {
+        try {
+          callback(type, data);
+        } catch (error) {
+          console.error('Error in emission log observer:', error);
+        }
+      });
+    }
+
+    /**
+     * Record an emission event dispatched on an app element
+     * @param {Event} event - Emission event
+     * @returns {void}
+     */
+    handleEmission(event) {
+      if (this.paused) return;
+
+      const detail = /** @type {CustomEvent} */ (event).detail || {};
+      // The target is retargeted to the shadow host at the document; the
+      // composed path still starts at the element that emitted
+      const origin = event.composedPath()[0] || event.target;
+      let component = /** @type {Element|null} */ (origin instanceof Element ? origin : null);
+      while (component && !PropertyAccessor.hasSourcePath(component)) {
+        component = ComposedTree.getParent(component);
+      }
+
+      this.record({
+        id: this.nextId++,
+        timestamp: typeof detail.timestamp === 'number' ? detail.timestamp : Date.now(),
+        componentRef: component ? new WeakRef(component) : null,
+        componentName: component ? PropertyAccessor.getDisplayName(component) : '(unknown)',
+        kind: detail.kind,
+        name: String(detail.name),
+        observableType: detail.observableType,
+        preview: formatPropValue(detail.value)
+      });
+    }
+
+    /**
+     * Append a record, overwriting the oldest one when full
+     * @param {EmissionRecord} record - Record to append
+     * @returns {void}
+     */
+    record(record) {
+      this.records.push(record);
+      this.notify('add', record);
+    }
+
+    /**
+     * Get all records, oldest first
+     * @returns {EmissionRecord[]} Records in chronological order
+     */
+    getRecords() {
+      return this.records.toArray();
+    }
+
+    /**
+     * Get the number of records currently kept
+     * @returns {number} Number of records
+     */
+    get size() {
+      return this.records.size;
+    }
+
+    /**
+     * Get the maximum number of records kept
+     * @returns {number} Capacity
+     */
+    get capacity() {
+      return this.records.capacity;
+    }
+
+    /**
+     * Remove all records
+     * @returns {void}
+     */
+    clear() {
+      this.records.clear();
+      this.notify('clear', {});
+    }
+
+    /**
+     * Pause or resume recording
+     * @param {boolean} paused - Whether new emissions should be ignored
+     * @returns {void}
+     */
+    setPaused(paused) {
+      if (this.paused === paused) return;
+      this.paused = paused;
+      this.notify('pause', paused);
+    }
+
+    /**
+     * Change the capacity, keeping the newest records
+     * @param {number} capacity - New maximum number of records
+     * @returns {void}
+     */
+    setCapacity(capacity) {
+      this.records.setCapacity(capacity);
+      this.notify('capacity', this.capacity);
+    }
+
+    /**
+     * Stop listening for emissions
+     * @returns {void}
+     */
+    destroy() {
+      document.removeEventListener(EMISSION_EVENT, this.handleEmission);
+      this.observers.clear();
+    }
+  }
+
+  /**
+   * Filterable, pausable list of log records shared by the "Events" and
+   * "Lifecycle" tabs. The owning view supplies the row rendering and filter.
+   * @class RecordListView
+   * @template R
+   */
+  class RecordListView {
+    /**
+     * Create a new RecordListView instance
+     * @constructor
+     * @param {RecordLog<R>} log - Log to display
+     * @param {RecordListOptions<R>} options - Rendering and filtering of the owning view
+     */
+    constructor(log, options) {
+      /** @type {RecordLog<R>} */
+      this.log = log;
+
+      /** @type {RecordListOptions<R>} */
+      this.options = options;
+
+      /** @type {HTMLDivElement|null} View root element */
+      this.element = null;
+
+      /** @type {HTMLDivElement|null} Scrollable list of records */
+      this.listElement = null;
+
+      /** @type {HTMLDivElement|null} Placeholder shown while the list is empty */
+      this.placeholderElement = null;
+
+      /** @type {HTMLInputElement|null} */
+      this.filterInput = null;
+
+      /** @type {HTMLButtonElement|null} */
+      this.pauseButton = null;
+
+      /** @type {HTMLSpanElement|null} */
+      this.countElement = null;
+
+      /** @type {string} Current filter query */
+      this.filterQuery = '';
+
+      /** @type {number} Number of rendered rows */
+      this.renderedCount = 0;
+
+      /** @type {R[]} Records added since the last render */
+      this.pendingRecords = [];
+
+      /** @type {Function|null} Unsubscribe function for log changes */
+      this.unsubscribe = null;
+
+      // Records can arrive in bursts, render them once per frame
+      this.flushPending = rafThrottle(() => this.renderPending());
+    }
+
+    /**
+     * Create view element if it doesn't exist
+     * @param {HTMLElement[]} [toolbarItems=[]] - Extra toolbar buttons, placed before the filter input
+     * @param {HTMLElement|null} [header=null] - Element shown between the toolbar and the list
+     * @returns {HTMLDivElement} View root element
+     */
+    createElement(toolbarItems = [], header = null) {
+      if (this.element) {
+        return this.element;
+      }
+
+      const view = document.createElement('div');
+      view.style.cssText = `
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+        min-height: 0;
+      `;
+
+      const toolbar = document.createElement('div');
+      toolbar.style.cssText = `
+        height: var(--tree-search-height);
+        background: var(--tree-header-bg);
+        padding: 0 12px 8px;
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        flex-shrink: 0;
+      `;
+
+      this.pauseButton = createToolbarButton('', () => {
+        this.log.setPaused(!this.log.paused);
+      });
+      this.updatePauseButton();
+
+      const clearButton = createToolbarButton('⊘', () => this.log.clear());
+      clearButton.title = this.options.clearTitle;
+
+      const filterInput = document.createElement('input');
+      filterInput.type = 'search';
+      filterInput.placeholder = this.options.filterPlaceholder;
+      filterInput.spellcheck = false;
+      filterInput.autocomplete = 'off';
+      filterInput.value = this.filterQuery;
+      filterInput.style.cssText = `
+        flex: 1;
+        min-width: 0;
+        height: 26px;
+        margin-left: 4px;
+        padding: 0 8px;
+        background: var(--tree-search-input-bg);
+        border: 1px solid var(--tree-search-input-border);
+        border-radius: var(--tree-close-button-border-radius);
+        color: var(--tree-text-color);
+        font-family: var(--tree-text-font-family);
+        font-size: 12px;
+        outline: none;
+        transition: border-color 0.15s ease;
+      `;
+
+      filterInput.addEventListener('focus', () => {
+        filterInput.style.borderColor = 'var(--tree-search-input-focus-border)';
+      });
+
+      filterInput.addEventListener('blur', () => {
+        filterInput.style.borderColor = 'var(--tree-search-input-border)';
+      });
+
+      filterInput.addEventListener('input', () => {
+        this.setFilterQuery(filterInput.value);
+      });
+
+      filterInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && filterInput.value) {
+          event.preventDefault();
+          event.stopPropagation();
+          this.setFilterQuery('');
+        }
+      });
+
+      this.filterInput = filterInput;
+
+      this.countElement = document.createElement('span');
+      this.countElement.style.cssText = `
+        color: var(--tree-text-muted-color);
+        font-size: 11px;
+        white-space: nowrap;
+        flex-shrink: 0;
+        margin-left: 4px;
+      `;
+
+      toolbar.appendChild(this.pauseButton);
+      toolbar.appendChild(clearButton);
+      toolbarItems.forEach(item => toolbar.appendChild(item));
+      toolbar.appendChild(filterInput);
+      toolbar.appendChild(this.countElement);
+
+      this.listElement = document.createElement('div');
+      this.listElement.style.cssText = `
+        flex: 1;
+        overflow-y: auto;
+        overflow-x: hidden;
+        padding: 4px 8px 12px;
+        background: var(--tree-panel-bg);
+        font-family: var(--devtools-font-family);
+        font-size: 11px;
+        scrollbar-width: thin;
+        scrollbar-color: var(--tree-scrollbar-thumb-bg) var(--tree-scrollbar-track-bg);
+      `;
+
+      view.appendChild(toolbar);
+      if (header) {
+        view.appendChild(header);
+      }
+      view.appendChild(this.listElement);
+
+      this.element = view;
+      this.unsubscribe = this.log.subscribe((type, data) => {
+        this.handleLogChange(type, data);
+      });
+      this.renderAll();
+      return view;
+    }
+
+    /**
+     * Reflect the paused state on the pause button
+     * @returns {void}
+     */
+    updatePauseButton() {
+      if (!this.pauseButton) return;
+      this.pauseButton.textContent = this.log.paused ? '▶' : '⏸';
+      this.pauseButton.title = this.log.paused ? 'Resume recording' : 'Pause recording';
+      this.pauseButton.style.color = this.log.paused
+        ? 'var(--tree-events-paused-color)'
+        : 'var(--tree-text-secondary-color)';
+    }
+
+    /**
+     * Change the filter query and re-render
+     * @param {string} query - New filter query
+     * @returns {void}
+     */
+    setFilterQuery(query) {
+      this.filterQuery = query;
+      if (this.filterInput && this.filterInput.value !== query) {
+        this.filterInput.value = query;
+      }
+      this.renderAll();
+    }
+
+    /**
+     * Check whether any filter hides records
+     * @returns {boolean} True if the query or a filter of the owning view is active
+     */
+    isFiltered() {
+      return this.filterQuery.trim() !== '' || (this.options.isFiltered ? this.options.isFiltered() : false);
+    }
+
+    /**
+     * Handle log changes
+     * @param {'add'|'clear'|'pause'|'capacity'} type - Change type
+     * @param {*} data - Change data
+     * @returns {void}
+     */
+    handleLogChange(type, data) {
+      switch (type) {
+        case 'add':
+          this.pendingRecords.push(data);
+          this.flushPending();
+          break;
+
+        case 'clear':
+        case 'capacity':
+          this.renderAll();
+          break;
+
+        case 'pause':
+          this.updatePauseButton();
+          break;
+      }
+    }
+
+    /**
+     * Append rows for the records that pass the filters
+     * @param {R[]} records - Records to render
+     * @param {Node} parent - List or fragment to append to
+     * @returns {void}
+     */
+    appendRows(records, parent) {
+      const query = this.filterQuery.trim().toLowerCase();
+      records.forEach(record => {
+        if (this.options.matchesFilter(record, query)) {
+          parent.appendChild(this.options.createRow(record));
+          this.renderedCount++;
+        }
+      });
+    }
+
+    /**
+     * Re-render all records kept in the log
+     * @returns {void}
+     */
+    renderAll() {
+      if (!this.listElement) return;
+
+      this.pendingRecords = [];
+      this.listElement.innerHTML = '';
+      this.renderedCount = 0;
+      this.placeholderElement = null;
+
+      const fragment = document.createDocumentFragment();
+      this.appendRows(this.log.getRecords(), fragment);
+      this.listElement.appendChild(fragment);
+
+      this.afterRender();
+      this.listElement.scrollTop = this.listElement.scrollHeight;
+    }
+
+    /**
+     * Append records added since the last frame
+     * @returns {void}
+     */
+    renderPending() {
+      const list = this.listElement;
+      const records = this.pendingRecords;
+      this.pendingRecords = [];
+      if (!list || records.length === 0) return;
+
+      // Follow new records only if the user hasn't scrolled up
+      const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 8;
+
+      const fragment = document.createDocumentFragment();
+      this.appendRows(records, fragment);
+      list.appendChild(fragment);
+
+      // Keep the rendered rows within the ring buffer capacity
+      while (this.renderedCount > this.log.capacity && list.firstElementChild) {
+        list.firstElementChild.remove();
+        this.renderedCount--;
+      }
+
+      this.afterRender();
+      if (atBottom) {
+        list.scrollTop = list.scrollHeight;
+      }
+    }
+
+    /**
+     * Update the placeholder, the counter and the owning view after rendering
+     * @returns {void}
+     */
+    afterRender() {
+      if (this.options.onRender) {
+        this.options.onRender();
+      }
+      this.updatePlaceholder();
+      this.updateCount();
+    }
+
+    /**
+     * Show or remove the empty list placeholder
+     * @returns {void}
+     */
+    updatePlaceholder() {
+      if (!this.listElement) return;
+
+      if (this.renderedCount > 0) {
+        if (this.placeholderElement) {
+          this.placeholderElement.remove();
+          this.placeholderElement = null;
+        }
+        return;
+      }
+
+      if (!this.placeholderElement) {
+        this.placeholderElement = document.createElement('div');
+        this.placeholderElement.style.cssText = `
+          color: var(--tree-text-muted-color);
+          text-align: center;
+          padding: 24px 0;
+          font-family: var(--tree-text-font-family);
+          font-size: 12px;
+        `;
+        this.listElement.appendChild(this.placeholderElement);
+      }
+      this.placeholderElement.textContent = this.log.size > 0
+        ? this.options.noMatchText
+        : this.options.emptyText;
+    }
+
+    /**
+     * Update the record counter
+     * @returns {void}
+     */
+    updateCount() {
+      if (!this.countElement) return;
+      if (this.isFiltered()) {
+        this.countElement.textContent = `${this.renderedCount} / ${this.log.size}`;
+      } else {
+        this.countElement.textContent = this.options.showCapacity
+          ? `${this.log.size} / ${this.log.capacity}`
+          : String(this.log.size);
+      }
+    }
+
+    /**
+     * Remove the view and stop listening for log changes
+     * @returns {void}
+     */
+    destroy() {
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+
+      if (this.element) {
+        this.element.remove();
+        this.element = null;
+      }
+
+      this.listElement = null;
+      this.placeholderElement = null;
+      this.filterInput = null;
+      this.pauseButton = null;
+      this.countElement = null;
+      this.pendingRecords = [];
+      this.renderedCount = 0;
+    }
+  }
+
+  /**
+   * "Events" tab of the tree panel showing the emission log
+   * @class EmissionLogView
+   */
+  class EmissionLogView {
+    /**
+     * Create a new EmissionLogView instance
+     * @constructor
+     * @param {EmissionLog} log - Emission log to display
+     * @param {(element: Element) => void} onSelectComponent - Called when a record's component is clicked
+     */
+    constructor(log, onSelectComponent) {
+      /** @type {EmissionLog} */
+      this.log = log;
+
+      /** @type {(element: Element) => void} */
+      this.onSelectComponent = onSelectComponent;
+
+      /** @type {RecordListView<EmissionRecord>} */
+      this.list = new RecordListView(log, {
+        clearTitle: 'Clear log',
+        filterPlaceholder: 'Filter events…',
+        emptyText: 'No emissions recorded yet. Bind observables with Tracked to log them.',
+        noMatchText: 'No events match',
+        showCapacity: true,
+        matchesFilter: (record, query) => this.matchesFilter(record, query),
+        createRow: (record) => this.createRecordRow(record)
+      });
+    }
+
+    /**
+     * View root element, once created
+     * @returns {HTMLDivElement|null} View root element
+     */
+    get element() {
+      return this.list.element;
+    }
+
+    /**
+     * Create view element if it doesn't exist
+     * @returns {HTMLDivElement} View root element
+     */
+    createElement() {
+      return this.list.createElement();
+    }
+
+    /**
+     * Check whether a record matches the filter query
+     * @param {EmissionRecord} record - Record to check
+     * @param {string} query - Trimmed, lower-case filter query
+     * @returns {boolean} True if the record should be shown
+     */
+    matchesFilter(record, query) {
+      if (!query) return true;
+
+      return [record.componentName, record.name, record.observableType, record.preview]
+        .some(text => text.toLowerCase().includes(query));
+    }
+
+    /**
+     * Create a row for a record
+     * @param {EmissionRecord} record - Record to display
+     * @returns {HTMLDivElement} Row element
+     */
+    createRecordRow(record) {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        gap: 8px;
+        padding: 3px 4px;
+        line-height: 1.5;
+        border-bottom: 1px solid var(--tree-events-row-border);
+        white-space: nowrap;
+      `;
+      row.title = `${record.kind} ${record.name} (${record.observableType})\n${record.preview}`;
+
+      row.addEventListener('mouseenter', () => {
+        row.style.background = 'var(--tree-events-row-hover-bg)';
+      });
+
+      row.addEventListener('mouseleave', () => {
+        row.style.background = 'transparent';
+      });
+
+      const time = document.createElement('span');
+      time.textContent = formatTimestamp(record.timestamp);
+      time.style.cssText = `
+        color: var(--tree-events-time-color);
+        flex-shrink: 0;
+      `;
+
+      const component = document.createElement('span');
+      component.textContent = record.componentName;
+      component.style.cssText = `
+        color: var(--tree-component-name-color);
+        flex-shrink: 0;
+        max-width: 30%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+
+      const componentRef = record.componentRef;
+      const componentElement = componentRef && componentRef.deref();
+      if (componentRef && componentElement && componentElement.isConnected) {
+        component.style.cursor = 'pointer';
+        component.title = 'Select component';
+        component.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const current = componentRef.deref();
+          if (current && current.isConnected) {
+            this.onSelectComponent(current);
+          }
+        });
+      }
+
+      const name = document.createElement('span');
+      name.textContent = record.name;
+      name.style.cssText = `
+        color: var(--tree-events-name-color);
+        flex-shrink: 0;
+        max-width: 25%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+
+      const value = document.createElement('span');
+      value.textContent = record.preview;
+      value.style.cssText = `
+        color: var(--tree-events-value-color);
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+
+      row.appendChild(time);
+      row.appendChild(component);
+      row.appendChild(name);
+      row.appendChild(value);
+      return row;
+    }
+
+    /**
+     * Remove the view and stop listening for log changes
+     * @returns {void}
+     */
+    destroy() {
+      this.list.destroy();
+    }
+  }
+
+  /**
+   * Log of UIComponent mounts and unmounts with per-component churn statistics
+   * @class LifecycleLog
+   */
+  class LifecycleLog {
+    /**
+     * Create a new LifecycleLog instance
+     * @constructor
+     * @param {number} capacity - Maximum number of records kept
+     */
+    constructor(capacity) {
+      /** @type {RingBuffer<LifecycleRecord>} Recorded mounts and unmounts */
+      this.records = new RingBuffer(capacity);
+
+      /** @type {Map<string, ChurnStats>} Churn statistics keyed by source location */
+      this.churnStats = new Map();
+
+      /** @type {number} Sequence number of the next record */
+      this.nextId = 1;
+
+      /** @type {number} Sequence number of the current DOM update batch */
+      this.batchId = 0;
+
+      /** @type {boolean} Whether DOM mutations are ignored */
+      this.paused = false;
+
+      /** @type {Set<LogObserver>} Set of observer functions for log changes */
+      this.observers = new Set();
+
+      /** @type {MutationObserver|null} Created by start(), once the timeline is first shown */
+      this.mutationObserver = null;
+
+      /** @type {(() => void)|null} Stops listening for iframe loads */
+      this.stopFrameLoads = null;
+
+      /** @type {WeakSet<Element>} Elements whose latest record is a mount */
+      this.mountedElements = new WeakSet();
+    }
+
+    /**
+     * Start observing the DOM, if not already observing. Walking every added
+     * subtree isn't free, so this waits until the timeline is actually used.
+     * @returns {void}
+     */
+    start() {
+      if (this.mutationObserver || !('MutationObserver' in window) || !document.body) return;
+
+      this.mutationObserver = new MutationObserver((mutations) => {
+        this.handleMutations(mutations);
+      });
+      this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+      ComposedTree.observe(this.mutationObserver, document.body, { childList: true, subtree: true });
+      this.stopFrameLoads = ComposedTree.onFrameLoad((frame) => this.handleFrameLoad(frame));
+    }
+
+    /**
+     * Observe a same-origin iframe once its document loads and record the
+     * components it starts out with as mounted
+     * @param {Element} frame - Loaded frame element
+     * @returns {void}
+     */
+    handleFrameLoad(frame) {
+      const frameDocument = ComposedTree.getFrameDocument(frame);
+      if (!this.mutationObserver || !frameDocument) return;
+
+      ComposedTree.observe(this.mutationObserver, frame, { childList: true, subtree: true });
+      if (this.paused) return;
+
+      const batch = ++this.batchId;
+      const timestamp = Date.now();
+      // The frame's document may already have been observed, e.g. about:blank
+      this.collectComponents(frameDocument.body)
+        .filter(element => !this.mountedElements.has(element))
+        .forEach(element => this.record('mount', element, frame, batch, timestamp));
+    }
+
+    /**
+     * Subscribe to log changes
+     * @param {LogObserver} callback - Function to call on log changes
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+      this.observers.add(callback);
+      return () => this.observers.delete(callback);
+    }
+
+    /**
+     * Notify all observers of log changes
+     * @param {'add'|'clear'|'pause'|'capacity'} type - Type of change
+     * @param {*} data - Change data
+     * @returns {void}
+     */
+    notify(type, data) {
+      this.observers.forEach(callback => {
+        try {
+          callback(type, data);
+        } catch (error) {
+          console.error('Error in lifecycle log observer:', error);
+        }
+      });
+    }
+
+    /**
+     * Record components added or removed by a batch of DOM mutations
+     * @param {MutationRecord[]} mutations - Mutation records
+     * @returns {void}
+     */
+    handleMutations(mutations) {
+      if (this.paused) return;
+
+      /** @type {Map<Element, Node>} Mounted components mapped to the node they were inserted into */
+      const added = new Map();
+      /** @type {Map<Element, Node>} Unmounted components mapped to the node they were removed from */
+      const removed = new Map();
+
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (this.mutationObserver) {
+            ComposedTree.observe(this.mutationObserver, node, { childList: true, subtree: true });
+          }
+          this.collectComponents(node).forEach(element => added.set(element, mutation.target));
+        });
+        mutation.removedNodes.forEach(node => {
+          this.collectComponents(node).forEach(element => removed.set(element, mutation.target));
+        });
+      });
+
+      if (added.size === 0 && removed.size === 0) return;
+
+      const batch = ++this.batchId;
+      const timestamp = Date.now();
+
+      // Elements removed and re-inserted in the same batch were moved, not remounted,
+      // and elements inserted and removed again were never visible
+      removed.forEach((target, element) => {
+        if (!element.isConnected && !added.has(element)) {
+          this.record('unmount', element, target, batch, timestamp);
+        }
+      });
+      added.forEach((target, element) => {
+        if (element.isConnected && !removed.has(element)) {
+          this.record('mount', element, target, batch, timestamp);
+        }
+      });
+    }
+
+    /**
+     * Collect a node and its descendants that are UIComponents
+     * @param {Node} node - Added or removed node
+     * @returns {Element[]} Component elements in DOM order
+     */
+    collectComponents(node) {
+      if (node.nodeType !== Node.ELEMENT_NODE) return [];
+
+      const root = /** @type {Element} */ (node);
+      const components = PropertyAccessor.hasSourcePath(root) ? [root] : [];
+
+      ComposedTree.walk(root, (element) => {
+        if (PropertyAccessor.hasSourcePath(element)) {
+          components.push(element);
+        }
+      });
+
+      return components;
+    }
+
+    /**
+     * Find the closest component above an element, continuing from the mutation
+     * target once the (possibly detached) subtree runs out
+     * @param {Element} element - Component element
+     * @param {Node} target - Node the subtree was inserted into or removed from
+     * @returns {Element|null} Parent component element
+     */
+    findParentComponent(element, target) {
+      /** @type {Element|null} */
+      let current = ComposedTree.getParent(element);
+      while (current && !PropertyAccessor.hasSourcePath(current)) {
+        current = ComposedTree.getParent(current);
+      }
+      if (current) return current;
+
+      if (target.nodeType === Node.ELEMENT_NODE) {
+        current = /** @type {Element} */ (target);
+      } else if (target.nodeType === Node.DOCUMENT_FRAGMENT_NODE && 'host' in target) {
+        current = /** @type {ShadowRoot} */ (target).host;
+      } else {
+        current = target.parentElement;
+      }
+      while (current && !PropertyAccessor.hasSourcePath(current)) {
+        current = ComposedTree.getParent(current);
+      }
+      return current;
+    }
+
+    /**
+     * Append a mount or unmount record and update churn statistics
+     * @param {'mount'|'unmount'} type - Lifecycle event type
+     * @param {Element} element - Component element
+     * @param {Node} target - Node the element was inserted into or removed from
+     * @param {number} batch - DOM update batch the event belongs to
+     * @param {number} timestamp - Time of the DOM update
+     * @returns {void}
+     */
+    record(type, element, target, batch, timestamp) {
+      const filename = PropertyAccessor.getFilename(element) || '';
+      const line = PropertyAccessor.getSourceLine(element) || '';
+      const key = `${PropertyAccessor.getSourcePath(element)}:${line}`;
+      const componentName = PropertyAccessor.getDisplayName(element);
+
+      let stats = this.churnStats.get(key);
+      if (!stats) {
+        stats = { key, componentName, filename, line, mounts: 0, unmounts: 0, recentMounts: [], lastMountBatch: 0, peakChurn: 0 };
+        this.churnStats.set(key, stats);
+      }
+
+      if (type === 'mount') {
+        stats.mounts++;
+        this.mountedElements.add(element);
+
+        // Many instances mounting in one update (e.g. a list) count once
+        if (stats.lastMountBatch !== batch) {
+          stats.lastMountBatch = batch;
+          stats.recentMounts.push(timestamp);
+        }
+      } else {
+        stats.unmounts++;
+        this.mountedElements.delete(element);
+      }
+
+      stats.recentMounts = stats.recentMounts.filter(time => timestamp - time <= CHURN_WINDOW);
+      const churnCount = stats.recentMounts.length;
+      stats.peakChurn = Math.max(stats.peakChurn, churnCount);
+
+      const parent = this.findParentComponent(element, target);
+
+      /** @type {LifecycleRecord} */
+      const record = {
+        id: this.nextId++,
+        type,
+        timestamp,
+        elementRef: new WeakRef(element),
+        key,
+        componentName,
+        filename,
+        line,
+        parentName: parent ? PropertyAccessor.getDisplayName(parent) : null,
+        churnCount
+      };
+
+      this.records.push(record);
+      this.notify('add', record);
+    }
+
+    /**
+     * Get all records, oldest first
+     * @returns {LifecycleRecord[]} Records in chronological order
+     */
+    getRecords() {
+      return this.records.toArray();
+    }
+
+    /**
+     * Get components that remounted at least CHURN_THRESHOLD times within CHURN_WINDOW
+     * @returns {ChurnStats[]} Churning components, worst first
+     */
+    getChurningComponents() {
+      return Array.from(this.churnStats.values())
+        .filter(stats => stats.peakChurn >= CHURN_THRESHOLD)
+        .sort((a, b) => b.peakChurn - a.peakChurn || b.mounts - a.mounts);
+    }
+
+    /**
+     * Get the number of records currently kept
+     * @returns {number} Number of records
+     */
+    get size() {
+      return this.records.size;
+    }
+
+    /**
+     * Get the maximum number of records kept
+     * @returns {number} Capacity
+     */
+    get capacity() {
+      return this.records.capacity;
+    }
+
+    /**
+     * Remove all records and churn statistics
+     * @returns {void}
+     */
+    clear() {
+      this.records.clear();
+      this.churnStats.clear();
+      this.notify('clear', {});
+    }
+
+    /**
+     * Pause or resume recording
+     * @param {boolean} paused - Whether DOM mutations should be ignored
+     * @returns {void}
+     */
+    setPaused(paused) {
+      if (this.paused === paused) return;
+      this.paused = paused;
+      this.notify('pause', paused);
+    }
+
+    /**
+     * Stop observing the DOM
+     * @returns {void}
+     */
+    destroy() {
+      if (this.mutationObserver) {
+        this.mutationObserver.disconnect();
+        this.mutationObserver = null;
+      }
+      if (this.stopFrameLoads) {
+        this.stopFrameLoads();
+        this.stopFrameLoads = null;
+      }
+      this.observers.clear();
+    }
+  }
+
+  /**
+   * "Lifecycle" tab of the tree panel showing the mount/unmount timeline
+   * @class LifecycleTimelineView
+   */
+  class LifecycleTimelineView {
+    /**
+     * Create a new LifecycleTimelineView instance
+     * @constructor
+     * @param {LifecycleLog} log - Lifecycle log to display
+     * @param {(element: Element) => void} onSelectComponent - Called when a mounted component is clicked
+     */
+    constructor(log, onSelectComponent) {
+      /** @type {LifecycleLog} */
+      this.log = log;
+
+      /** @type {(element: Element) => void} */
+      this.onSelectComponent = onSelectComponent;
+
+      /** @type {HTMLDivElement|null} Summary of churning components */
+      this.churnSummaryElement = null;
+
+      /** @type {HTMLButtonElement|null} */
+      this.churnOnlyButton = null;
+
+      /** @type {boolean} Whether only records of churning components are shown */
+      this.churnOnly = false;
+
+      /** @type {RecordListView<LifecycleRecord>} */
+      this.list = new RecordListView(log, {
+        clearTitle: 'Clear timeline',
+        filterPlaceholder: 'Filter components…',
+        emptyText: 'No mounts or unmounts recorded yet',
+        noMatchText: 'No mounts or unmounts match',
+        showCapacity: false,
+        matchesFilter: (record, query) => this.matchesFilter(record, query),
+        createRow: (record) => this.createRecordRow(record),
+        isFiltered: () => this.churnOnly,
+        onRender: () => this.updateChurnSummary()
+      });
+    }
+
+    /**
+     * View root element, once created
+     * @returns {HTMLDivElement|null} View root element
+     */
+    get element() {
+      return this.list.element;
+    }
+
+    /**
+     * Create view element if it doesn't exist
+     * @returns {HTMLDivElement} View root element
+     */
+    createElement() {
+      if (this.list.element) {
+        return this.list.element;
+      }
+
+      this.churnOnlyButton = createToolbarButton('↻', () => {
+        this.churnOnly = !this.churnOnly;
+        this.updateChurnOnlyButton();
+        this.list.renderAll();
+      });
+      this.updateChurnOnlyButton();
+
+      this.churnSummaryElement = document.createElement('div');
+      this.churnSummaryElement.style.cssText = `
+        display: none;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 4px;
+        padding: 0 12px 8px;
+        background: var(--tree-header-bg);
+        flex-shrink: 0;
+        font-size: 11px;
+      `;
+
+      return this.list.createElement([this.churnOnlyButton], this.churnSummaryElement);
+    }
+
+    /**
+     * Reflect the churn-only filter on its button
+     * @returns {void}
+     */
+    updateChurnOnlyButton() {
+      if (!this.churnOnlyButton) return;
+      this.churnOnlyButton.title = this.churnOnly ? 'Show all components' : 'Show churning components only';
+      this.churnOnlyButton.style.color = this.churnOnly
+        ? 'var(--tree-lifecycle-churn-color)'
+        : 'var(--tree-text-secondary-color)';
+    }
+
+    /**
+     * Check whether a record matches the current filters
+     * @param {LifecycleRecord} record - Record to check
+     * @param {string} query - Trimmed, lower-case filter query
+     * @returns {boolean} True if the record should be shown
+     */
+    matchesFilter(record, query) {
+      if (this.churnOnly) {
+        const stats = this.log.churnStats.get(record.key);
+        if (!stats || stats.peakChurn < CHURN_THRESHOLD) return false;
+      }
+
+      if (!query) return true;
+
+      return [record.componentName, `${record.filename}:${record.line}`, record.parentName || '']
+        .some(text => text.toLowerCase().includes(query));
+    }
+
+    /**
+     * Render the list of churning components above the timeline
+     * @returns {void}
+     */
+    updateChurnSummary() {
+      const summary = this.churnSummaryElement;
+      if (!summary) return;
+
+      const churning = this.log.getChurningComponents();
+      summary.innerHTML = '';
+      summary.style.display = churning.length > 0 ? 'flex' : 'none';
+      if (churning.length === 0) return;
+
+      const label = document.createElement('span');
+      label.textContent = 'Churning:';
+      label.style.color = 'var(--tree-lifecycle-churn-color)';
+      summary.appendChild(label);
+
+      churning.slice(0, 8).forEach(stats => {
+        const chip = document.createElement('button');
+        chip.textContent = `${stats.componentName} ×${stats.mounts}`;
+        chip.title = `${stats.filename}:${stats.line}\nRemounted in ${stats.peakChurn} separate updates within ${CHURN_WINDOW / 1000}s\n${stats.mounts} mounts, ${stats.unmounts} unmounts`;
+        chip.style.cssText = `
+          border: 1px solid var(--tree-lifecycle-churn-border);
+          background: var(--tree-lifecycle-churn-bg);
+          color: var(--tree-text-color);
+          border-radius: 10px;
+          padding: 1px 8px;
+          font-family: var(--tree-text-font-family);
+          font-size: 11px;
+          cursor: pointer;
+        `;
+        chip.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.list.setFilterQuery(`${stats.filename}:${stats.line}`);
+        });
+        summary.appendChild(chip);
+      });
+
+      if (churning.length > 8) {
+        const more = document.createElement('span');
+        more.textContent = `+${churning.length - 8} more`;
+        more.style.color = 'var(--tree-text-muted-color)';
+        summary.appendChild(more);
+      }
+    }
+
+    /**
+     * Create a row for a record
+     * @param {LifecycleRecord} record - Record to display
+     * @returns {HTMLDivElement} Row element
+     */
+    createRecordRow(record) {
+      const churning = record.churnCount >= CHURN_THRESHOLD;
+      const background = churning ? 'var(--tree-lifecycle-churn-bg)' : 'transparent';
+
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        gap: 8px;
+        padding: 3px 4px;
+        line-height: 1.5;
+        border-bottom: 1px solid var(--tree-events-row-border);
+        white-space: nowrap;
+        background: ${background};
+      `;
+
+      row.addEventListener('mouseenter', () => {
+        row.style.background = 'var(--tree-events-row-hover-bg)';
+      });
+
+      row.addEventListener('mouseleave', () => {
+        row.style.background = background;
+      });
+
+      const time = document.createElement('span');
+      time.textContent = formatTimestamp(record.timestamp);
+      time.style.cssText = `
+        color: var(--tree-events-time-color);
+        flex-shrink: 0;
+      `;
+
+      const type = document.createElement('span');
+      type.textContent = record.type === 'mount' ? '▲' : '▼';
+      type.title = record.type === 'mount' ? 'Mounted' : 'Unmounted';
+      type.style.cssText = `
+        color: ${record.type === 'mount' ? 'var(--tree-lifecycle-mount-color)' : 'var(--tree-lifecycle-unmount-color)'};
+        flex-shrink: 0;
+      `;
+
+      const component = document.createElement('span');
+      component.textContent = record.componentName;
+      component.style.cssText = `
+        color: var(--tree-component-name-color);
+        flex-shrink: 0;
+        max-width: 35%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+
+      const element = record.elementRef.deref();
+      if (element && element.isConnected) {
+        component.style.cursor = 'pointer';
+        component.title = 'Select component';
+        component.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const current = record.elementRef.deref();
+          if (current && current.isConnected) {
+            this.onSelectComponent(current);
+          }
+        });
+      }
+
+      const location = document.createElement('span');
+      location.textContent = `${record.filename}:${record.line}`;
+      location.style.cssText = `
+        color: var(--tree-text-secondary-color);
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+      if (record.parentName) {
+        location.textContent += ` in ${record.parentName}`;
+      }
+
+      row.appendChild(time);
+      row.appendChild(type);
+      row.appendChild(component);
+      row.appendChild(location);
+
+      if (churning) {
+        const badge = document.createElement('span');
+        badge.textContent = `↻${record.churnCount}`;
+        badge.title = `Mounted in ${record.churnCount} separate updates within ${CHURN_WINDOW / 1000}s`;
+        badge.style.cssText = `
+          color: var(--tree-lifecycle-churn-color);
+          flex-shrink: 0;
+        `;
+        row.appendChild(badge);
+      }
+
+      return row;
+    }
+
+    /**
+     * Remove the view and stop listening for log changes
+     * @returns {void}
+     */
+    destroy() {
+      this.list.destroy();
+      this.churnSummaryElement = null;
+      this.churnOnlyButton = null;
+    }
+  }
+
+  /**
+   * Component Tree View class for displaying hierarchical component structure
+   *
+   * Features:
+   * - Keyboard shortcut activation: Alt + Shift
+   * - Hierarchical tree display of UIComponent elements
+   * - Keyboard navigation (arrow keys, Enter, Escape)
+   * - Collapsible/expandable tree nodes
+   * - Responsive design for different screen sizes
+   * - Performance optimizations (lazy loading, caching, throttling)
+   * - Real-time updates when components change
+   *
+   * Integration:
+   * - Leverages DevtoolsSystem for component discovery and overlay functionality
+   * - Maintains consistency with existing keyboard navigation patterns
+   * - Follows established CSS custom property conventions
+   *
+   * Usage:
+   * - Press Alt + Shift to open/close the tree view
+   * - Use arrow keys to navigate within the tree
+   * - Press Enter to open component files, Shift+Enter for their definition
+   * - Press A to highlight all instances of a component, P to pin its overlay
+   */
+  /**
+   * Component Tree View class for displaying hierarchical component structure
+   * @class ComponentTreeView
+   */
+  class ComponentTreeView {
+    /**
+     * Create a new ComponentTreeView instance
+     * @constructor
+     * @param {DevtoolsSystem} devtoolsSystem - Devtools system instance
+     */
+    constructor(devtoolsSystem) {
+      /** @type {DevtoolsSystem} */
+      this.devtoolsSystem = devtoolsSystem;
+
+      /** @type {boolean} */
+      this.isVisible = false;
+
+      /** @type {TreeNode[]|null} */
+      this.treeData = null;
+
+      /** @type {Map<Element, TreeNode>} Nodes of treeData keyed by component element */
+      this.nodesByElement = new Map();
+
+      /** @type {Map<string, TreeNode>} Nodes of treeData keyed by node ID */
+      this.nodesById = new Map();
+
+      /** @type {Map<string, TreeNode>} Nodes of treeData keyed by position, to recognize re-rendered components */
+      this.nodesByPosition = new Map();
+
+      /** @type {WeakMap<Element, string>} Node IDs of component elements, kept for as long as the element lives */
+      this.componentIds = new WeakMap();
+
+      /** @type {number} Sequence number of the next node ID */
+      this.nextNodeId = 0;
+
+      /** @type {Set<string>} */
+      this.expandedNodes = new Set();
+
+      /** @type {string|null} */
+      this.selectedNodeId = null;
+
+      /** @type {Map<string, TreeRow>} Rendered rows keyed by node ID, reused while their node is unchanged */
+      this.rowElements = new Map();
+
+      /** @type {HTMLElement|null} Empty tree message or refresh button shown instead of rows */
+      this.treeMessageElement = null;
+
+      /** @type {MutationRecord[]} Structural DOM changes not yet applied to treeData */
+      this.pendingMutations = [];
+
+      /** @type {Function|null} */
+      this.throttledPatch = null;
+
+      // Subscribe to state changes for synchronization
+      /** @type {Function} Unsubscribe function for state changes */
+      this.unsubscribe = this.devtoolsSystem.state.subscribe((type, data) => {
+        this.handleStateChange(type, data);
+      });
+
+      /** @type {HTMLDivElement|null} */
+      this.panelElement = null;
+
+      /** @type {HTMLDivElement|null} */
+      this.treeContainer = null;
+
+      /** @type {HTMLDivElement|null} */
+      this.headerElement = null;
+
+      /** @type {HTMLButtonElement|null} */
+      this.settingsButton = null;
+
+      /** @type {HTMLButtonElement|null} */
+      this.refreshButton = null;
+
+      /** @type {HTMLDivElement|null} */
+      this.settingsPanel = null;
+
+      /** @type {boolean} */
+      this.settingsPanelVisible = false;
+
+      /** @type {ComponentInspector} Inspector pane for the selected component */
+      this.inspector = new ComponentInspector();
+
+      /** @type {boolean} Whether the inspector pane is shown */
+      this.inspectorVisible = PersistentStorage.get('componentTreePanel.inspectorVisible', true) !== false;
+
+      /** @type {HTMLButtonElement|null} */
+      this.inspectorButton = null;
+
+      /** @type {UpdateHighlighter} Flashes components whose DOM changed */
+      this.updateHighlighter = new UpdateHighlighter();
+
+      /** @type {boolean} Whether DOM updates are highlighted and counted per component */
+      this.highlightUpdates = PersistentStorage.get('componentTreePanel.highlightUpdates', false) === true;
+
+      /** @type {HTMLButtonElement|null} */
+      this.highlightUpdatesButton = null;
+
+      /** @type {HTMLButtonElement|null} */
+      this.inspectModeButton = null;
+
+      /** @type {Map<Element, HTMLSpanElement>} Update counters of rendered tree rows */
+      this.updateCountElements = new Map();
+
+      this.updateHighlighter.subscribe((elements) => {
+        this.updateUpdateCounts(elements);
+      });
+
+      /** @type {EmissionLogView} Events tab showing the emission log */
+      this.emissionLogView = new EmissionLogView(devtoolsSystem.emissions, (element) => {
+        this.revealElement(element);
+      });
+
+      /** @type {LifecycleTimelineView} Lifecycle tab showing mounts and unmounts */
+      this.lifecycleView = new LifecycleTimelineView(devtoolsSystem.lifecycle, (element) => {
+        this.revealElement(element);
+      });
+
+      /** @type {PanelTab} Currently shown panel tab */
+      this.activeTab = PANEL_TABS.some(tab => tab.id === PersistentStorage.get('componentTreePanel.activeTab'))
+        ? PersistentStorage.get('componentTreePanel.activeTab')
+        : 'components';
+
+      /** @type {Map<string, HTMLButtonElement>} Tab buttons keyed by tab name */
+      this.tabButtons = new Map();
+
+      /** @type {HTMLDivElement|null} Search bar of the components tab */
+      this.searchBarElement = null;
+
+      /** @type {HTMLDivElement|null} Tree and inspector container of the components tab */
+      this.componentsBodyElement = null;
+
+      /** @type {HTMLDivElement|null} Breadcrumb bar below the tree showing the ancestry of the inspected component */
+      this.breadcrumbElement = null;
+
+      /** @type {Element[]} Components shown in the breadcrumb bar, outermost first */
+      this.breadcrumbChain = [];
+
+      /** @type {Element|null} Component of the breadcrumb chain that is inspected or selected */
+      this.breadcrumbActive = null;
+
+      /** @type {HTMLInputElement|null} */
+      this.searchInput = null;
+
+      /** @type {HTMLSpanElement|null} */
+      this.searchCountElement = null;
+
+      /** @type {string} Current search query */
+      this.searchQuery = '';
+
+      /** @type {Map<string, SearchMatch>} Search matches keyed by node ID */
+      this.searchMatches = new Map();
+
+      /** @type {Set<string>|null} IDs of nodes shown while filtering (matches and their ancestors) */
+      this.searchVisibleNodes = null;
+
+      /** @type {Set<string>|null} Expanded node IDs from before the search expanded the paths to its matches */
+      this.expandedBeforeSearch = null;
+
+      /** @type {ViewportVisibilityDetector} */
+      this.viewportDetector = new ViewportVisibilityDetector();
+
+      /** @type {Function|null} */
+      this.throttledViewportRefresh = null;
+
+      /** @type {Map<string, any>} */
+      this.nodeCache = new Map();
+
+      // Draggable state
+      /** @type {boolean} */
+      this.isDragging = false;
+
+      /** @type {{startX: number, startY: number, startLeft: number, startTop: number}|null} */
+      this.dragState = null;
+
+      // Resizable state
+      /** @type {boolean} */
+      this.isResizing = false;
+
+      /** @type {{startX: number, startY: number, startWidth: number, startHeight: number, startLeft: number, startTop: number, direction: string}|null} */
+      this.resizeState = null;
+
+      /** @type {Map<string, string>} */
+      this.renderCache = new Map();
+
+      /** Whether the DOM changed in ways the patched tree doesn't reflect */
+      this.treeStale = true;
+
+      /** @type {Function|null} */
+      this.throttledRefresh = null;
+
+      /** @type {(() => void)|null} Stops listening for iframe loads */
+      this.stopFrameLoads = null;
+
+      /** @type {number|null} */
+      this.animationFrameId = null;
+
+      /** @type {IntersectionObserver|null} */
+      this.intersectionObserver = null;
+
+      /** @type {number|null} */
+      this.resizeTimeout = null;
+
+      /** @type {boolean} Whether the modifier-only toggle binding is held without another key or click, toggling the panel on release */
+      this.togglePending = false;
+
+      // Bind methods
+      this.handleKeyDown = this.handleKeyDown.bind(this);
+      this.handleKeyUp = this.handleKeyUp.bind(this);
+      this.cancelPendingToggle = this.cancelPendingToggle.bind(this);
+      this.handleTreeKeyDown = this.handleTreeKeyDown.bind(this);
+      this.handleTreeItemClick = this.handleTreeItemClick.bind(this);
+      this.close = this.close.bind(this);
+
+      // Initialize performance optimizations
+      this.initializePerformanceOptimizations();
+
+      // Initialize keyboard shortcut listener
+      this.initializeKeyboardShortcut();
+
+      // Initialize window resize handler
+      this.handleWindowResize = this.handleWindowResize.bind(this);
+      window.addEventListener('resize', this.handleWindowResize);
+    }
+
+    /**
+     * Handle state changes for synchronization
+     * @param {string} type - Change type
+     * @param {*} data - Change data
+     * @returns {void}
+     */
+    handleStateChange(type, data) {
+      switch (type) {
+        case 'targetElementChanged':
+          // Synchronize tree selection with hovered element when Alt is pressed
+          if (data.element && this.devtoolsSystem.state.altPressed) {
+            this.syncTreeSelectionWithHover(data.element);
+          }
+          if (data.element && this.devtoolsSystem.state.isInspecting()) {
+            this.updateBreadcrumbs(data.element);
+          }
+          break;
+        case 'treeSelectionChanged':
+          if (data.element) {
+            this.updateBreadcrumbs(data.element);
+          }
+          break;
+        case 'inspectModeChanged':
+          this.updateInspectModeButton();
+          break;
+        case 'reset':
+          // Clear tree selection when devtools is reset
+          if (this.isVisible) {
+            this.clearSelection();
+          }
+          break;
+      }
+    }
+
+    /**
+     * Initialize performance optimizations
+     */
+    initializePerformanceOptimizations() {
+      // Create throttled refresh function
+      this.throttledRefresh = this.throttle(() => {
+        this.treeStale = true;
+        this.refreshTree();
+      }, 250);
+
+      // DOM changes are batched and patched into the affected subtrees
+      this.throttledPatch = this.throttle(() => {
+        this.applyPendingMutations();
+      }, 250);
+
+      // Set up intersection observer for lazy loading
+      if ('IntersectionObserver' in window) {
+        this.intersectionObserver = new IntersectionObserver(
+          (entries) => {
+            entries.forEach(entry => {
+              if (entry.isIntersecting) {
+                this.loadNodeContent(entry.target);
+              }
+            });
+          },
+          { threshold: 0.1 }
+        );
+      }
+
+      // Listen for DOM mutations to detect component changes and, when highlighting
+      // updates, to attribute every change to its component
+      if ('MutationObserver' in window) {
+        this.mutationObserver = new MutationObserver((mutations) => {
+          if (this.highlightUpdates) {
+            this.updateHighlighter.recordMutations(mutations);
+          }
+
+          // Shadow roots and frames inside added nodes need their own registration
+          mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+              if (this.mutationObserver) {
+                ComposedTree.observe(this.mutationObserver, node, this.getObserverOptions());
+              }
+            });
+          });
+
+          // Ignore changes to the devtools UI, such as update counters, tooltips and flashes
+          const structural = mutations.filter(mutation =>
+            !this.isDevtoolsMutation(mutation) &&
+            (mutation.type === 'childList' ||
+              (mutation.type === 'attributes' && COMPONENT_ATTRIBUTE_FILTER.includes(/** @type {string} */ (mutation.attributeName))))
+          );
+          if (structural.length > 0 && this.throttledPatch) {
+            this.pendingMutations.push(...structural);
+            this.throttledPatch();
+          }
+        });
+      }
+    }
+
+    /**
+     * Initialize keyboard shortcut listener for Alt+Shift
+     */
+    initializeKeyboardShortcut() {
+      document.addEventListener('keydown', this.handleKeyDown);
+      document.addEventListener('keyup', this.handleKeyUp);
+      document.addEventListener('mousedown', this.cancelPendingToggle, true);
+    }
+
+    /**
+     * Throttle function execution
+     * @param {Function} func - Function to throttle
+     * @param {number} delay - Delay in milliseconds
+     * @returns {Function} Throttled function
+     */
+    throttle(func, delay) {
+      /** @type {number|undefined} */
+      let timeoutId;
+      let lastExecTime = 0;
+
+      return (/** @type {any[]} */ ...args) => {
+        const currentTime = Date.now();
+
+        if (currentTime - lastExecTime > delay) {
+          func.apply(this, args);
+          lastExecTime = currentTime;
+        } else {
+          if (timeoutId !== undefined) {
+            clearTimeout(timeoutId);
+          }
+          timeoutId = setTimeout(() => {
+            func.apply(this, args);
+            lastExecTime = Date.now();
+          }, delay - (currentTime - lastExecTime));
+        }
+      };
+    }
+
+    /**
+     * Load content for a tree node (lazy loading)
+     * @param {Element} nodeElement - Node element to load
+     */
+    loadNodeContent(nodeElement) {
+      const nodeId = /** @type {HTMLElement} */ (nodeElement).dataset.nodeId;
+      if (!nodeId || this.renderCache.has(nodeId)) return;
+
+      const node = this.findNodeById(nodeId);
+      if (!node) return;
+
+      // Mark as loaded
+      this.renderCache.set(nodeId, 'loaded');
+
+      // Load additional metadata if needed
+      this.loadNodeMetadata(node, nodeElement);
+    }
+
+    /**
+     * Load additional metadata for a node
+     * @param {TreeNode} _node - Tree node (unused for now)
+     * @param {Element} nodeElement - Node DOM element
+     * @returns {void}
+     */
+    loadNodeMetadata(_node, nodeElement) {
+      // This could load additional information like component props,
+      // file size, last modified date, etc.
+      // For now, we'll just ensure the element is properly initialized
+
+      const htmlElement = /** @type {HTMLElement} */ (nodeElement);
+      if (!htmlElement.dataset.loaded) {
+        htmlElement.dataset.loaded = 'true';
+
+        // Add any additional lazy-loaded content here
+        // For example, component statistics, dependencies, etc.
+      }
+    }
+
+    /**
+     * Handle keyboard shortcut for opening tree view
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {
+      // A modifier-only binding like Alt+Shift toggles on release, so that
+      // chords like Alt+Shift+Enter can be used without opening the panel
+      const matches = KeyMap.matches(event, 'toggleTree');
+      if (matches && KeyMap.getModifier(event)) {
+        event.preventDefault();
+        this.togglePending = true;
+      } else {
+        this.togglePending = false;
+        if (matches) {
+          event.preventDefault();
+          this.toggle();
+        }
+      }
+    }
+
+    /**
+     * Toggle the tree view when a modifier-only toggle binding is released
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyUp(event) {
+      if (this.togglePending && KeyMap.getModifier(event)) {
+        this.togglePending = false;
+        this.toggle();
+      }
+    }
+
+    /**
+     * Keep a modifier-only toggle binding held during a click from toggling the tree view on release
+     * @returns {void}
+     */
+    cancelPendingToggle() {
+      this.togglePending = false;
+    }
+
+    /**
+     * Get saved panel position from localStorage
+     * @returns {{x: number, y: number}} Position object with x and y coordinates
+     */
+    getSavedPosition() {
+      const position = PersistentStorage.get('componentTreePanel.position');
+
+      // Validate position values
+      if (position && typeof position.x === 'number' && typeof position.y === 'number' &&
+          position.x >= 0 && position.y >= 0 &&
+          position.x < window.innerWidth && position.y < window.innerHeight) {
+        return position;
+      }
+
+      // Return default position (top-right with 8px offset)
+      return {
+        x: window.innerWidth - 400 - 8,
+        y: 8
+      };
+    }
+
+    /**
+     * Save panel position to localStorage
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    savePosition(x, y) {
+      PersistentStorage.set('componentTreePanel.position', { x, y });
+    }
+
+    /**
+     * Get saved panel size from localStorage
+     * @returns {{width: number, height: number}} Size object with width and height
+     */
+    getSavedSize() {
+      const size = PersistentStorage.get('componentTreePanel.size');
+
+      // Validate size values with min/max constraints
+      if (size && typeof size.width === 'number' && typeof size.height === 'number' &&
+          size.width >= 300 && size.height >= 400 &&
+          size.width <= window.innerWidth && size.height <= window.innerHeight) {
+        return size;
+      }
+
+      // Return default size
+      return {
+        width: 400,
+        height: 600
+      };
+    }
+
+    /**
+     * Save panel size to localStorage
+     * @param {number} width - Panel width
+     * @param {number} height - Panel height
+     */
+    saveSize(width, height) {
+      PersistentStorage.set('componentTreePanel.size', { width, height });
+    }
+
+    /**
+     * Toggle tree view visibility
+     */
+    toggle() {
+      if (this.isVisible) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    }
+
+    /**
+     * Show the component tree view
+     */
+    show() {
+      if (this.isVisible) return;
+
+      try {
+        this.buildTreeData();
+        this.initializeTreeState();
+        this.createPanel();
+        this.renderTree();
+        this.positionPanel();
+
+        // Add React DevTools-style entrance animation
+        this.animateEntrance();
+
+        this.isVisible = true;
+
+        // Start monitoring for changes
+        this.startChangeMonitoring();
+
+      // Start viewport monitoring if filter is enabled
+      if (this.devtoolsSystem.options.viewportVisibilityFilter) {
+        this.startViewportMonitoring();
+        this.initializeViewportOptimizations();
+      }
+
+        // Handle edge cases
+        this.handleEdgeCases();
+
+        // Focus the tree for keyboard navigation with slight delay
+        setTimeout(() => {
+          if (this.treeContainer) {
+            this.treeContainer.focus();
+          }
+        }, 200);
+      } catch (error) {
+        console.error('Error showing component tree view:', error);
+        this.hide();
+      }
+    }
+
+    /**
+     * Start monitoring for component changes
+     */
+    startChangeMonitoring() {
+      if (this.mutationObserver) {
+        const options = this.getObserverOptions();
+        this.mutationObserver.observe(document.body, options);
+        ComposedTree.observe(this.mutationObserver, document.body, options);
+        this.stopFrameLoads = ComposedTree.onFrameLoad((frame) => this.handleFrameLoad(frame));
+      }
+    }
+
+    /**
+     * Get the mutation observer options for the current highlight setting
+     * @returns {MutationObserverInit} Observer options
+     */
+    getObserverOptions() {
+      return this.highlightUpdates ? {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true
+      } : {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: COMPONENT_ATTRIBUTE_FILTER
+      };
+    }
+
+    /**
+     * Observe and refresh the components of a same-origin iframe once its document loads
+     * @param {Element} frame - Loaded frame element
+     * @returns {void}
+     */
+    handleFrameLoad(frame) {
+      if (!this.mutationObserver) return;
+
+      ComposedTree.observe(this.mutationObserver, frame, this.getObserverOptions());
+      if (this.throttledRefresh) {
+        this.throttledRefresh();
+      }
+    }
+
+    /**
+     * Stop monitoring for component changes
+     */
+    stopChangeMonitoring() {
+      if (this.mutationObserver) {
+        this.mutationObserver.disconnect();
+      }
+      if (this.stopFrameLoads) {
+        this.stopFrameLoads();
+        this.stopFrameLoads = null;
+      }
+    }
+
+    /**
+     * Hide the component tree view with React DevTools-style exit animation
+     */
+    hide() {
+      if (!this.isVisible) return;
+
+      // Stop monitoring changes; the tree is rebuilt when shown
+      this.stopChangeMonitoring();
+      this.pendingMutations = [];
+      this.treeStale = true;
+
+      // Stop viewport monitoring
+      this.stopViewportMonitoring();
+
+      // Deactivate tree selection mode
+      this.devtoolsSystem.state.setTreeSelectionActive(false);
+      this.devtoolsSystem.state.setTreeSelectedElement(null);
+
+      // Cancel any pending animations
+      if (this.animationFrameId) {
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+      }
+
+      // Clean up drag and resize state
+      this.cleanupDragAndResize();
+
+      // Animate exit
+      this.animateExit(() => {
+        if (this.panelElement) {
+          this.panelElement.remove();
+          this.panelElement = null;
+          this.treeContainer = null;
+          this.headerElement = null;
+        }
+
+        // Reset settings panel state when panel is hidden
+        this.settingsPanel = null;
+        this.settingsButton = null;
+        this.refreshButton = null;
+        this.inspectorButton = null;
+        this.highlightUpdatesButton = null;
+        this.inspectModeButton = null;
+        this.updateHighlighter.clear();
+        this.updateCountElements.clear();
+        this.rowElements.clear();
+        this.treeMessageElement = null;
+        this.inspector.destroy();
+        this.emissionLogView.destroy();
+        this.lifecycleView.destroy();
+        this.tabButtons.clear();
+        this.searchBarElement = null;
+        this.componentsBodyElement = null;
+        this.breadcrumbElement = null;
+        this.breadcrumbChain = [];
+        this.breadcrumbActive = null;
+        this.settingsPanelVisible = false;
+        // Remove any lingering click outside listener
+        document.removeEventListener('click', this.handleClickOutsideSettings, true);
+
+        this.isVisible = false;
+        this.selectedNodeId = null;
+
+        // Reset search state
+        this.searchInput = null;
+        this.searchCountElement = null;
+        this.searchQuery = '';
+        this.searchMatches.clear();
+        this.searchVisibleNodes = null;
+        this.restoreExpansionAfterSearch();
+
+        // Clear caches
+        this.renderCache.clear();
+
+        // Hide any active overlays
+        this.devtoolsSystem.hideAll();
+      });
+    }
+
+    /**
+     * Close the tree view (same as hide but can be called from UI)
+     */
+    close() {
+      this.hide();
+    }
+
+    /**
+     * Build hierarchical tree data from components
+     */
+    buildTreeData() {
+      // Mutations are patched into the existing tree while it is shown, so
+      // only rebuild when there is no tree yet or it was marked stale
+      if (this.treeData && !this.treeStale) {
+        return;
+      }
+
+      this.treeStale = false;
+      this.treeData = this.buildChildNodes(null, document.body, this.devtoolsSystem.keyboard.getPortalsByOwner());
+      this.indexNodes();
+
+      // Clear render cache when tree data changes
+      this.renderCache.clear();
+
+      // Update viewport optimizations if enabled
+      if (this.devtoolsSystem.options.viewportVisibilityFilter) {
+        this.updateViewportOptimizations();
+      }
+    }
+
+    /**
+     * Get the tree node of a component, reusing its node from the current tree
+     * so that the node keeps its ID, expansion and rendered row. A component
+     * re-rendered into a new element takes over the node of the element it
+     * replaced at the same position.
+     * @param {ComponentInfo} comp - Component info
+     * @param {string} position - Position key, see buildChildNodes
+     * @returns {TreeNode} Node without parent and children
+     */
+    getTreeNode(comp, position) {
+      let node = this.nodesByElement.get(comp.element);
+
+      if (!node && !this.componentIds.has(comp.element)) {
+        const replaced = this.nodesByPosition.get(position);
+        if (replaced && !replaced.element.isConnected) {
+          // The replaced element gets a new ID if it is ever put back
+          this.componentIds.delete(replaced.element);
+          node = replaced;
+          node.element = comp.element;
+          this.componentIds.set(comp.element, node.id);
+        }
+      }
+
+      if (!node) {
+        const id = this.getComponentId(comp.element);
+        node = {
+          id,
+          element: comp.element,
+          filename: comp.filename,
+          line: comp.line,
+          path: comp.path,
+          children: [],
+          parent: null,
+          expanded: this.expandedNodes.has(id),
+          level: 0
+        };
+      }
+
+      Object.assign(node, {
+        filename: comp.filename,
+        line: comp.line,
+        path: comp.path,
+        componentName: comp.componentName,
+        children: [],
+        parent: null,
+        portal: Portals.isPortalContent(comp.element),
+        position,
+        level: 0
+      });
+      return node;
+    }
+
+    /**
+     * Get the persistent node ID of a component element
+     * @param {Element} element - Component element
+     * @returns {string} Node ID, assigned on first use
+     */
+    getComponentId(element) {
+      let id = this.componentIds.get(element);
+      if (!id) {
+        id = `node-${this.nextNodeId++}`;
+        this.componentIds.set(element, id);
+      }
+      return id;
+    }
+
+    /**
+     * Rebuild the node lookup maps from treeData
+     * @returns {void}
+     */
+    indexNodes() {
+      this.nodesByElement.clear();
+      this.nodesById.clear();
+      this.nodesByPosition.clear();
+      if (!this.treeData) return;
+
+      this.forEachNode(this.treeData, (node) => this.indexNode(node));
+    }
+
+    /**
+     * Add a node to the lookup maps
+     * @param {TreeNode} node - Tree node
+     * @returns {void}
+     */
+    indexNode(node) {
+      this.nodesByElement.set(node.element, node);
+      this.nodesById.set(node.id, node);
+      if (node.position) {
+        this.nodesByPosition.set(node.position, node);
+      }
+    }
+
+    /**
+     * Build the child nodes of a component from the DOM, reusing the nodes of
+     * components that were already in the tree
+     * @param {TreeNode|null} parentNode - Parent node, or null for root nodes
+     * @param {Element} parentElement - Element of the parent node, or `document.body`
+     * @param {Map<Element, Element[]>} portalsByOwner - Portal roots by owner, from KeyboardNavigator.getPortalsByOwner
+     * @returns {TreeNode[]} Child nodes in DOM order
+     */
+    buildChildNodes(parentNode, parentElement, portalsByOwner) {
+      /** @type {TreeNode[]} */
+      const nodes = [];
+      /** @type {Map<string, number>} Number of earlier siblings per source location */
+      const occurrences = new Map();
+
+      this.devtoolsSystem.keyboard.findChildComponents(parentElement, portalsByOwner).forEach(element => {
+        const comp = PropertyAccessor.getComponentInfo(element);
+        if (!comp) {
+          // Components without a source line are left out, their children move up
+          nodes.push(...this.buildChildNodes(parentNode, element, portalsByOwner));
+          return;
+        }
+
+        // Position of the component: its parent and which of the siblings from
+        // the same source location it is
+        const source = `${comp.path}:${comp.line}`;
+        const occurrence = occurrences.get(source) || 0;
+        occurrences.set(source, occurrence + 1);
+
+        const node = this.getTreeNode(comp, `${parentNode ? parentNode.id : ''}/${source}#${occurrence}`);
+        node.parent = parentNode;
+        node.level = parentNode ? parentNode.level + 1 : 0;
+        node.children = this.buildChildNodes(node, element, portalsByOwner);
+        nodes.push(node);
+      });
+
+      return nodes;
+    }
+
+    /**
+     * Apply the DOM changes collected since the last patch. Only the subtrees
+     * of the components whose content changed are rebuilt; nodes of components
+     * that are still there keep their ID, expansion and row.
+     * @returns {void}
+     */
+    applyPendingMutations() {
+      const mutations = this.pendingMutations;
+      this.pendingMutations = [];
+      if (!this.isVisible || !this.treeData || mutations.length === 0) return;
+
+      /** @type {Set<TreeNode|null>} Nodes whose children changed, null for the root nodes */
+      const anchors = new Set();
+      for (const mutation of mutations) {
+        const anchor = this.findPatchAnchor(mutation);
+        if (anchor === undefined) continue;
+
+        anchors.add(anchor);
+        if (anchor === null) break;
+      }
+      if (anchors.size === 0) return;
+
+      // Rebuilding a node covers the anchors below it
+      const patchRoots = anchors.has(null) ? [null] : Array.from(anchors).filter(anchor => {
+        for (let ancestor = anchor && anchor.parent; ancestor; ancestor = ancestor.parent) {
+          if (anchors.has(ancestor)) return false;
+        }
+        return true;
+      });
+
+      const portalsByOwner = this.devtoolsSystem.keyboard.getPortalsByOwner();
+      /** @type {Array<{node: TreeNode, element: Element, position: string|undefined}>} Nodes of the rebuilt subtrees as they were indexed */
+      const replacedNodes = [];
+      /** @type {TreeNode[][]} */
+      const patchedSubtrees = [];
+
+      patchRoots.forEach(anchor => {
+        this.forEachNode(anchor ? anchor.children : /** @type {TreeNode[]} */ (this.treeData), (node) => {
+          replacedNodes.push({ node, element: node.element, position: node.position });
+        });
+
+        const children = this.buildChildNodes(anchor, anchor ? anchor.element : document.body, portalsByOwner);
+        if (anchor) {
+          anchor.children = children;
+        } else {
+          this.treeData = children;
+        }
+        patchedSubtrees.push(children);
+      });
+
+      // Index the patched subtrees only once all of them are built, so components
+      // that moved between subtrees keep their node
+      /** @type {Set<TreeNode>} */
+      const keptNodes = new Set();
+      patchedSubtrees.forEach(children => this.forEachNode(children, (node) => {
+        keptNodes.add(node);
+        this.indexNode(node);
+      }));
+      replacedNodes.forEach(({ node, element, position }) => {
+        const kept = keptNodes.has(node);
+        if (this.nodesByElement.get(element) === node && (!kept || node.element !== element)) {
+          this.nodesByElement.delete(element);
+        }
+        if (position && this.nodesByPosition.get(position) === node && (!kept || node.position !== position)) {
+          this.nodesByPosition.delete(position);
+        }
+        if (!kept) {
+          this.nodesById.delete(node.id);
+          this.expandedNodes.delete(node.id);
+        }
+      });
+
+      if (this.selectedNodeId && !this.nodesById.has(this.selectedNodeId)) {
+        this.selectedNodeId = null;
+      }
+      this.followSelectedElement();
+
+      this.updateSearchResults();
+      this.renderTree();
+      this.inspector.refresh();
+
+      if (this.devtoolsSystem.options.viewportVisibilityFilter) {
+        this.updateViewportOptimizations();
+      }
+    }
+
+    /**
+     * Check whether a mutation only touches the devtools' own UI
+     * @param {MutationRecord} mutation - DOM mutation
+     * @returns {boolean} True if the target or the added or removed nodes belong to the devtools UI
+     */
+    isDevtoolsMutation(mutation) {
+      const devtoolsSystem = this.devtoolsSystem;
+      if (devtoolsSystem.isDevtoolsElement(mutation.target)) return true;
+
+      const changedNodes = [...Array.from(mutation.addedNodes), ...Array.from(mutation.removedNodes)];
+      return changedNodes.length > 0 && changedNodes.every(node => devtoolsSystem.isDevtoolsElement(node));
+    }
+
+    /**
+     * Point the inspector and the tree selection at the new element of the
+     * selected node after its component was re-rendered
+     * @returns {void}
+     */
+    followSelectedElement() {
+      const node = this.selectedNodeId ? this.nodesById.get(this.selectedNodeId) : null;
+      if (!node) return;
+
+      const inspected = this.inspector.inspectedElement;
+      if (inspected && inspected !== node.element && !inspected.isConnected) {
+        this.inspector.inspect(node.element);
+      }
+
+      const state = this.devtoolsSystem.state;
+      if (state.treeSelectedElement && state.treeSelectedElement !== node.element && !state.treeSelectedElement.isConnected) {
+        state.setTreeSelectedElement(node.element);
+      }
+    }
+
+    /**
+     * Find the node whose children a DOM change may have changed
+     * @param {MutationRecord} mutation - Structural mutation
+     * @returns {TreeNode|null|undefined} Node to rebuild, null to rebuild the root nodes, undefined if the change doesn't matter
+     */
+    findPatchAnchor(mutation) {
+      const target = mutation.target;
+
+      // Changes inside removed subtrees are covered by the removal itself
+      if (!target.isConnected) return undefined;
+
+      if (mutation.type === 'attributes') {
+        // Portal links can move content anywhere in the hierarchy
+        if (mutation.attributeName === PORTAL_OWNER_ATTRIBUTE || mutation.attributeName === OWNER_ID_ATTRIBUTE) {
+          return null;
+        }
+        // The element itself may have become or stopped being a component
+        return this.findNodeAbove(/** @type {Element} */ (target), false);
+      }
+
+      const changedNodes = [...Array.from(mutation.addedNodes), ...Array.from(mutation.removedNodes)];
+      if (changedNodes.some(node => Portals.containsLink(node))) {
+        return null;
+      }
+
+      /** @type {Element|null} */
+      let element;
+      if (target.nodeType === Node.ELEMENT_NODE) {
+        element = /** @type {Element} */ (target);
+      } else if (target.nodeType === Node.DOCUMENT_FRAGMENT_NODE && 'host' in target) {
+        element = /** @type {ShadowRoot} */ (target).host;
+      } else {
+        element = target.parentElement;
+      }
+      return element ? this.findNodeAbove(element, true) : null;
+    }
+
+    /**
+     * Find the closest node above an element in the logical hierarchy
+     * @param {Element} element - Element to start from
+     * @param {boolean} inclusive - Whether the element's own node counts
+     * @returns {TreeNode|null} Closest node, or null if the element is not inside a component of the tree
+     */
+    findNodeAbove(element, inclusive) {
+      const keyboard = this.devtoolsSystem.keyboard;
+      let current = inclusive ? element : keyboard.findParentComponent(element);
+      while (current) {
+        const node = this.nodesByElement.get(current);
+        if (node) return node;
+        current = keyboard.findParentComponent(current);
+      }
+      return null;
+    }
+
+    /**
+     * Get component display name, preferring the captured class or method name
+     * @param {TreeNode} node - Tree node
+     * @returns {string} Component display name
+     */
+    getComponentDisplayName(node) {
+      if (node.componentName) {
+        return node.componentName;
+      }
+
+      // Fall back to the filename without extension
+      const filename = node.filename || 'Unknown';
+      return filename.replace(/\.(scala|js|ts)$/, '');
+    }
+
+
+
+    /**
+     * Flatten tree structure for linear navigation
+     * @param {TreeNode[]|null} [nodes] - Root nodes
+     * @param {TreeNode[]} [result] - Accumulator for flattened nodes
+     * @returns {TreeNode[]} Flattened array of visible nodes
+     */
+    flattenVisibleNodes(nodes = this.treeData, result = []) {
+      if (!nodes) return result;
+      nodes.forEach(node => {
+        if (this.isNodeHiddenBySearch(node)) return;
+        result.push(node);
+        if (node.expanded && node.children.length > 0) {
+          this.flattenVisibleNodes(node.children, result);
+        }
+      });
+      return result;
+    }
+
+    /**
+     * Create the main panel element
+     */
+    createPanel() {
+      // Get saved position and size
+      const savedPosition = this.getSavedPosition();
+      const savedSize = this.getSavedSize();
+
+      // Create main panel container
+      this.panelElement = document.createElement('div');
+      this.panelElement.setAttribute(DEVTOOLS_UI_ATTRIBUTE, '');
+      this.panelElement.style.cssText = `
+        position: fixed;
+        left: ${savedPosition.x}px;
+        top: ${savedPosition.y}px;
+        width: ${savedSize.width}px;
+        height: ${savedSize.height}px;
+        min-width: var(--tree-panel-min-width);
+        min-height: var(--tree-panel-min-height);
+        background: var(--tree-panel-bg);
+        border-radius: var(--tree-panel-border-radius);
+        box-shadow: var(--tree-panel-shadow);
+        z-index: var(--tree-panel-z-index);
+        display: flex;
+        flex-direction: column;
+        overflow: hidden;
+        font-family: var(--tree-text-font-family);
+        font-size: var(--tree-text-font-size);
+        backdrop-filter: var(--tree-panel-backdrop-filter);
+        -webkit-backdrop-filter: var(--tree-panel-backdrop-filter);
+        transform: scale(0.95);
+        opacity: 0;
+        transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+      `;
+
+      // Create header (draggable)
+      const header = document.createElement('div');
+      header.style.cssText = `
+        height: var(--tree-header-height);
+        background: var(--tree-header-bg);
+        padding: var(--tree-header-padding);
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        flex-shrink: 0;
+        backdrop-filter: var(--tree-header-backdrop-filter);
+        -webkit-backdrop-filter: var(--tree-header-backdrop-filter);
+        border-radius: var(--tree-panel-border-radius) var(--tree-panel-border-radius) 0 0;
+        position: relative;
+        cursor: var(--tree-drag-cursor);
+        user-select: none;
+        -webkit-user-select: none;
+        -moz-user-select: none;
+        -ms-user-select: none;
+      `;
+
+      // Store reference to header for dragging
+      this.headerElement = header;
+
+      // Create title
+      const title = document.createElement('div');
+      title.textContent = 'Laminar DevTools';
+      title.style.cssText = `
+        font-weight: 600;
+        color: var(--tree-text-color);
+        font-size: 14px;
+        letter-spacing: -0.01em;
+        margin: 0;
+        line-height: 1.4;
+      `;
+
+      // Create header controls container
+      const headerControls = document.createElement('div');
+      headerControls.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 4px;
+      `;
+
+      // Create settings button
+      const settingsButton = document.createElement('button');
+      settingsButton.title = 'Settings';
+      settingsButton.style.cssText = `
+        width: var(--tree-close-button-size);
+        height: var(--tree-close-button-size);
+        border: none;
+        background: transparent;
+        color: var(--tree-text-secondary-color);
+        font-size: 16px;
+        line-height: 1;
+        font-weight: 400;
+        cursor: pointer;
+        border-radius: var(--tree-close-button-border-radius);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: var(--tree-node-transition);
+        opacity: 0.8;
+        font-family: var(--tree-text-font-family);
+        padding: 0;
+        margin: 0;
+      `;
+      const settingsIcon = document.createElement('span');
+      settingsIcon.innerHTML = '⚙';
+      settingsIcon.style.cssText = `
+        position: relative;
+        font-size: 20px;
+        top: -1px;
+      `
+      settingsButton.appendChild(settingsIcon);
+
+      // Settings button hover effects
+      settingsButton.addEventListener('mouseenter', () => {
+        settingsButton.style.background = 'var(--tree-close-button-hover-bg)';
+        settingsButton.style.opacity = '1';
+        settingsButton.style.color = 'var(--tree-text-color)';
+      });
+
+      settingsButton.addEventListener('mouseleave', () => {
+        settingsButton.style.background = 'transparent';
+        settingsButton.style.opacity = '0.7';
+        settingsButton.style.color = 'var(--tree-text-secondary-color)';
+      });
+
+      settingsButton.addEventListener('mousedown', () => {
+        settingsButton.style.background = 'var(--tree-close-button-active-bg)';
+      });
+
+      settingsButton.addEventListener('mouseup', () => {
+        settingsButton.style.background = 'var(--tree-close-button-hover-bg)';
+      });
+
+      // Store reference to settings button
+      this.settingsButton = settingsButton;
+
+      // Add settings button click handler
+      settingsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleSettingsPanel();
+      });
+
+      // Create refresh button
+      const refreshButton = document.createElement('button');
+      refreshButton.title = 'Refresh component tree';
+
+      // Create refresh icon element that will be animated
+      const refreshIcon = document.createElement('span');
+      refreshIcon.innerHTML = '↻';
+      refreshIcon.style.cssText = `
+        display: inline-block;
+        transition: transform 0.3s ease;
+      `;
+      refreshButton.appendChild(refreshIcon);
+      refreshButton.style.cssText = `
+        width: var(--tree-close-button-size);
+        height: var(--tree-close-button-size);
+        border: none;
+        background: transparent;
+        color: var(--tree-text-secondary-color);
+        font-size: 16px;
+        line-height: var(--tree-close-button-size);
+        font-weight: 400;
+        cursor: pointer;
+        border-radius: var(--tree-close-button-border-radius);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: var(--tree-node-transition);
+        opacity: 0.8;
+        font-family: var(--tree-text-font-family);
+      `;
+
+      // Refresh button hover effects
+      refreshButton.addEventListener('mouseenter', () => {
+        refreshButton.style.background = 'var(--tree-close-button-hover-bg)';
+        refreshButton.style.opacity = '1';
+        refreshButton.style.color = 'var(--tree-text-color)';
+      });
+
+      refreshButton.addEventListener('mouseleave', () => {
+        refreshButton.style.background = 'transparent';
+        refreshButton.style.opacity = '0.7';
+        refreshButton.style.color = 'var(--tree-text-secondary-color)';
+      });
+
+      refreshButton.addEventListener('mousedown', () => {
+        refreshButton.style.background = 'var(--tree-close-button-active-bg)';
+      });
+
+      refreshButton.addEventListener('mouseup', () => {
+        refreshButton.style.background = 'var(--tree-close-button-hover-bg)';
+      });
+
+      // Store reference to refresh button
+      this.refreshButton = refreshButton;
+
+      // Add refresh button click handler
+      refreshButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.performFullRefresh();
+      });
+
+      // Create close button
+      const closeButton = document.createElement('button');
+      closeButton.innerHTML = '✕';
+      closeButton.style.cssText = `
+        width: var(--tree-close-button-size);
+        height: var(--tree-close-button-size);
+        border: none;
+        background: transparent;
+        color: var(--tree-text-secondary-color);
+        font-size: 14px;
+        position: relative;
+        top: 1px;
+        line-height: var(--tree-close-button-size);
+        font-weight: 400;
+        cursor: pointer;
+        border-radius: var(--tree-close-button-border-radius);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: var(--tree-node-transition);
+        opacity: 0.8;
+        font-family: var(--tree-text-font-family);
+      `;
 
-      // Create main panel container
-      this.panelElement = document.createElement('div');
-      this.panelElement.style.cssText = `
-        position: fixed;
-        left: ${savedPosition.x}px;
-        top: ${savedPosition.y}px;
-        width: ${savedSize.width}px;
-        height: ${savedSize.height}px;
-        min-width: var(--tree-panel-min-width);
-        min-height: var(--tree-panel-min-height);
+      closeButton.addEventListener('mouseenter', () => {
+        closeButton.style.background = 'var(--tree-close-button-hover-bg)';
+        closeButton.style.opacity = '1';
+        closeButton.style.color = 'var(--tree-text-color)';
+      });
+
+      closeButton.addEventListener('mouseleave', () => {
+        closeButton.style.background = 'transparent';
+        closeButton.style.opacity = '0.7';
+        closeButton.style.color = 'var(--tree-text-secondary-color)';
+      });
+
+      closeButton.addEventListener('mousedown', () => {
+        closeButton.style.background = 'var(--tree-close-button-active-bg)';
+      });
+
+      closeButton.addEventListener('mouseup', () => {
+        closeButton.style.background = 'var(--tree-close-button-hover-bg)';
+      });
+
+      closeButton.addEventListener('click', this.close);
+
+      // Create React DevTools-style tree container
+      this.treeContainer = document.createElement('div');
+      this.treeContainer.tabIndex = 0; // Make focusable for keyboard navigation
+      this.treeContainer.style.cssText = `
+        flex: 1;
+        min-width: 0;
+        overflow-y: auto;
+        overflow-x: hidden;
+        padding: 12px 12px 12px 8px;
+        outline: none;
+        scroll-behavior: smooth;
         background: var(--tree-panel-bg);
-        border-radius: var(--tree-panel-border-radius);
-        box-shadow: var(--tree-panel-shadow);
-        z-index: var(--tree-panel-z-index);
+        position: relative;
+        margin: 0;
+      `;
+
+      // Add custom scrollbar styling
+      this.treeContainer.style.cssText += `
+        scrollbar-width: thin;
+        scrollbar-color: var(--tree-scrollbar-thumb-bg) var(--tree-scrollbar-track-bg);
+      `;
+
+      // Add webkit scrollbar styles for better cross-browser support
+      const scrollbarStyle = document.createElement('style');
+      scrollbarStyle.textContent = `
+        .devtools-tree-container::-webkit-scrollbar {
+          width: var(--tree-scrollbar-width);
+        }
+        .devtools-tree-container::-webkit-scrollbar-track {
+          background: var(--tree-scrollbar-track-bg);
+          border-radius: var(--tree-scrollbar-border-radius);
+        }
+        .devtools-tree-container::-webkit-scrollbar-thumb {
+          background: var(--tree-scrollbar-thumb-bg);
+          border-radius: var(--tree-scrollbar-border-radius);
+        }
+        .devtools-tree-container::-webkit-scrollbar-thumb:hover {
+          background: var(--tree-scrollbar-thumb-hover-bg);
+        }
+        .devtools-tree-container::-webkit-scrollbar-corner {
+          background: transparent;
+        }
+      `;
+
+      // Only add if not already present
+      if (!document.getElementById('devtools-tree-scrollbar-styles')) {
+        document.head.appendChild(scrollbarStyle);
+      }
+
+      // Add keyboard event listener
+      this.treeContainer.addEventListener('keydown', this.handleTreeKeyDown);
+
+      // Create inspector toggle button
+      this.inspectorButton = this.createHeaderButton('◧', 'Toggle inspector pane', () => {
+        this.setInspectorVisible(!this.inspectorVisible);
+      });
+      this.updateInspectorButton();
+
+      // Create update highlighting toggle button
+      this.highlightUpdatesButton = this.createHeaderButton('▦', 'Highlight updates', () => {
+        this.setHighlightUpdates(!this.highlightUpdates);
+      });
+      this.updateHighlightUpdatesButton();
+
+      // Create inspect mode toggle button
+      this.inspectModeButton = this.createHeaderButton('⌖', 'Select a component on the page', () => {
+        this.devtoolsSystem.setInspectMode(!this.devtoolsSystem.state.inspectModeActive);
+      });
+      this.updateInspectModeButton();
+
+      // Create body with tree and inspector side by side
+      const body = document.createElement('div');
+      body.style.cssText = `
+        flex: 1;
         display: flex;
-        flex-direction: column;
-        overflow: hidden;
+        min-height: 0;
+      `;
+      const inspectorPane = this.inspector.createElement();
+      inspectorPane.style.display = this.inspectorVisible ? 'block' : 'none';
+      body.appendChild(this.treeContainer);
+      body.appendChild(inspectorPane);
+      this.componentsBodyElement = body;
+      this.searchBarElement = this.createSearchBar();
+      this.breadcrumbElement = this.createBreadcrumbBar();
+
+      // Assemble the header controls
+      headerControls.appendChild(this.inspectModeButton);
+      headerControls.appendChild(this.highlightUpdatesButton);
+      headerControls.appendChild(this.inspectorButton);
+      headerControls.appendChild(refreshButton);
+      headerControls.appendChild(settingsButton);
+      headerControls.appendChild(closeButton);
+
+      // Assemble the panel
+      header.appendChild(title);
+      header.appendChild(headerControls);
+      this.panelElement.appendChild(header);
+      this.panelElement.appendChild(this.createTabBar());
+      this.panelElement.appendChild(this.searchBarElement);
+      this.panelElement.appendChild(body);
+      this.panelElement.appendChild(this.breadcrumbElement);
+      this.panelElement.appendChild(this.emissionLogView.createElement());
+      this.panelElement.appendChild(this.lifecycleView.createElement());
+      this.setActiveTab(this.activeTab);
+
+      // Add keyboard shortcuts info
+      // this.addKeyboardShortcutsInfo();
+
+      // Add resize handles
+      this.addResizeHandles();
+
+      // Add drag and resize event listeners
+      this.addDragAndResizeListeners();
+
+      // Add to document
+      document.body.appendChild(this.panelElement);
+    }
+
+    /**
+     * Create a header button with the standard hover and press effects
+     * @param {string} icon - Button icon text
+     * @param {string} title - Button tooltip
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Header button
+     */
+    createHeaderButton(icon, title, onClick) {
+      const button = document.createElement('button');
+      button.title = title;
+      button.textContent = icon;
+      button.style.cssText = `
+        width: var(--tree-close-button-size);
+        height: var(--tree-close-button-size);
+        border: none;
+        background: transparent;
+        color: var(--tree-text-secondary-color);
+        font-size: 16px;
+        line-height: var(--tree-close-button-size);
+        font-weight: 400;
+        cursor: pointer;
+        border-radius: var(--tree-close-button-border-radius);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: var(--tree-node-transition);
+        opacity: 0.8;
         font-family: var(--tree-text-font-family);
-        font-size: var(--tree-text-font-size);
-        backdrop-filter: var(--tree-panel-backdrop-filter);
-        -webkit-backdrop-filter: var(--tree-panel-backdrop-filter);
-        transform: scale(0.95);
-        opacity: 0;
-        transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+        padding: 0;
+        margin: 0;
+      `;
+
+      button.addEventListener('mouseenter', () => {
+        button.style.background = 'var(--tree-close-button-hover-bg)';
+        button.style.opacity = '1';
+      });
+
+      button.addEventListener('mouseleave', () => {
+        button.style.background = 'transparent';
+        button.style.opacity = '0.7';
+      });
+
+      button.addEventListener('mousedown', () => {
+        button.style.background = 'var(--tree-close-button-active-bg)';
+      });
+
+      button.addEventListener('mouseup', () => {
+        button.style.background = 'var(--tree-close-button-hover-bg)';
+      });
+
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+
+      return button;
+    }
+
+    /**
+     * Show or hide the inspector pane
+     * @param {boolean} visible - Whether the inspector pane should be shown
+     * @returns {void}
+     */
+    setInspectorVisible(visible) {
+      this.inspectorVisible = visible;
+      PersistentStorage.set('componentTreePanel.inspectorVisible', visible);
+
+      if (this.inspector.element) {
+        this.inspector.element.style.display = visible ? 'block' : 'none';
+      }
+      this.updateInspectorLiveUpdates();
+      if (visible) {
+        this.inspector.refresh();
+      }
+      this.updateInspectorButton();
+    }
+
+    /**
+     * Refresh subscription values in the inspector only while it is on screen
+     * @returns {void}
+     */
+    updateInspectorLiveUpdates() {
+      this.inspector.setLiveUpdatesEnabled(this.inspectorVisible && this.activeTab === 'components');
+    }
+
+    /**
+     * Reflect inspector visibility on its header button
+     * @returns {void}
+     */
+    updateInspectorButton() {
+      if (!this.inspectorButton) return;
+      this.inspectorButton.style.color = this.inspectorVisible
+        ? 'var(--tree-component-name-color)'
+        : 'var(--tree-text-secondary-color)';
+    }
+
+    /**
+     * Turn update highlighting on or off
+     * @param {boolean} enabled - Whether DOM updates should be highlighted
+     * @returns {void}
+     */
+    setHighlightUpdates(enabled) {
+      this.highlightUpdates = enabled;
+      PersistentStorage.set('componentTreePanel.highlightUpdates', enabled);
+
+      if (!enabled) {
+        this.updateHighlighter.clear();
+      }
+
+      // Observing text and attribute changes is only needed while highlighting
+      if (this.isVisible) {
+        this.stopChangeMonitoring();
+        this.startChangeMonitoring();
+        this.renderTree();
+        if (this.selectedNodeId) {
+          this.updateNodeSelection(null, this.selectedNodeId);
+        }
+      }
+      this.updateHighlightUpdatesButton();
+    }
+
+    /**
+     * Reflect update highlighting on its header button
+     * @returns {void}
+     */
+    updateHighlightUpdatesButton() {
+      if (!this.highlightUpdatesButton) return;
+      this.highlightUpdatesButton.title = this.highlightUpdates ? 'Stop highlighting updates' : 'Highlight updates';
+      this.highlightUpdatesButton.style.color = this.highlightUpdates
+        ? 'var(--tree-component-name-color)'
+        : 'var(--tree-text-secondary-color)';
+    }
+
+    /**
+     * Reflect inspect mode on its header button
+     * @returns {void}
+     */
+    updateInspectModeButton() {
+      if (!this.inspectModeButton) return;
+      this.inspectModeButton.title = this.devtoolsSystem.state.inspectModeActive
+        ? 'Stop selecting (Esc)'
+        : `Select a component on the page (${KeyMap.getBinding('toggleInspectMode')})`;
+      this.inspectModeButton.style.color = this.devtoolsSystem.state.inspectModeActive
+        ? 'var(--tree-component-name-color)'
+        : 'var(--tree-text-secondary-color)';
+    }
+
+    /**
+     * Refresh the update counters of rendered rows
+     * @param {Iterable<Element>} elements - Components whose count changed
+     * @returns {void}
+     */
+    updateUpdateCounts(elements) {
+      for (const element of elements) {
+        const counter = this.updateCountElements.get(element);
+        if (counter) {
+          this.renderUpdateCount(counter, element);
+        }
+      }
+    }
+
+    /**
+     * Render a component's update count into its counter element
+     * @param {HTMLSpanElement} counter - Counter element of a tree row
+     * @param {Element} element - Component element
+     * @returns {void}
+     */
+    renderUpdateCount(counter, element) {
+      const count = this.updateHighlighter.getUpdateCount(element);
+      counter.textContent = count > 0 ? String(count) : '';
+      counter.title = `${count} DOM update${count === 1 ? '' : 's'}`;
+      counter.style.color = this.updateHighlighter.getHeatColor(element);
+    }
+
+    /**
+     * Create the tab bar switching between the panel views
+     * @returns {HTMLDivElement} Tab bar container
+     */
+    createTabBar() {
+      const tabBar = document.createElement('div');
+      tabBar.style.cssText = `
+        height: var(--tree-tab-height);
+        background: var(--tree-header-bg);
+        padding: 0 12px;
+        display: flex;
+        align-items: stretch;
+        gap: 12px;
+        flex-shrink: 0;
+        margin-bottom: 8px;
+        border-bottom: 1px solid var(--tree-inspector-border);
       `;
 
-      // Create header (draggable)
-      const header = document.createElement('div');
-      header.style.cssText = `
-        height: var(--tree-header-height);
+      PANEL_TABS.forEach(tab => {
+        const button = document.createElement('button');
+        button.textContent = tab.label;
+        button.style.cssText = `
+          border: none;
+          border-bottom: 2px solid transparent;
+          background: transparent;
+          color: var(--tree-text-secondary-color);
+          font-family: var(--tree-text-font-family);
+          font-size: 12px;
+          font-weight: 500;
+          cursor: pointer;
+          padding: 0 2px;
+          margin: 0;
+          transition: var(--tree-node-transition);
+        `;
+
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.setActiveTab(tab.id);
+        });
+
+        this.tabButtons.set(tab.id, button);
+        tabBar.appendChild(button);
+      });
+
+      return tabBar;
+    }
+
+    /**
+     * Switch the panel between the component tree, the events log and the lifecycle timeline
+     * @param {PanelTab} tab - Tab to show
+     * @returns {void}
+     */
+    setActiveTab(tab) {
+      this.activeTab = tab;
+      PersistentStorage.set('componentTreePanel.activeTab', tab);
+
+      const showComponents = tab === 'components';
+      if (this.searchBarElement) {
+        this.searchBarElement.style.display = showComponents ? 'flex' : 'none';
+      }
+      if (this.componentsBodyElement) {
+        this.componentsBodyElement.style.display = showComponents ? 'flex' : 'none';
+      }
+      if (this.breadcrumbElement) {
+        this.breadcrumbElement.style.display = showComponents ? 'flex' : 'none';
+      }
+      if (this.emissionLogView.element) {
+        this.emissionLogView.element.style.display = tab === 'events' ? 'flex' : 'none';
+      }
+      if (this.lifecycleView.element) {
+        this.lifecycleView.element.style.display = tab === 'lifecycle' ? 'flex' : 'none';
+      }
+      if (tab === 'lifecycle') {
+        this.devtoolsSystem.lifecycle.start();
+      }
+      this.updateInspectorLiveUpdates();
+
+      this.tabButtons.forEach((button, id) => {
+        const active = id === tab;
+        button.style.color = active ? 'var(--tree-tab-active-color)' : 'var(--tree-text-secondary-color)';
+        button.style.borderBottomColor = active ? 'var(--tree-tab-active-border)' : 'transparent';
+      });
+    }
+
+    /**
+     * Create the breadcrumb bar shown below the tree
+     * @returns {HTMLDivElement} Breadcrumb bar
+     */
+    createBreadcrumbBar() {
+      const bar = document.createElement('div');
+      bar.style.cssText = `
+        height: var(--tree-breadcrumb-height);
         background: var(--tree-header-bg);
-        padding: var(--tree-header-padding);
+        border-top: 1px solid var(--tree-inspector-border);
+        padding: 0 8px;
         display: flex;
         align-items: center;
-        justify-content: space-between;
         flex-shrink: 0;
-        backdrop-filter: var(--tree-header-backdrop-filter);
-        -webkit-backdrop-filter: var(--tree-header-backdrop-filter);
-        border-radius: var(--tree-panel-border-radius) var(--tree-panel-border-radius) 0 0;
-        position: relative;
-        cursor: var(--tree-drag-cursor);
-        user-select: none;
-        -webkit-user-select: none;
-        -moz-user-select: none;
-        -ms-user-select: none;
+        overflow-x: auto;
+        overflow-y: hidden;
+        white-space: nowrap;
+        scrollbar-width: none;
+        font-family: var(--tree-text-font-family);
+        font-size: 12px;
       `;
+      this.breadcrumbElement = bar;
+      this.renderBreadcrumbs();
+      return bar;
+    }
 
-      // Store reference to header for dragging
-      this.headerElement = header;
+    /**
+     * Show the ancestry of a component in the breadcrumb bar. A component
+     * already in the chain only becomes the active crumb, so selecting an
+     * ancestor keeps the way back down visible.
+     * @param {Element} element - Inspected or selected component
+     * @returns {void}
+     */
+    updateBreadcrumbs(element) {
+      if (!this.breadcrumbElement) return;
 
-      // Create title
-      const title = document.createElement('div');
-      title.textContent = 'Laminar DevTools';
-      title.style.cssText = `
-        font-weight: 600;
-        color: var(--tree-text-color);
-        font-size: 14px;
-        letter-spacing: -0.01em;
-        margin: 0;
-        line-height: 1.4;
-      `;
+      const known = this.breadcrumbChain.includes(element) && this.breadcrumbChain.every(crumb => crumb.isConnected);
+      if (!known) {
+        /** @type {Element[]} */
+        const chain = [];
+        for (let current = /** @type {Element|null} */ (element); current;
+          current = this.devtoolsSystem.keyboard.findParentComponent(current)) {
+          chain.unshift(current);
+        }
+        this.breadcrumbChain = chain;
+      }
+      if (known && this.breadcrumbActive === element) return;
 
-      // Create header controls container
-      const headerControls = document.createElement('div');
-      headerControls.style.cssText = `
+      this.breadcrumbActive = element;
+      this.renderBreadcrumbs();
+      if (!known) {
+        this.breadcrumbElement.scrollLeft = this.breadcrumbElement.scrollWidth;
+      }
+    }
+
+    /**
+     * Render the breadcrumb chain, e.g. `App › Card › Button`
+     * @returns {void}
+     */
+    renderBreadcrumbs() {
+      const bar = this.breadcrumbElement;
+      if (!bar) return;
+      bar.innerHTML = '';
+
+      if (this.breadcrumbChain.length === 0) {
+        const hint = document.createElement('span');
+        hint.textContent = 'Inspect or select a component to see its ancestry';
+        hint.style.color = 'var(--tree-text-muted-color)';
+        bar.appendChild(hint);
+        return;
+      }
+
+      this.breadcrumbChain.forEach((element, index) => {
+        if (index > 0) {
+          const separator = document.createElement('span');
+          separator.textContent = '›';
+          separator.style.cssText = `
+            color: var(--tree-breadcrumb-separator-color);
+            padding: 0 2px;
+          `;
+          bar.appendChild(separator);
+        }
+
+        const active = element === this.breadcrumbActive;
+        const crumb = document.createElement('span');
+        crumb.textContent = PropertyAccessor.getDisplayName(element);
+        crumb.title = PropertyAccessor.getComponentKey(element) || '';
+        crumb.style.cssText = `
+          padding: 2px 6px;
+          border-radius: var(--tree-close-button-border-radius);
+          cursor: pointer;
+          color: ${active ? 'var(--tree-component-name-color)' : 'var(--tree-text-secondary-color)'};
+          font-weight: ${active ? '600' : '400'};
+          transition: var(--tree-node-transition);
+        `;
+
+        // Hovering previews the crumb's overlay, clicking selects it
+        crumb.addEventListener('mouseenter', () => {
+          crumb.style.background = 'var(--tree-breadcrumb-hover-bg)';
+          this.devtoolsSystem.overlay.show(element);
+        });
+
+        crumb.addEventListener('mouseleave', () => {
+          crumb.style.background = 'transparent';
+          this.restoreOverlayAfterPreview();
+        });
+
+        crumb.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.revealElement(element);
+        });
+
+        bar.appendChild(crumb);
+      });
+    }
+
+    /**
+     * Put the overlay back on the selected or inspected component after a breadcrumb preview
+     * @returns {void}
+     */
+    restoreOverlayAfterPreview() {
+      const state = this.devtoolsSystem.state;
+      const element = state.treeSelectionActive && state.treeSelectedElement
+        ? state.treeSelectedElement
+        : state.isInspecting() ? state.currentTargetElement : null;
+
+      if (element) {
+        this.devtoolsSystem.overlay.show(element);
+      } else {
+        this.devtoolsSystem.overlay.hide();
+      }
+    }
+
+    /**
+     * Show a component element in the tree: switch tabs, expand its ancestors and select it
+     * @param {Element} element - Component element to reveal
+     * @returns {void}
+     */
+    revealElement(element) {
+      this.setActiveTab('components');
+
+      let node = this.findNodeByElement(element);
+      if (!node) {
+        // The component may have mounted since the tree was last built
+        this.performFullRefresh();
+        node = this.findNodeByElement(element);
+      }
+      if (!node) return;
+
+      if (this.searchVisibleNodes && !this.searchVisibleNodes.has(node.id)) {
+        this.clearSearch();
+      }
+      this.expandPathToNode(node);
+      this.selectNode(node);
+
+      if (this.treeContainer) {
+        this.treeContainer.focus();
+      }
+    }
+
+    /**
+     * Create the search bar shown below the panel header
+     * @returns {HTMLDivElement} Search bar container
+     */
+    createSearchBar() {
+      const searchContainer = document.createElement('div');
+      searchContainer.style.cssText = `
+        height: var(--tree-search-height);
+        background: var(--tree-header-bg);
+        padding: 0 12px 8px;
         display: flex;
         align-items: center;
-        gap: 4px;
+        gap: 8px;
+        flex-shrink: 0;
       `;
 
-      // Create settings button
-      const settingsButton = document.createElement('button');
-      settingsButton.title = 'Settings';
-      settingsButton.style.cssText = `
-        width: var(--tree-close-button-size);
-        height: var(--tree-close-button-size);
-        border: none;
-        background: transparent;
-        color: var(--tree-text-secondary-color);
-        font-size: 16px;
-        line-height: 1;
-        font-weight: 400;
-        cursor: pointer;
+      const searchInput = document.createElement('input');
+      searchInput.type = 'search';
+      searchInput.placeholder = 'Search components…';
+      searchInput.spellcheck = false;
+      searchInput.autocomplete = 'off';
+      searchInput.value = this.searchQuery;
+      searchInput.style.cssText = `
+        flex: 1;
+        min-width: 0;
+        height: 26px;
+        padding: 0 8px;
+        background: var(--tree-search-input-bg);
+        border: 1px solid var(--tree-search-input-border);
         border-radius: var(--tree-close-button-border-radius);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: var(--tree-node-transition);
-        opacity: 0.8;
+        color: var(--tree-text-color);
         font-family: var(--tree-text-font-family);
-        padding: 0;
-        margin: 0;
+        font-size: 12px;
+        outline: none;
+        transition: border-color 0.15s ease;
       `;
-      const settingsIcon = document.createElement('span');
-      settingsIcon.innerHTML = '⚙';
-      settingsIcon.style.cssText = `
-        position: relative;
-        font-size: 20px;
-        top: -1px;
-      `
-      settingsButton.appendChild(settingsIcon);
 
-      // Settings button hover effects
-      settingsButton.addEventListener('mouseenter', () => {
-        settingsButton.style.background = 'var(--tree-close-button-hover-bg)';
-        settingsButton.style.opacity = '1';
-        settingsButton.style.color = 'var(--tree-text-color)';
+      searchInput.addEventListener('focus', () => {
+        searchInput.style.borderColor = 'var(--tree-search-input-focus-border)';
       });
 
-      settingsButton.addEventListener('mouseleave', () => {
-        settingsButton.style.background = 'transparent';
-        settingsButton.style.opacity = '0.7';
-        settingsButton.style.color = 'var(--tree-text-secondary-color)';
+      searchInput.addEventListener('blur', () => {
+        searchInput.style.borderColor = 'var(--tree-search-input-border)';
       });
 
-      settingsButton.addEventListener('mousedown', () => {
-        settingsButton.style.background = 'var(--tree-close-button-active-bg)';
+      searchInput.addEventListener('input', () => {
+        this.handleSearchInput(searchInput.value);
       });
 
-      settingsButton.addEventListener('mouseup', () => {
-        settingsButton.style.background = 'var(--tree-close-button-hover-bg)';
+      searchInput.addEventListener('keydown', (event) => {
+        this.handleSearchKeyDown(event);
       });
 
-      // Store reference to settings button
-      this.settingsButton = settingsButton;
+      const searchCount = document.createElement('span');
+      searchCount.style.cssText = `
+        color: var(--tree-text-muted-color);
+        font-size: 11px;
+        white-space: nowrap;
+        flex-shrink: 0;
+      `;
 
-      // Add settings button click handler
-      settingsButton.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.toggleSettingsPanel();
-      });
+      this.searchInput = searchInput;
+      this.searchCountElement = searchCount;
 
-      // Create refresh button
-      const refreshButton = document.createElement('button');
-      refreshButton.title = 'Refresh component tree';
+      searchContainer.appendChild(searchInput);
+      searchContainer.appendChild(searchCount);
+      return searchContainer;
+    }
 
-      // Create refresh icon element that will be animated
-      const refreshIcon = document.createElement('span');
-      refreshIcon.innerHTML = '↻';
-      refreshIcon.style.cssText = `
-        display: inline-block;
-        transition: transform 0.3s ease;
-      `;
-      refreshButton.appendChild(refreshIcon);
-      refreshButton.style.cssText = `
-        width: var(--tree-close-button-size);
-        height: var(--tree-close-button-size);
-        border: none;
-        background: transparent;
-        color: var(--tree-text-secondary-color);
-        font-size: 16px;
-        line-height: var(--tree-close-button-size);
-        font-weight: 400;
-        cursor: pointer;
-        border-radius: var(--tree-close-button-border-radius);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: var(--tree-node-transition);
-        opacity: 0.8;
-        font-family: var(--tree-text-font-family);
-      `;
+    /**
+     * Handle changes of the search query
+     * @param {string} query - New search query
+     * @returns {void}
+     */
+    handleSearchInput(query) {
+      this.searchQuery = query;
+      this.updateSearchResults();
+      this.renderTree();
 
-      // Refresh button hover effects
-      refreshButton.addEventListener('mouseenter', () => {
-        refreshButton.style.background = 'var(--tree-close-button-hover-bg)';
-        refreshButton.style.opacity = '1';
-        refreshButton.style.color = 'var(--tree-text-color)';
-      });
+      // Restore selection highlight if the selected node is still shown
+      if (this.selectedNodeId) {
+        this.updateNodeSelection(null, this.selectedNodeId);
+      }
+    }
 
-      refreshButton.addEventListener('mouseleave', () => {
-        refreshButton.style.background = 'transparent';
-        refreshButton.style.opacity = '0.7';
-        refreshButton.style.color = 'var(--tree-text-secondary-color)';
-      });
+    /**
+     * Handle keyboard input in the search field
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {void}
+     */
+    handleSearchKeyDown(event) {
+      switch (event.key) {
+        case 'ArrowDown':
+          event.preventDefault();
+          this.stepSearchResult(1);
+          break;
 
-      refreshButton.addEventListener('mousedown', () => {
-        refreshButton.style.background = 'var(--tree-close-button-active-bg)';
-      });
+        case 'ArrowUp':
+          event.preventDefault();
+          this.stepSearchResult(-1);
+          break;
+
+        case 'Enter':
+          // Hand over to tree keyboard navigation
+          event.preventDefault();
+          if (!this.selectedNodeId) {
+            this.stepSearchResult(1);
+          }
+          if (this.treeContainer) {
+            this.treeContainer.focus();
+          }
+          break;
+
+        case 'Escape':
+          event.preventDefault();
+          event.stopPropagation();
+          if (this.searchQuery) {
+            this.clearSearch();
+          } else if (this.treeContainer) {
+            this.treeContainer.focus();
+          }
+          break;
+      }
+    }
+
+    /**
+     * Recompute search matches for the current query and expand their ancestors
+     * @returns {void}
+     */
+    updateSearchResults() {
+      this.searchMatches.clear();
+
+      const query = this.searchQuery.trim();
+      if (!query || !this.treeData) {
+        this.searchVisibleNodes = null;
+        this.restoreExpansionAfterSearch();
+        this.updateSearchCount();
+        return;
+      }
+
+      if (!this.expandedBeforeSearch) {
+        this.expandedBeforeSearch = new Set(this.expandedNodes);
+      }
+
+      /** @type {Set<string>} */
+      const visibleNodes = new Set();
+
+      this.forEachNode(this.treeData, (node) => {
+        const match = this.matchNode(node, query);
+        if (!match) return;
+
+        this.searchMatches.set(node.id, match);
+        visibleNodes.add(node.id);
+
+        let ancestor = node.parent;
+        while (ancestor && !visibleNodes.has(ancestor.id)) {
+          visibleNodes.add(ancestor.id);
+          ancestor = ancestor.parent;
+        }
 
-      refreshButton.addEventListener('mouseup', () => {
-        refreshButton.style.background = 'var(--tree-close-button-hover-bg)';
+        this.expandPathToNode(node, false);
       });
 
-      // Store reference to refresh button
-      this.refreshButton = refreshButton;
+      this.searchVisibleNodes = visibleNodes;
+      this.updateSearchCount();
+    }
 
-      // Add refresh button click handler
-      refreshButton.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.performFullRefresh();
-      });
+    /**
+     * Collapse the nodes the search expanded, keeping the selected node visible
+     * @returns {void}
+     */
+    restoreExpansionAfterSearch() {
+      if (!this.expandedBeforeSearch) return;
 
-      // Create close button
-      const closeButton = document.createElement('button');
-      closeButton.innerHTML = '✕';
-      closeButton.style.cssText = `
-        width: var(--tree-close-button-size);
-        height: var(--tree-close-button-size);
-        border: none;
-        background: transparent;
-        color: var(--tree-text-secondary-color);
-        font-size: 14px;
-        position: relative;
-        top: 1px;
-        line-height: var(--tree-close-button-size);
-        font-weight: 400;
-        cursor: pointer;
-        border-radius: var(--tree-close-button-border-radius);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: var(--tree-node-transition);
-        opacity: 0.8;
-        font-family: var(--tree-text-font-family);
-      `;
+      this.expandedNodes = this.expandedBeforeSearch;
+      this.expandedBeforeSearch = null;
+      if (!this.treeData) return;
 
-      closeButton.addEventListener('mouseenter', () => {
-        closeButton.style.background = 'var(--tree-close-button-hover-bg)';
-        closeButton.style.opacity = '1';
-        closeButton.style.color = 'var(--tree-text-color)';
+      this.forEachNode(this.treeData, (node) => {
+        node.expanded = this.expandedNodes.has(node.id);
       });
 
-      closeButton.addEventListener('mouseleave', () => {
-        closeButton.style.background = 'transparent';
-        closeButton.style.opacity = '0.7';
-        closeButton.style.color = 'var(--tree-text-secondary-color)';
-      });
+      const selectedNode = this.selectedNodeId ? this.findNodeById(this.selectedNodeId) : null;
+      if (selectedNode) {
+        this.expandPathToNode(selectedNode, false);
+      }
+    }
 
-      closeButton.addEventListener('mousedown', () => {
-        closeButton.style.background = 'var(--tree-close-button-active-bg)';
-      });
+    /**
+     * Fuzzy match a tree node against a query on display name, filename and source path
+     * @param {TreeNode} node - Tree node to match
+     * @param {string} query - Search query
+     * @returns {SearchMatch|null} Best matching field or null
+     */
+    matchNode(node, query) {
+      /** @type {Array<{field: SearchMatch['field'], text: string, weight: number}>} */
+      const fields = [
+        { field: 'name', text: this.getComponentDisplayName(node), weight: 0 },
+        { field: 'filename', text: node.filename || '', weight: -1 },
+        { field: 'path', text: node.path || '', weight: -2 }
+      ];
 
-      closeButton.addEventListener('mouseup', () => {
-        closeButton.style.background = 'var(--tree-close-button-hover-bg)';
-      });
+      /** @type {SearchMatch|null} */
+      let best = null;
+      for (const { field, text, weight } of fields) {
+        const result = fuzzyMatch(query, text, field === 'path');
+        // The weight only breaks ties, so the name wins over an equally good path match
+        if (result && (!best || result.score + weight > best.score)) {
+          best = { field, text, indices: result.indices, score: result.score + weight };
+        }
+      }
 
-      closeButton.addEventListener('click', this.close);
+      return best;
+    }
 
-      // Create React DevTools-style tree container
-      this.treeContainer = document.createElement('div');
-      this.treeContainer.tabIndex = 0; // Make focusable for keyboard navigation
-      this.treeContainer.style.cssText = `
-        flex: 1;
-        overflow-y: auto;
-        overflow-x: hidden;
-        padding: 12px 12px 12px 8px;
-        outline: none;
-        scroll-behavior: smooth;
-        background: var(--tree-panel-bg);
-        position: relative;
-        margin: 0;
-      `;
+    /**
+     * Check whether a node is hidden by the active search filter
+     * @param {TreeNode} node - Tree node
+     * @returns {boolean} True if the node is filtered out
+     */
+    isNodeHiddenBySearch(node) {
+      return this.searchVisibleNodes !== null && !this.searchVisibleNodes.has(node.id);
+    }
 
-      // Add custom scrollbar styling
-      this.treeContainer.style.cssText += `
-        scrollbar-width: thin;
-        scrollbar-color: var(--tree-scrollbar-thumb-bg) var(--tree-scrollbar-track-bg);
-      `;
+    /**
+     * Get matching nodes, best match first and in tree order among equal matches
+     * @returns {TreeNode[]} Nodes matching the current search
+     */
+    getSearchResultNodes() {
+      const score = (/** @type {TreeNode} */ node) => /** @type {SearchMatch} */ (this.searchMatches.get(node.id)).score;
+      return this.flattenVisibleNodes()
+        .filter(node => this.searchMatches.has(node.id))
+        .sort((a, b) => score(b) - score(a));
+    }
 
-      // Add webkit scrollbar styles for better cross-browser support
-      const scrollbarStyle = document.createElement('style');
-      scrollbarStyle.textContent = `
-        .devtools-tree-container::-webkit-scrollbar {
-          width: var(--tree-scrollbar-width);
-        }
-        .devtools-tree-container::-webkit-scrollbar-track {
-          background: var(--tree-scrollbar-track-bg);
-          border-radius: var(--tree-scrollbar-border-radius);
-        }
-        .devtools-tree-container::-webkit-scrollbar-thumb {
-          background: var(--tree-scrollbar-thumb-bg);
-          border-radius: var(--tree-scrollbar-border-radius);
-        }
-        .devtools-tree-container::-webkit-scrollbar-thumb:hover {
-          background: var(--tree-scrollbar-thumb-hover-bg);
-        }
-        .devtools-tree-container::-webkit-scrollbar-corner {
-          background: transparent;
-        }
-      `;
+    /**
+     * Select the next or previous search result
+     * @param {1|-1} direction - Step direction
+     * @returns {void}
+     */
+    stepSearchResult(direction) {
+      const results = this.getSearchResultNodes();
+      if (results.length === 0) return;
 
-      // Only add if not already present
-      if (!document.getElementById('devtools-tree-scrollbar-styles')) {
-        document.head.appendChild(scrollbarStyle);
+      const currentIndex = results.findIndex(node => node.id === this.selectedNodeId);
+      let nextIndex;
+      if (currentIndex === -1) {
+        nextIndex = direction === 1 ? 0 : results.length - 1;
+      } else {
+        nextIndex = (currentIndex + direction + results.length) % results.length;
       }
 
-      // Add keyboard event listener
-      this.treeContainer.addEventListener('keydown', this.handleTreeKeyDown);
+      this.selectNode(results[nextIndex]);
+      this.updateSearchCount();
+    }
 
-      // Assemble the header controls
-      headerControls.appendChild(refreshButton);
-      headerControls.appendChild(settingsButton);
-      headerControls.appendChild(closeButton);
+    /**
+     * Update the search result counter
+     * @returns {void}
+     */
+    updateSearchCount() {
+      if (!this.searchCountElement) return;
 
-      // Assemble the panel
-      header.appendChild(title);
-      header.appendChild(headerControls);
-      this.panelElement.appendChild(header);
-      this.panelElement.appendChild(this.treeContainer);
+      if (this.searchVisibleNodes === null) {
+        this.searchCountElement.textContent = '';
+        return;
+      }
 
-      // Add keyboard shortcuts info
-      // this.addKeyboardShortcutsInfo();
+      const results = this.getSearchResultNodes();
+      const currentIndex = results.findIndex(node => node.id === this.selectedNodeId);
+      this.searchCountElement.textContent = currentIndex === -1
+        ? `${results.length} found`
+        : `${currentIndex + 1}/${results.length}`;
+    }
 
-      // Add resize handles
-      this.addResizeHandles();
+    /**
+     * Clear the search query and show the full tree again
+     * @returns {void}
+     */
+    clearSearch() {
+      if (this.searchInput) {
+        this.searchInput.value = '';
+      }
+      this.handleSearchInput('');
+    }
 
-      // Add drag and resize event listeners
-      this.addDragAndResizeListeners();
+    /**
+     * Create text with highlighted matched characters
+     * @param {string} text - Text to render
+     * @param {number[]} indices - Indices of characters to highlight
+     * @returns {DocumentFragment} Fragment with highlighted text
+     */
+    createHighlightedText(text, indices) {
+      const fragment = document.createDocumentFragment();
+      const matched = new Set(indices);
+      let buffer = '';
+      let bufferMatched = false;
 
-      // Add to document
-      document.body.appendChild(this.panelElement);
+      const flush = () => {
+        if (!buffer) return;
+        if (bufferMatched) {
+          const mark = document.createElement('mark');
+          mark.textContent = buffer;
+          mark.style.cssText = `
+            background: var(--tree-search-highlight-bg);
+            color: var(--tree-search-highlight-color);
+            border-radius: 2px;
+          `;
+          fragment.appendChild(mark);
+        } else {
+          fragment.appendChild(document.createTextNode(buffer));
+        }
+        buffer = '';
+      };
+
+      for (let i = 0; i < text.length; i++) {
+        const isMatched = matched.has(i);
+        if (isMatched !== bufferMatched) {
+          flush();
+          bufferMatched = isMatched;
+        }
+        buffer += text[i];
+      }
+      flush();
+
+      return fragment;
     }
 
     /**
-     * Render the tree structure
+     * Render the tree structure. Rows of nodes that are unchanged since the
+     * last render are kept and only moved into place, so large trees only
+     * pay for the rows that changed.
      */
     renderTree() {
       if (!this.treeContainer || !this.treeData) return;
 
-      // Clear existing content
-      this.treeContainer.innerHTML = '';
+      // Removing rows above the viewport must not move the rows the user is looking at
+      const scrollTop = this.treeContainer.scrollTop;
 
-      // Render root nodes
-      if (this.treeContainer) {
-        this.treeData.forEach(node => {
-          this.renderTreeNode(node, this.treeContainer);
-        });
+      /** @type {TreeNode[]} */
+      const visibleNodes = [];
+      this.collectRenderedNodes(this.treeData, visibleNodes);
+      const visibleIds = new Set(visibleNodes.map(node => node.id));
+
+      // Remove rows of nodes that are gone, collapsed or filtered out
+      this.rowElements.forEach((entry, nodeId) => {
+        if (!visibleIds.has(nodeId)) {
+          this.removeRow(entry);
+          this.rowElements.delete(nodeId);
+        }
+      });
+      if (this.treeMessageElement) {
+        this.treeMessageElement.remove();
+        this.treeMessageElement = null;
+      }
+
+      /** @type {ChildNode|null} */
+      let nextPosition = this.treeContainer.firstChild;
+      visibleNodes.forEach(node => {
+        const signature = this.getRowSignature(node);
+        let entry = this.rowElements.get(node.id);
+        if (!entry || entry.node !== node || entry.element !== node.element || entry.signature !== signature) {
+          if (entry) {
+            if (entry.row === nextPosition) {
+              nextPosition = entry.row.nextSibling;
+            }
+            this.removeRow(entry);
+          }
+          entry = { row: this.createNodeRow(node), node, element: node.element, signature };
+          this.rowElements.set(node.id, entry);
+        }
+
+        if (entry.row === nextPosition) {
+          nextPosition = entry.row.nextSibling;
+        } else {
+          /** @type {HTMLElement} */ (this.treeContainer).insertBefore(entry.row, nextPosition);
+        }
+      });
+
+      // Restore the selection style on new rows
+      this.updateNodeSelection(null, this.selectedNodeId);
+
+      if (visibleNodes.length > 0) {
+        this.treeContainer.scrollTop = scrollTop;
+        return;
       }
 
-      // If no components found or no visible components, show a Refresh Tree button instead
-      if (this.treeData.length === 0 || this.treeContainer.children.length === 0) {
-        const refreshButton = document.createElement('button');
-        refreshButton.textContent = 'Refresh Tree';
-
-        refreshButton.style.cssText = `
-          padding: 8px 14px;
-          margin: 32px auto;
-          display: block;
-          background: var(--tree-close-button-hover-bg);
-          color: var(--tree-text-color);
-          border: 1px solid var(--tree-close-button-active-bg);
-          border-radius: var(--tree-node-border-radius);
-          cursor: pointer;
-          font-size: 13px;
-          font-family: var(--tree-text-font-family);
-          transition: background 0.15s ease, border-color 0.15s ease;
+      // Explain an empty result while filtering instead of offering a refresh
+      if (this.searchVisibleNodes !== null) {
+        const emptyMessage = document.createElement('div');
+        emptyMessage.textContent = `No components match "${this.searchQuery.trim()}"`;
+        emptyMessage.style.cssText = `
+          padding: 24px 12px;
+          text-align: center;
+          color: var(--tree-text-muted-color);
+          font-size: 12px;
         `;
+        this.treeMessageElement = emptyMessage;
+        this.treeContainer.appendChild(emptyMessage);
+        return;
+      }
 
-        refreshButton.addEventListener('mouseenter', () => {
-          refreshButton.style.background = 'var(--tree-close-button-active-bg)';
-        });
+      // If no components found or no visible components, show a Refresh Tree button instead
+      const refreshButton = document.createElement('button');
+      refreshButton.textContent = 'Refresh Tree';
 
-        refreshButton.addEventListener('mouseleave', () => {
-          refreshButton.style.background = 'var(--tree-close-button-hover-bg)';
-        });
+      refreshButton.style.cssText = `
+        padding: 8px 14px;
+        margin: 32px auto;
+        display: block;
+        background: var(--tree-close-button-hover-bg);
+        color: var(--tree-text-color);
+        border: 1px solid var(--tree-close-button-active-bg);
+        border-radius: var(--tree-node-border-radius);
+        cursor: pointer;
+        font-size: 13px;
+        font-family: var(--tree-text-font-family);
+        transition: background 0.15s ease, border-color 0.15s ease;
+      `;
 
-        refreshButton.addEventListener('click', () => {
-          this.performFullRefresh();
-        });
+      refreshButton.addEventListener('mouseenter', () => {
+        refreshButton.style.background = 'var(--tree-close-button-active-bg)';
+      });
 
-        const refreshButtonContainer = document.createElement('div');
-        refreshButtonContainer.style.cssText = `  
-          display: flex;
-          justify-content: center;
-          align-items: center;
-          height: 100%;
-        `;
-        refreshButtonContainer.appendChild(refreshButton);
-        this.treeContainer.appendChild(refreshButtonContainer);
-      }
+      refreshButton.addEventListener('mouseleave', () => {
+        refreshButton.style.background = 'var(--tree-close-button-hover-bg)';
+      });
+
+      refreshButton.addEventListener('click', () => {
+        this.performFullRefresh();
+      });
+
+      const refreshButtonContainer = document.createElement('div');
+      refreshButtonContainer.style.cssText = `  
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        height: 100%;
+      `;
+      refreshButtonContainer.appendChild(refreshButton);
+      this.treeMessageElement = refreshButtonContainer;
+      this.treeContainer.appendChild(refreshButtonContainer);
     }
 
     /**
-     * Render a single tree node and its children
-     * @param {TreeNode} node - Tree node to render
-     * @param {Element|null} container - Container element
+     * Collect the nodes that get a row, in display order
+     * @param {TreeNode[]} nodes - Nodes to collect from
+     * @param {TreeNode[]} result - Accumulator for the rendered nodes
      * @returns {void}
      */
-    renderTreeNode(node, container) {
-      if (!container) return;
+    collectRenderedNodes(nodes, result) {
+      nodes.forEach(node => {
+        // Skip nodes filtered out by the search
+        if (this.isNodeHiddenBySearch(node)) {
+          return;
+        }
 
-      // Check viewport visibility filter
-      if (this.devtoolsSystem.options.viewportVisibilityFilter) {
-        const isVisible = this.viewportDetector.isElementInViewport(node.element);
-        if (!isVisible) {
+        // Check viewport visibility filter
+        if (this.devtoolsSystem.options.viewportVisibilityFilter &&
+            !this.viewportDetector.isElementInViewport(node.element)) {
           // Skip rendering this node if it's not visible in viewport
           return;
         }
+
+        result.push(node);
+
+        // Render children if expanded
+        if (node.expanded && node.children.length > 0) {
+          this.collectRenderedNodes(node.children, result);
+        }
+      });
+    }
+
+    /**
+     * Describe everything a node's row shows, so a row is only rebuilt when it would look different
+     * @param {TreeNode} node - Tree node
+     * @returns {string} Row signature
+     */
+    getRowSignature(node) {
+      const searchMatch = this.searchMatches.get(node.id);
+      return [
+        node.level,
+        node.children.length > 0,
+        node.expanded,
+        this.getComponentDisplayName(node),
+        node.filename,
+        node.portal && node.parent ? this.getComponentDisplayName(node.parent) : node.portal,
+        searchMatch ? `${searchMatch.field}:${searchMatch.indices.join(',')}` : '',
+        this.highlightUpdates
+      ].join('|');
+    }
+
+    /**
+     * Remove a rendered row and its update counter
+     * @param {TreeRow} entry - Rendered row
+     * @returns {void}
+     */
+    removeRow(entry) {
+      const counter = this.updateCountElements.get(entry.element);
+      if (counter && entry.row.contains(counter)) {
+        this.updateCountElements.delete(entry.element);
       }
+      entry.row.remove();
+    }
 
+    /**
+     * Create the row of a tree node
+     * @param {TreeNode} node - Tree node to render
+     * @returns {HTMLDivElement} Row element
+     */
+    createNodeRow(node) {
       // Create simple node element
       const nodeElement = document.createElement('div');
       nodeElement.dataset.nodeId = node.id;
@@ -3383,6 +9572,13 @@
         this.handleTreeItemClick(e);
       });
 
+      nodeElement.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.selectNode(node);
+        this.devtoolsSystem.showComponentMenu(node.element, e.clientX, e.clientY, this.createNodeMenuItems(node));
+      });
+
       // Create simple expand/collapse triangle (only for nodes with children)
       const expandIcon = document.createElement('span');
       expandIcon.style.cssText = `
@@ -3425,9 +9621,11 @@
         expandIcon.style.cursor = 'default';
       }
 
-      // Create simple text content - just the component name
+      // Create text content - component name with the file name as secondary text
       const componentName = this.getComponentDisplayName(node);
+      const searchMatch = this.searchMatches.get(node.id);
       const nameElement = document.createElement('span');
+      nameElement.className = 'devtools-tree-name';
       nameElement.style.cssText = `
         color: var(--tree-component-name-color);
         font-weight: 400;
@@ -3437,21 +9635,75 @@
         text-overflow: ellipsis;
         white-space: nowrap;
       `;
-      nameElement.textContent = componentName;
+      if (searchMatch && searchMatch.field === 'name') {
+        nameElement.appendChild(this.createHighlightedText(componentName, searchMatch.indices));
+      } else {
+        nameElement.textContent = componentName;
+      }
 
-      // Assemble node - just expand icon and component name
+      // Assemble node - expand icon, component name and secondary text
       nodeElement.appendChild(expandIcon);
       nodeElement.appendChild(nameElement);
 
-      // Add to container
-      container.appendChild(nodeElement);
-
-      // Render children if expanded
-      if (node.expanded && node.children.length > 0) {
-        node.children.forEach(child => {
-          this.renderTreeNode(child, container);
-        });
+      if (node.portal) {
+        const portalBadge = document.createElement('span');
+        portalBadge.textContent = 'portal';
+        portalBadge.title = node.parent
+          ? `Rendered outside of ${this.getComponentDisplayName(node.parent)}, e.g. in a modal or popup container`
+          : 'Rendered in a portal';
+        portalBadge.style.cssText = `
+          color: var(--tree-portal-badge-color);
+          background: var(--tree-portal-badge-bg);
+          font-size: 10px;
+          padding: 0 5px;
+          margin-left: 6px;
+          border-radius: 3px;
+          flex-shrink: 0;
+        `;
+        nodeElement.appendChild(portalBadge);
+      }
+
+      // Secondary text shows the file name, or the matched field when the search hit
+      // the filename or path rather than the name
+      const secondaryMatch = searchMatch && searchMatch.field !== 'name' ? searchMatch : null;
+      if (secondaryMatch || node.componentName) {
+        const secondaryElement = document.createElement('span');
+        secondaryElement.style.cssText = `
+          color: var(--tree-text-muted-color);
+          font-size: 11px;
+          margin-left: 8px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          direction: rtl;
+          max-width: 50%;
+        `;
+        // Truncate from the left so the end of long paths stays readable
+        const bdi = document.createElement('bdi');
+        if (secondaryMatch) {
+          bdi.appendChild(this.createHighlightedText(secondaryMatch.text, secondaryMatch.indices));
+        } else {
+          bdi.textContent = node.filename;
+        }
+        secondaryElement.appendChild(bdi);
+        nodeElement.appendChild(secondaryElement);
+      }
+
+      // Update counter while highlighting updates
+      if (this.highlightUpdates) {
+        const counter = document.createElement('span');
+        counter.style.cssText = `
+          font-family: var(--devtools-font-family);
+          font-size: 10px;
+          margin-left: 8px;
+          flex-shrink: 0;
+        `;
+        this.renderUpdateCount(counter, node.element);
+        this.updateCountElements.set(node.element, counter);
+        nodeElement.appendChild(counter);
       }
+
+      return nodeElement;
     }
 
 
@@ -3564,15 +9816,7 @@
      * @returns {TreeNode|null} Found node or null
      */
     findNodeById(nodeId) {
-      let found = null;
-      if (this.treeData) {
-        this.forEachNode(this.treeData, (node) => {
-          if (node.id === nodeId) {
-            found = node;
-          }
-        });
-      }
-      return found;
+      return this.nodesById.get(nodeId) || null;
     }
 
     /**
@@ -3581,15 +9825,7 @@
      * @returns {TreeNode|null} Found node or null
      */
     findNodeByElement(element) {
-      let found = null;
-      if (this.treeData) {
-        this.forEachNode(this.treeData, (node) => {
-          if (node.element === element) {
-            found = node;
-          }
-        });
-      }
-      return found;
+      return this.nodesByElement.get(element) || null;
     }
 
     /**
@@ -3619,9 +9855,10 @@
     /**
      * Expand all parent nodes to make a node visible
      * @param {TreeNode} targetNode - Node to make visible
+     * @param {boolean} [render=true] - Whether to re-render the tree if nodes were expanded
      * @returns {void}
      */
-    expandPathToNode(targetNode) {
+    expandPathToNode(targetNode, render = true) {
       let currentNode = targetNode.parent;
       let needsRerender = false;
 
@@ -3636,7 +9873,7 @@
       }
 
       // Re-render the tree if any nodes were expanded
-      if (needsRerender) {
+      if (needsRerender && render) {
         this.renderTree();
       }
     }
@@ -3756,6 +9993,16 @@
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleTreeKeyDown(event) {
+      // Jump to the search field, even when the filter leaves no nodes
+      if (event.key === '/') {
+        event.preventDefault();
+        if (this.searchInput) {
+          this.searchInput.focus();
+          this.searchInput.select();
+        }
+        return;
+      }
+
       const visibleNodes = this.flattenVisibleNodes();
       if (visibleNodes.length === 0) return;
 
@@ -3788,11 +10035,19 @@
         case 'Enter':
         case ' ':
           event.preventDefault();
-          this.activateSelectedNode();
+          if (event.key === 'Enter' && event.shiftKey) {
+            this.openSelectedNodeDefinition();
+          } else {
+            this.activateSelectedNode();
+          }
           break;
 
         case 'Escape':
           event.preventDefault();
+          if (this.devtoolsSystem.state.inspectModeActive) {
+            // Leaves inspect mode through the EventManager and keeps the picked selection
+            break;
+          }
           if (this.selectedNodeId) {
             // First escape clears selection
             this.clearSelection();
@@ -3812,6 +10067,20 @@
           this.selectNode(visibleNodes[visibleNodes.length - 1]);
           break;
 
+        case 'a':
+        case 'A':
+          // Highlight all instances of the selected component
+          event.preventDefault();
+          this.withSelectedNode(node => this.devtoolsSystem.overlay.toggleHighlightAll(node.element));
+          break;
+
+        case 'p':
+        case 'P':
+          // Pin an overlay on the selected component
+          event.preventDefault();
+          this.withSelectedNode(node => this.devtoolsSystem.overlay.togglePin(node.element));
+          break;
+
         case 'c':
         case 'C':
           // Clear selection
@@ -3918,6 +10187,58 @@
       }
     }
 
+    /**
+     * Open where the selected node's component is defined
+     * @returns {void}
+     */
+    openSelectedNodeDefinition() {
+      this.withSelectedNode(node => openComponentSource(node.element, 'definition'));
+    }
+
+    /**
+     * Create the tree-specific context menu items for a node
+     * @param {TreeNode} node - Tree node
+     * @returns {MenuItem[]} Menu items
+     */
+    createNodeMenuItems(node) {
+      const hasChildren = node.children.length > 0;
+      return [
+        { label: 'Expand subtree', disabled: !hasChildren, action: () => this.setSubtreeExpanded(node, true) },
+        { label: 'Collapse subtree', disabled: !hasChildren, action: () => this.setSubtreeExpanded(node, false) }
+      ];
+    }
+
+    /**
+     * Expand or collapse a node and all of its descendants
+     * @param {TreeNode} node - Root of the subtree
+     * @param {boolean} expanded - Whether to expand or collapse
+     * @returns {void}
+     */
+    setSubtreeExpanded(node, expanded) {
+      this.forEachNode([node], (/** @type {TreeNode} */ current) => {
+        if (current.children.length === 0) return;
+        current.expanded = expanded;
+        if (expanded) {
+          this.expandedNodes.add(current.id);
+        } else {
+          this.expandedNodes.delete(current.id);
+        }
+      });
+      this.renderTree();
+    }
+
+    /**
+     * Run an action on the selected node, if any
+     * @param {(node: TreeNode) => void} action - Action to run
+     * @returns {void}
+     */
+    withSelectedNode(action) {
+      const node = this.selectedNodeId ? this.findNodeById(this.selectedNodeId) : null;
+      if (node) {
+        action(node);
+      }
+    }
+
     /**
      * Select a tree node
      * @param {TreeNode} node - Node to select
@@ -3945,6 +10266,12 @@
 
       // Optionally scroll the actual DOM element into view
       this.scrollElementIntoView(node.element);
+
+      // Keep the search position indicator in sync
+      this.updateSearchCount();
+
+      // Show the selected element in the inspector pane
+      this.inspector.inspect(node.element);
     }
 
     /**
@@ -4030,7 +10357,7 @@
       } = options;
 
       // Check if element is in viewport
-      const rect = element.getBoundingClientRect();
+      const rect = ComposedTree.getViewportRect(element);
       const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
       const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
 
@@ -4125,6 +10452,8 @@
         this.selectedNodeId = null;
       }
 
+      this.inspector.inspect(null);
+
       // Deactivate tree selection mode
       this.devtoolsSystem.state.setTreeSelectionActive(false);
       this.devtoolsSystem.state.setTreeSelectedElement(null);
@@ -4182,6 +10511,9 @@
         });
       }
 
+      // Re-apply the search filter to the new tree
+      this.updateSearchResults();
+
       // Re-render
       this.renderTree();
 
@@ -4190,11 +10522,15 @@
         this.selectedNodeId = selectedId;
         this.updateNodeSelection(null, selectedId);
       }
+
+      // Inspected element may have changed or been removed
+      this.inspector.refresh();
     }
 
     /**
      * Perform a complete refresh of the component tree
-     * Clears all cached data and rebuilds the tree from scratch
+     * Clears all cached data and rebuilds the tree from scratch. Node IDs are
+     * kept per element, so expansion and selection survive the rebuild.
      * @returns {void}
      */
     performFullRefresh() {
@@ -4204,14 +10540,12 @@
         // Clear all caches and state
         this.clearAllCaches();
 
-        // Reset tree state
+        // Reset tree state, except for the IDs of known elements and the
+        // positions of the old nodes, which re-rendered components take over.
+        // indexNodes() replaces the positions once the tree is rebuilt.
         this.treeData = null;
-        this.lastComponentsHash = '';
-        this.expandedNodes.clear();
-        this.selectedNodeId = null;
-
-        // Clear selection state
-        this.clearSelection();
+        this.nodesByElement.clear();
+        this.nodesById.clear();
 
         // Force rebuild of tree data
         this.buildTreeData();
@@ -4219,6 +10553,15 @@
         // Initialize with default expansions
         this.initializeTreeState();
 
+        // Keep the selection if its component is still there
+        if (this.selectedNodeId && !this.nodesById.has(this.selectedNodeId)) {
+          this.clearSelection();
+        }
+        this.followSelectedElement();
+
+        // Re-apply the search filter to the new tree
+        this.updateSearchResults();
+
         // Re-render the tree
         this.renderTree();
 
@@ -4319,7 +10662,7 @@
 
       shortcutsInfo.innerHTML = `
         <div style="margin-bottom: 4px;"><strong>Keyboard shortcuts:</strong></div>
-        <div>↑↓ Navigate • ←→ Expand/Collapse • Enter Open • Esc Close</div>
+        <div>↑↓ Navigate • ←→ Expand/Collapse • Enter Open • Esc Close • Right-click Actions</div>
       `;
 
       if (this.panelElement) {
@@ -4640,7 +10983,7 @@
 
       // Handle case where DOM elements are removed
       this.forEachNode(this.treeData, (node) => {
-        if (!document.contains(node.element)) {
+        if (!node.element.isConnected) {
           console.warn('ComponentTreeView: Component element no longer in DOM', node);
         }
       });
@@ -4732,6 +11075,9 @@
         box-shadow: var(--tree-panel-shadow);
         padding: 12px;
         min-width: 220px;
+        max-height: calc(100% - var(--tree-header-height) - 16px);
+        overflow-y: auto;
+        box-sizing: border-box;
         z-index: calc(var(--tree-panel-z-index) + 1);
         display: none;
         font-family: var(--tree-text-font-family);
@@ -4772,81 +11118,529 @@
         min-width: 80px;
       `;
 
-      // Add IDE options
-      const ideOptions = [
-        { value: 'idea', label: 'IntelliJ IDEA' },
-        { value: 'vscode', label: 'VS Code' },
-        { value: 'cursor', label: 'Cursor' },
-        { value: 'windsurf', label: 'Windsurf' }
+      // Remove button for the selected custom editor
+      const removeEditorButton = document.createElement('button');
+      removeEditorButton.textContent = '✕';
+      removeEditorButton.title = 'Remove this custom editor';
+      removeEditorButton.style.cssText = `
+        border: none;
+        background: transparent;
+        color: var(--tree-text-secondary-color);
+        cursor: pointer;
+        font-size: 11px;
+        padding: 0 0 0 6px;
+      `;
+
+      // Add editor options, built-in editors first
+      const renderEditorOptions = () => {
+        const preferredId = EditorRegistry.getPreferredId();
+        ideSelectionDropdown.innerHTML = '';
+        Object.entries(EditorRegistry.getAll()).forEach(([id, editor]) => {
+          const optionElement = document.createElement('option');
+          optionElement.value = id;
+          optionElement.textContent = editor.label;
+          optionElement.title = editor.template;
+          optionElement.selected = id === preferredId;
+          ideSelectionDropdown.appendChild(optionElement);
+        });
+        removeEditorButton.style.visibility = EditorRegistry.isBuiltin(preferredId) ? 'hidden' : 'visible';
+      };
+      renderEditorOptions();
+
+      // Add change handler for editor selection, takes effect on the next open
+      ideSelectionDropdown.addEventListener('change', (e) => {
+        EditorRegistry.setPreferredId(/** @type {HTMLSelectElement} */ (e.target).value);
+        renderEditorOptions();
+      });
+
+      removeEditorButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        EditorRegistry.unregister(EditorRegistry.getPreferredId());
+        renderEditorOptions();
+      });
+
+      ideSelectionLabel.appendChild(ideSelectionDropdown);
+      ideSelectionLabel.appendChild(removeEditorButton);
+      ideSelectionContainer.appendChild(ideSelectionLabel);
+      this.settingsPanel.appendChild(ideSelectionContainer);
+
+      // Create open mode setting
+      const openModeContainer = document.createElement('div');
+      openModeContainer.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 8px;
+      `;
+
+      const openModeLabel = document.createElement('div');
+      openModeLabel.textContent = 'Open files via';
+      openModeLabel.title = 'Dev server launches $EDITOR through open-in-editor.js and falls back to the editor URL';
+      openModeLabel.style.cssText = `
+        color: var(--tree-text-color);
+        font-size: 12px;
+        flex: 1;
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+      `;
+
+      const openModeDropdown = document.createElement('select');
+      openModeDropdown.name = 'openMode';
+      openModeDropdown.style.cssText = ideSelectionDropdown.style.cssText;
+
+      /** @type {{value: OpenMode, label: string}[]} */
+      const openModeOptions = [
+        { value: 'url', label: 'Editor URL' },
+        { value: 'server', label: 'Dev server' }
       ];
 
-      ideOptions.forEach(option => {
+      openModeOptions.forEach(option => {
         const optionElement = document.createElement('option');
         optionElement.value = option.value;
         optionElement.textContent = option.label;
-        optionElement.selected = option.value === PREFER_IDE_PROTOCOL;
-        ideSelectionDropdown.appendChild(optionElement);
+        optionElement.selected = option.value === getOpenMode();
+        openModeDropdown.appendChild(optionElement);
       });
 
-      // Add change handler for IDE selection
-      ideSelectionDropdown.addEventListener('change', (e) => {
-        const selectedIDE = /** @type {HTMLSelectElement} */ (e.target).value;
-        if (EDITOR_PROTOCOL[/** @type {keyof typeof EDITOR_PROTOCOL} */ (selectedIDE)]) {
-          PersistentStorage.setString(PREFER_IDE_KEY, selectedIDE);
-          // Note: The preference will take effect on next page load or when openFileAtSourcePath is called
+      openModeDropdown.addEventListener('change', () => {
+        this.devtoolsSystem.importConfig({ openMode: /** @type {OpenMode} */ (openModeDropdown.value) });
+      });
+
+      openModeLabel.appendChild(openModeDropdown);
+      openModeContainer.appendChild(openModeLabel);
+      this.settingsPanel.appendChild(openModeContainer);
+
+      // Create custom editor form
+      const customEditorContainer = document.createElement('div');
+      customEditorContainer.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        margin-bottom: 8px;
+        padding-bottom: 8px;
+        border-bottom: 1px solid rgba(240, 246, 252, 0.1);
+      `;
+
+      const customEditorInputStyle = `
+        background: var(--tree-panel-bg);
+        border: 1px solid rgba(240, 246, 252, 0.2);
+        border-radius: 4px;
+        color: var(--tree-text-color);
+        font-size: 11px;
+        padding: 4px 6px;
+        min-width: 0;
+      `;
+
+      const customEditorName = document.createElement('input');
+      customEditorName.type = 'text';
+      customEditorName.placeholder = 'Editor name';
+      customEditorName.style.cssText = customEditorInputStyle;
+
+      const customEditorTemplate = document.createElement('input');
+      customEditorTemplate.type = 'text';
+      customEditorTemplate.placeholder = 'zed://file/{path}:{line}:{column}';
+      customEditorTemplate.title = 'URL template with {path}, {line}, {column} and {projectRoot} placeholders';
+      customEditorTemplate.spellcheck = false;
+      customEditorTemplate.style.cssText = customEditorInputStyle + 'font-family: var(--devtools-font-family);';
+
+      const addEditorButton = document.createElement('button');
+      addEditorButton.textContent = 'Add editor';
+      addEditorButton.style.cssText = `
+        align-self: flex-end;
+        background: var(--tree-close-button-hover-bg);
+        border: 1px solid rgba(240, 246, 252, 0.2);
+        border-radius: 4px;
+        color: var(--tree-text-color);
+        font-size: 11px;
+        padding: 3px 8px;
+        cursor: pointer;
+      `;
+
+      addEditorButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const label = customEditorName.value.trim();
+        const template = customEditorTemplate.value.trim();
+        const id = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        if (EditorRegistry.register(id, { label, template })) {
+          EditorRegistry.setPreferredId(id);
+          customEditorName.value = '';
+          customEditorTemplate.value = '';
+          customEditorTemplate.style.borderColor = 'rgba(240, 246, 252, 0.2)';
+          renderEditorOptions();
+        } else {
+          customEditorTemplate.style.borderColor = 'var(--tree-lifecycle-unmount-color)';
+        }
+      });
+
+      customEditorContainer.appendChild(customEditorName);
+      customEditorContainer.appendChild(customEditorTemplate);
+      customEditorContainer.appendChild(addEditorButton);
+      this.settingsPanel.appendChild(customEditorContainer);
+
+      // Create source path mapping settings
+      const pathMappingContainer = document.createElement('div');
+      pathMappingContainer.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        margin-bottom: 8px;
+        padding-bottom: 8px;
+        border-bottom: 1px solid rgba(240, 246, 252, 0.1);
+      `;
+
+      const projectRootLabel = document.createElement('div');
+      projectRootLabel.textContent = 'Project root';
+      projectRootLabel.title = 'Local checkout of the project; build paths are re-rooted at the segment with the same directory name';
+      projectRootLabel.style.cssText = `
+        color: var(--tree-text-color);
+        font-size: 12px;
+      `;
+
+      const projectRootInput = document.createElement('input');
+      projectRootInput.type = 'text';
+      projectRootInput.placeholder = '/home/me/my-app';
+      projectRootInput.spellcheck = false;
+      projectRootInput.value = PathMapper.getProjectRoot();
+      projectRootInput.style.cssText = customEditorInputStyle + 'font-family: var(--devtools-font-family);';
+
+      projectRootInput.addEventListener('change', () => {
+        this.devtoolsSystem.importConfig({ projectRoot: projectRootInput.value });
+        projectRootInput.value = PathMapper.getProjectRoot();
+      });
+
+      const pathMappingsLabel = document.createElement('div');
+      pathMappingsLabel.textContent = 'Path mappings';
+      pathMappingsLabel.title = 'One rule per line: build path prefix -> local path prefix. Rules are tried in order before the project root.';
+      pathMappingsLabel.style.cssText = `
+        color: var(--tree-text-color);
+        font-size: 12px;
+        margin-top: 4px;
+      `;
+
+      const pathMappingsInput = document.createElement('textarea');
+      pathMappingsInput.rows = 3;
+      pathMappingsInput.placeholder = '/ci/workspace -> {projectRoot}';
+      pathMappingsInput.spellcheck = false;
+      pathMappingsInput.value = PathMapper.getRules().map(rule => `${rule.from} -> ${rule.to}`).join('\n');
+      pathMappingsInput.style.cssText = customEditorInputStyle + `
+        font-family: var(--devtools-font-family);
+        resize: vertical;
+        white-space: pre;
+      `;
+
+      pathMappingsInput.addEventListener('change', () => {
+        const lines = pathMappingsInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+        const rules = lines
+          .map(line => line.split(/\s*->\s*/))
+          .filter(parts => parts.length === 2)
+          .map(([from, to]) => ({ from, to }));
+
+        this.devtoolsSystem.importConfig({ pathMappings: rules });
+
+        // Flag lines that could not be parsed
+        pathMappingsInput.style.borderColor = rules.length === lines.length
+          ? 'rgba(240, 246, 252, 0.2)'
+          : 'var(--tree-lifecycle-unmount-color)';
+      });
+
+      pathMappingContainer.appendChild(projectRootLabel);
+      pathMappingContainer.appendChild(projectRootInput);
+      pathMappingContainer.appendChild(pathMappingsLabel);
+      pathMappingContainer.appendChild(pathMappingsInput);
+      this.settingsPanel.appendChild(pathMappingContainer);
+
+      // Create initial is open setting
+      const initialIsOpenContainer = document.createElement('div');
+      initialIsOpenContainer.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 8px;
+      `;
+
+      const initialIsOpenLabel = document.createElement('label');
+      initialIsOpenLabel.textContent = 'Open by default';
+      initialIsOpenLabel.title = 'Automatically open the devtools panel when the page loads';
+      initialIsOpenLabel.style.cssText = `
+        color: var(--tree-text-color);
+        font-size: 12px;
+        cursor: pointer;
+        flex: 1;
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+      `;
+
+      const initialIsOpenToggle = document.createElement('input');
+      initialIsOpenToggle.type = 'checkbox';
+      initialIsOpenToggle.checked = this.devtoolsSystem.options.initialIsOpen;
+      initialIsOpenToggle.style.cssText = `
+        margin-left: 8px;
+        cursor: pointer;
+        appearance: auto;
+      `;
+
+      // Add change handler for initial is open toggle
+      initialIsOpenToggle.addEventListener('change', (e) => {
+        const enabled = /** @type {HTMLInputElement} */ (e.target).checked;
+        this.devtoolsSystem.options.initialIsOpen = enabled;
+        PersistentStorage.setString(INITIAL_IS_OPEN_KEY, enabled.toString());
+      });
+
+      initialIsOpenLabel.appendChild(initialIsOpenToggle);
+      initialIsOpenContainer.appendChild(initialIsOpenLabel);
+      this.settingsPanel.appendChild(initialIsOpenContainer);
+
+      // Create emission log capacity setting
+      const logCapacityContainer = document.createElement('div');
+      logCapacityContainer.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 8px;
+      `;
+
+      const logCapacityLabel = document.createElement('label');
+      logCapacityLabel.textContent = 'Event log size';
+      logCapacityLabel.title = 'Maximum number of emissions kept in the Events tab';
+      logCapacityLabel.style.cssText = `
+        color: var(--tree-text-color);
+        font-size: 12px;
+        flex: 1;
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+      `;
+
+      const logCapacityInput = document.createElement('input');
+      logCapacityInput.type = 'number';
+      logCapacityInput.min = '1';
+      logCapacityInput.step = '100';
+      logCapacityInput.value = String(this.devtoolsSystem.emissions.capacity);
+      logCapacityInput.style.cssText = `
+        width: 64px;
+        margin-left: 8px;
+        background: var(--tree-panel-bg);
+        border: 1px solid rgba(240, 246, 252, 0.2);
+        border-radius: 4px;
+        color: var(--tree-text-color);
+        font-size: 11px;
+        padding: 4px 6px;
+      `;
+
+      // Add change handler for emission log capacity
+      logCapacityInput.addEventListener('change', () => {
+        const capacity = parseInt(logCapacityInput.value, 10);
+        if (capacity > 0) {
+          this.devtoolsSystem.importConfig({ emissionLogCapacity: capacity });
+        } else {
+          logCapacityInput.value = String(this.devtoolsSystem.emissions.capacity);
         }
       });
 
-      ideSelectionLabel.appendChild(ideSelectionDropdown);
-      ideSelectionContainer.appendChild(ideSelectionLabel);
-      this.settingsPanel.appendChild(ideSelectionContainer);
+      logCapacityLabel.appendChild(logCapacityInput);
+      logCapacityContainer.appendChild(logCapacityLabel);
+      this.settingsPanel.appendChild(logCapacityContainer);
+
+      this.settingsPanel.appendChild(this.createKeymapSettings());
+
+      // Add to panel
+      if (this.panelElement) {
+        this.panelElement.appendChild(this.settingsPanel);
+      }
+    }
+
+    /**
+     * Create the keyboard shortcut editor of the settings panel. Clicking a
+     * binding records the next shortcut pressed; modifier-only shortcuts are
+     * recorded when the modifiers are released, and Escape cancels.
+     * @returns {HTMLDetailsElement} Collapsible keymap section
+     */
+    createKeymapSettings() {
+      const container = document.createElement('details');
+      container.style.cssText = `
+        padding-top: 8px;
+        border-top: 1px solid rgba(240, 246, 252, 0.1);
+        color: var(--tree-text-color);
+        font-size: 12px;
+      `;
+
+      const summary = document.createElement('summary');
+      summary.textContent = 'Keyboard shortcuts';
+      summary.style.cssText = `
+        cursor: pointer;
+        margin-bottom: 6px;
+      `;
+      container.appendChild(summary);
+
+      const rows = document.createElement('div');
+      rows.style.cssText = `
+        display: grid;
+        grid-template-columns: 1fr auto auto;
+        align-items: center;
+        gap: 4px 6px;
+      `;
+      container.appendChild(rows);
+
+      const errorMessage = document.createElement('div');
+      errorMessage.style.cssText = `
+        color: var(--tree-lifecycle-unmount-color);
+        font-size: 11px;
+        margin-top: 6px;
+        display: none;
+      `;
+      container.appendChild(errorMessage);
+
+      const resetAllButton = document.createElement('button');
+      resetAllButton.textContent = 'Reset all';
+      resetAllButton.style.cssText = `
+        margin-top: 6px;
+        background: var(--tree-close-button-hover-bg);
+        border: 1px solid rgba(240, 246, 252, 0.2);
+        border-radius: 4px;
+        color: var(--tree-text-color);
+        font-size: 11px;
+        padding: 3px 8px;
+        cursor: pointer;
+      `;
+      container.appendChild(resetAllButton);
+
+      /** @type {string|null} ID of the action whose binding is being recorded */
+      let recordingId = null;
+
+      /** @type {string|null} Modifiers held while recording, applied when released */
+      let pendingBinding = null;
+
+      /** @param {string|null} message - Error to show, null to hide it */
+      const showError = (message) => {
+        errorMessage.textContent = message || '';
+        errorMessage.style.display = message ? 'block' : 'none';
+      };
+
+      /** @type {{action: KeymapAction, bindingButton: HTMLButtonElement, resetButton: HTMLButtonElement}[]} */
+      const controls = [];
+
+      // Buttons are updated in place so the one recording keeps its focus
+      const updateRows = () => {
+        const bindings = KeyMap.getBindings();
+        controls.forEach(({ action, bindingButton, resetButton }) => {
+          const recording = recordingId === action.id;
+          bindingButton.textContent = recording ? 'Press keys…' : bindings[action.id];
+          bindingButton.style.borderColor = recording ? 'var(--tree-component-name-color)' : 'rgba(240, 246, 252, 0.2)';
+          resetButton.style.visibility = bindings[action.id] === action.defaultBinding ? 'hidden' : 'visible';
+        });
+      };
+
+      /**
+       * @param {string} id - Action ID
+       * @param {string} binding - Recorded binding
+       */
+      const applyBinding = (id, binding) => {
+        recordingId = null;
+        pendingBinding = null;
+        showError(KeyMap.setBindings({ [id]: binding }));
+        updateRows();
+        this.updateInspectModeButton();
+      };
+
+      KEYMAP_ACTIONS.forEach(action => {
+        const label = document.createElement('div');
+        label.textContent = action.label;
+
+        const bindingButton = document.createElement('button');
+        bindingButton.title = action.hold ? 'Click, then press a modifier key' : 'Click, then press a shortcut';
+        bindingButton.style.cssText = `
+          background: var(--tree-panel-bg);
+          border: 1px solid rgba(240, 246, 252, 0.2);
+          border-radius: 4px;
+          color: var(--tree-text-color);
+          font-family: var(--devtools-font-family);
+          font-size: 11px;
+          padding: 2px 6px;
+          cursor: pointer;
+          white-space: nowrap;
+        `;
+
+        bindingButton.addEventListener('click', (e) => {
+          e.stopPropagation();
+          recordingId = action.id;
+          pendingBinding = null;
+          showError(null);
+          updateRows();
+          bindingButton.focus();
+        });
+
+        // Recorded keys must not trigger the shortcuts they are bound to
+        bindingButton.addEventListener('keydown', (event) => {
+          if (recordingId !== action.id) return;
+          event.preventDefault();
+          event.stopPropagation();
+
+          if (event.key === 'Escape' && !pendingBinding) {
+            recordingId = null;
+            updateRows();
+          } else if (!KeyMap.getModifier(event)) {
+            applyBinding(action.id, KeyMap.fromEvent(event));
+          } else if (action.hold) {
+            applyBinding(action.id, /** @type {string} */ (KeyMap.getModifier(event)));
+          } else {
+            pendingBinding = KeyMap.fromEvent(event);
+          }
+        });
+
+        bindingButton.addEventListener('keyup', (event) => {
+          if (recordingId !== action.id) return;
+          event.preventDefault();
+          event.stopPropagation();
 
-      // Create initial is open setting
-      const initialIsOpenContainer = document.createElement('div');
-      initialIsOpenContainer.style.cssText = `
-        display: flex;
-        align-items: center;
-        justify-content: space-between;
-        margin-bottom: 8px;
-      `;
+          if (pendingBinding && KeyMap.getModifier(event)) {
+            applyBinding(action.id, pendingBinding);
+          }
+        });
 
-      const initialIsOpenLabel = document.createElement('label');
-      initialIsOpenLabel.textContent = 'Open by default';
-      initialIsOpenLabel.title = 'Automatically open the devtools panel when the page loads';
-      initialIsOpenLabel.style.cssText = `
-        color: var(--tree-text-color);
-        font-size: 12px;
-        cursor: pointer;
-        flex: 1;
-        display: flex;
-        align-items: center;
-        justify-content: space-between;
-      `;
+        bindingButton.addEventListener('blur', () => {
+          if (recordingId === action.id) {
+            recordingId = null;
+            pendingBinding = null;
+            updateRows();
+          }
+        });
 
-      const initialIsOpenToggle = document.createElement('input');
-      initialIsOpenToggle.type = 'checkbox';
-      initialIsOpenToggle.checked = this.devtoolsSystem.options.initialIsOpen;
-      initialIsOpenToggle.style.cssText = `
-        margin-left: 8px;
-        cursor: pointer;
-        appearance: auto;
-      `;
+        const resetButton = document.createElement('button');
+        resetButton.textContent = '↺';
+        resetButton.title = `Reset to ${action.defaultBinding}`;
+        resetButton.style.cssText = `
+          border: none;
+          background: transparent;
+          color: var(--tree-text-secondary-color);
+          cursor: pointer;
+          font-size: 11px;
+          padding: 0;
+        `;
+        resetButton.addEventListener('click', (e) => {
+          e.stopPropagation();
+          applyBinding(action.id, action.defaultBinding);
+        });
 
-      // Add change handler for initial is open toggle
-      initialIsOpenToggle.addEventListener('change', (e) => {
-        const enabled = /** @type {HTMLInputElement} */ (e.target).checked;
-        this.devtoolsSystem.options.initialIsOpen = enabled;
-        PersistentStorage.setString(INITIAL_IS_OPEN_KEY, enabled.toString());
+        rows.appendChild(label);
+        rows.appendChild(bindingButton);
+        rows.appendChild(resetButton);
+        controls.push({ action, bindingButton, resetButton });
       });
 
-      initialIsOpenLabel.appendChild(initialIsOpenToggle);
-      initialIsOpenContainer.appendChild(initialIsOpenLabel);
-      this.settingsPanel.appendChild(initialIsOpenContainer);
+      resetAllButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        KeyMap.reset();
+        recordingId = null;
+        showError(null);
+        updateRows();
+        this.updateInspectModeButton();
+      });
 
-      // Add to panel
-      if (this.panelElement) {
-        this.panelElement.appendChild(this.settingsPanel);
-      }
+      updateRows();
+      return container;
     }
 
     /**
@@ -4986,6 +11780,8 @@
       }
 
       document.removeEventListener('keydown', this.handleKeyDown);
+      document.removeEventListener('keyup', this.handleKeyUp);
+      document.removeEventListener('mousedown', this.cancelPendingToggle, true);
       window.removeEventListener('resize', this.handleWindowResize);
 
       // Clean up performance optimization resources
@@ -5021,6 +11817,8 @@
       if (this.viewportDetector) {
         this.viewportDetector.destroy();
       }
+
+      this.updateHighlighter.destroy();
     }
   }
 
@@ -5038,8 +11836,13 @@
       /** @type {DevtoolsState} State management instance */
       this.state = new DevtoolsState();
 
+      /** @type {ContextMenu} Context menu shared by the tree view and the overlay */
+      this.contextMenu = new ContextMenu();
+
       /** @type {OverlayManager} Overlay management instance */
-      this.overlay = new OverlayManager(this.state);
+      this.overlay = new OverlayManager(this.state, (element, event) => {
+        this.showComponentMenu(element, event.clientX, event.clientY);
+      });
 
       /** @type {TooltipManager} Tooltip management instance */
       this.tooltip = new TooltipManager(this.state);
@@ -5050,6 +11853,12 @@
       /** @type {EventManager} Event management instance */
       this.events = new EventManager(this);
 
+      /** @type {EmissionLog} Log of reactive emissions reported by the app */
+      this.emissions = new EmissionLog(getEmissionLogCapacity());
+
+      /** @type {LifecycleLog} Log of component mounts and unmounts */
+      this.lifecycle = new LifecycleLog(LIFECYCLE_LOG_CAPACITY);
+
       /** @type {ComponentTreeView} Component tree view instance */
       this.treeView = new ComponentTreeView(this);
 
@@ -5073,6 +11882,14 @@
       // CSS variables are already injected at module load
       // Event listeners are already set up by EventManager
 
+      // Mirror tree and keyboard selections into the console as $l and $l0..$l4
+      ConsoleGlobals.install(this);
+      this.unsubscribeConsoleGlobals = this.state.subscribe((type, data) => {
+        if ((type === 'treeSelectionChanged' || type === 'keyboardSelectionChanged') && data.element) {
+          ConsoleGlobals.select(data.element);
+        }
+      });
+
       // Auto-open panel if initial is open setting is enabled
       if (this.options.initialIsOpen) {
         // Use a small delay to ensure DOM is ready and avoid blocking initialization
@@ -5089,11 +11906,14 @@
     getStatus() {
       return {
         altPressed: this.state.altPressed,
+        inspectModeActive: this.state.inspectModeActive,
         keyboardNavigationActive: this.state.keyboardNavigationActive,
         currentTarget: this.state.currentTargetElement ? {
+          name: PropertyAccessor.getDisplayName(this.state.currentTargetElement),
           filename: PropertyAccessor.getFilename(this.state.currentTargetElement),
           line: PropertyAccessor.getSourceLine(this.state.currentTargetElement),
-          path: PropertyAccessor.getSourcePath(this.state.currentTargetElement)
+          path: PropertyAccessor.getSourcePath(this.state.currentTargetElement),
+          props: PropertyAccessor.getComponentProps(this.state.currentTargetElement)
         } : null,
         overlayVisible: this.overlay.isVisible,
         tooltipVisible: this.tooltip.isMainVisible
@@ -5120,6 +11940,84 @@
       }
     }
 
+    /**
+     * Turn inspect mode on or off. While on, hovering inspects components as if
+     * Alt were held and clicking selects them
+     * @param {boolean} active - Whether inspect mode should be on
+     * @returns {void}
+     */
+    setInspectMode(active) {
+      this.state.setInspectModeActive(active);
+
+      if (active) {
+        this.events.inspectAtMousePosition();
+      } else if (!this.state.altPressed) {
+        this.overlay.hide();
+        this.tooltip.hideMain();
+      }
+    }
+
+    /**
+     * Select a component picked on the page, in the tree if it is open
+     * @param {Element} element - Component element
+     * @returns {void}
+     */
+    selectComponent(element) {
+      if (this.treeView.isVisible) {
+        this.treeView.revealElement(element);
+      } else {
+        this.state.setKeyboardSelectedElement(element);
+      }
+    }
+
+    /**
+     * Check whether a node belongs to the devtools' own UI rather than the app
+     * @param {Node|null} node - Node to check
+     * @returns {boolean} True if the node is inside the panel, context menu, tooltip, an overlay or an update flash
+     */
+    isDevtoolsElement(node) {
+      if (!node) return false;
+
+      const element = node.nodeType === Node.ELEMENT_NODE ? /** @type {Element} */ (node) : node.parentElement;
+      return !!element && element.closest(`[${DEVTOOLS_UI_ATTRIBUTE}]`) !== null;
+    }
+
+    /**
+     * Open the context menu of actions on a component
+     * @param {Element} element - Component element
+     * @param {number} x - Viewport X coordinate
+     * @param {number} y - Viewport Y coordinate
+     * @param {MenuItem[]} [extraItems=[]] - Items of the calling view, listed after the navigation items
+     * @returns {void}
+     */
+    showComponentMenu(element, x, y, extraItems = []) {
+      const sourcePath = PropertyAccessor.getSourcePath(element);
+      const componentKey = PropertyAccessor.getComponentKey(element);
+      const hidden = ElementVisibility.isHidden(element);
+
+      /** @type {MenuItem[]} */
+      const items = [
+        { label: 'Open in editor', shortcut: 'Enter', disabled: !sourcePath, action: () => openComponentSource(element, 'usage') },
+        { label: 'Open definition', shortcut: '⇧Enter', disabled: !sourcePath, action: () => openComponentSource(element, 'definition') },
+        { separator: true },
+        { label: 'Copy source path', disabled: !sourcePath, action: () => copyToClipboard(sourcePath || '') },
+        { label: 'Copy file:line', disabled: !componentKey, action: () => copyToClipboard(componentKey || '') },
+        { label: 'Copy CSS selector', action: () => copyToClipboard(getCssSelector(element)) },
+        { separator: true },
+        { label: 'Scroll page to element', action: () => element.scrollIntoView({ behavior: 'smooth', block: 'center' }) },
+        ...extraItems,
+        { label: 'Highlight all instances', shortcut: 'A', disabled: !componentKey, action: () => this.overlay.highlightAll(element) },
+        { label: this.overlay.isPinned(element) ? 'Unpin overlay' : 'Pin overlay', shortcut: 'P', action: () => this.overlay.togglePin(element) },
+        { label: 'Store as global variable', action: () => ConsoleGlobals.store(element) },
+        { separator: true },
+        { label: hidden ? 'Show element' : 'Hide element', action: () => hidden ? ElementVisibility.show(element) : ElementVisibility.hide(element) },
+        { label: 'Isolate element', action: () => ElementVisibility.isolate(element) },
+        { label: 'Show all hidden elements', disabled: ElementVisibility.hidden.size === 0, action: () => ElementVisibility.restoreAll() }
+      ];
+
+      this.contextMenu.show(x, y, items);
+    }
+
     /**
      * Hide all overlays and reset state
      * @returns {void}
@@ -5145,33 +12043,34 @@
      * @returns {ComponentInfo[]} Array of component information
      */
     getAllComponents() {
-      return this.keyboard.getAllComponentsInOrder()
-        .map(element => ({
-          element,
-          filename: PropertyAccessor.getFilename(element),
-          line: PropertyAccessor.getSourceLine(element),
-          path: PropertyAccessor.getSourcePath(element)
-        }))
-        .filter(info => info.filename && info.line && info.path)
-        .map(info => ({
-          element: info.element,
-          filename: /** @type {string} */ (info.filename),
-          line: /** @type {string} */ (info.line),
-          path: /** @type {string} */ (info.path)
-        }));
+      /** @type {ComponentInfo[]} */
+      const components = [];
+      this.keyboard.getAllComponentsInOrder().forEach(element => {
+        const info = PropertyAccessor.getComponentInfo(element);
+        if (info) components.push(info);
+      });
+      return components;
     }
 
     /**
-     * Navigate to specific component by path and line
-     * @param {string} filename - File name
+     * Navigate to specific component by path and line. The location can be
+     * where the component is used (`App.scala`, 12) or where its class is
+     * defined (`Card.scala`, 5), in which case the first instance is selected.
+     * @param {string} filename - File name, or a path ending in it
      * @param {string} line - Line number as string
      * @returns {boolean} True if component found and navigated to
      */
     navigateToComponent(filename, line) {
+      /** @param {string|undefined} path - Path or filename to check */
+      const isFile = (path) => Boolean(path) && (path === filename || /** @type {string} */ (path).endsWith(`/${filename}`));
+
       const components = this.getAllComponents();
       const target = components.find(comp =>
-        comp.filename === filename && comp.line === line
-      );
+        comp.line === line && (comp.filename === filename || isFile(comp.path))
+      ) || components.find(comp => {
+        const definition = PropertyAccessor.getCallSite(comp.element, 'definition');
+        return definition !== null && definition.line === line && isFile(definition.path);
+      });
 
       if (target) {
         this.state.setKeyboardSelectedElement(target.element);
@@ -5188,9 +12087,15 @@
      */
     exportConfig() {
       return {
-        preferredIDE: PersistentStorage.getString(PREFER_IDE_KEY, "idea"),
+        preferredIDE: EditorRegistry.getPreferredId(),
+        openMode: getOpenMode(),
+        editors: EditorRegistry.getCustom(),
+        projectRoot: PathMapper.getProjectRoot(),
+        pathMappings: PathMapper.getRules(),
         viewportVisibilityFilter: getViewportVisibilityFilter(),
         initialIsOpen: getInitialIsOpen(),
+        emissionLogCapacity: getEmissionLogCapacity(),
+        keymap: KeyMap.getBindings(),
         options: { ...this.options }
       };
     }
@@ -5201,8 +12106,32 @@
      * @returns {void}
      */
     importConfig(config) {
-      if (config.preferredIDE && EDITOR_PROTOCOL[/** @type {keyof typeof EDITOR_PROTOCOL} */ (config.preferredIDE)]) {
-        PersistentStorage.setString(PREFER_IDE_KEY, config.preferredIDE);
+      // Register editors first so preferredIDE may refer to one of them
+      if (config.editors && typeof config.editors === 'object') {
+        Object.entries(config.editors).forEach(([id, definition]) => {
+          EditorRegistry.register(id, definition);
+        });
+      }
+
+      if (typeof config.projectRoot === 'string') {
+        PathMapper.setProjectRoot(config.projectRoot);
+      }
+
+      if (Array.isArray(config.pathMappings)) {
+        PathMapper.setRules(config.pathMappings);
+      }
+
+      // Mapped paths are cached in the tree
+      if ((typeof config.projectRoot === 'string' || Array.isArray(config.pathMappings)) && this.treeView.isVisible) {
+        this.treeView.performFullRefresh();
+      }
+
+      if (config.preferredIDE) {
+        EditorRegistry.setPreferredId(config.preferredIDE);
+      }
+
+      if (config.openMode === 'url' || config.openMode === 'server') {
+        PersistentStorage.setString(OPEN_MODE_KEY, config.openMode);
       }
 
       if (typeof config.viewportVisibilityFilter === 'boolean') {
@@ -5215,6 +12144,19 @@
         this.options.initialIsOpen = config.initialIsOpen;
       }
 
+      if (typeof config.emissionLogCapacity === 'number' && config.emissionLogCapacity > 0) {
+        const capacity = Math.floor(config.emissionLogCapacity);
+        PersistentStorage.setString(EMISSION_LOG_CAPACITY_KEY, capacity.toString());
+        this.emissions.setCapacity(capacity);
+      }
+
+      if (config.keymap && typeof config.keymap === 'object') {
+        const error = KeyMap.setBindings(config.keymap);
+        if (error) {
+          console.warn(`Cannot import keymap: ${error}`);
+        }
+      }
+
       if (config.options) {
         Object.assign(this.options, config.options);
       }
@@ -5231,6 +12173,14 @@
       this.tooltip.destroy();
       this.keyboard.destroy();
       this.treeView.destroy();
+      this.emissions.destroy();
+      this.lifecycle.destroy();
+      this.contextMenu.destroy();
+      ElementVisibility.restoreAll();
+      if (this.unsubscribeConsoleGlobals) {
+        this.unsubscribeConsoleGlobals();
+      }
+      ConsoleGlobals.uninstall();
 
       // Reset state
       this.state.reset();
@@ -5298,23 +12248,310 @@
 
 
   /**
-   * Open file at source path using configured IDE protocol
+   * Create a compact icon button for a panel toolbar
+   * @param {string} icon - Button icon text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Toolbar button
+   */
+  function createToolbarButton(icon, onClick) {
+    const button = document.createElement('button');
+    button.textContent = icon;
+    button.style.cssText = `
+      width: 26px;
+      height: 26px;
+      border: none;
+      background: transparent;
+      color: var(--tree-text-secondary-color);
+      font-size: 14px;
+      cursor: pointer;
+      border-radius: var(--tree-close-button-border-radius);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      flex-shrink: 0;
+      padding: 0;
+      font-family: var(--tree-text-font-family);
+    `;
+
+    button.addEventListener('mouseenter', () => {
+      button.style.background = 'var(--tree-close-button-hover-bg)';
+    });
+
+    button.addEventListener('mouseleave', () => {
+      button.style.background = 'transparent';
+    });
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+
+    return button;
+  }
+
+  /**
+   * Format a component prop value for display
+   * @param {*} value - Prop value as parsed from JSON
+   * @param {number} [maxLength=120] - Maximum length before truncating
+   * @returns {string} Formatted value
+   */
+  function formatPropValue(value, maxLength = 120) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  }
+
+  /**
+   * Format a timestamp as HH:MM:SS.mmm
+   * @param {number} timestamp - Time in milliseconds since epoch
+   * @returns {string} Formatted time
+   */
+  function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (/** @type {number} */ value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+  }
+
+  /**
+   * Format a pixel value for display, rounded to two decimals
+   * @param {number} value - Value in pixels
+   * @returns {string} Formatted value
+   */
+  function formatPixels(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Fuzzy match a query against text, case-insensitively.
+   * A contiguous substring match is preferred; otherwise all query characters
+   * must appear in order. With `segmentsOnly`, as for long source paths where
+   * almost any short query is a subsequence, each character must instead
+   * continue the previous one or start a path segment (`scc` → `src/components/Card`).
+   * @param {string} query - Search query
+   * @param {string} text - Text to search in
+   * @param {boolean} [segmentsOnly=false] - Only match characters at segment starts or right after another match
+   * @returns {FuzzyMatchResult|null} Match result or null if the text does not match
+   */
+  function fuzzyMatch(query, text, segmentsOnly = false) {
+    const needle = query.toLowerCase();
+    const haystack = text.toLowerCase();
+    if (!needle || !haystack) return null;
+
+    const substringIndex = haystack.indexOf(needle);
+    if (substringIndex !== -1) {
+      return {
+        score: 1000 - substringIndex,
+        indices: Array.from({ length: needle.length }, (_, i) => substringIndex + i)
+      };
+    }
+
+    /** @param {number} index - Index in the text */
+    const isSegmentStart = (index) => index === 0 || /[/._\-]/.test(text[index - 1]) ||
+      (text[index] !== haystack[index] && text[index - 1] === haystack[index - 1]);
+
+    /** @type {number[]} */
+    const indices = [];
+    let searchFrom = 0;
+    for (const char of needle) {
+      let index = haystack.indexOf(char, searchFrom);
+      if (segmentsOnly) {
+        const previous = indices[indices.length - 1];
+        while (index !== -1 && index !== previous + 1 && !isSegmentStart(index)) {
+          index = haystack.indexOf(char, index + 1);
+        }
+      }
+      if (index === -1) return null;
+      indices.push(index);
+      searchFrom = index + 1;
+    }
+
+    // Fewer gaps between matched characters score higher
+    const spread = indices[indices.length - 1] - indices[0] - (indices.length - 1);
+    return { score: 500 - spread, indices };
+  }
+
+  /**
+   * State of the dev server's open-in-editor endpoint
+   * @type {{endpointMissing: boolean}}
+   */
+  const openInEditorState = {
+    /** Set once the dev server answered without the endpoint; it won't appear until a reload */
+    endpointMissing: false
+  };
+
+  /**
+   * Open file at source path in the preferred editor
+   * @param {string} sourcePath - Path to the source file
+   * @param {string} [sourceLine] - Optional line number to navigate to
+   * @param {string} [sourceColumn] - Optional column number to navigate to
+   * @returns {Promise<void>} Resolves once the open request was made
+   */
+  function openFileAtSourcePath(sourcePath, sourceLine, sourceColumn) {
+    // Editor URLs are opened right away, while the click still counts as user
+    // activation; after an await the popup blocker may stop window.open
+    if (getOpenMode() !== 'server' || openInEditorState.endpointMissing) {
+      openFileViaUrl(sourcePath, sourceLine, sourceColumn);
+      return Promise.resolve();
+    }
+
+    return openFileViaDevServer(sourcePath, sourceLine, sourceColumn).then(opened => {
+      if (!opened) {
+        // Too late for window.open, so offer the editor URL as a link to click
+        showOpenInEditorNotice(sourcePath, sourceLine, sourceColumn);
+      }
+    });
+  }
+
+  /**
+   * Show a notice that the dev server couldn't open the editor, with a link
+   * to the editor URL instead
    * @param {string} sourcePath - Path to the source file
    * @param {string} [sourceLine] - Optional line number to navigate to
+   * @param {string} [sourceColumn] - Optional column number to navigate to
    * @returns {void}
    */
-  function openFileAtSourcePath(sourcePath, sourceLine) {
-    // Get current IDE preference dynamically
-    const currentIDE = PersistentStorage.getString(PREFER_IDE_KEY, "idea");
-    let uri = `${EDITOR_PROTOCOL[/** @type {keyof typeof EDITOR_PROTOCOL} */ (currentIDE)]}${sourcePath}`;
-    if(sourceLine) {
-      if(currentIDE === "idea") {
-        uri += `&line=${sourceLine}`;
-      } else {
-        uri += `:${sourceLine}`;
+  function showOpenInEditorNotice(sourcePath, sourceLine, sourceColumn) {
+    document.getElementById('devtools-open-in-editor-notice')?.remove();
+
+    const notice = document.createElement('div');
+    notice.id = 'devtools-open-in-editor-notice';
+    notice.setAttribute(DEVTOOLS_UI_ATTRIBUTE, '');
+    notice.setAttribute('role', 'status');
+    notice.style.cssText = `
+      position: fixed;
+      right: var(--devtools-tooltip-margin);
+      bottom: var(--devtools-tooltip-margin);
+      padding: var(--devtools-tooltip-padding);
+      border-radius: var(--devtools-border-radius);
+      background: var(--devtools-black-overlay);
+      color: var(--devtools-white);
+      box-shadow: 0 4px 12px var(--devtools-black-shadow-heavy);
+      font-family: var(--devtools-font-family);
+      font-size: var(--devtools-font-size);
+      z-index: calc(var(--tree-panel-z-index) + 2);
+    `;
+    notice.textContent = "Couldn't open the editor through the dev server. ";
+
+    const editorId = EditorRegistry.getPreferredId();
+    const uri = EditorRegistry.buildUrl(editorId, sourcePath, sourceLine, sourceColumn);
+    if (uri) {
+      const link = document.createElement('a');
+      link.href = uri;
+      link.target = '_blank';
+      link.textContent = `Open in ${EditorRegistry.get(editorId)?.label || 'editor'}`;
+      link.style.cssText = 'color: var(--devtools-primary-color); text-decoration: underline;';
+      link.addEventListener('click', () => notice.remove());
+      notice.appendChild(link);
+    }
+
+    document.body.appendChild(notice);
+    setTimeout(() => notice.remove(), OPEN_IN_EDITOR_NOTICE_DURATION);
+  }
+
+  /**
+   * Open file at source path through the preferred editor's URL scheme
+   * @param {string} sourcePath - Path to the source file
+   * @param {string} [sourceLine] - Optional line number to navigate to
+   * @param {string} [sourceColumn] - Optional column number to navigate to
+   * @returns {void}
+   */
+  function openFileViaUrl(sourcePath, sourceLine, sourceColumn) {
+    // Get current editor preference dynamically
+    const uri = EditorRegistry.buildUrl(EditorRegistry.getPreferredId(), sourcePath, sourceLine, sourceColumn);
+    if (uri) {
+      window.open(uri, "_blank");
+    }
+  }
+
+  /**
+   * Format a call site as `File.scala:line`
+   * @param {CallSite} site - Call site
+   * @returns {string} Filename and line
+   */
+  function formatCallSite(site) {
+    const filename = site.path.slice(site.path.lastIndexOf('/') + 1);
+    return site.line ? `${filename}:${site.line}` : filename;
+  }
+
+  /**
+   * Open where a component is used or defined in the preferred editor
+   * @param {Element} element - Component element
+   * @param {CallSiteKind} [kind='usage'] - Which call site to open
+   * @returns {boolean} True if the element has a source location to open
+   */
+  function openComponentSource(element, kind = 'usage') {
+    const site = PropertyAccessor.getCallSite(element, kind);
+    if (!site) {
+      return false;
+    }
+
+    openFileAtSourcePath(site.path, site.line || undefined);
+    return true;
+  }
+
+  /**
+   * Ask the dev server's open-in-editor endpoint to open a file
+   * @param {string} sourcePath - Path to the source file
+   * @param {string} [sourceLine] - Optional line number to navigate to
+   * @param {string} [sourceColumn] - Optional column number to navigate to
+   * @returns {Promise<boolean>} True if the dev server opened the file
+   */
+  async function openFileViaDevServer(sourcePath, sourceLine, sourceColumn) {
+    const params = new URLSearchParams({ file: sourcePath });
+    if (sourceLine) params.set('line', sourceLine);
+    if (sourceColumn) params.set('column', sourceColumn);
+
+    try {
+      const response = await fetch(`${OPEN_IN_EDITOR_ENDPOINT}?${params}`, {
+        headers: { [OPEN_IN_EDITOR_HEADER]: '1', 'Accept': 'text/plain' }
+      });
+
+      // Without the plugin, dev servers answer with their SPA fallback page
+      if (!response.headers.has(OPEN_IN_EDITOR_HEADER)) {
+        console.warn(`Open in editor: ${OPEN_IN_EDITOR_ENDPOINT} is not served, using the editor URL instead`);
+        openInEditorState.endpointMissing = true;
+        return false;
+      }
+      if (!response.ok) {
+        console.warn(`Open in editor: ${await response.text()}`);
+        return false;
       }
+      return true;
+    } catch (error) {
+      console.warn('Open in editor: dev server unreachable', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a value is a usable path rewrite rule
+   * @param {*} rule - Value to check
+   * @returns {rule is PathMapping} True if the rule has a non-empty `from` and a string `to`
+   */
+  function isValidPathMapping(rule) {
+    return Boolean(rule && typeof rule.from === 'string' && rule.from && typeof rule.to === 'string');
+  }
+
+  /**
+   * Check whether a key event is typed into an editable field, where Alt
+   * combinations produce characters (e.g. Option+S is ß on macOS)
+   * @param {Event} event - Keyboard event
+   * @returns {boolean} True if the event's original target is a text field or content-editable
+   */
+  function isEditableEventTarget(event) {
+    // The original target, even inside a shadow root
+    const target = /** @type {HTMLElement|null} */ (event.composedPath()[0] || event.target);
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+    if (target.isContentEditable) return true;
+
+    switch (target.tagName) {
+      case 'TEXTAREA':
+      case 'SELECT':
+        return true;
+      case 'INPUT':
+        return !NON_TEXT_INPUT_TYPES.includes(/** @type {HTMLInputElement} */ (target).type);
+      default:
+        return false;
     }
-    window.open(uri, "_blank");
   }
 
   /**
@@ -5325,23 +12562,106 @@
   function findDevtoolsElement(startElement) {
     let element = /** @type {Element|null} */ (startElement);
 
-    // Traverse up the DOM tree to find an element with source path property
+    // Traverse up the DOM tree, across shadow roots and frames, to find an element with source path property
     while (element && element !== document.body) {
       if (PropertyAccessor.hasSourcePath(element)) {
         return element;
       }
-      element = /** @type {HTMLElement} */ (element).parentElement;
+      element = ComposedTree.getParent(element);
     }
 
     return null;
   }
 
+  /**
+   * Copy text to the clipboard, falling back to a hidden textarea where the
+   * Clipboard API is unavailable (e.g. on insecure origins)
+   * @param {string} text - Text to copy
+   * @returns {Promise<boolean>} True if the text was copied
+   */
+  async function copyToClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (_error) {
+      const textarea = document.createElement('textarea');
+      textarea.setAttribute(DEVTOOLS_UI_ATTRIBUTE, '');
+      textarea.value = text;
+      textarea.style.cssText = 'position: fixed; opacity: 0;';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      return copied;
+    }
+  }
+
+  /**
+   * Build a CSS selector that matches only the given element, anchored at the
+   * closest ancestor with an ID
+   * @param {Element} element - Element to select
+   * @returns {string} CSS selector
+   */
+  function getCssSelector(element) {
+    /** @type {string[]} */
+    const parts = [];
+    /** @type {Element|null} */
+    let current = element;
+
+    while (current && current !== document.documentElement) {
+      if (current.id) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+
+      let part = current.tagName.toLowerCase();
+      /** @type {Element|null} */
+      const parent = current.parentElement;
+      if (parent) {
+        const tagName = current.tagName;
+        const sameTag = Array.from(parent.children).filter(child => child.tagName === tagName);
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * Find all instances of a component type, in document order
+   * @param {string} key - Component type key from PropertyAccessor.getComponentTypeKey
+   * @returns {Element[]} Matching component elements
+   */
+  function findComponentInstances(key) {
+    /** @type {Element[]} */
+    const instances = [];
+    ComposedTree.walk(document.body, (element) => {
+      if (PropertyAccessor.hasSourcePath(element) && PropertyAccessor.getComponentTypeKey(element) === key) {
+        instances.push(element);
+      }
+    });
+    return instances;
+  }
+
+  /**
+   * Get the defaults the page provided before the devtools loaded
+   * @returns {DevtoolsDefaults} Defaults, empty if none were provided
+   */
+  function getDevtoolsDefaults() {
+    const defaults = /** @type {any} */ (window)[DEVTOOLS_DEFAULTS_GLOBAL];
+    return defaults && typeof defaults === 'object' ? defaults : {};
+  }
+
   /**
    * Get the configured viewport visibility filter setting
    * @returns {boolean} Whether to filter tree nodes based on viewport visibility
    */
   function getViewportVisibilityFilter() {
-    const stored = PersistentStorage.getString(VIEWPORT_VISIBILITY_FILTER_KEY, "false");
+    const stored = PersistentStorage.getString(VIEWPORT_VISIBILITY_FILTER_KEY, String(getDevtoolsDefaults().viewportVisibilityFilter === true));
     return stored === "true";
   }
 
@@ -5350,25 +12670,74 @@
    * @returns {boolean} Whether to open devtools panel by default when page loads
    */
   function getInitialIsOpen() {
-    const stored = PersistentStorage.getString(INITIAL_IS_OPEN_KEY, "false");
+    const stored = PersistentStorage.getString(INITIAL_IS_OPEN_KEY, String(getDevtoolsDefaults().initialIsOpen === true));
     return stored === "true";
   }
 
+  /**
+   * Get the configured way of opening source files
+   * @returns {OpenMode} Open mode
+   */
+  function getOpenMode() {
+    const defaultMode = getDevtoolsDefaults().openMode === "server" ? "server" : "url";
+    return PersistentStorage.getString(OPEN_MODE_KEY, defaultMode) === "server" ? "server" : "url";
+  }
+
+  /**
+   * Get the configured emission log capacity
+   * @returns {number} Maximum number of records kept in the emission log
+   */
+  function getEmissionLogCapacity() {
+    const stored = parseInt(PersistentStorage.getString(EMISSION_LOG_CAPACITY_KEY, ""), 10);
+    return stored > 0 ? stored : DEFAULT_EMISSION_LOG_CAPACITY;
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  /**
+   * Create the public API hook for a devtools system
+   * @param {DevtoolsSystem} system - Live devtools system instance
+   * @returns {LaminarDevtoolsHook} Public API hook
+   */
+  function createDevtoolsHook(system) {
+    return Object.freeze({
+      apiVersion: DEVTOOLS_API_VERSION,
+      system,
+      getSystem: () => system,
+      getStatus: () => system.getStatus(),
+      getAllComponents: () => system.getAllComponents(),
+      navigateToComponent: (/** @type {string} */ filename, /** @type {string} */ line) =>
+        system.navigateToComponent(filename, line),
+      exportConfig: () => system.exportConfig(),
+      importConfig: (/** @type {DevtoolsConfig} */ config) => system.importConfig(config),
+      openFileAtSourcePath,
+      editors: EditorRegistry,
+      paths: PathMapper,
+      PersistentStorage
+    });
+  }
+
   // ============================================================================
   // INITIALIZATION
   // ============================================================================
 
   /**
-   * Initialize the new class-based devtools system
-   * @returns {void}
+   * Initialize the new class-based devtools system and expose it on window
+   * @returns {LaminarDevtoolsHook} Public API hook for the running system
    */
   function initializeDevtoolsSystem() {
     try {
-      new DevtoolsSystem({
-        enableKeyboardNavigation: true
+      const system = new DevtoolsSystem({
+        enableKeyboardNavigation: getDevtoolsDefaults().enableKeyboardNavigation !== false
       });
 
+      const hook = createDevtoolsHook(system);
+      /** @type {any} */ (window)[DEVTOOLS_GLOBAL_HOOK] = hook;
+
       console.log('✅ Laminar Devtools initialized');
+      return hook;
     } catch (error) {
       console.error('❌ Failed to initialize Lamianr Devtools:', error);
       throw error; // Don't fallback, let the error be visible
@@ -5376,6 +12745,9 @@
   }
 
   // Initialize the new system
-  initializeDevtoolsSystem();
+  return initializeDevtoolsSystem();
 
 })();
+
+export { laminarDevtools };
+export default laminarDevtools;
@@ -5,5 +5,3 @@ if (process.env.NODE_ENV === "development") {
 } else {
   import("./out/www/fullLinkJS.dest/main.js");
 }
-
-import "./laminar-devtools.js"
\ No newline at end of file
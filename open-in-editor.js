@@ -0,0 +1,246 @@
+// ============================================================================
+// OPEN IN EDITOR BRIDGE
+// ============================================================================
+//
+// Dev server endpoint that opens source files in the local editor, used by
+// laminar-devtools.js when "Open files via" is set to "Dev server". This avoids
+// URL schemes, which leave blank tabs behind, prompt the user, and don't exist
+// for terminal editors like vim, emacs or helix.
+//
+//   GET /__open-in-editor?file=/abs/path/App.scala&line=12&column=3
+//
+// The editor command is read from LAMINAR_EDITOR, VISUAL or EDITOR, in that
+// order, and may include arguments (e.g. `EDITOR="code --reuse-window"`).
+
+import { spawn } from "node:child_process";
+import { existsSync } from "node:fs";
+import path from "node:path";
+
+/** @type {string} Default endpoint path, must match OPEN_IN_EDITOR_ENDPOINT in laminar-devtools.js */
+export const OPEN_IN_EDITOR_ENDPOINT = "/__open-in-editor";
+
+/** @type {string} Header the devtools send with every request; other origins can't set it without CORS approval */
+export const OPEN_IN_EDITOR_HEADER = "x-laminar-devtools";
+
+/**
+ * @typedef {Object} OpenInEditorOptions
+ * @property {string} [endpoint] - Endpoint path, defaults to OPEN_IN_EDITOR_ENDPOINT
+ * @property {string[]} [roots] - Directories files must be inside, defaults to the working directory
+ * @property {string} [editor] - Editor command, defaults to $LAMINAR_EDITOR, $VISUAL or $EDITOR
+ */
+
+/**
+ * @typedef {Object} EditorLaunch
+ * @property {string} command - Executable to spawn
+ * @property {string[]} args - Arguments including the file location
+ * @property {boolean} terminal - Whether the editor runs in the terminal and needs its stdio
+ */
+
+/** @type {Set<string>} Editors that take over the terminal instead of opening a window */
+const TERMINAL_EDITORS = new Set(["vi", "vim", "nvim", "nano", "hx", "helix", "kak", "micro"]);
+
+/**
+ * Build the command line opening a file at a line and column
+ * @param {string} editor - Editor command, possibly with arguments
+ * @param {string} file - Absolute file path
+ * @param {number} line - Line number
+ * @param {number} column - Column number
+ * @returns {EditorLaunch} Command, arguments and whether it runs in the terminal
+ */
+export function getEditorLaunch(editor, file, line, column) {
+  const [command, ...baseArgs] = editor.trim().split(/\s+/);
+  const name = path.basename(command).replace(/\.(exe|cmd|bat)$/i, "").toLowerCase();
+
+  /** @type {string[]} */
+  let location;
+  switch (name) {
+    case "code":
+    case "code-insiders":
+    case "codium":
+    case "cursor":
+    case "windsurf":
+      location = ["-g", `${file}:${line}:${column}`];
+      break;
+
+    case "idea":
+    case "idea64":
+    case "webstorm":
+    case "pycharm":
+    case "goland":
+    case "rider":
+      location = ["--line", String(line), "--column", String(column), file];
+      break;
+
+    case "vi":
+    case "vim":
+    case "nvim":
+      location = [`+call cursor(${line}, ${column})`, file];
+      break;
+
+    case "emacs":
+    case "emacsclient":
+      location = [`+${line}:${column}`, file];
+      break;
+
+    case "nano":
+    case "kak":
+    case "mate":
+      location = [`+${line}`, file];
+      break;
+
+    default:
+      // subl, zed, hx, micro and most other editors accept file:line:column
+      location = [`${file}:${line}:${column}`];
+  }
+
+  return {
+    command,
+    args: [...baseArgs, ...location],
+    terminal: TERMINAL_EDITORS.has(name) || (name === "emacs" && baseArgs.includes("-nw"))
+  };
+}
+
+/**
+ * Launch the configured editor at a file location
+ * @param {string} file - Absolute file path
+ * @param {number} line - Line number
+ * @param {number} column - Column number
+ * @param {string} [editor] - Editor command, defaults to $LAMINAR_EDITOR, $VISUAL or $EDITOR
+ * @returns {void}
+ * @throws {Error} If no editor is configured
+ */
+export function launchEditor(file, line, column, editor = getDefaultEditor()) {
+  if (!editor) {
+    throw new Error("No editor configured, set LAMINAR_EDITOR, VISUAL or EDITOR");
+  }
+
+  const launch = getEditorLaunch(editor, file, line, column);
+
+  // Most editors install .cmd shims on Windows (code.cmd, idea.cmd), which
+  // only run through a shell, so the arguments need quoting there
+  const shell = process.platform === "win32" && !/\.exe$/i.test(launch.command);
+  const command = shell ? quoteWindowsArg(launch.command) : launch.command;
+  const args = shell ? launch.args.map(quoteWindowsArg) : launch.args;
+
+  // Terminal editors take over the dev server's terminal like they would from a shell
+  const child = spawn(command, args, launch.terminal
+    ? { stdio: "inherit", shell }
+    : { stdio: "ignore", detached: true, shell });
+
+  child.on("error", (error) => {
+    console.error(`[open-in-editor] Could not launch "${launch.command}": ${error.message}`);
+  });
+
+  if (!launch.terminal) {
+    child.unref();
+  }
+}
+
+/**
+ * Quote an argument for the Windows command shell
+ * @param {string} arg - Argument
+ * @returns {string} Argument, in double quotes if it contains spaces or shell characters
+ */
+function quoteWindowsArg(arg) {
+  return /[\s"&|<>^()%!]/.test(arg) ? `"${arg.replace(/"/g, '""')}"` : arg;
+}
+
+/**
+ * Get the editor command from the environment
+ * @returns {string|undefined} Editor command or undefined if not configured
+ */
+function getDefaultEditor() {
+  return process.env.LAMINAR_EDITOR || process.env.VISUAL || process.env.EDITOR;
+}
+
+/**
+ * Check whether a file is inside one of the allowed directories
+ * @param {string} file - Absolute file path
+ * @param {string[]} roots - Allowed directories
+ * @returns {boolean} True if the file is inside a root
+ */
+export function isInsideRoots(file, roots) {
+  return roots.some(root => {
+    const relative = path.relative(path.resolve(root), file);
+    return relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative);
+  });
+}
+
+/**
+ * Create a connect-style middleware serving the open-in-editor endpoint
+ * @param {OpenInEditorOptions} [options={}] - Middleware options
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse, next: () => void) => void} Middleware
+ */
+export function openInEditorMiddleware(options = {}) {
+  const endpoint = options.endpoint || OPEN_IN_EDITOR_ENDPOINT;
+  const roots = options.roots || [process.cwd()];
+
+  return (req, res, next) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    if (url.pathname !== endpoint) {
+      next();
+      return;
+    }
+
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Response body
+     */
+    const respond = (status, message) => {
+      res.statusCode = status;
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      // Lets the devtools tell this endpoint apart from an SPA fallback page
+      res.setHeader(OPEN_IN_EDITOR_HEADER, "1");
+      res.end(message);
+    };
+
+    if (!req.headers[OPEN_IN_EDITOR_HEADER]) {
+      respond(403, `Missing ${OPEN_IN_EDITOR_HEADER} header`);
+      return;
+    }
+
+    const fileParam = url.searchParams.get("file");
+    if (!fileParam) {
+      respond(400, "Missing file parameter");
+      return;
+    }
+
+    const file = path.resolve(fileParam);
+    if (!isInsideRoots(file, roots)) {
+      respond(403, `${file} is outside of the allowed directories`);
+      return;
+    }
+    if (!existsSync(file)) {
+      respond(404, `${file} does not exist`);
+      return;
+    }
+
+    const line = Math.max(1, parseInt(url.searchParams.get("line") || "", 10) || 1);
+    const column = Math.max(1, parseInt(url.searchParams.get("column") || "", 10) || 1);
+
+    try {
+      launchEditor(file, line, column, options.editor);
+      respond(200, "OK");
+    } catch (error) {
+      respond(500, error instanceof Error ? error.message : String(error));
+    }
+  };
+}
+
+/**
+ * Vite plugin serving the open-in-editor endpoint from the dev server
+ * @param {OpenInEditorOptions} [options={}] - Middleware options
+ * @returns {import("vite").Plugin} Vite plugin
+ */
+export function openInEditorPlugin(options = {}) {
+  return {
+    name: "laminar-devtools:open-in-editor",
+    apply: "serve",
+    configureServer(server) {
+      server.middlewares.use(openInEditorMiddleware({
+        roots: [server.config.root],
+        ...options
+      }));
+    }
+  };
+}
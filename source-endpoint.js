@@ -0,0 +1,88 @@
+// ============================================================================
+// SOURCE ENDPOINT
+// ============================================================================
+//
+// Dev server endpoint serving source files for the previews in
+// laminar-devtools.js, which show the lines around a component's call site in
+// the tooltip and the tree's inspector pane.
+//
+//   GET /__laminar-source?file=/abs/path/App.scala
+//
+// Requests need the same header as the open-in-editor endpoint and may only
+// read files inside the allowed directories.
+
+import { readFile, stat } from "node:fs/promises";
+import path from "node:path";
+import { OPEN_IN_EDITOR_HEADER, isInsideRoots } from "./open-in-editor.js";
+
+/** @type {string} Default endpoint path, must match SOURCE_ENDPOINT in laminar-devtools.js */
+export const SOURCE_ENDPOINT = "/__laminar-source";
+
+/** @type {number} Largest file served in bytes */
+const MAX_SOURCE_SIZE = 1024 * 1024;
+
+/**
+ * @typedef {Object} SourceEndpointOptions
+ * @property {string} [endpoint] - Endpoint path, defaults to SOURCE_ENDPOINT
+ * @property {string[]} [roots] - Directories files must be inside, defaults to the working directory
+ */
+
+/**
+ * Create a connect-style middleware serving source files
+ * @param {SourceEndpointOptions} [options={}] - Middleware options
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse, next: () => void) => void} Middleware
+ */
+export function sourceMiddleware(options = {}) {
+  const endpoint = options.endpoint || SOURCE_ENDPOINT;
+  const roots = options.roots || [process.cwd()];
+
+  return (req, res, next) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    if (url.pathname !== endpoint) {
+      next();
+      return;
+    }
+
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} body - Response body
+     */
+    const respond = (status, body) => {
+      res.statusCode = status;
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      res.setHeader("Cache-Control", "no-store");
+      // Lets the devtools tell this endpoint apart from an SPA fallback page
+      res.setHeader(OPEN_IN_EDITOR_HEADER, "1");
+      res.end(body);
+    };
+
+    if (!req.headers[OPEN_IN_EDITOR_HEADER]) {
+      respond(403, `Missing ${OPEN_IN_EDITOR_HEADER} header`);
+      return;
+    }
+
+    const fileParam = url.searchParams.get("file");
+    if (!fileParam) {
+      respond(400, "Missing file parameter");
+      return;
+    }
+
+    const file = path.resolve(fileParam);
+    if (!isInsideRoots(file, roots)) {
+      respond(403, `${file} is outside of the allowed directories`);
+      return;
+    }
+
+    stat(file)
+      .then(stats => {
+        if (!stats.isFile()) {
+          respond(404, `${file} is not a file`);
+        } else if (stats.size > MAX_SOURCE_SIZE) {
+          respond(413, `${file} is larger than ${MAX_SOURCE_SIZE} bytes`);
+        } else {
+          return readFile(file, "utf8").then(content => respond(200, content));
+        }
+      })
+      .catch(() => respond(404, `${file} does not exist`));
+  };
+}
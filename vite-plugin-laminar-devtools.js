@@ -0,0 +1,97 @@
+// ============================================================================
+// VITE PLUGIN
+// ============================================================================
+//
+// Injects laminar-devtools.js into pages served by the Vite dev server and
+// hosts the open-in-editor and source endpoints. Nothing is added to
+// `vite build` output.
+//
+//   import laminarDevtools from "./vite-plugin-laminar-devtools.js";
+//
+//   export default defineConfig({
+//     plugins: [laminarDevtools({ preferredIDE: "vscode", initialIsOpen: true })],
+//   });
+//
+// The options become defaults in the page: settings the user changed in the
+// devtools panel are stored in localStorage and take precedence over them.
+
+import { fileURLToPath } from "node:url";
+import { normalizePath } from "vite";
+import { openInEditorMiddleware } from "./open-in-editor.js";
+import { sourceMiddleware } from "./source-endpoint.js";
+
+/** @type {string} Absolute path of the devtools script served to the page */
+const DEVTOOLS_SCRIPT_PATH = normalizePath(fileURLToPath(new URL("./laminar-devtools.js", import.meta.url)));
+
+/** @type {string} Name of the global read by laminar-devtools.js, must match DEVTOOLS_DEFAULTS_GLOBAL */
+const DEVTOOLS_DEFAULTS_GLOBAL = "__LAMINAR_DEVTOOLS_DEFAULTS__";
+
+/**
+ * @typedef {Object} LaminarDevtoolsPluginOptions
+ * @property {boolean} [initialIsOpen] - Open devtools panel by default when page loads
+ * @property {string} [preferredIDE] - ID of the preferred editor, e.g. "idea", "vscode" or "cursor"
+ * @property {boolean} [viewportVisibilityFilter] - Filter tree nodes based on viewport visibility
+ * @property {boolean} [enableKeyboardNavigation] - Enable keyboard navigation, defaults to true
+ * @property {import("./open-in-editor.js").OpenInEditorOptions|false} [openInEditor] - Options for the open-in-editor endpoint, false to not serve it
+ * @property {import("./source-endpoint.js").SourceEndpointOptions|false} [sourcePreview] - Options for the source endpoint, false to not serve it
+ */
+
+/**
+ * Vite plugin injecting the Laminar devtools on the dev server
+ * @param {LaminarDevtoolsPluginOptions} [options={}] - Plugin options
+ * @returns {import("vite").Plugin} Vite plugin
+ */
+export default function laminarDevtools(options = {}) {
+  const { openInEditor = {}, sourcePreview = {}, ...devtoolsOptions } = options;
+
+  // Files open through the endpoint by default when the plugin serves it
+  const defaults = {
+    openMode: openInEditor === false ? "url" : "server",
+    ...devtoolsOptions
+  };
+
+  /** @type {string} */
+  let base = "/";
+
+  return {
+    name: "laminar-devtools",
+    apply: "serve",
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    configureServer(server) {
+      if (openInEditor !== false) {
+        server.middlewares.use(openInEditorMiddleware({
+          roots: [server.config.root],
+          ...openInEditor
+        }));
+      }
+      if (sourcePreview !== false) {
+        server.middlewares.use(sourceMiddleware({
+          roots: [server.config.root],
+          ...sourcePreview
+        }));
+      }
+    },
+
+    transformIndexHtml() {
+      return [
+        {
+          // Classic script so the defaults are set before the module below runs
+          tag: "script",
+          children: `window.${DEVTOOLS_DEFAULTS_GLOBAL} = ${JSON.stringify(defaults)};`,
+          injectTo: "head-prepend"
+        },
+        {
+          tag: "script",
+          attrs: { type: "module", src: `${base}@fs${DEVTOOLS_SCRIPT_PATH.startsWith("/") ? "" : "/"}${DEVTOOLS_SCRIPT_PATH}` },
+          injectTo: "body"
+        }
+      ];
+    }
+  };
+}
+
+export { laminarDevtools };
@@ -1,6 +1,8 @@
 import { defineConfig } from 'vite'
+import laminarDevtools from './vite-plugin-laminar-devtools.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   base: process.env.PAGES_BASE_PATH || '/',
+  plugins: [laminarDevtools()],
 })
@@ -1,13 +1,15 @@
 package www
 
-import www.components.{Button, Card}
-import www.locator.UIComponent
+import www.components.{Button, Card, ShadowPanel}
+import www.locator.{Tracked, UIComponent}
 import www.locator.Locator.withLocator
 
 import com.raquo.laminar.api.L.*
 
 case class App() extends UIComponent {
   def render() = {
+    val clicks = Var(0)
+
     div(
       width.px(600),
       height.px(400),
@@ -16,14 +18,20 @@ case class App() extends UIComponent {
       flexDirection.column,
       padding.px(12),
       alignItems.start,
+      Button()().amend(onClick --> clicks.updater[Any]((count, _) => count + 1)),
       Button()(),
-      Button()(),
+      p(
+        Tracked.bind("clicks", clicks.signal)(signal =>
+          text <-- signal.map(count => s"Clicked $count times")
+        )
+      ),
       Card("Example Card")(
         p("This is some content inside the card."),
         Button()(),
         p("More content here.")
         // Demonstrate the @uicomponent annotation usage
-      )
+      ),
+      ShadowPanel()()
     )
   }
 }
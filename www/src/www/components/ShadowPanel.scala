@@ -0,0 +1,38 @@
+package www.components
+
+import www.locator.{Tracked, UIComponent}
+
+import com.raquo.laminar.api.L
+import com.raquo.laminar.api.L.*
+import org.scalajs.dom
+
+/** Renders its content into an open shadow root, to exercise the devtools'
+  * shadow DOM support (tree, picking and the "Events" tab).
+  */
+case class ShadowPanel() extends UIComponent {
+  def render() = {
+    val toggles = Var(false)
+
+    val content = div(
+      Button()().amend(onClick --> toggles.updater[Any]((on, _) => !on)),
+      p(
+        Tracked.bind("toggled", toggles.signal)(signal =>
+          text <-- signal.map(on => s"Shadow toggle is ${if (on) "on" else "off"}")
+        )
+      )
+    )
+
+    val host = div(margin.px(8))
+    val container = dom.document.createElement("div")
+    host.ref
+      .attachShadow(new dom.ShadowRootInit { mode = dom.ShadowRootMode.open })
+      .appendChild(container)
+
+    host.amend(
+      onMountUnmountCallbackWithState(
+        mount = _ => L.render(container, content),
+        unmount = (_, root) => root.foreach(_.unmount())
+      )
+    )
+  }
+}
@@ -1,23 +1,45 @@
 package www.locator
 
 import scala.scalajs.LinkingInfo.developmentMode
+import scala.scalajs.js
 
 import com.raquo.laminar.api.L.*
 import com.raquo.laminar.codecs.{IntAsStringCodec, StringAsIsCodec}
 
+/** Source positions for the devtools. The trait's own position is resolved
+  * where the component class extends it and recorded as the definition site;
+  * `apply()` captures the usage site with a [[Locator.CallSite]].
+  */
 trait Locator(using
     n: sourcecode.FileName,
     f: sourcecode.File,
-    l: sourcecode.Line
+    l: sourcecode.Line,
+    nm: sourcecode.Name
 ) {
 
-  def locatorModifiers(el: HtmlElement): HtmlElement = {
+  /** Props shown by the devtools, by default the case class fields. */
+  protected def devtoolsProps: Seq[(String, Any)] = this match {
+    case p: Product => Locator.productFields(p)
+    case _          => Seq.empty
+  }
+
+  private[locator] def componentName: String = this match {
+    case p: Product => p.productPrefix
+    case _          => nm.value
+  }
+
+  def locatorModifiers(el: HtmlElement, usage: Locator.CallSite): HtmlElement = {
     el.amend(Locator.scalaFileName := n.value)
     if (developmentMode) {
       el.amend(
-        Locator.scalaSourcePath := f.value,
-        Locator.scalaLineNumber := l.value,
-        dataAttr("source-path") := s"${n.value}:${l.value}"
+        Locator.scalaUsageFileName := usage.fileName,
+        Locator.scalaSourcePath := usage.file,
+        Locator.scalaLineNumber := usage.line,
+        Locator.scalaDefinitionPath := f.value,
+        Locator.scalaDefinitionLine := l.value,
+        Locator.scalaComponentName := componentName,
+        Locator.scalaComponentProps := Locator.serializeProps(devtoolsProps),
+        dataAttr("source-path") := s"${usage.fileName}:${usage.line}"
       )
     }
     el
@@ -27,30 +49,138 @@ trait Locator(using
 
 object Locator {
 
+  /** Where a component is applied, resolved at the caller. */
+  final case class CallSite(fileName: String, file: String, line: Int)
+
+  object CallSite {
+    given here(using
+        n: sourcecode.FileName,
+        f: sourcecode.File,
+        l: sourcecode.Line
+    ): CallSite = CallSite(n.value, f.value, l.value)
+  }
+
+  private val layoutChainProp = "__scalalayoutchain"
+
+  /** Must match OWNER_ID_ATTRIBUTE in laminar-devtools.js */
+  private val ownerIdAttr = "data-devtools-id"
+
+  private var lastOwnerId = 0
+
   private lazy val scalaSourcePath =
     htmlProp("__scalasourcepath", StringAsIsCodec)
 
   private lazy val scalaFileName =
     htmlProp("__scalafilename", StringAsIsCodec)
 
+  private lazy val scalaUsageFileName =
+    htmlProp("__scalausagefilename", StringAsIsCodec)
+
   private lazy val scalaLineNumber =
     htmlProp("__scalasourceline", IntAsStringCodec)
 
+  private lazy val scalaDefinitionPath =
+    htmlProp("__scaladefinitionpath", StringAsIsCodec)
+
+  private lazy val scalaDefinitionLine =
+    htmlProp("__scaladefinitionline", IntAsStringCodec)
+
+  private lazy val scalaComponentName =
+    htmlProp("__scalacomponentname", StringAsIsCodec)
+
+  private lazy val scalaComponentProps =
+    htmlProp("__scalacomponentprops", StringAsIsCodec)
+
+  /** Turn `www.components.Card#render` into `Card.render`. */
+  private[locator] def enclosingName(enclosing: String): String =
+    enclosing
+      .takeWhile(_ != ' ')
+      .split('.')
+      .dropWhile(segment => segment.headOption.exists(_.isLower))
+      .mkString(".")
+      .replace("$package", "")
+      .replace('#', '.')
+
+  /** Record on `child` that `layout`, applied at `usage`, passed it down as
+    * one of its children. Entries are appended innermost layout first.
+    */
+  private[locator] def recordPassedThrough(
+      child: HtmlElement,
+      layout: Locator,
+      usage: CallSite
+  ): Unit = {
+    val ref = child.ref.asInstanceOf[js.Dynamic]
+    if (js.isUndefined(ref.selectDynamic(layoutChainProp))) {
+      ref.updateDynamic(layoutChainProp)(js.Array[js.Dynamic]())
+    }
+    ref
+      .selectDynamic(layoutChainProp)
+      .asInstanceOf[js.Array[js.Dynamic]]
+      .push(js.Dynamic.literal(name = layout.componentName, path = usage.file, line = usage.line))
+  }
+
+  /** Id that portal content refers to `owner` by, assigned on first use. */
+  private def ownerId(owner: HtmlElement): String =
+    Option(owner.ref.getAttribute(ownerIdAttr)).getOrElse {
+      lastOwnerId += 1
+      val id = s"owner-$lastOwnerId"
+      owner.ref.setAttribute(ownerIdAttr, id)
+      id
+    }
+
+  private[locator] def productFields(p: Product): Seq[(String, Any)] =
+    p.productElementNames.zip(p.productIterator).toSeq
+
+  /** Serialize props to a JSON object string for the devtools. */
+  private[locator] def serializeProps(props: Seq[(String, Any)]): String =
+    js.JSON.stringify(js.Dictionary(props.map((k, v) => k -> toJs(v))*))
+
+  private[locator] def toJs(value: Any): js.Any = value match {
+    case null                 => null
+    case s: String            => s
+    case b: Boolean           => b
+    case i: Int               => i
+    case d: Double            =>
+      if (d.isNaN || d.isInfinite) d.toString else d
+    case l: Long              => l.toString
+    case o: Option[?]         => o.fold[js.Any](null)(toJs)
+    case m: Map[?, ?]         =>
+      js.Dictionary(m.toSeq.map((k, v) => k.toString -> toJs(v))*)
+    case it: Iterable[?]      => js.Array(it.toSeq.map(toJs)*)
+    case p: Product if p.productArity > 0 =>
+      js.Dictionary(productFields(p).map((k, v) => k -> toJs(v))*)
+    case other                => other.toString
+  }
+
   extension (element: HtmlElement) {
     inline def withLocator: HtmlElement = {
       val fileName = sourcecode.FileName()
       val file = sourcecode.File()
       val line = sourcecode.Line()
+      val enclosing = sourcecode.Enclosing()
 
       element.amend(scalaFileName := fileName)
       if (developmentMode) {
         element.amend(
           scalaSourcePath := file,
           scalaLineNumber := line,
+          scalaComponentName := enclosingName(enclosing.value),
           dataAttr("source-path") := s"${fileName}:${line}"
         )
       }
       element
     }
+
+    /** Mark `element` as portal content of `owner`: content rendered outside
+      * of the owner's DOM, like a modal or a dropdown in a container under
+      * `<body>`. The devtools show its components under `owner` instead of as
+      * separate roots.
+      */
+    def ownedBy(owner: HtmlElement): HtmlElement = {
+      if (developmentMode) {
+        element.amend(dataAttr("devtools-owner") := ownerId(owner))
+      }
+      element
+    }
   }
 }
@@ -0,0 +1,142 @@
+package www.locator
+
+import scala.scalajs.LinkingInfo.developmentMode
+import scala.scalajs.js
+
+import com.raquo.airstream.ownership.Subscription
+import com.raquo.laminar.api.L.*
+import com.raquo.laminar.nodes.ReactiveElement
+import org.scalajs.dom
+
+/** Modifiers that register their subscriptions with the devtools inspector.
+  *
+  * {{{
+  * div(
+  *   Tracked.bind("title", titleSignal)(text <-- _),
+  *   Tracked.listen("saves", saveStream)(_ --> saveObserver),
+  *   Tracked.onMount("focus")(ctx => ctx.thisNode.ref.focus())
+  * )
+  * }}}
+  *
+  * Every emission is also dispatched as a bubbling, composed
+  * `laminar-devtools:emission` DOM event on the element, which feeds the
+  * devtools "Events" tab, also from inside shadow roots.
+  *
+  * Outside of `developmentMode` these are the plain Laminar modifiers.
+  */
+object Tracked {
+
+  private val subscriptionsProp = "__laminarsubscriptions"
+
+  private val emissionEvent = "laminar-devtools:emission"
+
+  private var lastId = 0
+
+  /** Track a `<--` binding of `source` under `name`. */
+  def bind[El <: ReactiveElement.Base, A](name: String, source: Observable[A])(
+      modifier: Observable[A] => Modifier[El]
+  ): Modifier[El] = track("<--", name, source, modifier)
+
+  /** Track a `-->` binding of `source` under `name`. */
+  def listen[El <: ReactiveElement.Base, A](name: String, source: Observable[A])(
+      modifier: Observable[A] => Modifier[El]
+  ): Modifier[El] = track("-->", name, source, modifier)
+
+  /** Track an `onMountCallback` under `name`, counting mounts. */
+  def onMount[El <: ReactiveElement.Base](name: String)(
+      fn: MountContext[El] => Unit
+  ): Modifier[El] =
+    if (!developmentMode) onMountCallback(fn)
+    else
+      Modifier[El] { el =>
+        val entry = register(el, "onMountCallback", name, "Callback")
+        onMountUnmountCallback[El](
+          mount = ctx => {
+            entry.active = true
+            countEmission(entry)
+            fn(ctx)
+          },
+          unmount = _ => entry.active = false
+        ).apply(el)
+      }
+
+  private def track[El <: ReactiveElement.Base, A](
+      kind: String,
+      name: String,
+      source: Observable[A],
+      modifier: Observable[A] => Modifier[El]
+  ): Modifier[El] =
+    if (!developmentMode) modifier(source)
+    else
+      Modifier[El] { el =>
+        val entry = register(el, kind, name, observableType(source))
+        ReactiveElement.bindSubscriptionUnsafe(el) { ctx =>
+          entry.active = true
+          new Subscription(ctx.owner, cleanup = () => entry.active = false)
+        }
+        modifier(source.map { value =>
+          record(el, entry, value)
+          value
+        }).apply(el)
+      }
+
+  private def observableType(source: Observable[?]): String = source match {
+    case _: Signal[?]      => "Signal"
+    case _: EventStream[?] => "EventStream"
+    case _                 => "Observable"
+  }
+
+  private def register(
+      el: ReactiveElement.Base,
+      kind: String,
+      name: String,
+      observableType: String
+  ): js.Dynamic = {
+    val ref = el.ref.asInstanceOf[js.Dynamic]
+    if (js.isUndefined(ref.selectDynamic(subscriptionsProp))) {
+      ref.updateDynamic(subscriptionsProp)(js.Array[js.Dynamic]())
+    }
+    lastId += 1
+    val entry = js.Dynamic.literal(
+      id = lastId,
+      kind = kind,
+      name = name,
+      observableType = observableType,
+      active = false,
+      hasValue = false,
+      value = js.undefined,
+      emissionCount = 0,
+      lastEmittedAt = js.undefined
+    )
+    ref.selectDynamic(subscriptionsProp).asInstanceOf[js.Array[js.Dynamic]].push(entry)
+    entry
+  }
+
+  private def record(el: ReactiveElement.Base, entry: js.Dynamic, value: Any): Unit = {
+    entry.value = Locator.toJs(value)
+    entry.hasValue = true
+    countEmission(entry)
+    el.ref.dispatchEvent(
+      new dom.CustomEvent(
+        emissionEvent,
+        new dom.CustomEventInit {
+          bubbles = true
+          composed = true
+          detail = js.Dynamic.literal(
+            subscriptionId = entry.id,
+            kind = entry.kind,
+            name = entry.name,
+            observableType = entry.observableType,
+            value = entry.value,
+            timestamp = entry.lastEmittedAt
+          )
+        }
+      )
+    )
+  }
+
+  private def countEmission(entry: js.Dynamic): Unit = {
+    entry.emissionCount = entry.emissionCount.asInstanceOf[Int] + 1
+    entry.lastEmittedAt = js.Date.now()
+  }
+}
@@ -7,8 +7,8 @@ import com.raquo.laminar.api.L.*
 trait UIComponent extends Locator {
   def render(): HtmlElement
 
-  def apply(): HtmlElement = {
-    locatorModifiers(render())
+  def apply()(using usage: Locator.CallSite): HtmlElement = {
+    locatorModifiers(render(), usage)
   }
 
 }
@@ -2,13 +2,18 @@
 
 package www.locator
 
+import scala.scalajs.LinkingInfo.developmentMode
+
 import com.raquo.laminar.api.L.*
 
 trait UILayoutComponent extends Locator {
   def render(children: HtmlElement*): HtmlElement
 
-  def apply(children: HtmlElement*): HtmlElement = {
-    locatorModifiers(render(children*))
+  def apply(children: HtmlElement*)(using usage: Locator.CallSite): HtmlElement = {
+    if (developmentMode) {
+      children.foreach(Locator.recordPassedThrough(_, this, usage))
+    }
+    locatorModifiers(render(children*), usage)
   }
 
 }